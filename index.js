@@ -6,11 +6,82 @@ const { createClient } = require('@supabase/supabase-js');
 
 // Import auth routes and middleware
 const authRoutes = require('./routes/auth');
+const revisionRoutes = require('./routes/revisions');
+const trashRoutes = require('./routes/trash');
 const { authenticateUser, optionalAuth } = require('./middleware/auth');
+const { recordRevisionSafely } = require('./lib/revisions');
+const { getPurgeDate, startTrashPurgeSchedule } = require('./lib/trash');
+const { getHighlights } = require('./lib/search');
+const { NoteFilterError, parseNoteFilters, resolveNoteFilters, applyNoteFilters, rankFilteredNotes } = require('./lib/note-filters');
+const { encodeCursor, decodeCursor, applyCursor } = require('./lib/pagination');
+const { CURSOR_SORTS, parseNoteSort, applyNoteSort, organizationValues, reorderNotes } = require('./lib/note-organization');
+const { validateName, findOwnedItem, findNameConflict } = require('./lib/taxonomy');
+const {
+    getUserCategories,
+    buildCategoryTree,
+    getDescendantIds,
+    wouldCreateCycle,
+    findSiblingNameClashes
+} = require('./lib/category-tree');
+const { getNoteAccess, hasRole } = require('./lib/note-access');
+const { resolveKeyVersion } = require('./lib/encryption-keys');
+const {
+    generateShareToken,
+    ensureDefaultShareLink,
+    setNoteVisibility,
+    recordShareLinkView,
+    resolvePublicNote,
+    getShareLinkAccessKey
+} = require('./lib/share-links');
+const searchRoutes = require('./routes/search');
+const collaboratorRoutes = require('./routes/collaborators');
+const commentRoutes = require('./routes/comments');
+const shareLinkRoutes = require('./routes/share-links');
+const publicPageRoutes = require('./routes/public-pages');
+const profileRoutes = require('./routes/profile');
+const authorRoutes = require('./routes/authors');
+const authorPageRoutes = require('./routes/author-pages');
+const exportRoutes = require('./routes/export');
+const importRoutes = require('./routes/imports');
+const attachmentRoutes = require('./routes/attachments');
+const collabRoutes = require('./routes/collab');
+const { listNoteAttachments, serializeAttachment } = require('./lib/attachments');
+const eventRoutes = require('./routes/events');
+const syncRoutes = require('./routes/sync');
+const noteReminderRoutes = require('./routes/note-reminders');
+const reminderRoutes = require('./routes/reminders');
+const notificationRoutes = require('./routes/notifications');
+const checklistRoutes = require('./routes/checklists');
+const noteLinkRoutes = require('./routes/note-links');
+const graphRoutes = require('./routes/graph');
+const templateRoutes = require('./routes/templates');
+const publicTemplateRoutes = require('./routes/public-templates');
+const { createDefaultCategories, createDefaultLabels } = require('./lib/account-setup');
+const taskRoutes = require('./routes/tasks');
+const bulkNoteRoutes = require('./routes/bulk-notes');
+const encryptionKeyRoutes = require('./routes/encryption-keys');
+const { publishNoteEvent, publishUserEvent } = require('./lib/events');
+const { attachWebSockets } = require('./lib/websocket');
+const { allowedOrigins, isAllowedOrigin } = require('./lib/origins');
+const { createEventSocketRoute } = require('./lib/event-socket');
+const { createCollabSocketRoute } = require('./lib/collab-socket');
+const { failInterruptedImports } = require('./lib/import-jobs');
+const { startReminderScheduler } = require('./lib/reminder-scheduler');
+const { getBacklinks, getLinkRewriteOffer, rewriteLinksToNote } = require('./lib/note-links');
+const {
+    VERSION_HEADER,
+    setVersionHeader,
+    getExpectedVersion,
+    mergeStaleEdit,
+    sendVersionConflict
+} = require('./lib/note-versions');
 
 const app = express();
 const port = process.env.PORT || 5000;
 
+// Behind one proxy hop on Render (render.yaml), so req.ip is the visitor's address from X-Forwarded-For
+app.set('trust proxy', 1);
+
 // Supabase client
 const supabase = createClient(
     process.env.SUPABASE_URL,
@@ -18,15 +89,6 @@ const supabase = createClient(
 );
 
 // Middleware
-const allowedOrigins = [
-    process.env.CLIENT_URL,
-    'https://notes-app-xi-eight-17.vercel.app', // Production Vercel URL
-    'https://notes-5l06weonn-gugans-projects-4bb04bdf.vercel.app', // Old Vercel deployment
-    'http://localhost:3000', // Local development
-    'http://localhost:3001',
-    'http://localhost:3002'
-].filter(Boolean);
-
 app.use(cors({
     origin: function (origin, callback) {
         // Allow requests with no origin (mobile apps, Postman, etc.)
@@ -36,20 +98,16 @@ app.use(cors({
         console.log('Request from origin:', origin);
         console.log('Allowed origins:', allowedOrigins);
         
-        // Check if origin is in allowed list
-        if (allowedOrigins.indexOf(origin) !== -1) {
-            return callback(null, true);
-        }
-        
-        // Allow all Vercel preview deployments (*.vercel.app)
-        if (origin && origin.endsWith('.vercel.app')) {
+        // Check if origin is in allowed list (or a Vercel preview deployment)
+        if (isAllowedOrigin(origin)) {
             return callback(null, true);
         }
         
         console.error('CORS blocked origin:', origin);
         callback(new Error('Not allowed by CORS'));
     },
-    credentials: true
+    credentials: true,
+    exposedHeaders: [VERSION_HEADER]
 }));
 app.use(express.json());
 app.use(cookieParser());
@@ -208,6 +266,67 @@ app.post('/api/debug/set-cookie', (req, res) => {
 // Auth routes
 app.use('/api/auth', authRoutes);
 
+// Bulk actions on many notes at once
+app.use('/api/notes/bulk', bulkNoteRoutes);
+
+// Note revision history routes
+app.use('/api/notes/:id/revisions', revisionRoutes);
+
+// Trash routes
+app.use('/api/trash', trashRoutes);
+
+// Search query language routes
+app.use('/api/search', searchRoutes);
+
+// Note sharing and comment routes
+app.use('/api/notes/:id/collaborators', collaboratorRoutes);
+app.use('/api/notes/:id/comments', commentRoutes);
+app.use('/api/notes/:id/share-links', shareLinkRoutes);
+
+// Note attachment routes
+app.use('/api/notes/:id/attachments', attachmentRoutes);
+
+// Checklist items on a note, and open items across notes
+app.use('/api/notes/:id/checklist', checklistRoutes);
+app.use('/api/tasks', taskRoutes);
+
+// [[Wiki links]] between notes: links and backlinks of a note, unlinked mentions, and the note graph
+app.use('/api/notes/:id/links', noteLinkRoutes);
+app.use('/api/graph', graphRoutes);
+
+// Note templates, and shared templates read by token
+app.use('/api/templates', templateRoutes);
+app.use('/api/public/templates', publicTemplateRoutes);
+
+// Presence in a note's collaborative editing session (the session itself is a WebSocket at /api/collab/:id)
+app.use('/api/notes/:id/presence', collabRoutes);
+
+// Server-rendered HTML pages for public notes
+app.use('/p', publicPageRoutes);
+
+// Public author profiles, their HTML pages and RSS/Atom feeds
+app.use('/api/profile', profileRoutes);
+app.use('/api/u', authorRoutes);
+app.use('/u', authorPageRoutes);
+
+// Live change stream (Server-Sent Events)
+app.use('/api/events', eventRoutes);
+
+// Delta sync and offline mutation push
+app.use('/api/sync', syncRoutes);
+
+// Reminders and the in-app notification list
+app.use('/api/notes/:id/reminders', noteReminderRoutes);
+app.use('/api/reminders', reminderRoutes);
+app.use('/api/notifications', notificationRoutes);
+
+// End-to-end encryption keys (wrapped on the client) and key rotation
+app.use('/api/keyring', encryptionKeyRoutes);
+
+// Account export and background imports
+app.use('/api/export', exportRoutes);
+app.use('/api/imports', importRoutes);
+
 // Database status endpoint
 app.get('/api/status', async (req, res) => {
     try {
@@ -219,12 +338,28 @@ app.get('/api/status', async (req, res) => {
                 categories: false,
                 labels: false,
                 posts: false,
-                post_labels: false
+                post_labels: false,
+                note_revisions: false,
+                note_collaborators: false,
+                note_comments: false,
+                note_share_links: false,
+                import_jobs: false,
+                note_attachments: false,
+                sync_changes: false,
+                sync_mutations: false,
+                note_reminders: false,
+                reminder_deliveries: false,
+                notifications: false,
+                note_checklist_items: false,
+                note_links: false,
+                note_templates: false,
+                encryption_keyrings: false,
+                encryption_keys: false
             }
         };
 
         // Check each table
-        const tables = ['users', 'categories', 'labels', 'posts', 'post_labels'];
+        const tables = ['users', 'categories', 'labels', 'posts', 'post_labels', 'note_revisions', 'note_collaborators', 'note_comments', 'note_share_links', 'import_jobs', 'note_attachments', 'sync_changes', 'sync_mutations', 'note_reminders', 'reminder_deliveries', 'notifications', 'note_checklist_items', 'note_links', 'note_templates', 'encryption_keyrings', 'encryption_keys'];
 
         for (const table of tables) {
             try {
@@ -486,13 +621,77 @@ app.post('/api/create-test-user', async (req, res) => {
 app.get('/api/notes', authenticateUser, async (req, res) => {
     try {
         const userId = req.user.id;
-        const { category, labels, search, drafts, visibility, page = 1, limit = 12 } = req.query;
+        const {
+            page = 1,
+            limit = 12,
+            cursor,
+            pagination
+        } = req.query;
+
+        // ?sort=created|updated|title|manual (&order=asc|desc); pinned notes always come first
+        const noteSort = parseNoteSort(req.query);
+        if (noteSort.error) {
+            return res.status(400).json({ error: noteSort.error });
+        }
 
         // Parse pagination parameters
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 12, 1), 100);
         const offset = (pageNum - 1) * limitNum;
 
+        // Cursor mode (?pagination=cursor, then ?cursor=...) stays stable while notes are created or autosaved
+        const useCursor = cursor !== undefined || pagination === 'cursor';
+        let cursorPosition = null;
+        if (cursor) {
+            cursorPosition = decodeCursor(cursor);
+            if (!cursorPosition || cursorPosition.sort !== noteSort.sort) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+        }
+        if (useCursor && !CURSOR_SORTS.includes(noteSort.sort)) {
+            return res.status(400).json({
+                error: `Cursor pagination is only available when sorting by ${CURSOR_SORTS.join(' or ')}`
+            });
+        }
+
+        // Category, label, status and search filters (see lib/note-filters.js)
+        let parsedFilters;
+        try {
+            parsedFilters = parseNoteFilters(req.query);
+        } catch (filterError) {
+            if (filterError instanceof NoteFilterError) {
+                return res.status(400).json({ error: filterError.message, ...filterError.details });
+            }
+            throw filterError;
+        }
+
+        const { tsQuery } = parsedFilters;
+        if (tsQuery && useCursor) {
+            return res.status(400).json({
+                error: 'Cursor pagination is not available for text search results, which are ordered by relevance'
+            });
+        }
+
+        const buildPagination = (totalCount, hasNextPage, nextCursor) => {
+            if (useCursor) {
+                return {
+                    mode: 'cursor',
+                    totalCount,
+                    limit: limitNum,
+                    hasNextPage,
+                    nextCursor
+                };
+            }
+            return {
+                currentPage: pageNum,
+                totalPages: Math.ceil(totalCount / limitNum),
+                totalCount,
+                limit: limitNum,
+                hasNextPage,
+                hasPrevPage: pageNum > 1
+            };
+        };
+
         // Check if posts table exists first
         const { error: checkError } = await supabase
             .from('posts')
@@ -504,143 +703,197 @@ app.get('/api/notes', authenticateUser, async (req, res) => {
                 console.log('Posts table not found, returning empty notes array');
                 return res.json({
                     data: [],
-                    pagination: {
-                        currentPage: 1,
-                        totalPages: 0,
-                        totalCount: 0,
-                        limit: limitNum,
-                        hasNextPage: false,
-                        hasPrevPage: false
-                    }
+                    pagination: buildPagination(0, false, null)
                 });
             }
             throw checkError;
         }
 
-        let query = supabase
-            .from('posts')
-            .select(`
-                *,
-                category:categories(id, name, color, icon),
-                post_labels(
-                    label:labels(id, name, color)
-                )
-            `)
-            .eq('user_id', userId);
+        const filters = await resolveNoteFilters(userId, parsedFilters);
+        const { searchFilters } = filters;
 
-        // Filter by draft status
-        if (drafts === 'true') {
-            query = query.eq('is_draft', true);
-        } else if (drafts === 'false') {
-            query = query.eq('is_draft', false);
+        // A label: or category: term names something the user doesn't have
+        if (searchFilters?.matchesNothing) {
+            return res.json({
+                data: [],
+                unknown: searchFilters.unknown,
+                pagination: buildPagination(0, false, null)
+            });
         }
 
-        // Filter by visibility
-        if (visibility === 'public') {
-            query = query.eq('is_public', true);
-        } else if (visibility === 'private') {
-            query = query.eq('is_public', false);
-        }
+        // Filters shared by every query this endpoint runs
+        const applyFilters = (builder) => applyNoteFilters(builder, userId, filters);
 
-        // Filter by category if provided
-        if (category) {
-            query = query.eq('category_id', category);
-        }
+        // Fetch one page of notes with the given columns, in whichever pagination mode applies
+        const fetchNotes = async (columns) => {
+            if (tsQuery) {
+                // Full-text search: rank the notes that pass the filters, then page through them by relevance
+                const { ranks, totalCount } = await rankFilteredNotes(userId, filters);
+                const rankedIds = [...ranks.keys()];
 
-        // Search in title and content if provided
-        if (search) {
-            query = query.or(`title.ilike.%${search}%,content.ilike.%${search}%`);
-        }
+                const pageIds = rankedIds.slice(offset, offset + limitNum);
+                if (pageIds.length === 0) {
+                    return { data: [], count: totalCount, hasNextPage: false };
+                }
 
-        query = query.order('created_at', { ascending: false });
+                const { data, error } = await applyFilters(supabase
+                    .from('posts')
+                    .select(columns))
+                    .in('id', pageIds);
+
+                if (error) return { error };
+
+                const highlights = await getHighlights(userId, pageIds, tsQuery);
+                return {
+                    data: data
+                        .sort((a, b) => pageIds.indexOf(a.id) - pageIds.indexOf(b.id))
+                        .map(post => ({
+                            ...post,
+                            search: {
+                                rank: ranks.get(post.id),
+                                ...highlights.get(post.id)
+                            }
+                        })),
+                    count: totalCount,
+                    hasNextPage: offset + limitNum < rankedIds.length
+                };
+            }
 
-        // Get total count for pagination
-        const { count, error: countError } = await supabase
-            .from('posts')
-            .select('*', { count: 'exact', head: true })
-            .eq('user_id', userId);
+            if (useCursor) {
+                const { count, error: countError } = await applyFilters(supabase
+                    .from('posts')
+                    .select('id', { count: 'exact', head: true }));
 
-        if (countError) {
-            console.log('Count error:', countError.message);
-        }
+                if (countError) return { error: countError };
 
-        // Apply pagination
-        query = query.range(offset, offset + limitNum - 1);
+                // Keyset pagination on (is_pinned, sort column, id); with sort=created it stays put while notes are autosaved
+                let query = applyNoteSort(applyFilters(supabase
+                    .from('posts')
+                    .select(columns)), noteSort);
 
-        const { data, error } = await query;
+                if (cursorPosition) {
+                    query = applyCursor(query, cursorPosition, noteSort.ascending);
+                }
 
-        if (error) {
+                const { data, error } = await query.limit(limitNum + 1);
+                if (error) return { error };
+
+                const pageData = data.slice(0, limitNum);
+                const hasNextPage = data.length > limitNum;
+                return {
+                    data: pageData,
+                    count,
+                    hasNextPage,
+                    nextCursor: hasNextPage ? encodeCursor(pageData[pageData.length - 1], noteSort.sort) : null
+                };
+            }
+
+            const { data, error, count } = await applyNoteSort(applyFilters(supabase
+                .from('posts')
+                .select(columns, { count: 'exact' })), noteSort)
+                .range(offset, offset + limitNum - 1);
+
+            if (error) return { error };
+            return { data, count, hasNextPage: offset + limitNum < count };
+        };
+
+        let result = await fetchNotes(`
+            *,
+            checklist_progress,
+            category:categories(id, name, color, icon),
+            post_labels(
+                label:labels(id, name, color)
+            )
+        `);
+
+        if (result.error) {
             // If relationship error (tables exist but no relationships), return simple data
-            if (error.message.includes('Could not find a relationship')) {
+            if (result.error.message.includes('Could not find a relationship')) {
                 console.log('Relationship error, trying simple query');
-                const { data: simpleData, error: simpleError } = await supabase
-                    .from('posts')
-                    .select('*')
-                    .eq('user_id', userId)
-                    .order('created_at', { ascending: false });
-
-                if (simpleError) throw simpleError;
+                result = await fetchNotes('*');
+                if (result.error) throw result.error;
 
-                const simpleTransformed = simpleData?.map(post => ({
+                result.data = result.data.map(post => ({
                     ...post,
-                    labels: [],
-                    category: null,
-                    // Show updated_at if note has been updated, otherwise show created_at
-                    display_date: post.is_updated ? post.updated_at : post.created_at,
-                    date_type: post.is_updated ? 'updated' : 'created',
-                    encrypted_content: undefined
-                })) || [];
-
-                return res.json({
-                    data: simpleTransformed,
-                    pagination: {
-                        currentPage: pageNum,
-                        totalPages: Math.ceil(simpleTransformed.length / limitNum),
-                        totalCount: simpleTransformed.length,
-                        limit: limitNum,
-                        hasNextPage: pageNum < Math.ceil(simpleTransformed.length / limitNum),
-                        hasPrevPage: pageNum > 1
-                    }
-                });
+                    category: null
+                }));
+            } else {
+                throw result.error;
             }
-            throw error;
         }
 
         // Transform the data to include labels array and handle date display
-        const transformedData = data?.map(post => ({
+        const transformedData = result.data.map(post => ({
             ...post,
             labels: post.post_labels?.map(pl => pl.label) || [],
+            // Checklist progress as { done, total }, e.g. "3/7 done"; null without a checklist
+            checklist_progress: post.checklist_progress ?? null,
             // Show updated_at if note has been updated, otherwise show created_at
             display_date: post.is_updated ? post.updated_at : post.created_at,
             date_type: post.is_updated ? 'updated' : 'created',
             // Don't expose encrypted content in list view
             encrypted_content: undefined
-        })) || [];
+        }));
 
-        // Filter by labels if provided
-        let filteredData = transformedData;
-        if (labels) {
-            const labelIds = labels.split(',').map(id => parseInt(id));
-            filteredData = transformedData.filter(post =>
-                post.labels.some(label => labelIds.includes(label.id))
-            );
-        }
+        res.json({
+            data: transformedData,
+            pagination: buildPagination(result.count || 0, result.hasNextPage, result.nextCursor || null)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get notes other users have shared with the current user
+app.get('/api/notes/shared', authenticateUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { page = 1, limit = 12 } = req.query;
+
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 12, 1), 100);
+        const offset = (pageNum - 1) * limitNum;
+
+        const { data, error, count } = await supabase
+            .from('note_collaborators')
+            .select(`
+                role,
+                created_at,
+                post:posts!inner(
+                    id, title, content, is_draft, is_public, is_encrypted,
+                    created_at, updated_at, is_updated, deleted_at, checklist_progress,
+                    owner:users(id, name, email)
+                )
+            `, { count: 'exact' })
+            .eq('user_id', userId)
+            .is('post.deleted_at', null)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limitNum - 1);
+
+        if (error) throw error;
+
+        const transformedData = (data || []).map(share => ({
+            ...share.post,
+            deleted_at: undefined,
+            access_role: share.role,
+            shared_at: share.created_at,
+            // Show updated_at if note has been updated, otherwise show created_at
+            display_date: share.post.is_updated ? share.post.updated_at : share.post.created_at,
+            date_type: share.post.is_updated ? 'updated' : 'created'
+        }));
 
-        // Calculate pagination metadata
-        const totalCount = count || filteredData.length;
+        const totalCount = count || 0;
         const totalPages = Math.ceil(totalCount / limitNum);
-        const hasNextPage = pageNum < totalPages;
-        const hasPrevPage = pageNum > 1;
 
         res.json({
-            data: filteredData,
+            data: transformedData,
             pagination: {
                 currentPage: pageNum,
                 totalPages,
                 totalCount,
                 limit: limitNum,
-                hasNextPage,
-                hasPrevPage
+                hasNextPage: pageNum < totalPages,
+                hasPrevPage: pageNum > 1
             }
         });
     } catch (error) {
@@ -673,14 +926,20 @@ app.post('/api/notes', authenticateUser, async (req, res) => {
             return res.status(400).json({ error: 'Title or content is required' });
         }
 
+        // Key version the ciphertext is under, for key rotation
+        const keyVersion = await resolveKeyVersion(userId, req.body);
+        if (keyVersion.error) {
+            return res.status(400).json({ error: keyVersion.error });
+        }
+
         // Generate public share token if public
-        const public_share_token = is_public ?
-            require('crypto').randomBytes(32).toString('hex') : null;
+        const public_share_token = is_public ? generateShareToken() : null;
 
         const noteData = {
             title: title || 'Untitled',
             content: is_encrypted ? null : content,
             encrypted_content: is_encrypted ? encrypted_content : null,
+            encryption_key_version: keyVersion.version,
             category_id: category_id || null,
             user_id: userId,
             is_draft,
@@ -707,6 +966,14 @@ app.post('/api/notes', authenticateUser, async (req, res) => {
 
         console.log('Post created successfully:', postData.id);
 
+        await recordRevisionSafely(postData, 'create');
+
+        if (postData.is_public) {
+            await ensureDefaultShareLink(postData);
+        }
+
+        await publishNoteEvent('note.created', postData, req);
+
         // Add labels if provided
         if (label_ids && label_ids.length > 0) {
             console.log('Adding labels:', label_ids);
@@ -777,30 +1044,87 @@ app.post('/api/notes', authenticateUser, async (req, res) => {
 app.put('/api/notes/:id', authenticateUser, async (req, res) => {
     try {
         const { id } = req.params;
-        const { title, content, category_id, label_ids } = req.body;
+        const { category_id, label_ids } = req.body;
+        let { title, content } = req.body;
         const userId = req.user.id;
 
-        // Update the post
-        const { data, error } = await supabase
+        const { version: expectedVersion, error: versionError } = getExpectedVersion(req);
+        if (versionError) {
+            return res.status(400).json({ error: versionError });
+        }
+
+        const { note, role } = await getNoteAccess(id, userId);
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found or access denied' });
+        }
+        if (!hasRole(role, 'editor')) {
+            return res.status(403).json({ error: 'You do not have permission to edit this note' });
+        }
+
+        // A stale save is rejected unless the client asked for a three-way merge and it applies cleanly
+        let merged = false;
+        if (expectedVersion !== null && expectedVersion !== note.version) {
+            if (!req.body.merge) {
+                return await sendVersionConflict(res, id, expectedVersion);
+            }
+            const result = await mergeStaleEdit(note, expectedVersion, { title, content }, {
+                title: req.body.base_title,
+                content: req.body.base_content
+            });
+            if (result.conflict) {
+                return await sendVersionConflict(res, id, expectedVersion, result.conflict);
+            }
+            ({ title, content } = result);
+            merged = true;
+        }
+
+        const updates = {
+            title,
+            content,
+            updated_at: new Date(),
+            is_updated: true // Mark as updated
+        };
+
+        // Category and labels belong to the owner, so editors only change title and content
+        const isOwner = role === 'owner';
+        if (isOwner) {
+            updates.category_id = category_id || null;
+            // Moved to another category: the note goes to the end of its manual order there
+            if (String(updates.category_id) !== String(note.category_id)) {
+                updates.manual_position = null;
+            }
+        }
+
+        // Update the post, only if nobody saved in between
+        let query = supabase
             .from('posts')
-            .update({
-                title,
-                content,
-                category_id: category_id || null,
-                updated_at: new Date(),
-                is_updated: true // Mark as updated
-            })
+            .update(updates)
             .eq('id', id)
-            .eq('user_id', userId)
-            .select();
+            .is('deleted_at', null);
+        if (expectedVersion !== null) {
+            query = query.eq('version', note.version);
+        }
+        const { data, error } = await query.select();
 
         if (error) throw error;
         if (!data || data.length === 0) {
-            return res.status(404).json({ error: 'Note not found or access denied' });
+            return expectedVersion !== null
+                ? await sendVersionConflict(res, id, expectedVersion)
+                : res.status(404).json({ error: 'Note not found or access denied' });
+        }
+
+        await recordRevisionSafely(data[0], 'update');
+
+        // After a rename, rewrite [[links]] to the old title right away (rewrite_links: true) or offer to
+        let linkRewrite = null;
+        if (data[0].title !== note.title) {
+            linkRewrite = req.body.rewrite_links === true
+                ? { rewritten: await rewriteLinksToNote(data[0], req) }
+                : { offer: await getLinkRewriteOffer(data[0], userId) };
         }
 
         // Update labels if provided
-        if (label_ids !== undefined) {
+        if (isOwner && label_ids !== undefined) {
             // Remove existing labels
             await supabase
                 .from('post_labels')
@@ -843,29 +1167,50 @@ app.put('/api/notes/:id', authenticateUser, async (req, res) => {
             labels: completePost.post_labels?.map(pl => pl.label) || [],
             // Show updated_at if note has been updated, otherwise show created_at
             display_date: completePost.is_updated ? completePost.updated_at : completePost.created_at,
-            date_type: completePost.is_updated ? 'updated' : 'created'
+            date_type: completePost.is_updated ? 'updated' : 'created',
+            access_role: role,
+            ...(merged ? { merged: true } : {}),
+            ...(linkRewrite?.rewritten ? { links_rewritten: linkRewrite.rewritten } : {}),
+            ...(linkRewrite?.offer ? { link_rewrite: linkRewrite.offer } : {})
         };
 
+        await publishNoteEvent('note.updated', completePost, req, {
+            label_ids: completePost.post_labels?.map(pl => pl.label?.id).filter(Boolean) || []
+        });
+
+        setVersionHeader(res, completePost.version);
         res.json(transformedPost);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Delete a post (note)
+// Delete a post (note) - moves it to the trash, see routes/trash.js
 app.delete('/api/notes/:id', authenticateUser, async (req, res) => {
     try {
         const { id } = req.params;
         const userId = req.user.id;
 
-        const { error } = await supabase
+        const { data, error } = await supabase
             .from('posts')
-            .delete()
+            .update({ deleted_at: new Date() })
             .eq('id', id)
-            .eq('user_id', userId);
+            .eq('user_id', userId)
+            .is('deleted_at', null)
+            .select();
 
         if (error) throw error;
-        res.json({ message: 'Note deleted successfully' });
+        if (!data || data.length === 0) {
+            return res.status(404).json({ error: 'Note not found or access denied' });
+        }
+
+        await publishNoteEvent('note.deleted', data[0], req);
+
+        res.json({
+            message: 'Note moved to trash',
+            deleted_at: data[0].deleted_at,
+            purge_at: getPurgeDate(data[0].deleted_at)
+        });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -903,34 +1248,7 @@ app.get('/api/categories', authenticateUser, async (req, res) => {
         // If user has no categories, create default ones
         if (!data || data.length === 0) {
             console.log('No categories found for user, creating default categories');
-            
-            const defaultCategories = [
-                { name: 'Personal', color: '#3B82F6', icon: '👤' },
-                { name: 'Work', color: '#EF4444', icon: '💼' },
-                { name: 'Ideas', color: '#8B5CF6', icon: '💡' },
-                { name: 'Tasks', color: '#F59E0B', icon: '✅' },
-                { name: 'Projects', color: '#10B981', icon: '🚀' },
-                { name: 'Learning', color: '#F97316', icon: '📚' },
-                { name: 'Health', color: '#EC4899', icon: '🏥' },
-                { name: 'Finance', color: '#06B6D4', icon: '💰' }
-            ];
-
-            // Insert default categories for this user
-            const categoriesToInsert = defaultCategories.map(cat => ({
-                ...cat,
-                user_id: userId
-            }));
-
-            const { data: newCategories, error: insertError } = await supabase
-                .from('categories')
-                .insert(categoriesToInsert)
-                .select();
-
-            if (insertError) {
-                console.error('Error creating default categories:', insertError);
-                throw insertError;
-            }
-
+            const newCategories = await createDefaultCategories(userId);
             console.log('Default categories created for user:', userId);
             return res.json(newCategories || []);
         }
@@ -943,104 +1261,398 @@ app.get('/api/categories', authenticateUser, async (req, res) => {
 
 app.post('/api/categories', authenticateUser, async (req, res) => {
     try {
-        const { name, color, icon } = req.body;
+        const { color, icon, parent_id } = req.body;
         const userId = req.user.id;
 
+        const { name, error: nameError } = validateName(req.body.name);
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+
+        if (parent_id) {
+            const parent = await findOwnedItem('categories', parent_id, userId);
+            if (!parent) {
+                return res.status(404).json({ error: 'Parent category not found or access denied' });
+            }
+        }
+
+        const conflict = await findNameConflict('categories', userId, name, null, parent_id || null);
+        if (conflict) {
+            return res.status(409).json({ error: `A category named "${conflict.name}" already exists`, existing: conflict });
+        }
+
         const { data, error } = await supabase
             .from('categories')
             .insert([{
                 name,
                 color: color || '#3B82F6',
                 icon: icon || '📁',
+                parent_id: parent_id || null,
                 user_id: userId
             }])
             .select()
             .single();
 
-        if (error) throw error;
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: `A category named "${name}" already exists` });
+            }
+            throw error;
+        }
+
+        publishUserEvent(req, 'category.created', { category: data });
         res.status(201).json(data);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Labels endpoints
-app.get('/api/labels', authenticateUser, async (req, res) => {
+// Get categories nested under their parents
+app.get('/api/categories/tree', authenticateUser, async (req, res) => {
+    try {
+        const categories = await getUserCategories(req.user.id);
+        res.json(buildCategoryTree(categories));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Move a category (with everything below it) under another parent; parent_id null moves it to the top level
+app.post('/api/categories/:id/move', authenticateUser, async (req, res) => {
     try {
+        const { id } = req.params;
+        const { parent_id = null } = req.body;
         const userId = req.user.id;
 
+        const categories = await getUserCategories(userId);
+        const category = categories.find(row => String(row.id) === String(id));
+        if (!category) {
+            return res.status(404).json({ error: 'Category not found or access denied' });
+        }
+
+        if (parent_id !== null && !categories.some(row => String(row.id) === String(parent_id))) {
+            return res.status(404).json({ error: 'Parent category not found or access denied' });
+        }
+
+        if (wouldCreateCycle(categories, id, parent_id)) {
+            return res.status(400).json({ error: 'Cannot move a category into itself or one of its subcategories' });
+        }
+
+        if (findSiblingNameClashes(categories, [category], parent_id).length > 0) {
+            return res.status(409).json({ error: `A category named "${category.name}" already exists there` });
+        }
+
         const { data, error } = await supabase
-            .from('labels')
-            .select('*')
+            .from('categories')
+            .update({ parent_id })
+            .eq('id', id)
             .eq('user_id', userId)
-            .order('name');
+            .select()
+            .single();
 
         if (error) {
-            // If table doesn't exist, return default labels
-            if (error.message.includes('Could not find the table')) {
-                console.log('Labels table not found, returning default labels');
-                return res.json([
-                    { id: 1, name: 'Important', color: '#EF4444' },
-                    { id: 2, name: 'Urgent', color: '#F59E0B' },
-                    { id: 3, name: 'Review', color: '#8B5CF6' },
-                    { id: 4, name: 'Archive', color: '#6B7280' },
-                    { id: 5, name: 'Draft', color: '#10B981' },
-                    { id: 6, name: 'In Progress', color: '#3B82F6' },
-                    { id: 7, name: 'Completed', color: '#059669' },
-                    { id: 8, name: 'On Hold', color: '#DC2626' }
-                ]);
+            if (error.code === '23505') {
+                return res.status(409).json({ error: `A category named "${category.name}" already exists there` });
             }
             throw error;
         }
 
-        // If user has no labels, create default ones
-        if (!data || data.length === 0) {
-            console.log('No labels found for user, creating default labels');
-            
-            const defaultLabels = [
-                { name: 'Important', color: '#EF4444' },
-                { name: 'Urgent', color: '#F59E0B' },
-                { name: 'Review', color: '#8B5CF6' },
-                { name: 'Archive', color: '#6B7280' },
-                { name: 'Draft', color: '#10B981' },
-                { name: 'In Progress', color: '#3B82F6' },
-                { name: 'Completed', color: '#059669' },
-                { name: 'On Hold', color: '#DC2626' }
-            ];
-
-            // Insert default labels for this user
-            const labelsToInsert = defaultLabels.map(label => ({
-                ...label,
-                user_id: userId
-            }));
+        publishUserEvent(req, 'category.updated', { category: data });
+        res.json(data);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-            const { data: newLabels, error: insertError } = await supabase
-                .from('labels')
-                .insert(labelsToInsert)
-                .select();
+// Rename, recolor or change the icon of a category
+app.patch('/api/categories/:id', authenticateUser, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { color, icon } = req.body;
+        const userId = req.user.id;
 
-            if (insertError) {
-                console.error('Error creating default labels:', insertError);
-                throw insertError;
+        const existing = await findOwnedItem('categories', id, userId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Category not found or access denied' });
+        }
+
+        const updates = {};
+        if (req.body.name !== undefined) {
+            const { name, error: nameError } = validateName(req.body.name);
+            if (nameError) {
+                return res.status(400).json({ error: nameError });
             }
 
-            console.log('Default labels created for user:', userId);
-            return res.json(newLabels || []);
+            const conflict = await findNameConflict('categories', userId, name, id, existing.parent_id);
+            if (conflict) {
+                return res.status(409).json({ error: `A category named "${conflict.name}" already exists`, existing: conflict });
+            }
+            updates.name = name;
         }
+        if (color !== undefined) updates.color = color;
+        if (icon !== undefined) updates.icon = icon;
 
-        res.json(data || []);
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        const { data, error } = await supabase
+            .from('categories')
+            .update(updates)
+            .eq('id', id)
+            .eq('user_id', userId)
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: `A category named "${updates.name}" already exists` });
+            }
+            throw error;
+        }
+
+        publishUserEvent(req, 'category.updated', { category: data });
+        res.json(data);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/labels', authenticateUser, async (req, res) => {
+// Delete a category.
+// ?notes=detach (default) leaves its notes uncategorized, ?notes=move&target=<id> moves them to another category.
+// ?children=lift (default) moves subcategories up to the deleted category's parent,
+// ?children=delete deletes the whole subtree, applying the notes option to every category in it.
+app.delete('/api/categories/:id', authenticateUser, async (req, res) => {
     try {
-        const { name, color } = req.body;
+        const { id } = req.params;
+        const { notes = 'detach', children = 'lift', target } = req.query;
         const userId = req.user.id;
 
-        const { data, error } = await supabase
-            .from('labels')
+        if (!['detach', 'move'].includes(notes)) {
+            return res.status(400).json({ error: 'notes must be "detach" or "move"' });
+        }
+        if (!['lift', 'delete'].includes(children)) {
+            return res.status(400).json({ error: 'children must be "lift" or "delete"' });
+        }
+
+        const categories = await getUserCategories(userId);
+        const existing = categories.find(row => String(row.id) === String(id));
+        if (!existing) {
+            return res.status(404).json({ error: 'Category not found or access denied' });
+        }
+
+        const removedIds = children === 'delete'
+            ? [existing.id, ...getDescendantIds(categories, existing.id)]
+            : [existing.id];
+
+        // Lifted subcategories join the deleted category's siblings, so their names must be free there
+        if (children === 'lift') {
+            const lifted = categories.filter(row => String(row.parent_id) === String(existing.id));
+            const clashes = findSiblingNameClashes(categories, lifted, existing.parent_id);
+            if (clashes.length > 0) {
+                return res.status(409).json({
+                    error: 'Some subcategories have the same name as a category they would move next to; rename them first',
+                    conflicts: clashes.map(row => ({ id: row.id, name: row.name }))
+                });
+            }
+        }
+
+        let targetCategory = null;
+        if (notes === 'move') {
+            if (!target) {
+                return res.status(400).json({ error: 'A target category is required to move notes' });
+            }
+            targetCategory = categories.find(row => String(row.id) === String(target));
+            if (!targetCategory) {
+                return res.status(404).json({ error: 'Target category not found or access denied' });
+            }
+            if (removedIds.includes(targetCategory.id)) {
+                return res.status(400).json({ error: 'Cannot move notes into a category being deleted' });
+            }
+        }
+
+        // Re-home notes (including ones in the trash) before the categories go away
+        const { data: movedNotes, error: moveError } = await supabase
+            .from('posts')
+            .update({ category_id: targetCategory ? targetCategory.id : null })
+            .in('category_id', removedIds)
+            .eq('user_id', userId)
+            .select('id');
+
+        if (moveError) throw moveError;
+
+        if (children === 'lift') {
+            const { error: liftError } = await supabase
+                .from('categories')
+                .update({ parent_id: existing.parent_id })
+                .eq('parent_id', existing.id)
+                .eq('user_id', userId);
+
+            if (liftError) throw liftError;
+        }
+
+        const { error } = await supabase
+            .from('categories')
+            .delete()
+            .in('id', removedIds)
+            .eq('user_id', userId);
+
+        if (error) throw error;
+
+        publishUserEvent(req, 'category.deleted', {
+            category_ids: removedIds,
+            note_ids: movedNotes?.map(note => note.id) || [],
+            moved_to: targetCategory ? targetCategory.id : null,
+            children
+        });
+
+        res.json({
+            message: 'Category deleted successfully',
+            categoriesDeleted: removedIds.length,
+            notesAffected: movedNotes?.length || 0,
+            movedTo: targetCategory
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Merge a category into another: move every note to the target, then delete the source
+app.post('/api/categories/:id/merge', authenticateUser, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { target_id } = req.body;
+        const userId = req.user.id;
+
+        if (!target_id) {
+            return res.status(400).json({ error: 'target_id is required' });
+        }
+        if (String(target_id) === String(id)) {
+            return res.status(400).json({ error: 'Cannot merge a category into itself' });
+        }
+
+        const categories = await getUserCategories(userId);
+        const source = categories.find(row => String(row.id) === String(id));
+        const targetCategory = categories.find(row => String(row.id) === String(target_id));
+        if (!source || !targetCategory) {
+            return res.status(404).json({ error: 'Category not found or access denied' });
+        }
+
+        if (getDescendantIds(categories, source.id).includes(targetCategory.id)) {
+            return res.status(400).json({ error: 'Cannot merge a category into one of its own subcategories' });
+        }
+
+        const children = categories.filter(row => String(row.parent_id) === String(source.id));
+        const clashes = findSiblingNameClashes(categories, children, targetCategory.id);
+        if (clashes.length > 0) {
+            return res.status(409).json({
+                error: `Some subcategories have the same name as a category in "${targetCategory.name}"; rename them first`,
+                conflicts: clashes.map(row => ({ id: row.id, name: row.name }))
+            });
+        }
+
+        const { data: movedNotes, error: moveError } = await supabase
+            .from('posts')
+            .update({ category_id: targetCategory.id })
+            .eq('category_id', source.id)
+            .eq('user_id', userId)
+            .select('id');
+
+        if (moveError) throw moveError;
+
+        // Subcategories of the source now live under the target
+        const { error: reparentError } = await supabase
+            .from('categories')
+            .update({ parent_id: targetCategory.id })
+            .eq('parent_id', source.id)
+            .eq('user_id', userId);
+
+        if (reparentError) throw reparentError;
+
+        const { error } = await supabase
+            .from('categories')
+            .delete()
+            .eq('id', source.id)
+            .eq('user_id', userId);
+
+        if (error) throw error;
+
+        publishUserEvent(req, 'category.merged', {
+            source_id: source.id,
+            target_id: targetCategory.id,
+            note_ids: movedNotes?.map(note => note.id) || []
+        });
+
+        res.json({
+            message: `Category "${source.name}" merged into "${targetCategory.name}"`,
+            notesMoved: movedNotes?.length || 0,
+            category: targetCategory
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Labels endpoints
+app.get('/api/labels', authenticateUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const { data, error } = await supabase
+            .from('labels')
+            .select('*')
+            .eq('user_id', userId)
+            .order('name');
+
+        if (error) {
+            // If table doesn't exist, return default labels
+            if (error.message.includes('Could not find the table')) {
+                console.log('Labels table not found, returning default labels');
+                return res.json([
+                    { id: 1, name: 'Important', color: '#EF4444' },
+                    { id: 2, name: 'Urgent', color: '#F59E0B' },
+                    { id: 3, name: 'Review', color: '#8B5CF6' },
+                    { id: 4, name: 'Archive', color: '#6B7280' },
+                    { id: 5, name: 'Draft', color: '#10B981' },
+                    { id: 6, name: 'In Progress', color: '#3B82F6' },
+                    { id: 7, name: 'Completed', color: '#059669' },
+                    { id: 8, name: 'On Hold', color: '#DC2626' }
+                ]);
+            }
+            throw error;
+        }
+
+        // If user has no labels, create default ones
+        if (!data || data.length === 0) {
+            console.log('No labels found for user, creating default labels');
+            const newLabels = await createDefaultLabels(userId);
+            console.log('Default labels created for user:', userId);
+            return res.json(newLabels || []);
+        }
+
+        res.json(data || []);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/labels', authenticateUser, async (req, res) => {
+    try {
+        const { color } = req.body;
+        const userId = req.user.id;
+
+        const { name, error: nameError } = validateName(req.body.name);
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+
+        const conflict = await findNameConflict('labels', userId, name);
+        if (conflict) {
+            return res.status(409).json({ error: `A label named "${conflict.name}" already exists`, existing: conflict });
+        }
+
+        const { data, error } = await supabase
+            .from('labels')
             .insert([{
                 name,
                 color: color || '#10B981',
@@ -1049,80 +1661,331 @@ app.post('/api/labels', authenticateUser, async (req, res) => {
             .select()
             .single();
 
-        if (error) throw error;
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: `A label named "${name}" already exists` });
+            }
+            throw error;
+        }
+
+        publishUserEvent(req, 'label.created', { label: data });
         res.status(201).json(data);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Rename or recolor a label
+app.patch('/api/labels/:id', authenticateUser, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { color } = req.body;
+        const userId = req.user.id;
+
+        const existing = await findOwnedItem('labels', id, userId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Label not found or access denied' });
+        }
+
+        const updates = {};
+        if (req.body.name !== undefined) {
+            const { name, error: nameError } = validateName(req.body.name);
+            if (nameError) {
+                return res.status(400).json({ error: nameError });
+            }
+
+            const conflict = await findNameConflict('labels', userId, name, id);
+            if (conflict) {
+                return res.status(409).json({ error: `A label named "${conflict.name}" already exists`, existing: conflict });
+            }
+            updates.name = name;
+        }
+        if (color !== undefined) updates.color = color;
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        const { data, error } = await supabase
+            .from('labels')
+            .update(updates)
+            .eq('id', id)
+            .eq('user_id', userId)
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: `A label named "${updates.name}" already exists` });
+            }
+            throw error;
+        }
+
+        publishUserEvent(req, 'label.updated', { label: data });
+        res.json(data);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete a label and remove it from every note
+app.delete('/api/labels/:id', authenticateUser, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        const existing = await findOwnedItem('labels', id, userId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Label not found or access denied' });
+        }
+
+        const { data: removedLinks, error: linkError } = await supabase
+            .from('post_labels')
+            .delete()
+            .eq('label_id', id)
+            .select('post_id');
+
+        if (linkError) throw linkError;
+
+        const { error } = await supabase
+            .from('labels')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', userId);
+
+        if (error) throw error;
+
+        publishUserEvent(req, 'label.deleted', {
+            label_id: existing.id,
+            note_ids: removedLinks?.map(link => link.post_id) || []
+        });
+
+        res.json({
+            message: 'Label deleted successfully',
+            notesAffected: removedLinks?.length || 0
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Merge a label into another: every note with the source label gets the target, then the source is deleted
+app.post('/api/labels/:id/merge', authenticateUser, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { target_id } = req.body;
+        const userId = req.user.id;
+
+        if (!target_id) {
+            return res.status(400).json({ error: 'target_id is required' });
+        }
+        if (String(target_id) === String(id)) {
+            return res.status(400).json({ error: 'Cannot merge a label into itself' });
+        }
+
+        const source = await findOwnedItem('labels', id, userId);
+        const targetLabel = await findOwnedItem('labels', target_id, userId);
+        if (!source || !targetLabel) {
+            return res.status(404).json({ error: 'Label not found or access denied' });
+        }
+
+        const { data: sourceLinks, error: sourceError } = await supabase
+            .from('post_labels')
+            .select('post_id')
+            .eq('label_id', source.id);
+
+        if (sourceError) throw sourceError;
+
+        const { data: targetLinks, error: targetError } = await supabase
+            .from('post_labels')
+            .select('post_id')
+            .eq('label_id', targetLabel.id);
+
+        if (targetError) throw targetError;
+
+        // Notes that already carry both labels keep a single link
+        const alreadyTagged = new Set((targetLinks || []).map(link => link.post_id));
+        const linksToAdd = (sourceLinks || [])
+            .filter(link => !alreadyTagged.has(link.post_id))
+            .map(link => ({ post_id: link.post_id, label_id: targetLabel.id }));
+
+        if (linksToAdd.length > 0) {
+            const { error: insertError } = await supabase
+                .from('post_labels')
+                .insert(linksToAdd);
+
+            if (insertError) throw insertError;
+        }
+
+        const { error: unlinkError } = await supabase
+            .from('post_labels')
+            .delete()
+            .eq('label_id', source.id);
+
+        if (unlinkError) throw unlinkError;
+
+        const { error } = await supabase
+            .from('labels')
+            .delete()
+            .eq('id', source.id)
+            .eq('user_id', userId);
+
+        if (error) throw error;
+
+        publishUserEvent(req, 'label.merged', {
+            source_id: source.id,
+            target_id: targetLabel.id,
+            note_ids: sourceLinks?.map(link => link.post_id) || []
+        });
+
+        res.json({
+            message: `Label "${source.name}" merged into "${targetLabel.name}"`,
+            notesRelabelled: sourceLinks?.length || 0,
+            label: targetLabel
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Autosave endpoint for drafts
 app.post('/api/notes/:id/autosave', authenticateUser, async (req, res) => {
     try {
         const { id } = req.params;
-        const { title, content, encrypted_content, is_encrypted } = req.body;
+        const { encrypted_content } = req.body;
+        let { title, content } = req.body;
         const userId = req.user.id;
 
-        const { data, error } = await supabase
+        const { version: expectedVersion, error: versionError } = getExpectedVersion(req);
+        if (versionError) {
+            return res.status(400).json({ error: versionError });
+        }
+
+        const { note, role } = await getNoteAccess(id, userId);
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found or access denied' });
+        }
+        if (!hasRole(role, 'editor')) {
+            return res.status(403).json({ error: 'You do not have permission to edit this note' });
+        }
+
+        // Only the owner can switch a note between encrypted and plain text
+        const is_encrypted = role === 'owner' ? req.body.is_encrypted : note.is_encrypted;
+
+        const keyVersion = await resolveKeyVersion(note.user_id, {
+            is_encrypted,
+            encryption_key_version: req.body.encryption_key_version
+        }, note);
+        if (keyVersion.error) {
+            return res.status(400).json({ error: keyVersion.error });
+        }
+
+        let merged = false;
+        if (expectedVersion !== null && expectedVersion !== note.version) {
+            if (!req.body.merge || is_encrypted) {
+                return await sendVersionConflict(res, id, expectedVersion);
+            }
+            const result = await mergeStaleEdit(note, expectedVersion, { title, content }, {
+                title: req.body.base_title,
+                content: req.body.base_content
+            });
+            if (result.conflict) {
+                return await sendVersionConflict(res, id, expectedVersion, result.conflict);
+            }
+            ({ title, content } = result);
+            merged = true;
+        }
+
+        let query = supabase
             .from('posts')
             .update({
                 title,
                 content: is_encrypted ? null : content,
                 encrypted_content: is_encrypted ? encrypted_content : null,
+                encryption_key_version: keyVersion.version,
                 is_encrypted,
                 last_autosave: new Date(),
                 updated_at: new Date(),
                 is_updated: true // Mark as updated
             })
             .eq('id', id)
-            .eq('user_id', userId)
-            .select();
+            .is('deleted_at', null);
+        if (expectedVersion !== null) {
+            query = query.eq('version', note.version);
+        }
+        const { data, error } = await query.select();
 
         if (error) throw error;
         if (!data || data.length === 0) {
-            return res.status(404).json({ error: 'Note not found or access denied' });
+            return expectedVersion !== null
+                ? await sendVersionConflict(res, id, expectedVersion)
+                : res.status(404).json({ error: 'Note not found or access denied' });
         }
 
-        res.json({ message: 'Autosaved successfully', last_autosave: data[0].last_autosave });
+        await recordRevisionSafely(data[0], 'autosave');
+        await publishNoteEvent('note.autosaved', data[0], req);
+
+        // A rename can leave [[links]] to the old title behind; POST /api/notes/:id/links/rewrite fixes them
+        const linkRewrite = data[0].title !== note.title ? await getLinkRewriteOffer(data[0], userId) : null;
+
+        setVersionHeader(res, data[0].version);
+        res.json({
+            message: 'Autosaved successfully',
+            last_autosave: data[0].last_autosave,
+            version: data[0].version,
+            ...(merged ? { merged: true, title: data[0].title, content: data[0].content } : {}),
+            ...(linkRewrite ? { link_rewrite: linkRewrite } : {})
+        });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
 // Get public note by share token
+// Password-protected links take the password in the X-Share-Password header, never the URL,
+// which would leave it in logs and browser history
 app.get('/api/public/:token', async (req, res) => {
     try {
         const { token } = req.params;
 
-        const { data, error } = await supabase
-            .from('posts')
-            .select(`
-                id,
-                title,
-                content,
-                is_encrypted,
-                created_at,
-                updated_at,
-                category:categories(id, name, color, icon),
-                post_labels(
-                    label:labels(id, name, color)
-                )
-            `)
-            .eq('public_share_token', token)
-            .eq('is_public', true)
-            .single();
+        const { note: data, link, status, error, passwordRequired, retryAfter } = await resolvePublicNote(
+            token,
+            req.get('X-Share-Password'),
+            { client: req.ip }
+        );
 
-        if (error || !data) {
-            return res.status(404).json({ error: 'Public note not found' });
+        if (error) {
+            if (retryAfter) res.set('Retry-After', String(retryAfter));
+            return res.status(status).json({ error, password_required: passwordRequired || undefined });
         }
 
+        await recordShareLinkView(link.id);
+
+        const attachments = await listNoteAttachments(data.id);
+        const accessQuery = link.password_hash ? `?key=${getShareLinkAccessKey(link)}` : '';
+
         // Transform the data
+        const { user_id, post_labels, ...publicFields } = data;
         const transformedPost = {
-            ...data,
-            labels: data.post_labels?.map(pl => pl.label) || [],
+            ...publicFields,
+            labels: post_labels?.map(pl => pl.label) || [],
+            // Encrypted payloads are only handed out when the link allows it
+            encrypted_content: link.allow_encrypted ? data.encrypted_content : undefined,
             // Show updated_at if note has been updated, otherwise show created_at
             display_date: data.is_updated ? data.updated_at : data.created_at,
-            date_type: data.is_updated ? 'updated' : 'created'
+            date_type: data.is_updated ? 'updated' : 'created',
+            share_link: {
+                name: link.name,
+                expires_at: link.expires_at
+            },
+            attachments: attachments.map(attachment => {
+                const serialized = serializeAttachment(attachment, `/p/${token}/attachments`);
+                return {
+                    ...serialized,
+                    url: `${serialized.url}${accessQuery}`,
+                    thumbnail_url: serialized.thumbnail_url && `${serialized.thumbnail_url}${accessQuery}`
+                };
+            })
         };
 
         res.json(transformedPost);
@@ -1138,42 +2001,49 @@ app.patch('/api/notes/:id/visibility', authenticateUser, async (req, res) => {
         const { is_public } = req.body;
         const userId = req.user.id;
 
-        // Generate or remove share token based on visibility
-        const public_share_token = is_public ?
-            require('crypto').randomBytes(32).toString('hex') : null;
-
-        const { data, error } = await supabase
+        const { data: current, error: fetchError } = await supabase
             .from('posts')
-            .update({
-                is_public,
-                public_share_token,
-                updated_at: new Date()
-            })
+            .select('id, user_id, public_share_token')
             .eq('id', id)
             .eq('user_id', userId)
-            .select();
+            .is('deleted_at', null)
+            .maybeSingle();
 
-        if (error) throw error;
-        if (!data || data.length === 0) {
+        if (fetchError) throw fetchError;
+        if (!current) {
             return res.status(404).json({ error: 'Note not found or access denied' });
         }
 
+        const note = await setNoteVisibility(current, !!is_public);
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found or access denied' });
+        }
+
+        await publishNoteEvent('note.visibility_changed', note, req, {
+            public_share_token: note.public_share_token
+        });
+
         res.json({
             message: `Note ${is_public ? 'made public' : 'made private'}`,
-            public_share_token: data[0].public_share_token,
-            is_public: data[0].is_public
+            public_share_token: note.public_share_token,
+            is_public: note.is_public
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get single note by ID
+// Get single note by ID (owner or collaborator)
 app.get('/api/notes/:id', authenticateUser, async (req, res) => {
     try {
         const { id } = req.params;
         const userId = req.user.id;
 
+        const { note, role } = await getNoteAccess(id, userId);
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found or access denied' });
+        }
+
         const { data, error } = await supabase
             .from('posts')
             .select(`
@@ -1184,20 +2054,25 @@ app.get('/api/notes/:id', authenticateUser, async (req, res) => {
                 )
             `)
             .eq('id', id)
-            .eq('user_id', userId)
+            .is('deleted_at', null)
             .single();
 
         if (error || !data) {
             return res.status(404).json({ error: 'Note not found or access denied' });
         }
 
+        setVersionHeader(res, data.version);
+
         // Transform the data
         const transformedPost = {
             ...data,
             labels: data.post_labels?.map(pl => pl.label) || [],
+            // Notes linking here with [[...]]
+            backlinks: await getBacklinks(data, userId),
             // Show updated_at if note has been updated, otherwise show created_at
             display_date: data.is_updated ? data.updated_at : data.created_at,
-            date_type: data.is_updated ? 'updated' : 'created'
+            date_type: data.is_updated ? 'updated' : 'created',
+            access_role: role
         };
 
         res.json(transformedPost);
@@ -1221,6 +2096,7 @@ app.patch('/api/notes/:id/publish', authenticateUser, async (req, res) => {
             })
             .eq('id', id)
             .eq('user_id', userId)
+            .is('deleted_at', null)
             .eq('is_draft', true) // Only allow publishing actual drafts
             .select();
 
@@ -1229,6 +2105,8 @@ app.patch('/api/notes/:id/publish', authenticateUser, async (req, res) => {
             return res.status(404).json({ error: 'Draft not found or access denied' });
         }
 
+        await publishNoteEvent('note.published', data[0], req);
+
         res.json({
             message: 'Draft published successfully',
             note: data[0]
@@ -1238,6 +2116,91 @@ app.patch('/api/notes/:id/publish', authenticateUser, async (req, res) => {
     }
 });
 
-app.listen(port, () => {
+// Pin, archive or color a note (owner only); these don't count as edits, so updated_at is left alone
+const organizeNote = (eventType, readFields) => async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        const { values, error: valueError } = organizationValues(readFields(req.body || {}));
+        if (valueError) {
+            return res.status(400).json({ error: valueError });
+        }
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        const { data, error } = await supabase
+            .from('posts')
+            .update(values)
+            .eq('id', id)
+            .eq('user_id', userId)
+            .is('deleted_at', null)
+            .select();
+
+        if (error) throw error;
+        if (!data || data.length === 0) {
+            return res.status(404).json({ error: 'Note not found or access denied' });
+        }
+
+        await publishNoteEvent(eventType, data[0], req);
+
+        setVersionHeader(res, data[0].version);
+        res.json({
+            id: data[0].id,
+            is_pinned: data[0].is_pinned,
+            pinned_at: data[0].pinned_at,
+            is_archived: data[0].is_archived,
+            archived_at: data[0].archived_at,
+            color: data[0].color,
+            version: data[0].version
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Pin a note to the top of lists: { pinned: true|false }
+app.patch('/api/notes/:id/pin', authenticateUser, organizeNote('note.pinned', body => ({ is_pinned: body.pinned })));
+
+// Archive a note, hiding it from the default list: { archived: true|false }
+app.patch('/api/notes/:id/archive', authenticateUser, organizeNote('note.archived', body => ({ is_archived: body.archived })));
+
+// Set a note's color: { color: "#RRGGBB" }, or null to clear it
+app.patch('/api/notes/:id/color', authenticateUser, organizeNote('note.color_changed', body => ({ color: body.color })));
+
+// Drag-and-drop order within a category, used by ?sort=manual: { category_id (null for none), note_ids }.
+// The listed notes go first in that order; the category's other notes keep their order after them.
+app.post('/api/notes/reorder', authenticateUser, async (req, res) => {
+    try {
+        const { category_id = null, note_ids } = req.body || {};
+        const userId = req.user.id;
+
+        if (!Array.isArray(note_ids) || note_ids.length === 0) {
+            return res.status(400).json({ error: 'note_ids must be a non-empty array' });
+        }
+        if (category_id !== null && !(await findOwnedItem('categories', category_id, userId))) {
+            return res.status(404).json({ error: 'Category not found or access denied' });
+        }
+
+        const { order, error } = await reorderNotes(userId, category_id, note_ids);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        publishUserEvent(req, 'notes.reordered', { category_id, note_ids: order });
+        res.json({ category_id, note_ids: order });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+const server = app.listen(port, () => {
     console.log(`Server running on port ${port}`);
-});
\ No newline at end of file
+    startTrashPurgeSchedule();
+    startReminderScheduler();
+    failInterruptedImports().catch(error => console.error('Could not clean up interrupted imports:', error.message));
+});
+
+// WebSockets: the change stream (SSE lives at GET /api/events) and collaborative editing at /api/collab/:id
+attachWebSockets(server, [createEventSocketRoute(), createCollabSocketRoute()]);
\ No newline at end of file
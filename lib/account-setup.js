@@ -0,0 +1,66 @@
+const { supabase } = require('./supabase');
+const { seedStarterTemplates } = require('./templates');
+
+// What every account starts with
+const DEFAULT_CATEGORIES = [
+  { name: 'Personal', color: '#3B82F6', icon: '👤' },
+  { name: 'Work', color: '#EF4444', icon: '💼' },
+  { name: 'Ideas', color: '#8B5CF6', icon: '💡' },
+  { name: 'Tasks', color: '#F59E0B', icon: '✅' },
+  { name: 'Projects', color: '#10B981', icon: '🚀' },
+  { name: 'Learning', color: '#F97316', icon: '📚' },
+  { name: 'Health', color: '#EC4899', icon: '🏥' },
+  { name: 'Finance', color: '#06B6D4', icon: '💰' }
+];
+
+const DEFAULT_LABELS = [
+  { name: 'Important', color: '#EF4444' },
+  { name: 'Urgent', color: '#F59E0B' },
+  { name: 'Review', color: '#8B5CF6' },
+  { name: 'Archive', color: '#6B7280' },
+  { name: 'Draft', color: '#10B981' },
+  { name: 'In Progress', color: '#3B82F6' },
+  { name: 'Completed', color: '#059669' },
+  { name: 'On Hold', color: '#DC2626' }
+];
+
+const insertDefaults = async (table, rows, userId) => {
+  const { data, error } = await supabase
+    .from(table)
+    .insert(rows.map(row => ({ ...row, user_id: userId })))
+    .select();
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Add the default categories to an account that has none
+ * @param {string} userId - Owner
+ * @returns {Array} - Categories created
+ */
+const createDefaultCategories = (userId) => insertDefaults('categories', DEFAULT_CATEGORIES, userId);
+
+/**
+ * Add the default labels to an account that has none
+ * @param {string} userId - Owner
+ * @returns {Array} - Labels created
+ */
+const createDefaultLabels = (userId) => insertDefaults('labels', DEFAULT_LABELS, userId);
+
+/**
+ * Set up a newly created account: default categories and labels, then the starter templates that use them
+ * Failures are logged and skipped, so they never stop the user from signing in.
+ * @param {string} userId - New user
+ */
+const setUpNewAccount = async (userId) => {
+  await createDefaultCategories(userId).catch(error => console.error('Error creating default categories:', error));
+  await createDefaultLabels(userId).catch(error => console.error('Error creating default labels:', error));
+  await seedStarterTemplates(userId).catch(error => console.error('Error creating starter templates:', error));
+};
+
+module.exports = {
+  createDefaultCategories,
+  createDefaultLabels,
+  setUpNewAccount
+};
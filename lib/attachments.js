@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { supabase } = require('./supabase');
+const { getStorage } = require('./storage');
+
+const MAX_ATTACHMENT_BYTES = (parseInt(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'application/json',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const ALLOWED_TYPES = process.env.ATTACHMENT_ALLOWED_TYPES
+  ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+  : DEFAULT_ALLOWED_TYPES;
+
+// Formats sharp reports for each image type we accept
+const IMAGE_FORMATS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// Types that are safe to show in the browser instead of forcing a download
+const INLINE_TYPES = [...Object.keys(IMAGE_FORMATS), 'application/pdf'];
+
+const THUMBNAIL_SIZE = 320;
+
+/**
+ * Upload rejected for its size or content; status is the HTTP status to answer with
+ */
+class AttachmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.status = status;
+  }
+}
+
+/**
+ * Reduce a client-supplied file name to a safe display name
+ * @param {string} filename - Name from the upload request
+ * @returns {string} - Base name without path or control characters
+ */
+const sanitizeFilename = (filename) => {
+  const name = String(filename || '')
+    .split(/[\\/]/).pop()
+    .replace(/[\u0000-\u001F\u007F"]/g, '')
+    .trim()
+    .slice(0, 255);
+  return name && name !== '.' && name !== '..' ? name : 'attachment';
+};
+
+/**
+ * Validate, store and record an uploaded file, with a thumbnail for images
+ * @param {object} note - Note the file belongs to (id)
+ * @param {string} userId - Uploader
+ * @param {object} upload - { filename, mimeType, buffer }
+ * @returns {object} - The note_attachments row
+ */
+const createAttachment = async (note, userId, { filename, mimeType, buffer }) => {
+  const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+
+  if (!buffer || buffer.length === 0) {
+    throw new AttachmentError('Upload the file as the request body');
+  }
+  if (buffer.length > MAX_ATTACHMENT_BYTES) {
+    throw new AttachmentError(`Attachments must be at most ${Math.round(MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB`, 413);
+  }
+  if (!ALLOWED_TYPES.includes(type)) {
+    throw new AttachmentError(`File type ${type || 'unknown'} is not allowed`, 415);
+  }
+
+  const key = `${userId}/${note.id}/${crypto.randomUUID()}`;
+  let thumbnail = null;
+  let dimensions = {};
+
+  if (IMAGE_FORMATS[type]) {
+    // Decode the image to make sure it really is what the Content-Type claims
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw new AttachmentError('File is not a valid image');
+    }
+    if (metadata.format !== IMAGE_FORMATS[type]) {
+      throw new AttachmentError(`File content is ${metadata.format}, not ${type}`);
+    }
+
+    dimensions = { width: metadata.width, height: metadata.height };
+    thumbnail = await sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+  }
+
+  const storage = getStorage();
+  const thumbnailKey = thumbnail ? `${key}.thumb.webp` : null;
+
+  await storage.put(key, buffer, { contentType: type });
+  if (thumbnail) {
+    await storage.put(thumbnailKey, thumbnail, { contentType: 'image/webp' });
+  }
+
+  const { data, error } = await supabase
+    .from('note_attachments')
+    .insert([{
+      post_id: note.id,
+      user_id: userId,
+      filename: sanitizeFilename(filename),
+      mime_type: type,
+      size: buffer.length,
+      storage_key: key,
+      thumbnail_key: thumbnailKey,
+      ...dimensions
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    await removeAttachmentFiles([{ storage_key: key, thumbnail_key: thumbnailKey }]);
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Fetch one attachment of a note
+ * @param {number|string} noteId - Note ID
+ * @param {number|string} attachmentId - Attachment ID
+ * @returns {object|null} - note_attachments row or null
+ */
+const findNoteAttachment = async (noteId, attachmentId) => {
+  const { data, error } = await supabase
+    .from('note_attachments')
+    .select('*')
+    .eq('id', attachmentId)
+    .eq('post_id', noteId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * List a note's attachments, oldest first
+ * @param {number|string} noteId - Note ID
+ * @returns {Array} - note_attachments rows
+ */
+const listNoteAttachments = async (noteId) => {
+  const { data, error } = await supabase
+    .from('note_attachments')
+    .select('*')
+    .eq('post_id', noteId)
+    .order('created_at');
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Stream an attachment or its thumbnail to the client
+ * @param {object} res - Express response
+ * @param {object} attachment - note_attachments row
+ * @param {object} options - { thumbnail } to send the thumbnail instead of the file
+ */
+const sendAttachment = async (res, attachment, { thumbnail = false } = {}) => {
+  if (thumbnail && !attachment.thumbnail_key) {
+    return res.status(404).json({ error: 'This attachment has no thumbnail' });
+  }
+
+  let stream;
+  try {
+    stream = await getStorage().createReadStream(thumbnail ? attachment.thumbnail_key : attachment.storage_key);
+  } catch (error) {
+    console.error(`Attachment ${attachment.id} file missing:`, error.message);
+    return res.status(404).json({ error: 'Attachment file not found' });
+  }
+
+  res.attachment(attachment.filename);
+  if (thumbnail || INLINE_TYPES.includes(attachment.mime_type)) {
+    res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+  }
+  res.set({
+    'Content-Type': thumbnail ? 'image/webp' : attachment.mime_type,
+    'X-Content-Type-Options': 'nosniff',
+    // Uploaded files must never run script in our origin
+    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox"
+  });
+  if (!thumbnail) {
+    res.set('Content-Length', String(attachment.size));
+  }
+
+  stream.on('error', (error) => {
+    console.error(`Error streaming attachment ${attachment.id}:`, error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+/**
+ * Delete stored files; failures are logged so one missing file doesn't block the rest
+ * @param {Array} attachments - Rows with storage_key and thumbnail_key
+ */
+const removeAttachmentFiles = async (attachments) => {
+  const storage = getStorage();
+  for (const attachment of attachments) {
+    for (const key of [attachment.storage_key, attachment.thumbnail_key].filter(Boolean)) {
+      try {
+        await storage.remove(key);
+      } catch (error) {
+        console.error(`Could not remove stored file ${key}:`, error.message);
+      }
+    }
+  }
+};
+
+/**
+ * Delete one attachment's files and row
+ * @param {object} attachment - note_attachments row
+ */
+const deleteAttachment = async (attachment) => {
+  const { error } = await supabase
+    .from('note_attachments')
+    .delete()
+    .eq('id', attachment.id);
+
+  if (error) throw error;
+  await removeAttachmentFiles([attachment]);
+};
+
+/**
+ * Clean up attachments whose note was permanently deleted (post_id cleared by the foreign key)
+ * @returns {number} - Number of attachments removed
+ */
+const purgeDetachedAttachments = async () => {
+  const { data, error } = await supabase
+    .from('note_attachments')
+    .select('id, storage_key, thumbnail_key')
+    .is('post_id', null);
+
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    return 0;
+  }
+
+  await removeAttachmentFiles(data);
+
+  const { error: deleteError } = await supabase
+    .from('note_attachments')
+    .delete()
+    .in('id', data.map(attachment => attachment.id));
+
+  if (deleteError) throw deleteError;
+  return data.length;
+};
+
+/**
+ * Shape an attachment for API responses
+ * @param {object} attachment - note_attachments row
+ * @param {string} baseUrl - URL the file and thumbnail paths hang off, without trailing slash
+ * @returns {object} - Attachment without storage keys, with download and thumbnail URLs
+ */
+const serializeAttachment = (attachment, baseUrl) => {
+  const { storage_key, thumbnail_key, user_id, ...rest } = attachment;
+  return {
+    ...rest,
+    url: `${baseUrl}/${attachment.id}`,
+    thumbnail_url: thumbnail_key ? `${baseUrl}/${attachment.id}/thumbnail` : null
+  };
+};
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  AttachmentError,
+  createAttachment,
+  findNoteAttachment,
+  listNoteAttachments,
+  sendAttachment,
+  deleteAttachment,
+  purgeDetachedAttachments,
+  serializeAttachment
+};
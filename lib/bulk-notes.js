@@ -0,0 +1,315 @@
+const { supabase } = require('./supabase');
+const { findOwnedItem } = require('./taxonomy');
+const { NoteFilterError, parseNoteFilters, resolveNoteFilters, findMatchingNoteIds } = require('./note-filters');
+const { organizationValues } = require('./note-organization');
+const { setNoteVisibility } = require('./share-links');
+const { getPurgeDate } = require('./trash');
+const { publishNoteEvent } = require('./events');
+
+const MAX_BULK_NOTES = parseInt(process.env.BULK_MAX_NOTES) || 500;
+
+const NOTE_COLUMNS = `
+  id, user_id, title, category_id, is_draft, is_public, is_encrypted, is_pinned, is_archived,
+  color, public_share_token, updated_at, last_autosave, deleted_at, label_ids
+`;
+
+/**
+ * Bulk request rejected as invalid; status is the HTTP status to answer with
+ */
+class BulkError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'BulkError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const parseIds = (ids, field) => {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new BulkError(`${field} must be a non-empty array of IDs`);
+  }
+  const parsed = ids.map(id => parseInt(id));
+  if (parsed.some(id => isNaN(id))) {
+    throw new BulkError(`${field} must be a non-empty array of IDs`);
+  }
+  return [...new Set(parsed)];
+};
+
+const parseLabelIds = async (labelIds, userId) => {
+  const ids = parseIds(labelIds, 'label_ids');
+  for (const id of ids) {
+    if (!(await findOwnedItem('labels', id, userId))) {
+      throw new BulkError(`Label ${id} not found or access denied`, 404);
+    }
+  }
+  return ids;
+};
+
+// Actions that set the same columns on every note; `changes` tells whether a note would actually change
+const ACTIONS = {
+  set_category: {
+    event: 'note.updated',
+    parse: async ({ category_id }, userId) => {
+      if (category_id === undefined) {
+        throw new BulkError('category_id is required (null removes the category)');
+      }
+      const categoryId = category_id === null ? null : parseInt(category_id);
+      if (categoryId !== null && (isNaN(categoryId) || !(await findOwnedItem('categories', categoryId, userId)))) {
+        throw new BulkError('Category not found or access denied', 404);
+      }
+      // Moved notes go to the end of their new category's manual order
+      return { values: { category_id: categoryId, manual_position: null, updated_at: new Date() }, categoryId };
+    },
+    changes: (note, { categoryId }) => note.category_id !== categoryId
+  },
+
+  add_labels: {
+    event: 'note.updated',
+    parse: async ({ label_ids }, userId) => ({ labelIds: await parseLabelIds(label_ids, userId) }),
+    changes: (note, { labelIds }) => labelIds.some(id => !(note.label_ids || []).includes(id)),
+    apply: async (notes, { labelIds }) => {
+      const rows = notes.flatMap(note => labelIds
+        .filter(id => !(note.label_ids || []).includes(id))
+        .map(labelId => ({ post_id: note.id, label_id: labelId })));
+
+      const { error } = await supabase
+        .from('post_labels')
+        .upsert(rows, { onConflict: 'post_id,label_id', ignoreDuplicates: true });
+
+      if (error) throw error;
+      return notes.map(note => ({
+        ...note,
+        label_ids: [...new Set([...(note.label_ids || []), ...labelIds])]
+      }));
+    }
+  },
+
+  remove_labels: {
+    event: 'note.updated',
+    parse: async ({ label_ids }, userId) => ({ labelIds: await parseLabelIds(label_ids, userId) }),
+    changes: (note, { labelIds }) => labelIds.some(id => (note.label_ids || []).includes(id)),
+    apply: async (notes, { labelIds }) => {
+      const { error } = await supabase
+        .from('post_labels')
+        .delete()
+        .in('post_id', notes.map(note => note.id))
+        .in('label_id', labelIds);
+
+      if (error) throw error;
+      return notes.map(note => ({
+        ...note,
+        label_ids: (note.label_ids || []).filter(id => !labelIds.includes(id))
+      }));
+    }
+  },
+
+  publish: {
+    event: 'note.published',
+    parse: async () => ({ values: { is_draft: false, updated_at: new Date(), is_updated: true } }),
+    changes: (note) => note.is_draft
+  },
+
+  set_visibility: {
+    event: 'note.visibility_changed',
+    parse: async ({ is_public }) => {
+      if (typeof is_public !== 'boolean') {
+        throw new BulkError('is_public must be true or false');
+      }
+      return { isPublic: is_public, values: is_public ? null : { is_public: false, updated_at: new Date() } };
+    },
+    changes: (note, { isPublic }) => note.is_public !== isPublic,
+    // Each note keeps or gets its own share token, so making notes public can't be one statement
+    atomic: ({ isPublic }) => !isPublic,
+    applyOne: (note, { isPublic }) => setNoteVisibility(note, isPublic),
+    extra: (note) => ({ public_share_token: note.public_share_token })
+  },
+
+  archive: {
+    event: 'note.archived',
+    parse: async ({ archived }) => {
+      const { values, error } = organizationValues({ is_archived: archived });
+      if (error || archived === undefined) {
+        throw new BulkError('archived must be true or false');
+      }
+      return { archived, values };
+    },
+    changes: (note, { archived }) => note.is_archived !== archived
+  },
+
+  delete: {
+    event: 'note.deleted',
+    parse: async () => ({ values: { deleted_at: new Date().toISOString() } }),
+    changes: () => true,
+    extra: (note) => ({ purge_at: getPurgeDate(note.deleted_at) })
+  }
+};
+
+// The filter takes the same fields as the GET /api/notes query string, as JSON values
+const toFilterParams = (filter) => {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new BulkError('filter must be an object');
+  }
+
+  const params = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (value === undefined || value === null) continue;
+    params[key] = Array.isArray(value) ? value.join(',') : String(value);
+  }
+  return params;
+};
+
+/**
+ * Find the notes a bulk request targets: the listed note_ids, or every note matching filter
+ * @param {string} userId - Owner
+ * @param {object} body - { note_ids } or { filter }
+ * @returns {object} - { notes, missingIds } where missingIds are listed IDs that aren't the user's notes
+ */
+const resolveTargets = async (userId, { note_ids, filter }) => {
+  if ((note_ids === undefined) === (filter === undefined)) {
+    throw new BulkError('Give either note_ids or filter');
+  }
+
+  let ids;
+  if (note_ids !== undefined) {
+    ids = parseIds(note_ids, 'note_ids');
+    if (ids.length > MAX_BULK_NOTES) {
+      throw new BulkError(`At most ${MAX_BULK_NOTES} notes can be changed at once`);
+    }
+  } else {
+    let parsed;
+    try {
+      parsed = parseNoteFilters(toFilterParams(filter));
+    } catch (error) {
+      if (error instanceof NoteFilterError) {
+        throw new BulkError(error.message, 400, error.details);
+      }
+      throw error;
+    }
+
+    ids = await findMatchingNoteIds(userId, await resolveNoteFilters(userId, parsed), MAX_BULK_NOTES + 1);
+    if (ids.length > MAX_BULK_NOTES) {
+      throw new BulkError(`The filter matches more than ${MAX_BULK_NOTES} notes; narrow it down`, 400, {
+        max_notes: MAX_BULK_NOTES
+      });
+    }
+  }
+
+  if (ids.length === 0) {
+    return { notes: [], missingIds: [] };
+  }
+
+  const { data, error } = await supabase
+    .from('posts')
+    .select(NOTE_COLUMNS)
+    .in('id', ids)
+    .eq('user_id', userId)
+    .is('deleted_at', null);
+
+  if (error) throw error;
+
+  // Keep the requested (or ranked) order
+  const byId = new Map((data || []).map(note => [note.id, note]));
+  return {
+    notes: ids.filter(id => byId.has(id)).map(id => byId.get(id)),
+    missingIds: ids.filter(id => !byId.has(id))
+  };
+};
+
+// One UPDATE for every note, so either all of them change or none do
+const updateAll = async (notes, values, userId) => {
+  const { data, error } = await supabase
+    .from('posts')
+    .update(values)
+    .in('id', notes.map(note => note.id))
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .select(NOTE_COLUMNS);
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Apply one action to many notes
+ * Every action but making notes public runs as a single statement, so it applies to all notes or none.
+ * With dryRun nothing is written, and results show what would change.
+ * @param {object} req - Authenticated request
+ * @param {object} body - { action, note_ids | filter, dry_run, ...action fields }
+ * @returns {object} - { action, dry_run, atomic, matched, summary, results: [{ id, title, status, error? }] }
+ */
+const runBulkAction = async (req, body) => {
+  const userId = req.user.id;
+  const action = ACTIONS[body.action];
+  if (!action) {
+    throw new BulkError(`action must be one of: ${Object.keys(ACTIONS).join(', ')}`);
+  }
+  const dryRun = body.dry_run === true;
+
+  const params = await action.parse(body, userId);
+  const { notes, missingIds } = await resolveTargets(userId, body);
+  const changing = notes.filter(note => action.changes(note, params));
+  const atomic = action.atomic ? action.atomic(params) : true;
+
+  const results = new Map(notes.map(note => [note.id, { id: note.id, title: note.title, status: 'unchanged' }]));
+  missingIds.forEach(id => results.set(id, { id, title: null, status: 'not_found' }));
+
+  let updated = [];
+  if (dryRun) {
+    changing.forEach(note => Object.assign(results.get(note.id), { status: 'would_update' }));
+  } else if (changing.length > 0) {
+    if (!atomic) {
+      for (const note of changing) {
+        try {
+          const saved = await action.applyOne(note, params);
+          if (saved) {
+            updated.push(saved);
+          } else {
+            results.get(note.id).status = 'not_found';
+          }
+        } catch (error) {
+          Object.assign(results.get(note.id), { status: 'failed', error: error.message });
+        }
+      }
+    } else {
+      updated = action.apply
+        ? await action.apply(changing, params)
+        : await updateAll(changing, params.values, userId);
+
+      // Trashed by another request in between
+      const updatedIds = new Set(updated.map(note => note.id));
+      changing
+        .filter(note => !updatedIds.has(note.id))
+        .forEach(note => { results.get(note.id).status = 'not_found'; });
+    }
+
+    for (const note of updated) {
+      const extra = action.extra ? action.extra(note) : {};
+      Object.assign(results.get(note.id), { status: 'updated', ...extra });
+      await publishNoteEvent(action.event, note, req, {
+        ...(action.event === 'note.updated' ? { label_ids: note.label_ids || [] } : {}),
+        ...extra
+      });
+    }
+  }
+
+  const summary = { [dryRun ? 'would_update' : 'updated']: 0, unchanged: 0, not_found: 0, failed: 0 };
+  for (const result of results.values()) {
+    summary[result.status]++;
+  }
+
+  return {
+    action: body.action,
+    dry_run: dryRun,
+    atomic,
+    matched: notes.length,
+    summary,
+    results: [...results.values()]
+  };
+};
+
+module.exports = {
+  MAX_BULK_NOTES,
+  BulkError,
+  runBulkAction
+};
@@ -0,0 +1,108 @@
+const { supabase } = require('./supabase');
+
+/**
+ * Fetch every category of a user
+ * @param {string} userId - Owner
+ * @returns {Array} - Category rows
+ */
+const getUserCategories = async (userId) => {
+  const { data, error } = await supabase
+    .from('categories')
+    .select('*')
+    .eq('user_id', userId)
+    .order('name');
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Nest flat category rows under their parents
+ * @param {Array} categories - Category rows with parent_id
+ * @returns {Array} - Root categories, each with a `children` array
+ */
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id !== null && node.parent_id !== undefined ? nodes.get(node.parent_id) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
+/**
+ * Collect the IDs of every category below the given one
+ * @param {Array} categories - Category rows with parent_id
+ * @param {number|string} categoryId - Root of the subtree
+ * @returns {number[]} - Descendant IDs, not including categoryId itself
+ */
+const getDescendantIds = (categories, categoryId) => {
+  const childrenByParent = new Map();
+  for (const category of categories) {
+    const siblings = childrenByParent.get(String(category.parent_id)) || [];
+    siblings.push(category.id);
+    childrenByParent.set(String(category.parent_id), siblings);
+  }
+
+  const descendants = [];
+  const pending = [...(childrenByParent.get(String(categoryId)) || [])];
+  while (pending.length > 0) {
+    const id = pending.shift();
+    // Guard against cycles left behind by manual edits
+    if (descendants.includes(id) || String(id) === String(categoryId)) continue;
+    descendants.push(id);
+    pending.push(...(childrenByParent.get(String(id)) || []));
+  }
+
+  return descendants;
+};
+
+/**
+ * Check whether moving a category under a new parent would create a cycle
+ * @param {Array} categories - Category rows with parent_id
+ * @param {number|string} categoryId - Category being moved
+ * @param {number|string|null} parentId - Proposed parent
+ * @returns {boolean} - True if parentId is the category itself or one of its descendants
+ */
+const wouldCreateCycle = (categories, categoryId, parentId) => {
+  if (parentId === null || parentId === undefined) {
+    return false;
+  }
+  if (String(parentId) === String(categoryId)) {
+    return true;
+  }
+  return getDescendantIds(categories, categoryId).some(id => String(id) === String(parentId));
+};
+
+/**
+ * Find categories that would share a name with a sibling once moved under a new parent
+ * Names are unique among the categories directly under one parent, ignoring case.
+ * @param {Array} categories - Category rows with parent_id
+ * @param {Array} moving - Categories being moved
+ * @param {number|string|null} parentId - Parent they move under, null for the top level
+ * @returns {Array} - The moving categories whose name is already taken there
+ */
+const findSiblingNameClashes = (categories, moving, parentId) => {
+  const movingIds = new Set(moving.map(category => String(category.id)));
+  const taken = new Set(categories
+    .filter(category => !movingIds.has(String(category.id)))
+    .filter(category => String(category.parent_id ?? null) === String(parentId ?? null))
+    .map(category => category.name.toLowerCase()));
+
+  return moving.filter(category => taken.has(category.name.toLowerCase()));
+};
+
+module.exports = {
+  getUserCategories,
+  buildCategoryTree,
+  getDescendantIds,
+  wouldCreateCycle,
+  findSiblingNameClashes
+};
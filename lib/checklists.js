@@ -0,0 +1,261 @@
+const { supabase } = require('./supabase');
+
+const MAX_ITEMS_PER_NOTE = 500;
+const MAX_TEXT_LENGTH = 1000;
+// Top-level items are depth 1
+const MAX_DEPTH = 5;
+
+/**
+ * Checklist change rejected as invalid; status is the HTTP status to answer with
+ */
+class ChecklistError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ChecklistError';
+    this.status = status;
+  }
+}
+
+// IDs arrive as strings from URLs and as numbers from JSON and PostgREST
+const sameId = (a, b) => (a === null || a === undefined ? null : String(a)) === (b === null || b === undefined ? null : String(b));
+
+/**
+ * Validate an item ID from the URL
+ * @param {string} value - :itemId route parameter
+ * @returns {number} - The item ID
+ * @throws {ChecklistError} - When it isn't a positive integer
+ */
+const parseItemId = (value) => {
+  const id = /^\d+$/.test(String(value)) ? parseInt(value) : 0;
+  // Past the safe integer range the ID can't be a real row, and may not fit the bigint column
+  if (!Number.isSafeInteger(id) || id < 1) {
+    throw new ChecklistError('Checklist item ID must be a positive integer');
+  }
+  return id;
+};
+
+/**
+ * Every checklist item on a note, siblings in order
+ * @param {number|string} noteId - Note ID
+ * @returns {Array} - Flat list of note_checklist_items rows
+ */
+const getChecklistItems = async (noteId) => {
+  const { data, error } = await supabase
+    .from('note_checklist_items')
+    .select('*')
+    .eq('post_id', noteId)
+    .order('position')
+    .order('id');
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Nest a flat item list under each item's parent
+ * @param {Array} items - Rows from getChecklistItems
+ * @returns {Array} - Top-level items, each with a children array
+ */
+const buildChecklistTree = (items) => {
+  const nodes = new Map(items.map(item => [String(item.id), { ...item, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id !== null ? nodes.get(String(node.parent_id)) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+
+  return roots;
+};
+
+/**
+ * Count done items, nested ones included
+ * @param {Array} items - Flat item list
+ * @returns {object|null} - { done, total }, or null when the note has no checklist
+ */
+const getChecklistProgress = (items) => (items.length === 0
+  ? null
+  : { done: items.filter(item => item.checked).length, total: items.length });
+
+/**
+ * Validate item fields from a request body
+ * @param {object} body - { text, due_at, checked }
+ * @param {boolean} [partial] - Whether fields may be left out (updates)
+ * @returns {object} - Column values to save
+ */
+const parseItemFields = (body, partial = false) => {
+  const values = {};
+
+  if (body.text !== undefined || !partial) {
+    if (typeof body.text !== 'string' || !body.text.trim()) {
+      throw new ChecklistError('Item text is required');
+    }
+    if (body.text.length > MAX_TEXT_LENGTH) {
+      throw new ChecklistError(`Item text must be at most ${MAX_TEXT_LENGTH} characters`);
+    }
+    values.text = body.text.trim();
+  }
+
+  if (body.due_at !== undefined) {
+    if (body.due_at === null || body.due_at === '') {
+      values.due_at = null;
+    } else {
+      const dueAt = new Date(body.due_at);
+      if (typeof body.due_at !== 'string' || isNaN(dueAt.getTime())) {
+        throw new ChecklistError('due_at must be an ISO 8601 date or date-time');
+      }
+      values.due_at = dueAt.toISOString();
+    }
+  }
+
+  if (body.checked !== undefined) {
+    if (typeof body.checked !== 'boolean') {
+      throw new ChecklistError('checked must be true or false');
+    }
+    values.checked = body.checked;
+  }
+
+  return values;
+};
+
+/**
+ * Column values for checking or unchecking an item
+ * @param {boolean} checked - New state
+ * @param {string} userId - Who ticked it
+ * @returns {object} - Column values to save
+ */
+const checkedValues = (checked, userId) => ({
+  checked,
+  checked_at: checked ? new Date().toISOString() : null,
+  checked_by: checked ? userId : null
+});
+
+const findItem = (items, id) => items.find(item => sameId(item.id, id)) || null;
+
+const getDepth = (items, id) => {
+  let depth = 0;
+  for (let item = findItem(items, id); item; item = findItem(items, item.parent_id)) {
+    depth++;
+  }
+  return depth;
+};
+
+// Levels in an item's subtree, the item itself included
+const getHeight = (items, id) => 1 + Math.max(0, ...items
+  .filter(item => sameId(item.parent_id, id))
+  .map(child => getHeight(items, child.id)));
+
+const isDescendant = (items, id, ancestorId) => {
+  for (let item = findItem(items, id); item; item = findItem(items, item.parent_id)) {
+    if (sameId(item.id, ancestorId)) return true;
+  }
+  return false;
+};
+
+/**
+ * Check a parent for a new item and work out where it goes among its siblings
+ * @param {Array} items - Current items on the note
+ * @param {object} body - { parent_id, position } from the request
+ * @returns {object} - { parentId, siblings, index } where siblings are the parent's current children in order
+ */
+const resolveInsertion = (items, body) => {
+  if (items.length >= MAX_ITEMS_PER_NOTE) {
+    throw new ChecklistError(`A note can have at most ${MAX_ITEMS_PER_NOTE} checklist items`);
+  }
+
+  const parentId = body.parent_id ?? null;
+  if (parentId !== null) {
+    if (!findItem(items, parentId)) {
+      throw new ChecklistError('parent_id must be an item on the same note');
+    }
+    if (getDepth(items, parentId) >= MAX_DEPTH) {
+      throw new ChecklistError(`Checklists can be nested at most ${MAX_DEPTH} levels deep`);
+    }
+  }
+
+  const siblings = items.filter(item => sameId(item.parent_id, parentId));
+  let index = siblings.length;
+  if (body.position !== undefined) {
+    index = parseInt(body.position);
+    if (!Number.isInteger(index) || index < 0) {
+      throw new ChecklistError('position must be a non-negative integer');
+    }
+    index = Math.min(index, siblings.length);
+  }
+
+  return { parentId: parentId === null ? null : Number(parentId), siblings, index };
+};
+
+/**
+ * Check a reorder request: itemIds become the complete, ordered children of parentId
+ * Items listed from elsewhere in the checklist move under the new parent, taking their children along.
+ * @param {Array} items - Current items on the note
+ * @param {number|string|null} parentId - New parent, or null for the top level
+ * @param {Array} itemIds - Item IDs in their new order
+ * @returns {Array} - The items to save, in order
+ */
+const resolveReorder = (items, parentId, itemIds) => {
+  if (!Array.isArray(itemIds) || itemIds.length === 0) {
+    throw new ChecklistError('item_ids must be a non-empty array');
+  }
+  if (new Set(itemIds.map(String)).size !== itemIds.length) {
+    throw new ChecklistError('item_ids must not repeat an item');
+  }
+  if (parentId !== null && !findItem(items, parentId)) {
+    throw new ChecklistError('parent_id must be an item on the same note');
+  }
+
+  const ordered = itemIds.map(id => {
+    const item = findItem(items, id);
+    if (!item) {
+      throw new ChecklistError(`Item ${id} is not on this note`, 404);
+    }
+    if (parentId !== null && isDescendant(items, parentId, item.id)) {
+      throw new ChecklistError('An item cannot be moved under itself or one of its own items');
+    }
+    if (parentId !== null && getDepth(items, parentId) + getHeight(items, item.id) > MAX_DEPTH) {
+      throw new ChecklistError(`Checklists can be nested at most ${MAX_DEPTH} levels deep`);
+    }
+    return item;
+  });
+
+  const missing = items.filter(item => sameId(item.parent_id, parentId) && !ordered.includes(item));
+  if (missing.length > 0) {
+    throw new ChecklistError(`item_ids must list every item under that parent; missing ${missing.map(item => item.id).join(', ')}`);
+  }
+
+  return ordered;
+};
+
+/**
+ * Save new positions (and parents) for a run of siblings, writing only rows that changed
+ * @param {Array} ordered - Items in their new order
+ * @param {number|null} parentId - Their parent
+ */
+const saveSiblingOrder = async (ordered, parentId) => {
+  const changed = ordered
+    .map((item, position) => ({ item, position }))
+    .filter(({ item, position }) => item.position !== position || !sameId(item.parent_id, parentId));
+
+  const results = await Promise.all(changed.map(({ item, position }) => supabase
+    .from('note_checklist_items')
+    .update({ position, parent_id: parentId, updated_at: new Date() })
+    .eq('id', item.id)));
+
+  const failed = results.find(result => result.error);
+  if (failed) throw failed.error;
+};
+
+module.exports = {
+  ChecklistError,
+  MAX_ITEMS_PER_NOTE,
+  parseItemId,
+  getChecklistItems,
+  buildChecklistTree,
+  getChecklistProgress,
+  parseItemFields,
+  checkedValues,
+  resolveInsertion,
+  resolveReorder,
+  saveSiblingOrder
+};
@@ -0,0 +1,41 @@
+const { WebSocketServer } = require('ws');
+const { getNoteAccess } = require('./note-access');
+const { rejectUpgrade } = require('./websocket');
+const { openCollabSession, joinCollabSession } = require('./collab');
+
+const COLLAB_SOCKET_PATH = /^\/api\/collab\/(\d+)$/;
+const MAX_MESSAGE_BYTES = (parseInt(process.env.COLLAB_MAX_MESSAGE_KB) || 1024) * 1024;
+
+/**
+ * WebSocket route for editing a note together, at /api/collab/:noteId
+ * Speaks the y-websocket protocol, so a Yjs WebsocketProvider pointed at /api/collab with the
+ * note ID as room name can connect; the note text is the shared Y.Text "content".
+ * @returns {object} - Route for attachWebSockets
+ */
+const createCollabSocketRoute = () => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  return {
+    match: (pathname) => {
+      const match = COLLAB_SOCKET_PATH.exec(pathname);
+      return match ? { noteId: match[1] } : null;
+    },
+    handle: async (req, socket, head, { user, params }) => {
+      const { note, role } = await getNoteAccess(params.noteId, user.id);
+      if (!note) {
+        return rejectUpgrade(socket, 404, 'Not Found');
+      }
+      // The server can't read encrypted notes, so it can't merge edits to them
+      if (note.is_encrypted) {
+        return rejectUpgrade(socket, 403, 'Forbidden');
+      }
+
+      const session = await openCollabSession(note);
+      wss.handleUpgrade(req, socket, head, (ws) => joinCollabSession(session, ws, user, role));
+    }
+  };
+};
+
+module.exports = {
+  createCollabSocketRoute
+};
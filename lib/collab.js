@@ -0,0 +1,465 @@
+const Y = require('yjs');
+const syncProtocol = require('y-protocols/sync');
+const awarenessProtocol = require('y-protocols/awareness');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
+const { supabase } = require('./supabase');
+const { mergeText } = require('./merge');
+const { getNoteAccess, hasRole } = require('./note-access');
+const { recordRevisionSafely } = require('./revisions');
+const { publishNoteEvent, subscribeAll } = require('./events');
+
+// Message types of the y-websocket protocol, so stock Yjs providers can connect
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+const MESSAGE_QUERY_AWARENESS = 3;
+
+// Shared text type holding posts.content
+const CONTENT_FIELD = 'content';
+
+const PERSIST_DELAY_MS = parseInt(process.env.COLLAB_PERSIST_DELAY_MS) || 2000;
+const PING_INTERVAL_MS = 25 * 1000;
+
+// Close codes sent when a note stops being editable while people are in it
+const CLOSE_NOTE_DELETED = 4404;
+const CLOSE_NOTE_ENCRYPTED = 4403;
+// Sent to someone whose access to the note was revoked while connected
+const CLOSE_ACCESS_REVOKED = 4401;
+
+// Origin for changes the server makes to a document itself
+const SERVER_ORIGIN = Symbol('server');
+
+// Open documents by note ID; a session lives while anyone is connected
+const sessions = new Map();
+const loading = new Map();
+
+const send = (connection, message) => {
+  if (connection.ws.readyState === connection.ws.OPEN) {
+    connection.ws.send(message);
+  }
+};
+
+const broadcast = (session, message) => {
+  for (const connection of session.connections.values()) {
+    send(connection, message);
+  }
+};
+
+const encodeAwareness = (session, clientIds) => {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+  encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(session.awareness, clientIds));
+  return encoding.toUint8Array(encoder);
+};
+
+/**
+ * Replace the text of a shared type with the smallest single edit, so cursors outside it stay put
+ * @param {Y.Text} ytext - Shared text
+ * @param {string} text - New text
+ */
+const replaceText = (ytext, text) => {
+  const current = ytext.toString();
+  if (current === text) return;
+
+  let start = 0;
+  while (start < current.length && start < text.length && current[start] === text[start]) start++;
+  let end = 0;
+  while (
+    end < current.length - start &&
+    end < text.length - start &&
+    current[current.length - 1 - end] === text[text.length - 1 - end]
+  ) end++;
+
+  ytext.doc.transact(() => {
+    ytext.delete(start, current.length - start - end);
+    ytext.insert(start, text.slice(start, text.length - end));
+  }, SERVER_ORIGIN);
+};
+
+const closeSession = (session, code, reason) => {
+  session.closed = true;
+  clearTimeout(session.persistTimer);
+  sessions.delete(session.noteId);
+  for (const connection of session.connections.values()) {
+    connection.ws.close(code, reason);
+  }
+  session.awareness.destroy();
+  session.doc.destroy();
+};
+
+/**
+ * Bring a session in line with the note as saved outside it, e.g. through PUT /api/notes/:id
+ * Saves are merged into the shared document; where both changed the same lines the shared document's lines
+ * are kept, and the outside save's version of them stays in the note's revision history.
+ * @param {object} session - Collaboration session
+ * @param {object|null} current - Current posts row, or null if the note is gone
+ */
+const reconcile = (session, current) => {
+  if (!current || current.deleted_at) {
+    return closeSession(session, CLOSE_NOTE_DELETED, 'Note was deleted');
+  }
+  if (current.is_encrypted) {
+    return closeSession(session, CLOSE_NOTE_ENCRYPTED, 'Note was encrypted');
+  }
+  if (current.version === session.version) {
+    return;
+  }
+
+  const ytext = session.doc.getText(CONTENT_FIELD);
+  const saved = current.content || '';
+  const merged = mergeText(session.persistedText, ytext.toString(), saved, { favor: 'ours' });
+
+  session.version = current.version;
+  session.persistedText = saved;
+  replaceText(ytext, merged.text);
+  schedulePersist(session);
+};
+
+/**
+ * Write the shared document back to posts.content, if it changed since the last write
+ * @param {object} session - Collaboration session
+ */
+const persistSession = async (session) => {
+  if (session.closed) return;
+
+  const text = session.doc.getText(CONTENT_FIELD).toString();
+  if (text === session.persistedText) return;
+
+  const { data, error } = await supabase
+    .from('posts')
+    .update({
+      content: text,
+      last_autosave: new Date(),
+      updated_at: new Date(),
+      is_updated: true
+    })
+    .eq('id', session.noteId)
+    .eq('version', session.version)
+    .eq('is_encrypted', false)
+    .is('deleted_at', null)
+    .select();
+
+  if (error) throw error;
+
+  if (!data || data.length === 0) {
+    // Saved, encrypted or deleted since we last wrote it
+    const { data: current, error: fetchError } = await supabase
+      .from('posts')
+      .select('*')
+      .eq('id', session.noteId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    return reconcile(session, current);
+  }
+
+  session.version = data[0].version;
+  session.persistedText = text;
+
+  await recordRevisionSafely(data[0], 'autosave');
+  await publishNoteEvent('note.autosaved', data[0], null, { collaborative: true });
+};
+
+// Writes are chained so two saves of one session never race each other
+const queuePersist = (session) => {
+  session.persisting = session.persisting
+    .then(() => persistSession(session))
+    .catch(error => console.error(`Error saving collaborative note ${session.noteId}:`, error));
+  return session.persisting;
+};
+
+const schedulePersist = (session) => {
+  if (session.closed) return;
+  clearTimeout(session.persistTimer);
+  session.persistTimer = setTimeout(() => queuePersist(session), PERSIST_DELAY_MS);
+};
+
+const createSession = (note) => {
+  const doc = new Y.Doc();
+  doc.getText(CONTENT_FIELD).insert(0, note.content || '');
+
+  const awareness = new awarenessProtocol.Awareness(doc);
+  // The server doesn't take part in presence itself
+  awareness.setLocalState(null);
+
+  const session = {
+    noteId: String(note.id),
+    doc,
+    awareness,
+    connections: new Map(),
+    version: note.version,
+    persistedText: note.content || '',
+    persistTimer: null,
+    persisting: Promise.resolve(),
+    closed: false
+  };
+
+  doc.on('update', (update) => {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeUpdate(encoder, update);
+    broadcast(session, encoding.toUint8Array(encoder));
+    schedulePersist(session);
+  });
+
+  awareness.on('update', ({ added, updated, removed }, origin) => {
+    const owner = session.connections.get(origin?.ws);
+    if (owner) {
+      added.forEach(clientId => owner.clientIds.add(clientId));
+      removed.forEach(clientId => owner.clientIds.delete(clientId));
+    }
+    broadcast(session, encodeAwareness(session, [...added, ...updated, ...removed]));
+  });
+
+  return session;
+};
+
+/**
+ * Get the open session for a note, loading its document if nobody is editing it yet
+ * @param {object} note - posts row (not encrypted)
+ * @returns {object} - Collaboration session
+ */
+const openCollabSession = async (note) => {
+  const noteId = String(note.id);
+  if (sessions.has(noteId)) {
+    return sessions.get(noteId);
+  }
+  if (!loading.has(noteId)) {
+    // The access check's copy may be a moment old, so start from the latest saved text
+    loading.set(noteId, (async () => {
+      try {
+        const { data, error } = await supabase
+          .from('posts')
+          .select('*')
+          .eq('id', noteId)
+          .maybeSingle();
+
+        if (error) throw error;
+        const session = createSession(data || note);
+        sessions.set(noteId, session);
+        return session;
+      } finally {
+        loading.delete(noteId);
+      }
+    })());
+  }
+  return loading.get(noteId);
+};
+
+const identify = (user, role) => ({
+  id: user.id,
+  name: user.user_metadata?.full_name || user.user_metadata?.name || user.email?.split('@')[0] || 'Anonymous',
+  email: user.email,
+  role
+});
+
+const handleMessage = (session, connection, message) => {
+  // The socket is closing after access was revoked; nothing more from it counts
+  if (connection.revoked) return;
+
+  const decoder = decoding.createDecoder(message);
+  const encoder = encoding.createEncoder();
+
+  switch (decoding.readVarUint(decoder)) {
+    case MESSAGE_SYNC: {
+      encoding.writeVarUint(encoder, MESSAGE_SYNC);
+      const syncType = decoding.readVarUint(decoder);
+      if (syncType === syncProtocol.messageYjsSyncStep1) {
+        syncProtocol.readSyncStep1(decoder, encoder, session.doc);
+      } else if (connection.readOnly) {
+        // Viewers and commenters receive edits but can't make them
+        return;
+      } else if (syncType === syncProtocol.messageYjsSyncStep2) {
+        syncProtocol.readSyncStep2(decoder, session.doc, connection);
+      } else if (syncType === syncProtocol.messageYjsUpdate) {
+        syncProtocol.readUpdate(decoder, session.doc, connection);
+      }
+      if (encoding.length(encoder) > 1) {
+        send(connection, encoding.toUint8Array(encoder));
+      }
+      break;
+    }
+    case MESSAGE_AWARENESS: {
+      // Presence carries the verified user, whatever name the client put in its state
+      const update = awarenessProtocol.modifyAwarenessUpdate(
+        decoding.readVarUint8Array(decoder),
+        state => (state ? { ...state, user: connection.identity } : state)
+      );
+      awarenessProtocol.applyAwarenessUpdate(session.awareness, update, connection);
+      break;
+    }
+    case MESSAGE_QUERY_AWARENESS:
+      send(connection, encodeAwareness(session, [...session.awareness.getStates().keys()]));
+      break;
+    default:
+      break;
+  }
+};
+
+const leaveSession = async (session, connection) => {
+  session.connections.delete(connection.ws);
+  awarenessProtocol.removeAwarenessStates(session.awareness, [...connection.clientIds], null);
+
+  if (session.connections.size === 0 && !session.closed) {
+    clearTimeout(session.persistTimer);
+    await queuePersist(session);
+    // Someone may have joined while the last save ran
+    if (session.connections.size === 0 && !session.closed) {
+      closeSession(session, 1000, 'Session closed');
+    }
+  }
+};
+
+/**
+ * Connect a WebSocket to a note's session and start syncing it
+ * @param {object} session - From openCollabSession
+ * @param {WebSocket} ws - Accepted socket
+ * @param {object} user - Authenticated user
+ * @param {string} role - Role from getNoteAccess
+ */
+const joinCollabSession = (session, ws, user, role) => {
+  if (session.closed) {
+    return ws.close(1013, 'Session closed, please reconnect');
+  }
+
+  const connection = {
+    ws,
+    identity: identify(user, role),
+    readOnly: !hasRole(role, 'editor'),
+    clientIds: new Set()
+  };
+  session.connections.set(ws, connection);
+  ws.binaryType = 'arraybuffer';
+
+  ws.on('message', (data) => {
+    try {
+      handleMessage(session, connection, new Uint8Array(data));
+    } catch (error) {
+      console.error(`Bad collaboration message for note ${session.noteId}:`, error.message);
+      ws.close(1007, 'Invalid message');
+    }
+  });
+
+  let alive = true;
+  ws.on('pong', () => {
+    alive = true;
+  });
+  const ping = setInterval(() => {
+    if (!alive) {
+      return ws.terminate();
+    }
+    alive = false;
+    ws.ping();
+  }, PING_INTERVAL_MS);
+
+  ws.on('close', () => {
+    clearInterval(ping);
+    leaveSession(session, connection).catch(error =>
+      console.error(`Error leaving collaborative note ${session.noteId}:`, error));
+  });
+  ws.on('error', (error) => console.error('Collaboration socket error:', error.message));
+
+  // Start the sync handshake and show who is already here
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, MESSAGE_SYNC);
+  syncProtocol.writeSyncStep1(encoder, session.doc);
+  send(connection, encoding.toUint8Array(encoder));
+
+  const clientIds = [...session.awareness.getStates().keys()];
+  if (clientIds.length > 0) {
+    send(connection, encodeAwareness(session, clientIds));
+  }
+};
+
+// Note changes that can touch the text, encryption or trash state of an open note
+const RECONCILE_EVENTS = ['note.updated', 'note.autosaved', 'note.deleted'];
+
+// Saves made outside a session (the REST API, sync push, revision restores) are merged into it
+subscribeAll((event) => {
+  if (!RECONCILE_EVENTS.includes(event.type) || event.data.collaborative) return;
+
+  const session = sessions.get(String(event.data.note?.id));
+  if (!session) return;
+
+  session.persisting = session.persisting
+    .then(async () => {
+      const { data: current, error } = await supabase
+        .from('posts')
+        .select('*')
+        .eq('id', session.noteId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!session.closed) reconcile(session, current);
+    })
+    .catch(error => console.error(`Error reconciling collaborative note ${session.noteId}:`, error));
+});
+
+// Sharing changes (collaborator role changed or removed) apply to open sockets right away
+const ACCESS_EVENTS = ['note.collaborator_changed', 'note.collaborator_removed'];
+
+/**
+ * Re-check a user's access to a note for their open connections: close them if it is gone,
+ * or switch them between editing and read-only if their role changed
+ * @param {object} session - Collaboration session
+ * @param {string} userId - User whose access changed
+ */
+const refreshAccess = async (session, userId) => {
+  const connections = [...session.connections.values()].filter(connection => connection.identity.id === userId);
+  if (connections.length === 0) return;
+
+  const { note, role } = await getNoteAccess(session.noteId, userId);
+  for (const connection of connections) {
+    if (!note) {
+      connection.revoked = true;
+      connection.ws.close(CLOSE_ACCESS_REVOKED, 'Access to this note was revoked');
+    } else {
+      connection.readOnly = !hasRole(role, 'editor');
+      connection.identity = { ...connection.identity, role };
+    }
+  }
+};
+
+subscribeAll((event) => {
+  if (!ACCESS_EVENTS.includes(event.type)) return;
+
+  const session = sessions.get(String(event.data.note?.id));
+  if (!session || session.closed) return;
+
+  refreshAccess(session, event.data.user_id)
+    .catch(error => console.error(`Error refreshing access to collaborative note ${session.noteId}:`, error));
+});
+
+/**
+ * Who is in a note's session right now
+ * @param {number|string} noteId - Note ID
+ * @returns {Array} - [{ user, connections, states }] where states are the awareness states (cursors etc.) of the user's clients
+ */
+const getPresence = (noteId) => {
+  const session = sessions.get(String(noteId));
+  if (!session) {
+    return [];
+  }
+
+  const states = session.awareness.getStates();
+  const byUser = new Map();
+  for (const connection of session.connections.values()) {
+    const entry = byUser.get(connection.identity.id) || { user: connection.identity, connections: 0, states: [] };
+    entry.connections++;
+    for (const clientId of connection.clientIds) {
+      if (states.has(clientId)) {
+        const { user, ...state } = states.get(clientId);
+        entry.states.push({ client_id: clientId, ...state });
+      }
+    }
+    byUser.set(connection.identity.id, entry);
+  }
+  return [...byUser.values()];
+};
+
+module.exports = {
+  CONTENT_FIELD,
+  openCollabSession,
+  joinCollabSession,
+  getPresence
+};
@@ -0,0 +1,175 @@
+// Beyond this many edits a diff is reported as a full replacement, which keeps
+// the Myers trace from growing without bound on completely rewritten notes.
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Split text into lines for diffing
+ * @param {string|null} text - Text to split
+ * @returns {string[]} - Lines without trailing newline characters
+ */
+const splitLines = (text) => {
+  if (text === null || text === undefined || text === '') {
+    return [];
+  }
+  return String(text).split(/\r?\n/);
+};
+
+/**
+ * Append lines to the change list, merging with the previous change of the same type
+ * @param {Array} changes - Change list being built
+ * @param {string} type - 'equal', 'insert' or 'delete'
+ * @param {string[]} lines - Lines to append
+ */
+const pushChange = (changes, type, lines) => {
+  if (lines.length === 0) return;
+  const last = changes[changes.length - 1];
+  if (last && last.type === type) {
+    last.lines.push(...lines);
+  } else {
+    changes.push({ type, lines: [...lines] });
+  }
+};
+
+/**
+ * Compute the shortest edit script between two line arrays (Myers' algorithm)
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array|null} - Ordered edits, or null when the edit distance exceeds the limit
+ */
+const shortestEdit = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Only diagonals -d-1..d+1 are read on this round, so keep just that window
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Walk the Myers trace back from the end to recover the edit script
+ * @param {Array} trace - Saved diagonal windows, one per edit distance
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array} - Edits in document order
+ */
+const backtrack = (trace, a, b) => {
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const window = trace[d];
+    const at = (k) => window[k + d + 1];
+    const k = x - y;
+
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: 'equal', line: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (prevK === k + 1) {
+      edits.push({ type: 'insert', line: b[prevY] });
+    } else {
+      edits.push({ type: 'delete', line: a[prevX] });
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  while (x > 0 && y > 0) {
+    edits.push({ type: 'equal', line: a[x - 1] });
+    x--;
+    y--;
+  }
+
+  return edits.reverse();
+};
+
+/**
+ * Produce a line-based diff between two texts
+ * @param {string|null} oldText - Previous text
+ * @param {string|null} newText - Current text
+ * @returns {object} - { changes: [{ type, lines }], stats: { added, removed, unchanged } }
+ */
+const diffText = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Strip the common prefix and suffix so the edit search only sees the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const changes = [];
+  pushChange(changes, 'equal', a.slice(0, start));
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const edits = shortestEdit(middleA, middleB);
+
+  if (edits) {
+    for (const edit of edits) {
+      pushChange(changes, edit.type, [edit.line]);
+    }
+  } else {
+    pushChange(changes, 'delete', middleA);
+    pushChange(changes, 'insert', middleB);
+  }
+
+  pushChange(changes, 'equal', a.slice(endA));
+
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  for (const change of changes) {
+    if (change.type === 'insert') stats.added += change.lines.length;
+    else if (change.type === 'delete') stats.removed += change.lines.length;
+    else stats.unchanged += change.lines.length;
+  }
+
+  return { changes, stats };
+};
+
+module.exports = {
+  splitLines,
+  diffText
+};
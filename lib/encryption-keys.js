@@ -0,0 +1,247 @@
+const { supabase } = require('./supabase');
+
+// Key derivation for the passphrase-wrapped envelope, with floors well above what a weak client might pick
+const KDF_ALGORITHMS = {
+  'PBKDF2-SHA256': {
+    iterations: { min: 100000, max: 10000000 }
+  },
+  argon2id: {
+    iterations: { min: 2, max: 20 },
+    memory_kib: { min: 19456, max: 4194304 },
+    parallelism: { min: 1, max: 16 }
+  }
+};
+
+// Ciphers an envelope may be sealed with, and the nonce length each needs (none for AES key wrap)
+const ENVELOPE_ALGORITHMS = {
+  'AES-GCM': 12,
+  'AES-KW': null,
+  'XChaCha20-Poly1305': 24
+};
+
+const SALT_BYTES = { min: 16, max: 64 };
+// A wrapped 256-bit key with its tag or integrity block is 40-48 bytes; leave room for longer keys
+const CIPHERTEXT_BYTES = { min: 24, max: 512 };
+
+/**
+ * Keyring request rejected, or not possible in the keyring's current state; status is the HTTP status to answer with
+ */
+class KeyringError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'KeyringError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const decodeBase64 = (value) => {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(value)) {
+    return null;
+  }
+  return Buffer.from(value, value.includes('-') || value.includes('_') ? 'base64url' : 'base64');
+};
+
+// Only known fields are stored, so nothing else a client sends (a raw key, say) ends up on the server
+const checkFields = (object, allowed, field) => {
+  if (!object || typeof object !== 'object' || Array.isArray(object)) {
+    throw new KeyringError(`${field} must be an object`);
+  }
+  const unknown = Object.keys(object).find(key => !allowed.includes(key));
+  if (unknown) {
+    throw new KeyringError(`Unknown field "${unknown}" in ${field}`);
+  }
+};
+
+/**
+ * Validate the key derivation settings for the passphrase envelope
+ * @param {*} kdf - { algorithm, salt, iterations, memory_kib?, parallelism? }
+ * @returns {object} - The settings to store
+ */
+const validateKdf = (kdf) => {
+  checkFields(kdf, ['algorithm', 'salt', 'iterations', 'memory_kib', 'parallelism'], 'kdf');
+
+  const limits = KDF_ALGORITHMS[kdf.algorithm];
+  if (!limits) {
+    throw new KeyringError(`kdf.algorithm must be one of: ${Object.keys(KDF_ALGORITHMS).join(', ')}`);
+  }
+
+  const salt = decodeBase64(kdf.salt);
+  if (!salt || salt.length < SALT_BYTES.min || salt.length > SALT_BYTES.max) {
+    throw new KeyringError(`kdf.salt must be ${SALT_BYTES.min} to ${SALT_BYTES.max} random bytes, base64 encoded`);
+  }
+
+  const values = { algorithm: kdf.algorithm, salt: kdf.salt };
+  for (const [name, { min, max }] of Object.entries(limits)) {
+    if (!Number.isInteger(kdf[name]) || kdf[name] < min || kdf[name] > max) {
+      throw new KeyringError(`kdf.${name} must be a whole number from ${min} to ${max} for ${kdf.algorithm}`);
+    }
+    values[name] = kdf[name];
+  }
+  return values;
+};
+
+/**
+ * Validate a wrapped key: ciphertext the client sealed, never the key itself
+ * @param {*} envelope - { algorithm, iv?, ciphertext }
+ * @param {string} field - Field name for error messages
+ * @returns {object} - The envelope to store
+ */
+const validateEnvelope = (envelope, field) => {
+  checkFields(envelope, ['algorithm', 'iv', 'ciphertext'], field);
+
+  if (!Object.prototype.hasOwnProperty.call(ENVELOPE_ALGORITHMS, envelope.algorithm)) {
+    throw new KeyringError(`${field}.algorithm must be one of: ${Object.keys(ENVELOPE_ALGORITHMS).join(', ')}`);
+  }
+
+  const ivBytes = ENVELOPE_ALGORITHMS[envelope.algorithm];
+  if (ivBytes === null && envelope.iv !== undefined) {
+    throw new KeyringError(`${field}.iv is not used with ${envelope.algorithm}`);
+  }
+  if (ivBytes !== null && decodeBase64(envelope.iv)?.length !== ivBytes) {
+    throw new KeyringError(`${field}.iv must be ${ivBytes} bytes, base64 encoded`);
+  }
+
+  const ciphertext = decodeBase64(envelope.ciphertext);
+  if (!ciphertext || ciphertext.length < CIPHERTEXT_BYTES.min || ciphertext.length > CIPHERTEXT_BYTES.max) {
+    throw new KeyringError(
+      `${field}.ciphertext must be ${CIPHERTEXT_BYTES.min} to ${CIPHERTEXT_BYTES.max} bytes, base64 encoded`
+    );
+  }
+
+  return ivBytes === null
+    ? { algorithm: envelope.algorithm, ciphertext: envelope.ciphertext }
+    : { algorithm: envelope.algorithm, iv: envelope.iv, ciphertext: envelope.ciphertext };
+};
+
+/**
+ * Load a user's keyring with every key version, newest first
+ * @param {string} userId - Owner
+ * @returns {object|null} - Keyring row with keys, or null if the user hasn't set up encryption keys
+ */
+const getKeyring = async (userId) => {
+  const { data, error } = await supabase
+    .from('encryption_keyrings')
+    .select('*, keys:encryption_keys(key_version, wrapped_key, status, created_at, retired_at)')
+    .eq('user_id', userId)
+    .order('key_version', { referencedTable: 'keys', ascending: false })
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Work out which key version encrypted content is saved under
+ * Without an explicit version, a note that stays encrypted keeps the one it had, and a newly encrypted
+ * note gets the active key; a client that re-encrypts should always send the version it used.
+ * @param {string} ownerId - Owner of the note, whose keys are used
+ * @param {object} fields - { is_encrypted, encryption_key_version } being saved
+ * @param {object} [current] - The note before the save, when updating
+ * @returns {object} - { version, error } where error is a message for a 400 response
+ */
+const resolveKeyVersion = async (ownerId, { is_encrypted, encryption_key_version }, current = null) => {
+  if (!is_encrypted) {
+    return { version: null, error: null };
+  }
+
+  if (encryption_key_version === undefined || encryption_key_version === null) {
+    if (current?.is_encrypted) {
+      return { version: current.encryption_key_version ?? null, error: null };
+    }
+
+    const { data, error } = await supabase
+      .from('encryption_keys')
+      .select('key_version')
+      .eq('user_id', ownerId)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    if (error) throw error;
+    return { version: data ? data.key_version : null, error: null };
+  }
+
+  const version = Number(encryption_key_version);
+  if (!Number.isInteger(version) || version < 1) {
+    return { version: null, error: 'encryption_key_version must be a positive integer' };
+  }
+
+  const { data, error } = await supabase
+    .from('encryption_keys')
+    .select('status')
+    .eq('user_id', ownerId)
+    .eq('key_version', version)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    return { version: null, error: `Encryption key version ${version} does not exist` };
+  }
+  if (data.status === 'retired') {
+    return { version: null, error: `Encryption key version ${version} is retired; encrypt with the active key` };
+  }
+  return { version, error: null };
+};
+
+/**
+ * How far a key rotation has got: encrypted notes not yet on the active key
+ * @param {object} keyring - Result of getKeyring
+ * @param {number} limit - Maximum pending notes to list
+ * @returns {object} - { in_progress, active_version, rotating_versions, encrypted_count, pending_count, pending }
+ */
+const getRotationProgress = async (keyring, limit) => {
+  const active = keyring.keys.find(key => key.status === 'active');
+  const rotating = keyring.keys.filter(key => key.status === 'rotating').map(key => key.key_version);
+
+  const encrypted = () => supabase
+    .from('posts')
+    .select('id, title, encryption_key_version, updated_at', { count: 'exact' })
+    .eq('user_id', keyring.user_id)
+    .eq('is_encrypted', true)
+    .is('deleted_at', null);
+
+  const [all, pending] = await Promise.all([
+    encrypted().limit(0),
+    encrypted()
+      .or(`encryption_key_version.is.null,encryption_key_version.neq.${active.key_version}`)
+      .order('updated_at', { ascending: true })
+      .limit(limit)
+  ]);
+
+  if (all.error) throw all.error;
+  if (pending.error) throw pending.error;
+
+  return {
+    in_progress: rotating.length > 0,
+    active_version: active.key_version,
+    rotating_versions: rotating,
+    encrypted_count: all.count || 0,
+    pending_count: pending.count || 0,
+    // Oldest first; notes without a version were encrypted before key management and need re-encrypting too
+    pending: pending.data || []
+  };
+};
+
+/**
+ * Shape a keyring for API responses
+ * @param {object} keyring - Result of getKeyring
+ * @returns {object} - Keyring with the active key version
+ */
+const serializeKeyring = (keyring) => {
+  const { user_id, keys, ...rest } = keyring;
+  return {
+    ...rest,
+    active_key_version: keys.find(key => key.status === 'active')?.key_version ?? null,
+    keys
+  };
+};
+
+module.exports = {
+  KeyringError,
+  validateKdf,
+  validateEnvelope,
+  getKeyring,
+  resolveKeyVersion,
+  getRotationProgress,
+  serializeKeyring
+};
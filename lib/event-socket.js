@@ -0,0 +1,65 @@
+const { WebSocketServer } = require('ws');
+const { getEventsSince, getCurrentEventId, subscribe } = require('./events');
+
+const EVENT_SOCKET_PATH = '/api/events/ws';
+const PING_INTERVAL_MS = 25 * 1000;
+
+/**
+ * WebSocket route for the change stream, at /api/events/ws
+ * @returns {object} - Route for attachWebSockets
+ */
+const createEventSocketRoute = () => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  wss.on('connection', (ws, user, lastEventId) => {
+    const send = (event) => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify(event));
+      }
+    };
+
+    const { events, complete } = getEventsSince(user.id, lastEventId);
+    send({
+      id: getCurrentEventId(),
+      type: complete ? 'ready' : 'resync',
+      data: {},
+      client_id: null,
+      created_at: new Date().toISOString()
+    });
+    events.forEach(send);
+
+    const unsubscribe = subscribe(user.id, send);
+
+    // Drop connections that stop answering pings, e.g. after a network change
+    let alive = true;
+    ws.on('pong', () => {
+      alive = true;
+    });
+    const ping = setInterval(() => {
+      if (!alive) {
+        return ws.terminate();
+      }
+      alive = false;
+      ws.ping();
+    }, PING_INTERVAL_MS);
+
+    ws.on('close', () => {
+      clearInterval(ping);
+      unsubscribe();
+    });
+    ws.on('error', (error) => console.error('Event socket error:', error.message));
+  });
+
+  return {
+    match: (pathname) => (pathname === EVENT_SOCKET_PATH ? {} : null),
+    handle: (req, socket, head, { user, url }) => {
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, user, url.searchParams.get('last_event_id'));
+      });
+    }
+  };
+};
+
+module.exports = {
+  createEventSocketRoute
+};
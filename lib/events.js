@@ -0,0 +1,215 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { supabase } = require('./supabase');
+
+// Events kept per user so a reconnecting client can catch up from its last event ID
+const EVENT_HISTORY_SIZE = parseInt(process.env.EVENT_HISTORY_SIZE) || 500;
+
+// Event IDs are "<boot>-<sequence>"; an ID from a previous process can't be resumed
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+
+const EVENT_TYPES = [
+  'note.created',
+  'note.updated',
+  'note.autosaved',
+  'note.deleted',
+  'note.restored',
+  'note.purged',
+  'note.visibility_changed',
+  'note.published',
+  'note.pinned',
+  'note.archived',
+  'note.color_changed',
+  'note.checklist_updated',
+  'note.collaborator_changed',
+  'note.collaborator_removed',
+  'notes.imported',
+  'notes.reordered',
+  'category.created',
+  'category.updated',
+  'category.deleted',
+  'category.merged',
+  'label.created',
+  'label.updated',
+  'label.deleted',
+  'label.merged',
+  'template.created',
+  'template.updated',
+  'template.deleted',
+  'keyring.updated',
+  'reminder.created',
+  'reminder.updated',
+  'reminder.deleted',
+  'reminder.fired',
+  'notification.created'
+];
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Listeners for every event regardless of recipient, for server-side consumers
+const ALL_EVENTS = Symbol('all events');
+
+let sequence = 0;
+const histories = new Map();
+
+const parseEventId = (eventId) => {
+  const match = /^([0-9a-f]+)-(\d+)$/.exec(String(eventId || ''));
+  return match ? { boot: match[1], sequence: parseInt(match[2]) } : null;
+};
+
+/**
+ * Deliver an event to each user's open streams and remember it for resume
+ * @param {string[]} userIds - Recipients
+ * @param {string} type - One of EVENT_TYPES
+ * @param {object} data - Event payload
+ * @param {object} [options] - { clientId } of the device that made the change, so it can skip its own echo
+ * @returns {object} - The published event
+ */
+const publishEvent = (userIds, type, data, { clientId } = {}) => {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+
+  sequence++;
+  const event = {
+    id: `${BOOT_ID}-${sequence}`,
+    type,
+    data,
+    client_id: clientId || null,
+    created_at: new Date().toISOString()
+  };
+
+  for (const userId of new Set(userIds.filter(Boolean))) {
+    const history = histories.get(userId) || { events: [], droppedThrough: 0 };
+    history.events.push({ sequence, event });
+    if (history.events.length > EVENT_HISTORY_SIZE) {
+      history.droppedThrough = history.events.shift().sequence;
+    }
+    histories.set(userId, history);
+
+    emitter.emit(userId, event);
+  }
+  emitter.emit(ALL_EVENTS, event);
+
+  return event;
+};
+
+/**
+ * Events a user missed after the given event ID
+ * @param {string} userId - Subscriber
+ * @param {string|null} lastEventId - ID of the last event the client saw
+ * @returns {object} - { events, complete } where complete is false if some events can no longer be replayed
+ */
+const getEventsSince = (userId, lastEventId) => {
+  if (!lastEventId) {
+    return { events: [], complete: true };
+  }
+
+  const parsed = parseEventId(lastEventId);
+  if (!parsed || parsed.boot !== BOOT_ID || parsed.sequence > sequence) {
+    return { events: [], complete: false };
+  }
+
+  const history = histories.get(userId) || { events: [], droppedThrough: 0 };
+  return {
+    events: history.events.filter(entry => entry.sequence > parsed.sequence).map(entry => entry.event),
+    complete: parsed.sequence >= history.droppedThrough
+  };
+};
+
+/**
+ * Listen for a user's events
+ * @param {string} userId - Subscriber
+ * @param {Function} listener - Called with each event
+ * @returns {Function} - Unsubscribe
+ */
+const subscribe = (userId, listener) => {
+  emitter.on(userId, listener);
+  return () => emitter.off(userId, listener);
+};
+
+/**
+ * Listen for every published event, whoever it was sent to
+ * @param {Function} listener - Called with each event
+ * @returns {Function} - Unsubscribe
+ */
+const subscribeAll = (listener) => {
+  emitter.on(ALL_EVENTS, listener);
+  return () => emitter.off(ALL_EVENTS, listener);
+};
+
+/**
+ * The ID a new stream should report as its starting point
+ * @returns {string} - Latest event ID
+ */
+const getCurrentEventId = () => `${BOOT_ID}-${sequence}`;
+
+// Compact note payload; clients fetch GET /api/notes/:id when they need the full text
+const summarizeNote = (note) => ({
+  id: note.id,
+  user_id: note.user_id,
+  title: note.title,
+  category_id: note.category_id ?? null,
+  is_draft: note.is_draft,
+  is_public: note.is_public,
+  is_encrypted: note.is_encrypted,
+  is_pinned: note.is_pinned ?? false,
+  is_archived: note.is_archived ?? false,
+  color: note.color ?? null,
+  updated_at: note.updated_at,
+  last_autosave: note.last_autosave,
+  deleted_at: note.deleted_at ?? null
+});
+
+/**
+ * Publish a note event to its owner and everyone it is shared with; errors are logged, not thrown
+ * @param {string} type - One of the note.* event types
+ * @param {object} note - Note row (at least id and user_id)
+ * @param {object} req - Request that made the change, for the X-Client-Id header
+ * @param {object} [extra] - Additional payload fields
+ */
+const publishNoteEvent = async (type, note, req, extra = {}) => {
+  try {
+    const { data: collaborators, error } = await supabase
+      .from('note_collaborators')
+      .select('user_id')
+      .eq('post_id', note.id);
+
+    if (error) throw error;
+
+    publishEvent(
+      [note.user_id, ...(collaborators || []).map(collaborator => collaborator.user_id)],
+      type,
+      { note: summarizeNote(note), ...extra },
+      { clientId: req?.get('X-Client-Id') }
+    );
+  } catch (error) {
+    console.error(`Error publishing ${type} event:`, error);
+  }
+};
+
+/**
+ * Publish an event to the acting user's own devices; errors are logged, not thrown
+ * @param {object} req - Authenticated request
+ * @param {string} type - Event type
+ * @param {object} data - Event payload
+ */
+const publishUserEvent = (req, type, data) => {
+  try {
+    publishEvent([req.user.id], type, data, { clientId: req.get('X-Client-Id') });
+  } catch (error) {
+    console.error(`Error publishing ${type} event:`, error);
+  }
+};
+
+module.exports = {
+  EVENT_TYPES,
+  publishEvent,
+  publishNoteEvent,
+  publishUserEvent,
+  getEventsSince,
+  getCurrentEventId,
+  subscribe,
+  subscribeAll
+};
@@ -0,0 +1,271 @@
+const archiver = require('archiver');
+const { supabase } = require('./supabase');
+const { getUserCategories, buildCategoryTree } = require('./category-tree');
+
+// Bump when the archive layout or manifest shape changes so importers can tell versions apart
+const EXPORT_FORMAT = 'notes-export';
+const EXPORT_FORMAT_VERSION = 1;
+
+const NOTES_DIR = 'notes';
+const MAX_FILENAME_LENGTH = 80;
+
+/**
+ * Turn a title or category name into a file name that is safe on every common filesystem
+ * @param {string} name - Original name
+ * @param {string} fallback - Used when nothing printable is left
+ * @returns {string} - Sanitized name without extension
+ */
+const toFileName = (name, fallback) => {
+  const cleaned = String(name || '')
+    .replace(/[\u0000-\u001F\u007F/\\:*?"<>|]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+|\.+$/g, '')
+    .slice(0, MAX_FILENAME_LENGTH)
+    .trim();
+
+  // Windows refuses these names regardless of extension
+  if (!cleaned || /^(con|prn|aux|nul|com\d|lpt\d)$/i.test(cleaned)) {
+    return fallback;
+  }
+  return cleaned;
+};
+
+// Append " (2)", " (3)", ... until the name is free; comparison is case-insensitive for macOS/Windows
+const claimName = (taken, base, extension = '') => {
+  let candidate = `${base}${extension}`;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${base} (${n})${extension}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/**
+ * Assign every category a folder path mirroring the category tree
+ * @param {Array} categories - Category rows with parent_id
+ * @returns {Map} - Category ID to folder path relative to the notes directory
+ */
+const buildCategoryPaths = (categories) => {
+  const paths = new Map();
+  const takenByFolder = new Map();
+
+  const visit = (nodes, parentPath) => {
+    const taken = takenByFolder.get(parentPath) || new Set();
+    takenByFolder.set(parentPath, taken);
+
+    for (const node of nodes) {
+      if (paths.has(node.id)) continue;
+      const folder = claimName(taken, toFileName(node.name, `Category ${node.id}`));
+      const path = parentPath ? `${parentPath}/${folder}` : folder;
+      paths.set(node.id, path);
+      visit(node.children, path);
+    }
+  };
+
+  const tree = buildCategoryTree(categories);
+  visit(tree, '');
+
+  // Categories caught in a parent cycle never appear under a root; export them at the top level
+  const orphans = buildCategoryTree(categories.filter(category => !paths.has(category.id))
+    .map(category => ({ ...category, parent_id: null })));
+  visit(orphans, '');
+
+  return paths;
+};
+
+// YAML scalar; JSON strings are valid double-quoted YAML
+const yamlValue = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return `[${value.map(yamlValue).join(', ')}]`;
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  return JSON.stringify(String(value));
+};
+
+/**
+ * Render a note as Markdown with YAML front-matter; encrypted notes get an empty body
+ * @param {object} note - Post row
+ * @param {object} meta - { category, labels, ciphertext } category path, label names and ciphertext file name
+ * @returns {string} - Markdown document
+ */
+const buildNoteMarkdown = (note, { category, labels, ciphertext }) => {
+  const frontMatter = {
+    id: note.id,
+    title: note.title || '',
+    category: category || null,
+    labels,
+    draft: !!note.is_draft,
+    public: !!note.is_public,
+    encrypted: !!note.is_encrypted,
+    ...(ciphertext ? { ciphertext } : {}),
+    created_at: note.created_at,
+    updated_at: note.updated_at,
+    is_updated: !!note.is_updated
+  };
+
+  const header = Object.entries(frontMatter)
+    .map(([key, value]) => `${key}: ${yamlValue(value)}`)
+    .join('\n');
+
+  return `---\n${header}\n---\n\n${note.content || ''}${note.content && !note.content.endsWith('\n') ? '\n' : ''}`;
+};
+
+// PostgREST answers with at most max-rows rows (1000 by default), so big tables are read a page at a time
+const EXPORT_PAGE_SIZE = 500;
+
+// Every row of a query, reading pages until a short one comes back; the query must have a total order
+const fetchAllRows = async (buildQuery) => {
+  const rows = [];
+  for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + EXPORT_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < EXPORT_PAGE_SIZE) {
+      return rows;
+    }
+  }
+};
+
+/**
+ * Load everything that goes into an account export
+ * @param {string} userId - Account owner
+ * @returns {object} - { user, categories, labels, notes } with label IDs attached to each note
+ */
+const collectExportData = async (userId) => {
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('id, email, name')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (userError) throw userError;
+
+  const categories = await getUserCategories(userId);
+
+  const labels = await fetchAllRows(() => supabase
+    .from('labels')
+    .select('*')
+    .eq('user_id', userId)
+    .order('name')
+    .order('id'));
+
+  const notes = await fetchAllRows(() => supabase
+    .from('posts')
+    .select('*, post_labels(label_id)')
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .order('created_at')
+    .order('id'));
+
+  return {
+    user: user || { id: userId },
+    categories,
+    labels,
+    notes: notes.map(({ post_labels, ...note }) => ({
+      ...note,
+      label_ids: post_labels?.map(pl => pl.label_id) || []
+    }))
+  };
+};
+
+/**
+ * Stream an export as a zip archive:
+ *   manifest.json                      machine-readable index, format version and all metadata
+ *   notes/<Category>/<Sub>/<Title>.md  one Markdown file per note with front-matter
+ *   notes/<Category>/<Title>.enc       ciphertext of encrypted notes, exactly as stored
+ * @param {object} data - Result of collectExportData
+ * @param {Stream} output - Writable stream, e.g. the HTTP response
+ * @returns {Promise} - Resolves once the archive is finalized, rejects if building it fails
+ */
+const writeExportArchive = async (data, output) => {
+  const { user, categories, labels, notes } = data;
+  const archive = archiver('zip', { zlib: { level: 6 } });
+
+  // Everything goes into the archive from memory, so even a warning means an entry is missing or broken
+  const failed = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    archive.on('warning', reject);
+  });
+  archive.pipe(output);
+
+  const categoryPaths = buildCategoryPaths(categories);
+  const labelsById = new Map(labels.map(label => [label.id, label]));
+  const takenByFolder = new Map();
+
+  const manifestNotes = notes.map(note => {
+    const category = note.category_id !== null && categoryPaths.has(note.category_id)
+      ? categoryPaths.get(note.category_id)
+      : null;
+    const folder = category ? `${NOTES_DIR}/${category}` : NOTES_DIR;
+    const taken = takenByFolder.get(folder) || new Set();
+    takenByFolder.set(folder, taken);
+
+    const labelNames = note.label_ids
+      .map(id => labelsById.get(id)?.name)
+      .filter(Boolean);
+
+    const baseName = claimName(taken, toFileName(note.title, `Untitled ${note.id}`));
+    const file = `${folder}/${baseName}.md`;
+    const ciphertextFile = note.is_encrypted ? `${folder}/${baseName}.enc` : null;
+    const date = new Date(note.updated_at || note.created_at);
+
+    archive.append(buildNoteMarkdown(note, {
+      category,
+      labels: labelNames,
+      ciphertext: ciphertextFile && `${baseName}.enc`
+    }), { name: file, date });
+
+    if (ciphertextFile) {
+      archive.append(note.encrypted_content || '', { name: ciphertextFile, date });
+    }
+
+    return {
+      id: note.id,
+      file,
+      ciphertext_file: ciphertextFile,
+      title: note.title || '',
+      category_id: note.category_id ?? null,
+      label_ids: note.label_ids,
+      is_draft: !!note.is_draft,
+      is_public: !!note.is_public,
+      is_encrypted: !!note.is_encrypted,
+      encryption_key_version: note.encryption_key_version ?? null,
+      is_updated: !!note.is_updated,
+      created_at: note.created_at,
+      updated_at: note.updated_at
+    };
+  });
+
+  const manifest = {
+    format: EXPORT_FORMAT,
+    format_version: EXPORT_FORMAT_VERSION,
+    exported_at: new Date().toISOString(),
+    user: { id: user.id, email: user.email || null, name: user.name || null },
+    categories: categories.map(category => ({
+      id: category.id,
+      name: category.name,
+      color: category.color ?? null,
+      icon: category.icon ?? null,
+      parent_id: category.parent_id ?? null,
+      path: categoryPaths.get(category.id)
+    })),
+    labels: labels.map(label => ({
+      id: label.id,
+      name: label.name,
+      color: label.color ?? null
+    })),
+    notes: manifestNotes
+  };
+
+  archive.append(`${JSON.stringify(manifest, null, 2)}\n`, { name: 'manifest.json' });
+
+  await Promise.race([archive.finalize(), failed]);
+};
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_FORMAT_VERSION,
+  collectExportData,
+  writeExportArchive
+};
@@ -0,0 +1,105 @@
+const { escapeHtml } = require('./search');
+const { renderNoteContent, getExcerpt } = require('./note-render');
+
+// XML 1.0 forbids most control characters, even when escaped
+const stripInvalidXml = (value) => String(value ?? '').replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '');
+
+const xmlText = (value) => escapeHtml(stripInvalidXml(value));
+
+// CDATA sections can't contain "]]>", so split it across two sections
+const cdata = (value) => `<![CDATA[${stripInvalidXml(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const noteUpdatedAt = (note) => new Date(note.updated_at || note.created_at);
+
+/**
+ * Build an RSS 2.0 feed of an author's published notes
+ * @param {object} profile - Public profile from findPublicProfile
+ * @param {Array} notes - Notes from getPublishedNotes, newest first
+ * @param {object} urls - { page, feed, note(note) } absolute URLs
+ * @returns {string} - RSS XML document
+ */
+const buildRssFeed = (profile, notes, urls) => {
+  const items = notes.map(note => {
+    const link = urls.note(note);
+    const categories = [
+      note.category ? note.category.name : null,
+      ...note.labels.map(label => label.name)
+    ].filter(Boolean);
+
+    return `<item>
+<title>${xmlText(note.title || 'Untitled')}</title>
+<link>${xmlText(link)}</link>
+<guid isPermaLink="true">${xmlText(link)}</guid>
+<pubDate>${new Date(note.created_at).toUTCString()}</pubDate>
+${categories.map(name => `<category>${xmlText(name)}</category>`).join('\n')}
+<description>${xmlText(getExcerpt(note.content))}</description>
+<content:encoded>${cdata(renderNoteContent(note.content, { attachmentUrl: id => `${link}/attachments/${id}` }))}</content:encoded>
+</item>`;
+  });
+
+  const lastBuild = notes.length > 0 ? noteUpdatedAt(notes[0]) : new Date();
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+<channel>
+<title>${xmlText(profile.display_name)}</title>
+<link>${xmlText(urls.page)}</link>
+<description>${xmlText(profile.bio || `Notes by ${profile.display_name}`)}</description>
+<atom:link href="${xmlText(urls.feed)}" rel="self" type="application/rss+xml"/>
+<lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>
+${items.join('\n')}
+</channel>
+</rss>
+`;
+};
+
+/**
+ * Build an Atom 1.0 feed of an author's published notes
+ * @param {object} profile - Public profile from findPublicProfile
+ * @param {Array} notes - Notes from getPublishedNotes, newest first
+ * @param {object} urls - { page, feed, note(note) } absolute URLs
+ * @returns {string} - Atom XML document
+ */
+const buildAtomFeed = (profile, notes, urls) => {
+  const entries = notes.map(note => {
+    const link = urls.note(note);
+    const categories = [
+      note.category ? note.category.name : null,
+      ...note.labels.map(label => label.name)
+    ].filter(Boolean);
+
+    return `<entry>
+<title>${xmlText(note.title || 'Untitled')}</title>
+<link rel="alternate" type="text/html" href="${xmlText(link)}"/>
+<id>${xmlText(link)}</id>
+<published>${new Date(note.created_at).toISOString()}</published>
+<updated>${noteUpdatedAt(note).toISOString()}</updated>
+${categories.map(name => `<category term="${xmlText(name)}"/>`).join('\n')}
+<summary>${xmlText(getExcerpt(note.content))}</summary>
+<content type="html">${xmlText(renderNoteContent(note.content, { attachmentUrl: id => `${link}/attachments/${id}` }))}</content>
+</entry>`;
+  });
+
+  // Atom requires <updated> even for an empty feed
+  const updated = notes.length > 0
+    ? new Date(Math.max(...notes.map(note => noteUpdatedAt(note).getTime())))
+    : new Date();
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+<title>${xmlText(profile.display_name)}</title>
+${profile.bio ? `<subtitle>${xmlText(profile.bio)}</subtitle>` : ''}
+<link rel="alternate" type="text/html" href="${xmlText(urls.page)}"/>
+<link rel="self" type="application/atom+xml" href="${xmlText(urls.feed)}"/>
+<id>${xmlText(urls.page)}</id>
+<updated>${updated.toISOString()}</updated>
+<author><name>${xmlText(profile.display_name)}</name><uri>${xmlText(urls.page)}</uri></author>
+${entries.join('\n')}
+</feed>
+`;
+};
+
+module.exports = {
+  buildRssFeed,
+  buildAtomFeed
+};
@@ -0,0 +1,341 @@
+const path = require('path');
+const { supabase } = require('./supabase');
+const { getUserCategories } = require('./category-tree');
+const { findNameConflict } = require('./taxonomy');
+const { recordRevisionSafely } = require('./revisions');
+const { WorkerTimeoutError, runWorker } = require('./run-worker');
+const { publishEvent } = require('./events');
+
+const MAX_NAME_LENGTH = 100;
+const PROGRESS_INTERVAL = 10;
+// Skip reasons are kept for the status endpoint, but a broken archive shouldn't produce an unbounded row
+const MAX_REPORTED_ITEMS = 1000;
+// A parse that runs longer than this is given up on, so one upload can't hold the queue forever
+const PARSE_TIMEOUT_MS = (parseInt(process.env.IMPORT_PARSE_TIMEOUT_SECONDS) || 120) * 1000;
+// Heap for the parse worker: room for a fully unzipped archive and the notes read from it, but no more
+const PARSE_MEMORY_MB = parseInt(process.env.IMPORT_PARSE_MEMORY_MB) || 768;
+// Every waiting job holds its upload in memory, so only this many may be queued or running at once
+const MAX_PENDING_IMPORTS = parseInt(process.env.IMPORT_MAX_PENDING) || 10;
+const MAX_PENDING_IMPORTS_PER_USER = parseInt(process.env.IMPORT_MAX_PENDING_PER_USER) || 2;
+
+/**
+ * The import queue is full, overall or for this user; answered with 429
+ */
+class ImportQueueFullError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportQueueFullError';
+  }
+}
+
+// Jobs run one at a time, and uploads are parsed in a worker thread so a large import can't starve request handling
+let queue = Promise.resolve();
+// Jobs queued or running, in total and per user ID
+let pendingCount = 0;
+const pendingByUser = new Map();
+
+const releasePending = (userId) => {
+  pendingCount--;
+  const remaining = pendingByUser.get(userId) - 1;
+  if (remaining > 0) {
+    pendingByUser.set(userId, remaining);
+  } else {
+    pendingByUser.delete(userId);
+  }
+};
+
+const capReport = (entries) => (entries.length > MAX_REPORTED_ITEMS
+  ? [...entries.slice(0, MAX_REPORTED_ITEMS), { item: '…', reason: `${entries.length - MAX_REPORTED_ITEMS} more not shown` }]
+  : entries);
+
+const updateJob = async (jobId, updates) => {
+  const { error } = await supabase
+    .from('import_jobs')
+    .update({ ...updates, updated_at: new Date() })
+    .eq('id', jobId);
+
+  if (error) throw error;
+};
+
+/**
+ * Find or create the categories and labels named by imported notes
+ * @param {string} userId - Importing user
+ * @returns {object} - { ensureCategory(path), ensureLabels(names), created }
+ */
+const createTaxonomyResolver = async (userId) => {
+  const categories = await getUserCategories(userId);
+  const { data: labels, error } = await supabase
+    .from('labels')
+    .select('id, name')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  // Category names are unique under each parent and label names per user, so categories are keyed by parent too
+  const categoryKey = (parentId, name) => `${parentId ?? ''}/${name.toLowerCase()}`;
+  const categoryIds = new Map(categories.map(category => [categoryKey(category.parent_id, category.name), category.id]));
+  const labelIds = new Map((labels || []).map(label => [label.name.toLowerCase(), label.id]));
+  const created = { categories: 0, labels: 0 };
+
+  const findOrCreate = async (table, ids, name, row) => {
+    const key = table === 'categories' ? categoryKey(row.parent_id, name) : name.toLowerCase();
+    if (ids.has(key)) {
+      return ids.get(key);
+    }
+
+    const { data, error: insertError } = await supabase
+      .from(table)
+      .insert([{ ...row, name, user_id: userId }])
+      .select('id')
+      .single();
+
+    if (insertError && insertError.code === '23505') {
+      // Created concurrently, e.g. from the app while the import runs
+      const match = await findNameConflict(table, userId, name, null, row.parent_id);
+      if (!match) throw insertError;
+      ids.set(key, match.id);
+      return match.id;
+    }
+    if (insertError) throw insertError;
+
+    created[table]++;
+    ids.set(key, data.id);
+    return data.id;
+  };
+
+  const ensureCategory = async (path) => {
+    let parentId = null;
+    for (const segment of path) {
+      const name = segment.slice(0, MAX_NAME_LENGTH).trim();
+      if (!name) continue;
+      parentId = await findOrCreate('categories', categoryIds, name, {
+        color: '#3B82F6',
+        icon: '📁',
+        parent_id: parentId
+      });
+    }
+    return parentId;
+  };
+
+  const ensureLabels = async (names) => {
+    const unique = [...new Map(names
+      .map(name => name.slice(0, MAX_NAME_LENGTH).trim())
+      .filter(Boolean)
+      .map(name => [name.toLowerCase(), name])).values()];
+
+    const ids = [];
+    for (const name of unique) {
+      ids.push(await findOrCreate('labels', labelIds, name, { color: '#10B981' }));
+    }
+    return ids;
+  };
+
+  return { ensureCategory, ensureLabels, created };
+};
+
+/**
+ * Insert one parsed item as a private note
+ * @param {string} userId - Importing user
+ * @param {object} item - Item from parseImport
+ * @param {object} taxonomy - Resolver from createTaxonomyResolver
+ * @returns {object} - The inserted post row
+ */
+const importItem = async (userId, item, taxonomy) => {
+  const categoryId = await taxonomy.ensureCategory(item.category);
+  const labelIds = await taxonomy.ensureLabels(item.labels);
+
+  const createdAt = item.created_at || new Date().toISOString();
+  const updatedAt = item.updated_at || createdAt;
+
+  const { data: post, error } = await supabase
+    .from('posts')
+    .insert([{
+      title: item.title,
+      content: item.is_encrypted ? null : item.content,
+      encrypted_content: item.is_encrypted ? item.encrypted_content : null,
+      is_encrypted: !!item.is_encrypted,
+      category_id: categoryId,
+      user_id: userId,
+      is_draft: !!item.is_draft,
+      is_public: false,
+      created_at: createdAt,
+      updated_at: updatedAt,
+      is_updated: new Date(updatedAt) > new Date(createdAt),
+      last_autosave: new Date()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  if (labelIds.length > 0) {
+    const { error: labelError } = await supabase
+      .from('post_labels')
+      .insert(labelIds.map(labelId => ({ post_id: post.id, label_id: labelId })));
+
+    if (labelError) throw labelError;
+  }
+
+  await recordRevisionSafely(post, 'create');
+  return post;
+};
+
+/**
+ * Parse an upload and import its notes, recording progress on the job row
+ * @param {object} job - import_jobs row
+ * @param {Buffer} buffer - Uploaded file
+ * @param {object} options - Parser options
+ */
+const runImportJob = async (job, buffer, options) => {
+  await updateJob(job.id, { status: 'running', started_at: new Date() });
+
+  let parsed;
+  try {
+    parsed = await runWorker(path.join(__dirname, 'import-worker.js'), { format: job.format, buffer, options }, {
+      timeoutMs: PARSE_TIMEOUT_MS,
+      resourceLimits: { maxOldGenerationSizeMb: PARSE_MEMORY_MB }
+    });
+  } catch (error) {
+    let message = error.message;
+    if (error instanceof WorkerTimeoutError) {
+      message = `The file took longer than ${PARSE_TIMEOUT_MS / 1000} seconds to read`;
+    } else if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+      message = 'The file is too large to read';
+    }
+    await updateJob(job.id, { status: 'failed', error: message, finished_at: new Date() });
+    return;
+  }
+
+  const { items, warnings } = parsed;
+  const skipped = [...parsed.skipped];
+  const noteIds = [];
+
+  await updateJob(job.id, {
+    total_items: items.length,
+    skipped: capReport(skipped),
+    warnings: capReport(warnings)
+  });
+
+  const taxonomy = await createTaxonomyResolver(job.user_id);
+
+  for (let index = 0; index < items.length; index++) {
+    const item = items[index];
+    try {
+      const post = await importItem(job.user_id, item, taxonomy);
+      noteIds.push(post.id);
+    } catch (error) {
+      skipped.push({ item: item.source, reason: error.message });
+    }
+
+    const processed = index + 1;
+    if (processed % PROGRESS_INTERVAL === 0 && processed < items.length) {
+      await updateJob(job.id, {
+        processed_items: processed,
+        imported_count: noteIds.length,
+        skipped: capReport(skipped)
+      });
+    }
+  }
+
+  await updateJob(job.id, {
+    status: 'completed',
+    processed_items: items.length,
+    imported_count: noteIds.length,
+    created_categories: taxonomy.created.categories,
+    created_labels: taxonomy.created.labels,
+    skipped: capReport(skipped),
+    note_ids: noteIds,
+    finished_at: new Date()
+  });
+
+  if (noteIds.length > 0) {
+    publishEvent([job.user_id], 'notes.imported', { import_id: job.id, note_ids: noteIds });
+  }
+};
+
+/**
+ * Record an import job and queue it to run in the background
+ * @param {string} userId - Importing user
+ * @param {string} format - 'enex', 'keep' or 'markdown'
+ * @param {Buffer} buffer - Uploaded file
+ * @param {object} options - Parser options, e.g. { notebook } for a single ENEX file
+ * @returns {object} - The queued job row
+ * @throws {ImportQueueFullError} - When too many imports are already waiting, overall or for this user
+ */
+const createImportJob = async (userId, format, buffer, options = {}) => {
+  if ((pendingByUser.get(userId) || 0) >= MAX_PENDING_IMPORTS_PER_USER) {
+    throw new ImportQueueFullError(`You already have ${MAX_PENDING_IMPORTS_PER_USER} imports in progress; wait for one to finish`);
+  }
+  if (pendingCount >= MAX_PENDING_IMPORTS) {
+    throw new ImportQueueFullError('Too many imports are in progress; try again in a few minutes');
+  }
+
+  // Claimed before the insert so concurrent uploads can't all slip under the limits
+  pendingCount++;
+  pendingByUser.set(userId, (pendingByUser.get(userId) || 0) + 1);
+
+  const { data: job, error } = await supabase
+    .from('import_jobs')
+    .insert([{
+      user_id: userId,
+      format,
+      file_size: buffer.length
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    releasePending(userId);
+    throw error;
+  }
+
+  queue = queue.then(() => runImportJob(job, buffer, options)).catch(async (runError) => {
+    console.error(`Import job ${job.id} failed:`, runError);
+    try {
+      await updateJob(job.id, { status: 'failed', error: runError.message, finished_at: new Date() });
+    } catch (updateError) {
+      console.error(`Could not mark import job ${job.id} as failed:`, updateError);
+    }
+  }).finally(() => releasePending(userId));
+
+  return job;
+};
+
+/**
+ * Mark jobs left queued or running by a previous process as failed; their uploads were only in memory
+ * @returns {number} - Number of jobs marked failed
+ */
+const failInterruptedImports = async () => {
+  const { data, error } = await supabase
+    .from('import_jobs')
+    .update({
+      status: 'failed',
+      error: 'Interrupted by a server restart; please upload the file again',
+      finished_at: new Date(),
+      updated_at: new Date()
+    })
+    .in('status', ['queued', 'running'])
+    .select('id');
+
+  if (error) throw error;
+  return data?.length || 0;
+};
+
+/**
+ * Shape a job row for API responses
+ * @param {object} job - import_jobs row
+ * @returns {object} - Job with a progress percentage
+ */
+const serializeImportJob = (job) => ({
+  ...job,
+  progress: job.status === 'completed'
+    ? 100
+    : job.total_items > 0 ? Math.floor((job.processed_items / job.total_items) * 100) : 0
+});
+
+module.exports = {
+  ImportQueueFullError,
+  createImportJob,
+  failInterruptedImports,
+  serializeImportJob
+};
@@ -0,0 +1,8 @@
+// Parses an import upload off the main thread; see runImportJob in lib/import-jobs.js
+const { parentPort, workerData } = require('worker_threads');
+const { parseImport } = require('./importers');
+
+const { format, buffer, options } = workerData;
+// Buffers arrive as plain Uint8Arrays
+const upload = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+parentPort.postMessage(parseImport(format, upload, options));
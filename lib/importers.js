@@ -0,0 +1,503 @@
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { XMLParser } = require('fast-xml-parser');
+const TurndownService = require('turndown');
+const YAML = require('yaml');
+const { EXPORT_FORMAT } = require('./export');
+
+const IMPORT_FORMATS = ['enex', 'keep', 'markdown'];
+
+// Guards against zip bombs; the upload itself is capped by the route
+const MAX_ZIP_ENTRIES = parseInt(process.env.IMPORT_MAX_ZIP_ENTRIES) || 10000;
+const MAX_UNZIPPED_BYTES = (parseInt(process.env.IMPORT_MAX_UNZIPPED_MB) || 200) * 1024 * 1024;
+
+const MARKDOWN_EXTENSIONS = /\.(md|markdown|txt)$/i;
+
+/**
+ * Import error that should fail the whole job with a message the user can act on
+ */
+class ImportFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFormatError';
+  }
+}
+
+const isZip = (buffer) => buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+
+const unzippedLimitError = () =>
+  new ImportFormatError(`Archive expands to more than ${Math.round(MAX_UNZIPPED_BYTES / 1024 / 1024)} MB`);
+
+// Inflate an entry, stopping as soon as it goes over what's left of the budget; the sizes an archive
+// declares in its headers can't be trusted
+const inflateEntry = (entry, budget) => {
+  if (entry.header.encrypted) {
+    throw new ImportFormatError(`${entry.entryName} is password protected`);
+  }
+
+  const compressed = entry.getCompressedData();
+  let data;
+  if (entry.header.method === 0) {
+    data = compressed;
+  } else if (entry.header.method === 8) {
+    try {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(budget.remaining, 1) });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') throw unzippedLimitError();
+      throw new ImportFormatError(`Could not unpack ${entry.entryName}: ${error.message}`);
+    }
+  } else {
+    throw new ImportFormatError(`${entry.entryName} uses an unsupported compression method`);
+  }
+
+  budget.remaining -= data.length;
+  if (budget.remaining < 0) {
+    throw unzippedLimitError();
+  }
+  return data;
+};
+
+/**
+ * Open a zip upload and list its file entries, skipping folders and OS metadata
+ * The bytes actually unpacked are counted across the archive, however often entries are read.
+ * @param {Buffer} buffer - Uploaded archive
+ * @returns {Array} - [{ entryName, getData }] like adm-zip entries
+ */
+const readZipEntries = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new ImportFormatError(`Could not read zip archive: ${error.message}`);
+  }
+
+  const entries = zip.getEntries().filter(entry =>
+    !entry.isDirectory &&
+    !entry.entryName.startsWith('__MACOSX/') &&
+    !entry.entryName.split('/').some(part => part.startsWith('.'))
+  );
+
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    throw new ImportFormatError(`Archive has more than ${MAX_ZIP_ENTRIES} files`);
+  }
+  // Cheap early exit for archives that admit to being too big
+  const declaredSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (declaredSize > MAX_UNZIPPED_BYTES) {
+    throw unzippedLimitError();
+  }
+
+  const budget = { remaining: MAX_UNZIPPED_BYTES };
+  return entries.map(entry => ({
+    entryName: entry.entryName,
+    getData: () => inflateEntry(entry, budget)
+  }));
+};
+
+const baseName = (path) => path.split('/').pop();
+const stripExtension = (name) => name.replace(/\.[^.]+$/, '');
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const asList = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+// ENEX timestamps look like 20231005T120000Z
+const parseEnexDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(String(value || '').trim());
+  return match
+    ? toDate(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}Z`)
+    : toDate(value);
+};
+
+const createEnmlConverter = () => {
+  const turndown = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+    bulletListMarker: '-'
+  });
+
+  turndown.addRule('enMedia', {
+    filter: (node) => node.nodeName === 'EN-MEDIA',
+    replacement: () => ''
+  });
+  turndown.addRule('enCrypt', {
+    filter: (node) => node.nodeName === 'EN-CRYPT',
+    replacement: () => '\n\n*[Encrypted Evernote section not imported]*\n\n'
+  });
+
+  return turndown;
+};
+
+/**
+ * Parse one Evernote ENEX document
+ * @param {string} xml - ENEX file contents
+ * @param {string|null} notebook - Category name for every note in the file
+ * @param {string} fileLabel - Name used in skip and warning messages
+ * @returns {object} - { items, skipped, warnings }
+ */
+const parseEnexDocument = (xml, notebook, fileLabel) => {
+  const parser = new XMLParser({
+    ignoreAttributes: true,
+    isArray: (name) => ['note', 'tag', 'resource'].includes(name),
+    processEntities: true,
+    parseTagValue: false,
+    trimValues: false
+  });
+
+  let document;
+  try {
+    document = parser.parse(xml);
+  } catch (error) {
+    throw new ImportFormatError(`${fileLabel} is not valid ENEX: ${error.message}`);
+  }
+  if (!document['en-export']) {
+    throw new ImportFormatError(`${fileLabel} is not an Evernote export (missing <en-export>)`);
+  }
+
+  const turndown = createEnmlConverter();
+  const items = [];
+  const skipped = [];
+  const warnings = [];
+
+  asList(document['en-export'].note).forEach((note, index) => {
+    const title = String(note.title ?? '').trim();
+    const label = `${fileLabel}: ${title || `note ${index + 1}`}`;
+
+    let content = '';
+    try {
+      // ENML is an XHTML document wrapped in <en-note>; turndown only needs the body
+      const enml = String(note.content ?? '')
+        .replace(/<\?xml[^>]*\?>/i, '')
+        .replace(/<!DOCTYPE[^>]*>/i, '')
+        .replace(/<\/?en-note[^>]*>/gi, '')
+        // Checkboxes have no text for turndown to keep, so carry them through as marker characters
+        .replace(/<en-todo\b([^>]*?)\s*(?:\/>|>\s*<\/en-todo>)/gi, (match, attributes) =>
+          (/checked\s*=\s*["']true["']/i.test(attributes) ? '\u0001x\u0002' : '\u0001 \u0002'))
+        // The HTML parser would treat self-closing custom tags as open and swallow the text after them
+        .replace(/<(en-media|en-crypt)\b([^>]*?)\s*\/>/gi, '<$1$2></$1>');
+      content = turndown.turndown(enml)
+        // A checkbox at the start of a line becomes a Markdown task list item
+        .replace(/^\u0001(.)\u0002\s*/gm, '- [$1] ')
+        .replace(/\u0001(.)\u0002/g, '[$1]')
+        .trim();
+    } catch (error) {
+      skipped.push({ item: label, reason: `Could not convert note content: ${error.message}` });
+      return;
+    }
+
+    if (!title && !content) {
+      skipped.push({ item: label, reason: 'Empty note' });
+      return;
+    }
+
+    const resources = asList(note.resource).length;
+    if (resources > 0) {
+      warnings.push({ item: label, reason: `${resources} attachment(s) not imported` });
+    }
+    if (/<en-crypt/i.test(String(note.content ?? ''))) {
+      warnings.push({ item: label, reason: 'Encrypted Evernote section left out' });
+    }
+
+    items.push({
+      source: label,
+      title: title || 'Untitled',
+      content,
+      category: notebook ? [notebook] : [],
+      labels: asList(note.tag).map(tag => String(tag).trim()).filter(Boolean),
+      is_draft: false,
+      created_at: parseEnexDate(note.created),
+      updated_at: parseEnexDate(note.updated)
+    });
+  });
+
+  return { items, skipped, warnings };
+};
+
+/**
+ * Parse an ENEX upload: a single .enex file, or a zip with one .enex per notebook
+ * @param {Buffer} buffer - Upload
+ * @param {object} options - { notebook } category for a single-file upload
+ * @returns {object} - { items, skipped, warnings }
+ */
+const parseEnex = (buffer, { notebook } = {}) => {
+  if (!isZip(buffer)) {
+    return parseEnexDocument(buffer.toString('utf8'), notebook || null, 'ENEX file');
+  }
+
+  const result = { items: [], skipped: [], warnings: [] };
+  for (const entry of readZipEntries(buffer)) {
+    if (!/\.enex$/i.test(entry.entryName)) {
+      result.skipped.push({ item: entry.entryName, reason: 'Not an .enex file' });
+      continue;
+    }
+    // Evernote exports one file per notebook, named after it
+    const parsed = parseEnexDocument(
+      entry.getData().toString('utf8'),
+      stripExtension(baseName(entry.entryName)),
+      entry.entryName
+    );
+    result.items.push(...parsed.items);
+    result.skipped.push(...parsed.skipped);
+    result.warnings.push(...parsed.warnings);
+  }
+  return result;
+};
+
+/**
+ * Parse a Google Keep Takeout zip (one JSON file per note)
+ * @param {Buffer} buffer - Upload
+ * @returns {object} - { items, skipped, warnings }
+ */
+const parseKeep = (buffer) => {
+  if (!isZip(buffer)) {
+    throw new ImportFormatError('Google Keep imports must be the Takeout .zip archive');
+  }
+
+  const items = [];
+  const skipped = [];
+  const warnings = [];
+
+  for (const entry of readZipEntries(buffer)) {
+    const name = entry.entryName;
+    if (!/\.json$/i.test(name)) {
+      // Takeout ships an .html twin of every note and the attachment files themselves
+      if (!/\.html$/i.test(name) && !/Labels\.txt$/i.test(name)) {
+        skipped.push({ item: name, reason: 'Attachment or unsupported file' });
+      }
+      continue;
+    }
+
+    // Read outside the try: going over the unzipped size limit fails the whole import, not just this note
+    const text = entry.getData().toString('utf8');
+    let note;
+    try {
+      note = JSON.parse(text);
+    } catch (error) {
+      skipped.push({ item: name, reason: `Invalid JSON: ${error.message}` });
+      continue;
+    }
+
+    const title = String(note.title || '').trim();
+    const label = title ? `${name} (${title})` : name;
+
+    if (note.textContent === undefined && note.listContent === undefined) {
+      skipped.push({ item: name, reason: 'Not a Keep note' });
+      continue;
+    }
+    if (note.isTrashed) {
+      skipped.push({ item: label, reason: 'Note is in the Keep trash' });
+      continue;
+    }
+
+    const content = note.listContent
+      ? note.listContent.map(listItem => `- [${listItem.isChecked ? 'x' : ' '}] ${String(listItem.text || '').trim()}`).join('\n')
+      : String(note.textContent || '').trim();
+
+    if (!title && !content) {
+      skipped.push({ item: label, reason: 'Empty note' });
+      continue;
+    }
+
+    const attachments = asList(note.attachments).length;
+    if (attachments > 0) {
+      warnings.push({ item: label, reason: `${attachments} attachment(s) not imported` });
+    }
+
+    // Keep timestamps are microseconds since the epoch
+    const created = note.createdTimestampUsec ? toDate(Number(note.createdTimestampUsec) / 1000) : null;
+    const updated = note.userEditedTimestampUsec ? toDate(Number(note.userEditedTimestampUsec) / 1000) : null;
+
+    items.push({
+      source: label,
+      title: title || 'Untitled',
+      content,
+      category: [],
+      labels: asList(note.labels).map(keepLabel => String(keepLabel.name || '').trim()).filter(Boolean),
+      is_draft: false,
+      created_at: created,
+      updated_at: updated || created
+    });
+  }
+
+  return { items, skipped, warnings };
+};
+
+/**
+ * Split "---" YAML front-matter from a Markdown document
+ * @param {string} text - File contents
+ * @returns {object} - { data, body } where data is {} when there is no front-matter
+ */
+const parseFrontMatter = (text) => {
+  const match = /^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(text);
+  if (!match) {
+    return { data: {}, body: text.replace(/^\uFEFF/, '') };
+  }
+  const data = YAML.parse(match[1], { schema: 'core' });
+  return {
+    data: data && typeof data === 'object' && !Array.isArray(data) ? data : {},
+    body: text.slice(match[0].length)
+  };
+};
+
+const toNameList = (value) => {
+  if (typeof value === 'string') {
+    return value.split(',').map(name => name.trim()).filter(Boolean);
+  }
+  return asList(value).map(name => String(name).trim()).filter(Boolean);
+};
+
+/**
+ * Parse a zip of Markdown files, including archives produced by the account export
+ * @param {Buffer} buffer - Upload
+ * @returns {object} - { items, skipped, warnings }
+ */
+const parseMarkdownZip = (buffer) => {
+  if (!isZip(buffer)) {
+    throw new ImportFormatError('Markdown imports must be a .zip archive');
+  }
+
+  const entries = readZipEntries(buffer);
+  const byName = new Map(entries.map(entry => [entry.entryName, entry]));
+  const items = [];
+  const skipped = [];
+  const warnings = [];
+
+  // Our own exports carry the real category names in the manifest; folder names are sanitized
+  let categoryNamesByPath = null;
+  const manifestEntry = entries.find(entry => baseName(entry.entryName) === 'manifest.json');
+  if (manifestEntry) {
+    const text = manifestEntry.getData().toString('utf8');
+    try {
+      const manifest = JSON.parse(text);
+      if (manifest.format === EXPORT_FORMAT) {
+        const byId = new Map(manifest.categories.map(category => [category.id, category]));
+        categoryNamesByPath = new Map(manifest.categories.map(category => {
+          const names = [];
+          const seen = new Set();
+          for (let node = category; node && !seen.has(node.id); node = byId.get(node.parent_id)) {
+            seen.add(node.id);
+            names.unshift(node.name);
+          }
+          return [category.path, names];
+        }));
+      }
+    } catch (error) {
+      warnings.push({ item: manifestEntry.entryName, reason: `Ignored unreadable manifest: ${error.message}` });
+    }
+  }
+
+  const markdownEntries = entries.filter(entry => MARKDOWN_EXTENSIONS.test(entry.entryName));
+
+  // A zip of a single folder shouldn't turn that folder into a category
+  const folders = markdownEntries.map(entry => entry.entryName.split('/').slice(0, -1));
+  const commonRoot = folders.length > 0 && folders.every(parts => parts.length > 0 && parts[0] === folders[0][0])
+    ? folders[0][0]
+    : null;
+
+  for (const entry of entries) {
+    const name = entry.entryName;
+    if (!MARKDOWN_EXTENSIONS.test(name)) {
+      if (name !== manifestEntry?.entryName && !/\.enc$/i.test(name)) {
+        skipped.push({ item: name, reason: 'Unsupported file type' });
+      }
+      continue;
+    }
+
+    const text = entry.getData().toString('utf8');
+    let frontMatter;
+    let body;
+    try {
+      ({ data: frontMatter, body } = parseFrontMatter(text));
+    } catch (error) {
+      skipped.push({ item: name, reason: `Invalid front-matter: ${error.message}` });
+      continue;
+    }
+
+    let folder = name.split('/').slice(0, -1);
+    if (commonRoot) folder = folder.slice(1);
+
+    let category = folder;
+    if (frontMatter.category !== undefined) {
+      const path = Array.isArray(frontMatter.category)
+        ? frontMatter.category.map(String)
+        : String(frontMatter.category ?? '').split('/');
+      category = categoryNamesByPath?.get(path.join('/')) || path;
+    }
+    category = category.map(part => part.trim()).filter(Boolean);
+
+    let title = frontMatter.title !== undefined && frontMatter.title !== null ? String(frontMatter.title).trim() : '';
+    let content = body.replace(/^\s*\n/, '').replace(/\s+$/, '');
+    if (!title) {
+      // Use a leading "# Heading" as the title instead of repeating it in the body
+      const heading = /^#[ \t]+(.+?)[ \t#]*(?:\r?\n|$)/.exec(content);
+      if (heading) {
+        title = heading[1].trim();
+        content = content.slice(heading[0].length).replace(/^\s*\n/, '');
+      } else {
+        title = stripExtension(baseName(name));
+      }
+    }
+
+    const item = {
+      source: name,
+      title: title || 'Untitled',
+      content,
+      category,
+      labels: toNameList(frontMatter.labels ?? frontMatter.tags).map(tag => tag.replace(/^#/, '')),
+      is_draft: frontMatter.draft === true,
+      created_at: toDate(frontMatter.created_at ?? frontMatter.created ?? frontMatter.date),
+      updated_at: toDate(frontMatter.updated_at ?? frontMatter.updated ?? frontMatter.modified)
+    };
+
+    if (frontMatter.encrypted === true) {
+      const ciphertextPath = [...name.split('/').slice(0, -1), String(frontMatter.ciphertext || '')].join('/');
+      const ciphertextEntry = frontMatter.ciphertext ? byName.get(ciphertextPath) : null;
+      if (!ciphertextEntry) {
+        skipped.push({ item: name, reason: 'Encrypted note without its ciphertext file' });
+        continue;
+      }
+      item.content = null;
+      item.is_encrypted = true;
+      item.encrypted_content = ciphertextEntry.getData().toString('utf8');
+    } else if (!content && !frontMatter.title) {
+      skipped.push({ item: name, reason: 'Empty note' });
+      continue;
+    }
+
+    items.push(item);
+  }
+
+  return { items, skipped, warnings };
+};
+
+/**
+ * Turn an upload into note items ready to insert
+ * @param {string} format - 'enex', 'keep' or 'markdown'
+ * @param {Buffer} buffer - Uploaded file
+ * @param {object} options - Format-specific options, e.g. { notebook } for ENEX
+ * @returns {object} - { items, skipped, warnings }
+ */
+const parseImport = (format, buffer, options = {}) => {
+  switch (format) {
+    case 'enex':
+      return parseEnex(buffer, options);
+    case 'keep':
+      return parseKeep(buffer);
+    case 'markdown':
+      return parseMarkdownZip(buffer);
+    default:
+      throw new ImportFormatError(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  ImportFormatError,
+  parseImport
+};
@@ -0,0 +1,113 @@
+const { splitLines, diffText } = require('./diff');
+
+/**
+ * Turn a diff into hunks that each replace a range of base lines
+ * @param {string|null} base - Common ancestor text
+ * @param {string|null} edited - One side's text
+ * @returns {Array} - [{ start, end, lines }] with start/end as base line indexes, in order
+ */
+const toHunks = (base, edited) => {
+  const hunks = [];
+  let index = 0;
+  let current = null;
+
+  for (const change of diffText(base, edited).changes) {
+    if (change.type === 'equal') {
+      current = null;
+      index += change.lines.length;
+      continue;
+    }
+    if (!current) {
+      current = { start: index, end: index, lines: [] };
+      hunks.push(current);
+    }
+    if (change.type === 'delete') {
+      index += change.lines.length;
+      current.end = index;
+    } else {
+      current.lines.push(...change.lines);
+    }
+  }
+
+  return hunks;
+};
+
+// Two hunks collide if their base ranges overlap, or both touch the same insertion point
+const overlaps = (a, b) => (a.start < b.end && b.start < a.end) ||
+  (a.start === b.start) ||
+  (a.start === a.end && a.start > b.start && a.start < b.end) ||
+  (b.start === b.end && b.start > a.start && b.start < a.end);
+
+// Apply one side's hunks to base lines [start, end)
+const applyHunks = (baseLines, start, end, hunks) => {
+  const result = [];
+  let index = start;
+  for (const hunk of hunks) {
+    result.push(...baseLines.slice(index, hunk.start), ...hunk.lines);
+    index = hunk.end;
+  }
+  result.push(...baseLines.slice(index, end));
+  return result;
+};
+
+/**
+ * Three-way merge of plain text, line by line
+ * @param {string|null} base - Text both sides started from
+ * @param {string|null} ours - Text being saved
+ * @param {string|null} theirs - Text currently on the server
+ * @param {object} [options] - { favor: 'ours' } resolves conflicting regions with our lines instead of markers
+ * @returns {object} - { text, conflicts } where conflicting regions are wrapped in <<<<<<< / ======= / >>>>>>> markers
+ */
+const mergeText = (base, ours, theirs, { favor = null } = {}) => {
+  const baseLines = splitLines(base);
+  const hunks = [
+    ...toHunks(base, ours).map(hunk => ({ ...hunk, side: 'ours' })),
+    ...toHunks(base, theirs).map(hunk => ({ ...hunk, side: 'theirs' }))
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const output = [];
+  let conflicts = 0;
+  let index = 0;
+
+  for (let i = 0; i < hunks.length;) {
+    // Grow a group until no remaining hunk collides with it
+    const group = [hunks[i]];
+    let start = hunks[i].start;
+    let end = hunks[i].end;
+    i++;
+    while (i < hunks.length && group.some(hunk => overlaps(hunk, hunks[i]))) {
+      start = Math.min(start, hunks[i].start);
+      end = Math.max(end, hunks[i].end);
+      group.push(hunks[i]);
+      i++;
+    }
+
+    output.push(...baseLines.slice(index, start));
+    index = end;
+
+    const ourHunks = group.filter(hunk => hunk.side === 'ours');
+    const theirHunks = group.filter(hunk => hunk.side === 'theirs');
+    const ourLines = applyHunks(baseLines, start, end, ourHunks);
+    const theirLines = applyHunks(baseLines, start, end, theirHunks);
+
+    if (theirHunks.length === 0 || ourLines.join('\n') === theirLines.join('\n')) {
+      output.push(...ourLines);
+    } else if (ourHunks.length === 0) {
+      output.push(...theirLines);
+    } else if (favor === 'ours') {
+      conflicts++;
+      output.push(...ourLines);
+    } else {
+      conflicts++;
+      output.push('<<<<<<< yours', ...ourLines, '=======', ...theirLines, '>>>>>>> server');
+    }
+  }
+
+  output.push(...baseLines.slice(index));
+
+  return { text: output.join('\n'), conflicts };
+};
+
+module.exports = {
+  mergeText
+};
@@ -0,0 +1,64 @@
+const { supabase } = require('./supabase');
+
+// Each role can do everything the roles before it can
+const ROLE_RANK = {
+  viewer: 1,
+  commenter: 2,
+  editor: 3,
+  owner: 4
+};
+
+const COLLABORATOR_ROLES = ['viewer', 'commenter', 'editor'];
+
+/**
+ * Work out what the user may do with a note
+ * @param {number|string} noteId - Note ID
+ * @param {string} userId - Requesting user
+ * @returns {object} - { note, role } where role is 'owner', a collaborator role, or null
+ *   (note is null when the user has no access or the note doesn't exist)
+ */
+const getNoteAccess = async (noteId, userId) => {
+  const { data: note, error } = await supabase
+    .from('posts')
+    .select('*')
+    .eq('id', noteId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!note) {
+    return { note: null, role: null };
+  }
+
+  if (note.user_id === userId) {
+    return { note, role: 'owner' };
+  }
+
+  const { data: share, error: shareError } = await supabase
+    .from('note_collaborators')
+    .select('role')
+    .eq('post_id', noteId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (shareError) throw shareError;
+  if (!share) {
+    return { note: null, role: null };
+  }
+
+  return { note, role: share.role };
+};
+
+/**
+ * Check whether a role grants at least the required level of access
+ * @param {string|null} role - Role from getNoteAccess
+ * @param {string} required - Minimum role needed
+ * @returns {boolean}
+ */
+const hasRole = (role, required) => !!role && ROLE_RANK[role] >= ROLE_RANK[required];
+
+module.exports = {
+  COLLABORATOR_ROLES,
+  getNoteAccess,
+  hasRole
+};
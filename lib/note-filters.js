@@ -0,0 +1,248 @@
+const { supabase } = require('./supabase');
+const { parseSearchQuery, SearchQueryError } = require('./search-query');
+const { MAX_SEARCH_RESULTS, termsToTsQuery, resolveSearchFilters, applySearchFilters } = require('./search');
+const { getUserCategories, getDescendantIds } = require('./category-tree');
+
+/**
+ * Note list filter rejected as invalid; the message is meant for a 400 response
+ */
+class NoteFilterError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'NoteFilterError';
+    this.details = details;
+  }
+}
+
+/**
+ * Validate the filters of a notes list, as taken by GET /api/notes
+ * @param {object} params - { category, include_subcategories, labels, labels_match, search, drafts, visibility, archived }
+ *   with query-string values ("true", "1,2", ...)
+ * @returns {object} - Parsed filters for resolveNoteFilters
+ */
+const parseNoteFilters = (params) => {
+  const {
+    category,
+    include_subcategories,
+    labels,
+    labels_match = 'any',
+    search,
+    drafts,
+    visibility,
+    archived
+  } = params;
+
+  if (archived !== undefined && !['true', 'false', 'all'].includes(archived)) {
+    throw new NoteFilterError('archived must be "true", "false" or "all"');
+  }
+
+  // Label filter: ?labels=1,2 matches any of them, add labels_match=all to require every one
+  const labelIds = labels
+    ? String(labels).split(',').map(id => parseInt(id)).filter(id => !isNaN(id))
+    : [];
+  if (!['any', 'all'].includes(labels_match)) {
+    throw new NoteFilterError('labels_match must be "any" or "all"');
+  }
+
+  // Parse the search query language (see lib/search-query.js)
+  let parsedSearch = null;
+  if (search) {
+    try {
+      parsedSearch = parseSearchQuery(String(search));
+    } catch (error) {
+      if (error instanceof SearchQueryError) {
+        throw new NoteFilterError(`Invalid search query: ${error.message}`, { position: error.position });
+      }
+      throw error;
+    }
+  }
+
+  return {
+    category: category || null,
+    includeSubcategories: include_subcategories === 'true' || include_subcategories === true,
+    labelIds,
+    labelsMatch: labels_match,
+    parsedSearch,
+    tsQuery: parsedSearch ? termsToTsQuery(parsedSearch.text) : null,
+    drafts: drafts === undefined ? undefined : String(drafts),
+    visibility,
+    archived
+  };
+};
+
+/**
+ * Look up the categories and names the filters refer to
+ * @param {string} userId - Owner of the notes
+ * @param {object} filters - Result of parseNoteFilters
+ * @returns {object} - The filters plus categoryIds and searchFilters; searchFilters.matchesNothing is set
+ *   when a label: or category: term names something the user doesn't have
+ */
+const resolveNoteFilters = async (userId, filters) => {
+  const searchFilters = filters.parsedSearch ? await resolveSearchFilters(userId, filters.parsedSearch) : null;
+
+  // include_subcategories widens the category filter to the whole notebook subtree
+  let categoryIds = filters.category ? [filters.category] : [];
+  if (filters.category && filters.includeSubcategories) {
+    const categories = await getUserCategories(userId);
+    categoryIds = [filters.category, ...getDescendantIds(categories, filters.category)];
+  }
+
+  return { ...filters, categoryIds, searchFilters };
+};
+
+/**
+ * Apply resolved filters to a query on posts
+ * @param {object} builder - Supabase query on posts
+ * @param {string} userId - Owner of the notes
+ * @param {object} filters - Result of resolveNoteFilters
+ * @returns {object} - The filtered builder
+ */
+const applyNoteFilters = (builder, userId, filters) => {
+  const { drafts, visibility, archived, parsedSearch, categoryIds, labelIds, labelsMatch, searchFilters } = filters;
+
+  let filtered = builder
+    .eq('user_id', userId)
+    .is('deleted_at', null);
+
+  // Filter by draft status
+  if (drafts === 'true') {
+    filtered = filtered.eq('is_draft', true);
+  } else if (drafts === 'false') {
+    filtered = filtered.eq('is_draft', false);
+  }
+
+  // Filter by visibility
+  if (visibility === 'public') {
+    filtered = filtered.eq('is_public', true);
+  } else if (visibility === 'private') {
+    filtered = filtered.eq('is_public', false);
+  }
+
+  // Archived notes are hidden unless asked for (archived=true or all), but searches still find them
+  if (archived === 'true') {
+    filtered = filtered.eq('is_archived', true);
+  } else if (archived === 'false' || (archived === undefined && !parsedSearch)) {
+    filtered = filtered.eq('is_archived', false);
+  }
+
+  // Filter by category if provided
+  if (categoryIds.length === 1) {
+    filtered = filtered.eq('category_id', categoryIds[0]);
+  } else if (categoryIds.length > 1) {
+    filtered = filtered.in('category_id', categoryIds);
+  }
+
+  // Filter by labels through the label_ids computed field (migrations/004)
+  if (labelIds.length > 0) {
+    filtered = labelsMatch === 'all'
+      ? filtered.contains('label_ids', labelIds)
+      : filtered.overlaps('label_ids', labelIds);
+  }
+
+  // Operators from the search query (label:, is:, updated:, ...)
+  if (searchFilters) {
+    filtered = applySearchFilters(filtered, searchFilters);
+  }
+
+  return filtered;
+};
+
+/**
+ * Resolved filters in the shape search_notes_filtered takes (migrations/023), mirroring applyNoteFilters
+ * @param {object} filters - Result of resolveNoteFilters
+ * @returns {object} - { flags, dates, category_sets, category_exclude, label_sets, label_exclude }
+ */
+const toSearchFilterParams = (filters) => {
+  const { drafts, visibility, archived, parsedSearch, categoryIds, labelIds, labelsMatch, searchFilters } = filters;
+  const flags = [];
+
+  if (drafts === 'true' || drafts === 'false') {
+    flags.push({ field: 'is_draft', value: drafts === 'true' });
+  }
+  if (visibility === 'public' || visibility === 'private') {
+    flags.push({ field: 'is_public', value: visibility === 'public' });
+  }
+  if (archived === 'true') {
+    flags.push({ field: 'is_archived', value: true });
+  } else if (archived === 'false' || (archived === undefined && !parsedSearch)) {
+    flags.push({ field: 'is_archived', value: false });
+  }
+
+  const categorySets = categoryIds.length > 0 ? [categoryIds] : [];
+  const labelSets = labelIds.length === 0 ? [] : labelsMatch === 'all' ? labelIds.map(id => [id]) : [labelIds];
+
+  if (searchFilters) {
+    flags.push(...Object.entries(searchFilters.flags).map(([field, value]) => ({ field, value })));
+    const searchCategoryIds = searchFilters.categories.include.flat();
+    if (searchCategoryIds.length > 0) {
+      categorySets.push(searchCategoryIds);
+    }
+    labelSets.push(...searchFilters.labels.include);
+  }
+
+  return {
+    flags,
+    dates: searchFilters ? searchFilters.dates.map(range => ({ field: range.field, gte: range.gte, lt: range.lt })) : [],
+    category_sets: categorySets,
+    category_exclude: searchFilters ? searchFilters.categories.exclude : [],
+    label_sets: labelSets,
+    label_exclude: searchFilters ? searchFilters.labels.exclude : []
+  };
+};
+
+/**
+ * Rank the notes matching resolved filters that include a text search
+ * @param {string} userId - Owner of the notes
+ * @param {object} filters - Result of resolveNoteFilters, with a tsQuery
+ * @param {number} [limit] - Maximum ranked notes to return; the cap is taken after filtering
+ * @returns {object} - { ranks: Map of note ID to rank, best match first, totalCount: every matching note }
+ */
+const rankFilteredNotes = async (userId, filters, limit = MAX_SEARCH_RESULTS) => {
+  const { data, error } = await supabase.rpc('search_notes_filtered', {
+    p_user_id: userId,
+    p_query: filters.tsQuery,
+    p_filters: toSearchFilterParams(filters),
+    p_limit: limit
+  });
+
+  if (error) throw error;
+  return {
+    ranks: new Map((data || []).map(row => [row.post_id, row.rank])),
+    totalCount: data && data.length > 0 ? Number(data[0].total_count) : 0
+  };
+};
+
+/**
+ * IDs of every note matching resolved filters, most relevant first for text searches and newest first otherwise
+ * @param {string} userId - Owner of the notes
+ * @param {object} filters - Result of resolveNoteFilters
+ * @param {number} limit - Maximum IDs to return
+ * @returns {number[]}
+ */
+const findMatchingNoteIds = async (userId, filters, limit) => {
+  if (filters.searchFilters?.matchesNothing) {
+    return [];
+  }
+
+  if (filters.tsQuery) {
+    const { ranks } = await rankFilteredNotes(userId, filters, limit);
+    return [...ranks.keys()];
+  }
+
+  const { data, error } = await applyNoteFilters(supabase.from('posts').select('id'), userId, filters)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data.map(row => row.id);
+};
+
+module.exports = {
+  NoteFilterError,
+  parseNoteFilters,
+  resolveNoteFilters,
+  applyNoteFilters,
+  rankFilteredNotes,
+  findMatchingNoteIds
+};
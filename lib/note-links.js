@@ -0,0 +1,286 @@
+const { supabase } = require('./supabase');
+const { recordRevisionSafely } = require('./revisions');
+const { getNoteAccess, hasRole } = require('./note-access');
+const { publishNoteEvent } = require('./events');
+
+// Same syntax the posts_note_links trigger parses (migrations/016): [[Title]], [[Title|shown text]], [[#123]]
+const WIKI_LINK_PATTERN = /\[\[([^[\]|\n]{1,200})(\|[^[\]\n]*)?\]\]/g;
+// Titles this short match too many words to be worth reporting as mentions
+const MIN_MENTION_LENGTH = 3;
+const MAX_MENTION_CANDIDATES = 200;
+const SNIPPET_CONTEXT = 60;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sameTitle = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Check that a note can be linked to by its title
+ * @param {string} title - Note title
+ * @returns {boolean}
+ */
+const isLinkableTitle = (title) => typeof title === 'string' && !!title.trim() &&
+  title.trim().length <= 200 && !/[[\]|\n]/.test(title);
+
+// The owner's notes are only listed to a collaborator if they are shared with them too
+const filterVisibleSources = async (note, userId, sourceIds) => {
+  if (note.user_id === userId || sourceIds.length === 0) {
+    return new Set(sourceIds);
+  }
+
+  const { data, error } = await supabase
+    .from('note_collaborators')
+    .select('post_id')
+    .eq('user_id', userId)
+    .in('post_id', sourceIds);
+
+  if (error) throw error;
+  return new Set((data || []).map(row => row.post_id));
+};
+
+/**
+ * Notes that link to a note
+ * @param {object} note - Target note row
+ * @param {string} userId - Requesting user; notes they can't open are left out
+ * @returns {Array} - [{ id, title, updated_at, written_as, stale }] where written_as is the title used in the link
+ *   (null for [[#id]] links) and stale is true when it no longer matches the note's title
+ */
+const getBacklinks = async (note, userId) => {
+  const { data, error } = await supabase
+    .from('note_links')
+    .select('target_title, source:posts!note_links_source_id_fkey(id, title, updated_at, deleted_at)')
+    .eq('target_id', note.id);
+
+  if (error) throw error;
+
+  const links = (data || []).filter(link => link.source && !link.source.deleted_at);
+  const visible = await filterVisibleSources(note, userId, [...new Set(links.map(link => link.source.id))]);
+
+  return links
+    .filter(link => visible.has(link.source.id))
+    .map(link => ({
+      id: link.source.id,
+      title: link.source.title,
+      updated_at: link.source.updated_at,
+      written_as: link.target_title,
+      stale: link.target_title !== null && !sameTitle(link.target_title, note.title)
+    }))
+    .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+};
+
+/**
+ * Links a note makes to other notes
+ * @param {object} note - Source note row
+ * @returns {object} - { resolved: [{ id, title, written_as }], unresolved: [titles with no note yet] }
+ */
+const getOutgoingLinks = async (note) => {
+  const { data, error } = await supabase
+    .from('note_links')
+    .select('target_title, target:posts!note_links_target_id_fkey(id, title, deleted_at)')
+    .eq('source_id', note.id);
+
+  if (error) throw error;
+
+  const links = data || [];
+  return {
+    resolved: links
+      .filter(link => link.target && !link.target.deleted_at)
+      .map(link => ({ id: link.target.id, title: link.target.title, written_as: link.target_title })),
+    unresolved: links
+      .filter(link => !link.target && link.target_title)
+      .map(link => link.target_title)
+  };
+};
+
+/**
+ * After a rename, the linking notes that still use an old title, so the client can offer to rewrite them
+ * @param {object} note - Renamed note as saved
+ * @param {string} userId - Requesting user
+ * @returns {object|null} - { notes: [{ id, title, written_as }] }, or null when every link is current
+ */
+const getLinkRewriteOffer = async (note, userId) => {
+  if (!isLinkableTitle(note.title)) {
+    return null;
+  }
+
+  const stale = (await getBacklinks(note, userId)).filter(link => link.stale);
+  return stale.length === 0
+    ? null
+    : { notes: stale.map(({ id, title, written_as }) => ({ id, title, written_as })) };
+};
+
+/**
+ * Point title links that still use an old title of a note at its current title
+ * Each linking note is saved as a normal update (new version, revision and note.updated event);
+ * notes edited in the meantime, or that the user can't edit, are skipped.
+ * @param {object} note - Renamed note
+ * @param {object} req - Authenticated request
+ * @param {Array} [noteIds] - Only rewrite links in these notes
+ * @returns {object} - { rewritten: [{ id, title, version }], skipped: [{ id, reason }] }
+ */
+const rewriteLinksToNote = async (note, req, noteIds = null) => {
+  const backlinks = (await getBacklinks(note, req.user.id))
+    .filter(link => link.stale && (!noteIds || noteIds.map(String).includes(String(link.id))));
+
+  const oldTitlesBySource = new Map();
+  for (const link of backlinks) {
+    oldTitlesBySource.set(link.id, [...(oldTitlesBySource.get(link.id) || []), link.written_as]);
+  }
+
+  const rewritten = [];
+  const skipped = [];
+  for (const [sourceId, oldTitles] of oldTitlesBySource) {
+    const { note: source, role } = await getNoteAccess(sourceId, req.user.id);
+    if (!source || !hasRole(role, 'editor')) {
+      skipped.push({ id: sourceId, reason: 'no_access' });
+      continue;
+    }
+
+    let content = source.content || '';
+    for (const oldTitle of oldTitles) {
+      const pattern = new RegExp(`\\[\\[\\s*${escapeRegExp(oldTitle)}\\s*(\\|[^[\\]\\n]*)?\\]\\]`, 'gi');
+      content = content.replace(pattern, (match, alias) => `[[${note.title.trim()}${alias || ''}]]`);
+    }
+    if (content === source.content) {
+      skipped.push({ id: sourceId, reason: 'not_found' });
+      continue;
+    }
+
+    const { data, error } = await supabase
+      .from('posts')
+      .update({ content, updated_at: new Date(), is_updated: true })
+      .eq('id', source.id)
+      .eq('version', source.version)
+      .is('deleted_at', null)
+      .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      skipped.push({ id: sourceId, reason: 'conflict' });
+      continue;
+    }
+
+    await recordRevisionSafely(data[0], 'update');
+    await publishNoteEvent('note.updated', data[0], req, { links_rewritten_to: note.id });
+    rewritten.push({ id: data[0].id, title: data[0].title, version: data[0].version });
+  }
+
+  return { rewritten, skipped };
+};
+
+/**
+ * Notes that mention a note's title in plain text without linking to it
+ * @param {object} note - Note whose title to look for
+ * @param {string} userId - Requesting user; notes they can't open are left out
+ * @param {number} [limit] - Maximum notes to return
+ * @returns {Array} - [{ id, title, updated_at, mentions, snippet }]
+ */
+const getUnlinkedMentions = async (note, userId, limit = 50) => {
+  const title = String(note.title || '').trim();
+  if (title.length < MIN_MENTION_LENGTH) {
+    return [];
+  }
+
+  const { data: candidates, error } = await supabase
+    .from('posts')
+    .select('id, title, content, updated_at')
+    .eq('user_id', note.user_id)
+    .is('deleted_at', null)
+    .eq('is_encrypted', false)
+    .neq('id', note.id)
+    .ilike('content', `%${title.replace(/[\\%_]/g, '\\$&')}%`)
+    .order('updated_at', { ascending: false })
+    .limit(MAX_MENTION_CANDIDATES);
+
+  if (error) throw error;
+  if (!candidates || candidates.length === 0) {
+    return [];
+  }
+
+  const { data: links, error: linkError } = await supabase
+    .from('note_links')
+    .select('source_id')
+    .eq('target_id', note.id);
+
+  if (linkError) throw linkError;
+
+  const linked = new Set((links || []).map(link => link.source_id));
+  const visible = await filterVisibleSources(note, userId, candidates.map(candidate => candidate.id));
+  // Whole words only, so "plan" doesn't match "planet"; text inside other links doesn't count
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(title)}(?![\\p{L}\\p{N}])`, 'giu');
+
+  const mentions = [];
+  for (const candidate of candidates) {
+    if (linked.has(candidate.id) || !visible.has(candidate.id)) continue;
+
+    const text = candidate.content.replace(WIKI_LINK_PATTERN, match => ' '.repeat(match.length));
+    const matches = [...text.matchAll(pattern)];
+    if (matches.length === 0) continue;
+
+    const start = Math.max(matches[0].index - SNIPPET_CONTEXT, 0);
+    const end = Math.min(matches[0].index + matches[0][0].length + SNIPPET_CONTEXT, text.length);
+    mentions.push({
+      id: candidate.id,
+      title: candidate.title,
+      updated_at: candidate.updated_at,
+      mentions: matches.length,
+      snippet: `${start > 0 ? '…' : ''}${candidate.content.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`
+    });
+    if (mentions.length >= limit) break;
+  }
+
+  return mentions;
+};
+
+/**
+ * Link graph of a user's notes
+ * @param {string} userId - Owner
+ * @param {object} [options] - { categoryIds: limit to notes in these categories, includeOrphans: keep notes without links }
+ * @returns {object} - { nodes: [{ id, title, category_id, is_draft, links }], edges: [{ source, target }] }
+ */
+const getNoteGraph = async (userId, { categoryIds = null, includeOrphans = true } = {}) => {
+  let query = supabase
+    .from('posts')
+    .select('id, title, category_id, is_draft, updated_at')
+    .eq('user_id', userId)
+    .is('deleted_at', null);
+  if (categoryIds) {
+    query = query.in('category_id', categoryIds);
+  }
+
+  const [{ data: notes, error }, { data: links, error: linkError }] = await Promise.all([
+    query.order('id'),
+    supabase
+      .from('note_links')
+      .select('source_id, target_id')
+      .eq('user_id', userId)
+      .not('target_id', 'is', null)
+  ]);
+
+  if (error) throw error;
+  if (linkError) throw linkError;
+
+  const degree = new Map((notes || []).map(note => [note.id, 0]));
+  const edges = (links || []).filter(link => degree.has(link.source_id) && degree.has(link.target_id));
+  for (const edge of edges) {
+    degree.set(edge.source_id, degree.get(edge.source_id) + 1);
+    degree.set(edge.target_id, degree.get(edge.target_id) + 1);
+  }
+
+  return {
+    nodes: (notes || [])
+      .filter(note => includeOrphans || degree.get(note.id) > 0)
+      .map(note => ({ ...note, links: degree.get(note.id) })),
+    edges: edges.map(edge => ({ source: edge.source_id, target: edge.target_id }))
+  };
+};
+
+module.exports = {
+  isLinkableTitle,
+  getBacklinks,
+  getOutgoingLinks,
+  getLinkRewriteOffer,
+  rewriteLinksToNote,
+  getUnlinkedMentions,
+  getNoteGraph
+};
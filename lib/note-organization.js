@@ -0,0 +1,160 @@
+const { supabase } = require('./supabase');
+
+// ?sort= options for GET /api/notes; pinned notes always come first
+const NOTE_SORTS = {
+  created: { column: 'created_at', ascending: false },
+  updated: { column: 'updated_at', ascending: false },
+  title: { column: 'title', ascending: true },
+  manual: { column: 'manual_position', ascending: true }
+};
+
+// Sorts that cursor pagination can page through; the others need page numbers
+const CURSOR_SORTS = ['created', 'updated'];
+
+/**
+ * Read the sort options for a notes list
+ * @param {object} query - Request query: { sort, order }
+ * @returns {object} - { sort, column, ascending, error } where error is a message for a 400 response
+ */
+const parseNoteSort = ({ sort = 'created', order }) => {
+  const option = NOTE_SORTS[sort];
+  if (!option) {
+    return { error: `sort must be one of: ${Object.keys(NOTE_SORTS).join(', ')}` };
+  }
+  if (order !== undefined && !['asc', 'desc'].includes(order)) {
+    return { error: 'order must be "asc" or "desc"' };
+  }
+
+  return {
+    sort,
+    column: option.column,
+    ascending: order ? order === 'asc' : option.ascending,
+    error: null
+  };
+};
+
+/**
+ * Order a posts query: pinned first, then the chosen sort, then newest first
+ * @param {object} builder - Supabase query on posts
+ * @param {object} sort - Result of parseNoteSort
+ * @returns {object} - The ordered builder
+ */
+const applyNoteSort = (builder, { sort, column, ascending }) => {
+  let query = builder
+    .order('is_pinned', { ascending: false })
+    .order(column, { ascending, nullsFirst: false });
+
+  // Timestamps rarely tie, so the ID settles it; titles and positions fall back to newest first
+  if (CURSOR_SORTS.includes(sort)) {
+    return query.order('id', { ascending });
+  }
+  return query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false });
+};
+
+/**
+ * Validate a note color
+ * @param {*} color - '#RRGGBB', or null/'' to clear it
+ * @returns {object} - { color, error } where error is a message for a 400 response
+ */
+const validateNoteColor = (color) => {
+  if (color === null || color === '') {
+    return { color: null, error: null };
+  }
+  if (typeof color !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(color)) {
+    return { color: null, error: 'color must be a hex color like "#F59E0B", or null to clear it' };
+  }
+  return { color: color.toUpperCase(), error: null };
+};
+
+/**
+ * Column values for pinning, archiving and coloring a note; only fields that are given are changed
+ * @param {object} fields - { is_pinned, is_archived, color }
+ * @returns {object} - { values, error } where error is a message for a 400 response
+ */
+const organizationValues = (fields) => {
+  const values = {};
+
+  for (const [field, stamp] of [['is_pinned', 'pinned_at'], ['is_archived', 'archived_at']]) {
+    if (fields[field] === undefined) continue;
+    if (typeof fields[field] !== 'boolean') {
+      return { values: null, error: `${field} must be true or false` };
+    }
+    values[field] = fields[field];
+    values[stamp] = fields[field] ? new Date().toISOString() : null;
+  }
+
+  // An archived note leaves the pinned spot, and pinning an archived note brings it back
+  if (values.is_archived && fields.is_pinned === undefined) {
+    Object.assign(values, { is_pinned: false, pinned_at: null });
+  } else if (values.is_pinned && fields.is_archived === undefined) {
+    Object.assign(values, { is_archived: false, archived_at: null });
+  }
+
+  if (fields.color !== undefined) {
+    const { color, error } = validateNoteColor(fields.color);
+    if (error) return { values: null, error };
+    values.color = color;
+  }
+
+  return { values, error: null };
+};
+
+/**
+ * Put notes of one category in a manual order
+ * The listed notes go first, in the order given; the category's other notes follow in their current order.
+ * Only notes whose position changes are written.
+ * @param {string} userId - Owner
+ * @param {number|null} categoryId - Category, or null for notes without one
+ * @param {Array} noteIds - Note IDs in their new order
+ * @returns {object} - { order: all note IDs in the category in manual order, error }
+ */
+const reorderNotes = async (userId, categoryId, noteIds) => {
+  let query = supabase
+    .from('posts')
+    .select('id, manual_position')
+    .eq('user_id', userId)
+    .is('deleted_at', null);
+  query = categoryId === null ? query.is('category_id', null) : query.eq('category_id', categoryId);
+
+  const { data, error } = await applyNoteSort(query, { sort: 'manual', column: 'manual_position', ascending: true });
+  if (error) throw error;
+
+  const notes = data || [];
+  const byId = new Map(notes.map(note => [String(note.id), note]));
+  const listed = [];
+  for (const id of noteIds) {
+    const note = byId.get(String(id));
+    if (!note) {
+      return { order: null, error: `Note ${id} is not in that category` };
+    }
+    if (!listed.includes(note)) listed.push(note);
+  }
+
+  const ordered = [...listed, ...notes.filter(note => !listed.includes(note))];
+  const changed = ordered
+    .map((note, position) => ({ note, position }))
+    .filter(({ note, position }) => note.manual_position !== position);
+
+  const results = await Promise.all(changed.map(({ note, position }) => supabase
+    .from('posts')
+    .update({ manual_position: position })
+    .eq('id', note.id)
+    .eq('user_id', userId)));
+
+  const failed = results.find(result => result.error);
+  if (failed) throw failed.error;
+
+  return { order: ordered.map(note => note.id), error: null };
+};
+
+module.exports = {
+  NOTE_SORTS,
+  CURSOR_SORTS,
+  parseNoteSort,
+  applyNoteSort,
+  validateNoteColor,
+  organizationValues,
+  reorderNotes
+};
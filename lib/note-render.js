@@ -0,0 +1,71 @@
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    'img', 'del', 'ins', 'input', 'h1', 'h2'
+  ],
+  allowedAttributes: {
+    ...sanitizeHtml.defaults.allowedAttributes,
+    a: [...sanitizeHtml.defaults.allowedAttributes.a, 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    input: ['type', 'checked', 'disabled'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  // Task-list checkboxes are the only inputs marked produces; keep them inert
+  exclusiveFilter: (frame) => frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' }),
+    input: sanitizeHtml.simpleTransform('input', { disabled: 'disabled' })
+  }
+};
+
+/**
+ * Point attachment:<id> references in Markdown links, images and raw HTML at real URLs
+ * @param {string} content - Note content
+ * @param {Function} attachmentUrl - Maps an attachment ID to its URL
+ * @returns {string} - Content with references replaced
+ */
+const resolveAttachmentLinks = (content, attachmentUrl) => content
+  .replace(/(\]\(\s*<?)attachment:(\d+)/g, (match, prefix, id) => `${prefix}${attachmentUrl(id)}`)
+  .replace(/(\b(?:src|href)\s*=\s*["'])attachment:(\d+)/gi, (match, prefix, id) => `${prefix}${attachmentUrl(id)}`);
+
+/**
+ * Render note content (Markdown, which may contain HTML) to sanitized HTML
+ * @param {string|null} content - Note content
+ * @param {object} [options] - { attachmentUrl } to resolve attachment:<id> references
+ * @returns {string} - Safe HTML
+ */
+const renderNoteContent = (content, { attachmentUrl } = {}) => {
+  const markdown = attachmentUrl ? resolveAttachmentLinks(content || '', attachmentUrl) : content || '';
+  return sanitizeHtml(marked.parse(markdown, { gfm: true, breaks: true }), SANITIZE_OPTIONS);
+};
+
+/**
+ * Build a plain-text excerpt of note content, e.g. for link preview descriptions
+ * @param {string|null} content - Note content
+ * @param {number} [length=200] - Maximum length
+ * @returns {string} - Plain text
+ */
+const getExcerpt = (content, length = 200) => {
+  const text = sanitizeHtml(marked.parse(content || ''), { allowedTags: [], allowedAttributes: {} })
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+};
+
+module.exports = {
+  renderNoteContent,
+  getExcerpt
+};
@@ -0,0 +1,140 @@
+const { supabase } = require('./supabase');
+const { findRevisionByVersion } = require('./revisions');
+const { mergeText } = require('./merge');
+
+// Response header carrying the note version. Not an ETag: a note's response also holds labels, category,
+// access and backlinks, which change without bumping the version, so it can't back conditional GETs.
+const VERSION_HEADER = 'X-Note-Version';
+
+/**
+ * Tell the client which version of a note a response reflects
+ * @param {object} res - Express response
+ * @param {number} version - posts.version
+ */
+const setVersionHeader = (res, version) => {
+  res.set(VERSION_HEADER, String(version));
+};
+
+/**
+ * Read the version a client based its edit on, from If-Match or base_version in the body
+ * @param {object} req - Express request
+ * @returns {object} - { version, error } where version is null when the client didn't ask for a check
+ */
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch !== undefined && ifMatch.trim() !== '*') {
+    const match = /^\s*(?:W\/)?"?v?(\d+)"?\s*$/.exec(ifMatch);
+    if (!match) {
+      return { version: null, error: `If-Match must be a note version from the ${VERSION_HEADER} header, e.g. 12` };
+    }
+    return { version: parseInt(match[1]), error: null };
+  }
+
+  const baseVersion = req.body?.base_version;
+  if (baseVersion === undefined || baseVersion === null) {
+    return { version: null, error: null };
+  }
+  if (!Number.isInteger(Number(baseVersion)) || Number(baseVersion) < 1) {
+    return { version: null, error: 'base_version must be a positive integer' };
+  }
+  return { version: Number(baseVersion), error: null };
+};
+
+// Pick the title when only one side changed it; null means both changed it differently
+const mergeTitle = (base, ours, theirs) => {
+  if (ours === theirs || ours === base) return theirs;
+  if (theirs === base) return ours;
+  return null;
+};
+
+/**
+ * Merge a save made against an old version into the current note
+ * @param {object} current - Current note row
+ * @param {number} baseVersion - Version the client edited
+ * @param {object} incoming - { title, content } being saved
+ * @param {object} [base] - { title, content } of the base version, if the client sent it
+ * @returns {object} - { title, content } when the merge is clean, otherwise { conflict } describing why not
+ */
+const mergeStaleEdit = async (current, baseVersion, incoming, base) => {
+  if (current.is_encrypted) {
+    return { conflict: { reason: 'Encrypted notes can only be merged on the client' } };
+  }
+
+  let baseText = base;
+  if (!baseText || baseText.content === undefined) {
+    const revision = await findRevisionByVersion(current.id, baseVersion);
+    if (!revision || revision.is_encrypted) {
+      return { conflict: { reason: `Version ${baseVersion} is no longer available to merge against; send base_content` } };
+    }
+    baseText = { title: base?.title ?? revision.title, content: revision.content };
+  }
+
+  const title = incoming.title === undefined
+    ? current.title
+    : mergeTitle(baseText.title ?? current.title, incoming.title, current.title);
+  const content = incoming.content === undefined
+    ? { text: current.content, conflicts: 0 }
+    : mergeText(baseText.content, incoming.content, current.content);
+
+  if (title === null || content.conflicts > 0) {
+    return {
+      conflict: {
+        reason: 'Both versions changed the same part of the note',
+        title_conflict: title === null,
+        content_conflicts: content.conflicts,
+        // Conflicting regions are wrapped in <<<<<<< yours / ======= / >>>>>>> server markers
+        content: content.text
+      }
+    };
+  }
+
+  return { title, content: content.text };
+};
+
+/**
+ * Answer 409 with the server's copy of a note the client tried to overwrite
+ * @param {object} res - Express response
+ * @param {number|string} noteId - Note ID
+ * @param {number} yourVersion - Version the client based its edit on
+ * @param {object} [merge] - Conflict details from mergeStaleEdit, when a merge was attempted
+ */
+const sendVersionConflict = async (res, noteId, yourVersion, merge) => {
+  const { data: current, error } = await supabase
+    .from('posts')
+    .select(`
+      *,
+      category:categories(id, name, color, icon),
+      post_labels(
+        label:labels(id, name, color)
+      )
+    `)
+    .eq('id', noteId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!current) {
+    return res.status(404).json({ error: 'Note not found or access denied' });
+  }
+
+  const { post_labels, ...note } = current;
+  setVersionHeader(res, current.version);
+  res.status(409).json({
+    error: 'This note was changed since you loaded it',
+    current_version: current.version,
+    your_version: yourVersion,
+    current: {
+      ...note,
+      labels: post_labels?.map(pl => pl.label) || []
+    },
+    ...(merge ? { merge } : {})
+  });
+};
+
+module.exports = {
+  VERSION_HEADER,
+  setVersionHeader,
+  getExpectedVersion,
+  mergeStaleEdit,
+  sendVersionConflict
+};
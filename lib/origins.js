@@ -0,0 +1,22 @@
+// Front ends allowed to call the API with the user's cookies, over HTTP (CORS) and WebSockets
+const allowedOrigins = [
+  process.env.CLIENT_URL,
+  'https://notes-app-xi-eight-17.vercel.app', // Production Vercel URL
+  'https://notes-5l06weonn-gugans-projects-4bb04bdf.vercel.app', // Old Vercel deployment
+  'http://localhost:3000', // Local development
+  'http://localhost:3001',
+  'http://localhost:3002'
+].filter(Boolean);
+
+/**
+ * Check a browser's Origin header against the allowed front ends
+ * Vercel preview deployments (*.vercel.app) are allowed too.
+ * @param {string} origin - Origin header value
+ * @returns {boolean}
+ */
+const isAllowedOrigin = (origin) => allowedOrigins.includes(origin) || String(origin).endsWith('.vercel.app');
+
+module.exports = {
+  allowedOrigins,
+  isAllowedOrigin
+};
@@ -0,0 +1,67 @@
+// Sort column each cursor sort pages through (see CURSOR_SORTS in lib/note-organization.js)
+const CURSOR_COLUMNS = {
+  created: 'created_at',
+  updated: 'updated_at'
+};
+
+/**
+ * Encode the position of a note in the pinned/sort column/id ordering as an opaque cursor
+ * @param {object} post - The last note on the current page
+ * @param {string} [sort] - 'created' or 'updated'
+ * @returns {string} - URL-safe cursor token
+ */
+const encodeCursor = (post, sort = 'created') => Buffer
+  .from(JSON.stringify({ sort, pinned: !!post.is_pinned, value: post[CURSOR_COLUMNS[sort]], id: post.id }))
+  .toString('base64url');
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * Cursors from before notes could be pinned ({ created_at, id }) still decode, as unpinned created-order positions.
+ * @param {string} token - Cursor token from the client
+ * @returns {object|null} - { sort, pinned, value, id } or null if the token is invalid
+ */
+const decodeCursor = (token) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    const { sort = 'created', pinned = false, value = decoded.created_at, id } = decoded;
+
+    if (!CURSOR_COLUMNS[sort] || typeof pinned !== 'boolean') {
+      return null;
+    }
+    // The timestamp is interpolated into a PostgREST filter, so only accept timestamp characters
+    if (typeof value !== 'string' || !/^[0-9T:.+\-Z ]+$/.test(value) || isNaN(Date.parse(value))) {
+      return null;
+    }
+    if (!Number.isInteger(id)) {
+      return null;
+    }
+
+    return { sort, pinned, value, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Restrict a posts query to the notes after a cursor, in the same order applyNoteSort uses
+ * @param {object} builder - Supabase query on posts
+ * @param {object} position - Decoded cursor
+ * @param {boolean} ascending - Sort direction of the cursor's column
+ * @returns {object} - The filtered builder
+ */
+const applyCursor = (builder, { sort, pinned, value, id }, ascending) => {
+  const column = CURSOR_COLUMNS[sort];
+  const comparator = ascending ? 'gt' : 'lt';
+  const after = `${column}.${comparator}."${value}",and(${column}.eq."${value}",id.${comparator}.${id})`;
+
+  // Pinned notes come first, so after a pinned note every unpinned one is still to come
+  return pinned
+    ? builder.or(`is_pinned.eq.false,and(is_pinned.eq.true,or(${after}))`)
+    : builder.eq('is_pinned', false).or(after);
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  applyCursor
+};
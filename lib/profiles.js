@@ -0,0 +1,133 @@
+const { supabase } = require('./supabase');
+
+const HANDLE_PATTERN = /^[a-z0-9](?:[a-z0-9_-]{1,28}[a-z0-9])?$/;
+const RESERVED_HANDLES = ['admin', 'api', 'feed', 'me', 'notes', 'public', 'settings', 'support'];
+
+/**
+ * Normalize and validate a profile handle
+ * @param {*} handle - Handle from the request body
+ * @returns {object} - { handle, error }
+ */
+const validateHandle = (handle) => {
+  const normalized = typeof handle === 'string' ? handle.trim().toLowerCase() : '';
+  if (!HANDLE_PATTERN.test(normalized) || normalized.length < 3) {
+    return {
+      handle: null,
+      error: 'Handle must be 3-30 characters of lowercase letters, numbers, "-" or "_", starting and ending with a letter or number'
+    };
+  }
+  if (RESERVED_HANDLES.includes(normalized)) {
+    return { handle: null, error: `The handle "${normalized}" is reserved` };
+  }
+  return { handle: normalized, error: null };
+};
+
+/**
+ * Fetch a public profile by handle
+ * @param {string} handle - Profile handle
+ * @returns {object|null} - { id, handle, display_name, bio } or null if missing or not public
+ */
+const findPublicProfile = async (handle) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, handle, name, display_name, bio, profile_public')
+    .eq('handle', String(handle).toLowerCase())
+    .eq('profile_public', true)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    return null;
+  }
+
+  return {
+    id: data.id,
+    handle: data.handle,
+    display_name: data.display_name || data.name || data.handle,
+    bio: data.bio || null
+  };
+};
+
+/**
+ * List a user's published notes: public, not drafts, not encrypted and not in the trash
+ * Only notes whose default share link works for anyone are listed: a revoked, expired or password-protected
+ * link keeps the note (and its token) out of author pages and feeds.
+ * @param {string} userId - Author
+ * @param {object} options - { category, label } names to filter by, plus page and limit
+ * @returns {object} - { notes, totalCount }
+ */
+const getPublishedNotes = async (userId, { category, label, page = 1, limit = 20 } = {}) => {
+  const offset = (page - 1) * limit;
+
+  const findIdsByName = async (table, name) => {
+    const { data, error } = await supabase
+      .from(table)
+      .select('id, name')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return (data || [])
+      .filter(row => row.name.toLowerCase() === String(name).toLowerCase())
+      .map(row => row.id);
+  };
+
+  let query = supabase
+    .from('posts')
+    .select(`
+      id,
+      title,
+      content,
+      public_share_token,
+      is_updated,
+      created_at,
+      updated_at,
+      category:categories(id, name, color, icon),
+      post_labels(
+        label:labels(id, name, color)
+      )
+    `, { count: 'exact' })
+    .eq('user_id', userId)
+    .eq('is_public', true)
+    .eq('is_draft', false)
+    .eq('is_encrypted', false)
+    .is('deleted_at', null)
+    // The link must be the one behind the note's current token, and still usable now (migrations/024)
+    .eq('has_open_share_link', true);
+
+  if (category) {
+    const categoryIds = await findIdsByName('categories', category);
+    if (categoryIds.length === 0) {
+      return { notes: [], totalCount: 0 };
+    }
+    query = query.in('category_id', categoryIds);
+  }
+
+  if (label) {
+    const labelIds = await findIdsByName('labels', label);
+    if (labelIds.length === 0) {
+      return { notes: [], totalCount: 0 };
+    }
+    query = query.overlaps('label_ids', labelIds);
+  }
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+
+  const notes = (data || [])
+    .map(({ post_labels, ...note }) => ({
+      ...note,
+      labels: post_labels?.map(pl => pl.label) || []
+    }));
+
+  return { notes, totalCount: count || 0 };
+};
+
+module.exports = {
+  validateHandle,
+  findPublicProfile,
+  getPublishedNotes
+};
@@ -0,0 +1,262 @@
+const { escapeHtml } = require('./search');
+const { renderNoteContent, getExcerpt } = require('./note-render');
+
+const SITE_NAME = process.env.SITE_NAME || 'Notes';
+
+const STYLES = `
+  :root { color-scheme: light; }
+  * { box-sizing: border-box; }
+  body {
+    margin: 0;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+    line-height: 1.6;
+    color: #1f2937;
+    background: #f9fafb;
+  }
+  main { max-width: 46rem; margin: 0 auto; padding: 2.5rem 1.25rem 4rem; }
+  article { background: #fff; border: 1px solid #e5e7eb; border-radius: 0.75rem; padding: 2rem; }
+  h1.note-title { margin: 0 0 0.5rem; font-size: 2rem; line-height: 1.25; }
+  .meta { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; margin-bottom: 1.5rem; color: #6b7280; font-size: 0.875rem; }
+  .badge { display: inline-block; padding: 0.125rem 0.625rem; border-radius: 999px; font-size: 0.75rem; font-weight: 600; color: #fff; }
+  .content img { max-width: 100%; height: auto; }
+  .content pre { overflow-x: auto; padding: 1rem; background: #f3f4f6; border-radius: 0.5rem; }
+  .content code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.9em; }
+  .content blockquote { margin: 0; padding-left: 1rem; border-left: 4px solid #e5e7eb; color: #4b5563; }
+  .content table { border-collapse: collapse; }
+  .content th, .content td { border: 1px solid #e5e7eb; padding: 0.375rem 0.75rem; }
+  .notice { padding: 1rem; background: #fef3c7; border-radius: 0.5rem; }
+  footer { margin-top: 1.5rem; text-align: center; color: #9ca3af; font-size: 0.75rem; }
+  form { display: flex; gap: 0.5rem; margin-top: 1rem; }
+  input[type=password] { flex: 1; padding: 0.5rem 0.75rem; border: 1px solid #d1d5db; border-radius: 0.5rem; font-size: 1rem; }
+  button { padding: 0.5rem 1rem; border: 0; border-radius: 0.5rem; background: #3b82f6; color: #fff; font-size: 1rem; cursor: pointer; }
+  .error { color: #dc2626; }
+  .profile { margin-bottom: 1.5rem; }
+  .profile h1 { margin: 0; font-size: 1.75rem; }
+  .profile p { margin: 0.25rem 0 0; color: #4b5563; }
+  .feeds { font-size: 0.875rem; }
+  .note-list article { margin-bottom: 1rem; padding: 1.25rem 1.5rem; }
+  .note-list h2 { margin: 0 0 0.25rem; font-size: 1.25rem; }
+  .note-list h2 a { color: inherit; text-decoration: none; }
+  .note-list .meta { margin-bottom: 0.5rem; }
+  .note-list p { margin: 0; color: #4b5563; }
+  nav.pages { display: flex; justify-content: space-between; margin-top: 1rem; }
+  .attachments { margin-top: 2rem; padding-top: 1rem; border-top: 1px solid #e5e7eb; }
+  .attachments h2 { font-size: 1rem; margin: 0 0 0.5rem; }
+  .attachments .meta { display: inline; font-size: 0.75rem; }
+
+  @media print {
+    body { background: #fff; color: #000; font-size: 12pt; }
+    main { max-width: none; padding: 0; }
+    article { border: 0; padding: 0; }
+    .badge { color: #000; border: 1px solid #000; background: none !important; }
+    .content a[href^="http"]::after { content: " (" attr(href) ")"; font-size: 0.8em; }
+    .content pre { white-space: pre-wrap; background: none; border: 1px solid #ccc; }
+    footer, form, nav.pages { display: none; }
+  }
+`;
+
+// Category and label colors are user input; only hex colors reach the style attribute
+const safeColor = (color) => (/^#[0-9a-fA-F]{3,8}$/.test(color || '') ? color : '#6B7280');
+
+/**
+ * Origin used for canonical URLs and feed links
+ * @param {object} req - Express request
+ * @returns {string} - PUBLIC_URL if configured, otherwise the request's own origin
+ */
+const getBaseUrl = (req) => (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const renderBadges = (category, labels) => [
+  category
+    ? `<span class="badge" style="background:${safeColor(category.color)}">${escapeHtml(`${category.icon || ''} ${category.name}`.trim())}</span>`
+    : '',
+  ...labels.map(label =>
+    `<span class="badge" style="background:${safeColor(label.color)}">${escapeHtml(label.name)}</span>`
+  )
+].filter(Boolean).join(' ');
+
+/**
+ * Wrap page content in the shared HTML document
+ * @param {object} options - { title, body, head }
+ * @returns {string} - Complete HTML document
+ */
+const layout = ({ title, body, head = '' }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+${head}
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+${body}
+<footer>Shared from ${escapeHtml(SITE_NAME)}</footer>
+</main>
+</body>
+</html>`;
+
+/**
+ * Render a public note as a standalone HTML page with link-preview metadata
+ * @param {object} note - Note from resolvePublicNote
+ * @param {object} options - { url, attachments, attachmentUrl } canonical URL, the note's attachments and their URL builder
+ * @returns {string} - HTML document
+ */
+const renderNotePage = (note, { url, attachments = [], attachmentUrl }) => {
+  const title = note.title || 'Untitled';
+  const description = note.is_encrypted ? 'An encrypted note' : getExcerpt(note.content);
+  const labels = note.post_labels?.map(pl => pl.label).filter(Boolean) || [];
+  const date = new Date(note.is_updated ? note.updated_at : note.created_at);
+
+  const head = [
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    `<meta name="description" content="${escapeHtml(description)}">`,
+    `<meta property="og:type" content="article">`,
+    `<meta property="og:site_name" content="${escapeHtml(SITE_NAME)}">`,
+    `<meta property="og:title" content="${escapeHtml(title)}">`,
+    `<meta property="og:description" content="${escapeHtml(description)}">`,
+    `<meta property="og:url" content="${escapeHtml(url)}">`,
+    `<meta property="article:published_time" content="${escapeHtml(new Date(note.created_at).toISOString())}">`,
+    `<meta property="article:modified_time" content="${escapeHtml(new Date(note.updated_at || note.created_at).toISOString())}">`,
+    note.category ? `<meta property="article:section" content="${escapeHtml(note.category.name)}">` : '',
+    ...labels.map(label => `<meta property="article:tag" content="${escapeHtml(label.name)}">`),
+    `<meta name="twitter:card" content="summary">`,
+    `<meta name="twitter:title" content="${escapeHtml(title)}">`,
+    `<meta name="twitter:description" content="${escapeHtml(description)}">`
+  ].filter(Boolean).join('\n');
+
+  const badges = renderBadges(note.category, labels);
+
+  const content = note.is_encrypted
+    ? '<p class="notice">This note is end-to-end encrypted and can only be read in the app with its key.</p>'
+    : renderNoteContent(note.content, { attachmentUrl });
+
+  const files = attachments.length > 0 && attachmentUrl
+    ? `<section class="attachments">
+<h2>Attachments</h2>
+<ul>
+${attachments.map(attachment =>
+    `<li><a href="${escapeHtml(attachmentUrl(attachment.id))}">${escapeHtml(attachment.filename)}</a> <span class="meta">${escapeHtml(formatSize(attachment.size))}</span></li>`
+  ).join('\n')}
+</ul>
+</section>`
+    : '';
+
+  const body = `<article>
+<h1 class="note-title">${escapeHtml(title)}</h1>
+<div class="meta">
+<time datetime="${escapeHtml(date.toISOString())}">${note.is_updated ? 'Updated' : 'Created'} ${escapeHtml(date.toDateString())}</time>
+${badges}
+</div>
+<div class="content">
+${content}
+</div>
+${files}
+</article>`;
+
+  return layout({ title: `${title} · ${SITE_NAME}`, head, body });
+};
+
+/**
+ * Render an author's public profile with a page of their published notes
+ * @param {object} profile - Public profile from findPublicProfile
+ * @param {Array} notes - Notes from getPublishedNotes
+ * @param {object} options - { url, rssUrl, atomUrl, noteUrl(note), filter, prevUrl, nextUrl }
+ * @returns {string} - HTML document
+ */
+const renderAuthorPage = (profile, notes, { url, rssUrl, atomUrl, noteUrl, filter, prevUrl, nextUrl }) => {
+  const description = profile.bio || `Notes by ${profile.display_name}`;
+
+  const head = [
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    `<link rel="alternate" type="application/rss+xml" title="${escapeHtml(profile.display_name)} (RSS)" href="${escapeHtml(rssUrl)}">`,
+    `<link rel="alternate" type="application/atom+xml" title="${escapeHtml(profile.display_name)} (Atom)" href="${escapeHtml(atomUrl)}">`,
+    `<meta name="description" content="${escapeHtml(description)}">`,
+    `<meta property="og:type" content="profile">`,
+    `<meta property="og:site_name" content="${escapeHtml(SITE_NAME)}">`,
+    `<meta property="og:title" content="${escapeHtml(profile.display_name)}">`,
+    `<meta property="og:description" content="${escapeHtml(description)}">`,
+    `<meta property="og:url" content="${escapeHtml(url)}">`,
+    `<meta property="profile:username" content="${escapeHtml(profile.handle)}">`
+  ].join('\n');
+
+  const items = notes.map(note => {
+    const date = new Date(note.created_at);
+    return `<article>
+<h2><a href="${escapeHtml(noteUrl(note))}">${escapeHtml(note.title || 'Untitled')}</a></h2>
+<div class="meta">
+<time datetime="${escapeHtml(date.toISOString())}">${escapeHtml(date.toDateString())}</time>
+${renderBadges(note.category, note.labels)}
+</div>
+<p>${escapeHtml(getExcerpt(note.content))}</p>
+</article>`;
+  });
+
+  const pages = (prevUrl || nextUrl)
+    ? `<nav class="pages">
+<span>${prevUrl ? `<a href="${escapeHtml(prevUrl)}" rel="prev">&larr; Newer</a>` : ''}</span>
+<span>${nextUrl ? `<a href="${escapeHtml(nextUrl)}" rel="next">Older &rarr;</a>` : ''}</span>
+</nav>`
+    : '';
+
+  const body = `<header class="profile">
+<h1>${escapeHtml(profile.display_name)}</h1>
+<p>@${escapeHtml(profile.handle)}</p>
+${profile.bio ? `<p>${escapeHtml(profile.bio)}</p>` : ''}
+<p class="feeds"><a href="${escapeHtml(rssUrl)}">RSS</a> · <a href="${escapeHtml(atomUrl)}">Atom</a>${filter ? ` · Filtered by ${escapeHtml(filter)} · <a href="${escapeHtml(url)}">Show all</a>` : ''}</p>
+</header>
+<section class="note-list">
+${items.length > 0 ? items.join('\n') : '<article><p>No published notes yet.</p></article>'}
+</section>
+${pages}`;
+
+  return layout({ title: `${profile.display_name} · ${SITE_NAME}`, head, body });
+};
+
+/**
+ * Render the password prompt for a protected share link
+ * @param {object} options - { error } message to show after a wrong password
+ * @returns {string} - HTML document
+ */
+const renderPasswordPage = ({ error } = {}) => layout({
+  title: `Password required · ${SITE_NAME}`,
+  head: '<meta name="robots" content="noindex">',
+  body: `<article>
+<h1 class="note-title">Password required</h1>
+<p>This shared note is password protected.</p>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="post">
+<input type="password" name="password" placeholder="Password" autocomplete="current-password" required autofocus>
+<button type="submit">View note</button>
+</form>
+</article>`
+});
+
+/**
+ * Render an error page for a missing, expired or revoked share link
+ * @param {string} message - Explanation for the visitor
+ * @param {string} heading - Page heading
+ * @returns {string} - HTML document
+ */
+const renderErrorPage = (message, heading = 'Note unavailable') => layout({
+  title: `${heading} · ${SITE_NAME}`,
+  head: '<meta name="robots" content="noindex">',
+  body: `<article>
+<h1 class="note-title">${escapeHtml(heading)}</h1>
+<p>${escapeHtml(message)}</p>
+</article>`
+});
+
+module.exports = {
+  getBaseUrl,
+  renderNotePage,
+  renderAuthorPage,
+  renderPasswordPage,
+  renderErrorPage
+};
@@ -0,0 +1,7 @@
+// Finds the next occurrence of a schedule off the main thread; see findFirstOccurrence in lib/recurrence.js
+const { parentPort, workerData } = require('worker_threads');
+const { nextOccurrence } = require('./recurrence');
+
+const { reminder, after, inclusive } = workerData;
+const next = nextOccurrence(reminder, new Date(after), inclusive);
+parentPort.postMessage(next ? next.toISOString() : null);
@@ -0,0 +1,160 @@
+const path = require('path');
+const { RRule } = require('rrule');
+const { WorkerTimeoutError, runWorker } = require('./run-worker');
+
+const MAX_RULE_LENGTH = 500;
+// A new schedule must fire within this many years, and finding that out may take at most FIRST_OCCURRENCE_TIMEOUT_MS
+const FIRST_OCCURRENCE_HORIZON_YEARS = 10;
+const FIRST_OCCURRENCE_TIMEOUT_MS = 1000;
+
+/**
+ * Check that a time zone name is known to the runtime
+ * @param {string} timeZone - IANA name, e.g. "Europe/Berlin"
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// rrule works on "floating" dates: the wall-clock time in the reminder's zone, stored in a Date's UTC fields.
+// Converting through wall-clock time keeps "every day at 9:00" at 9:00 across daylight saving changes.
+const toFloating = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+};
+
+const fromFloating = (floating, timeZone) => {
+  // Guess with the zone offset at the wall time read as UTC, then correct once in case the guess crossed a DST change
+  let instant = floating.getTime();
+  for (let pass = 0; pass < 2; pass++) {
+    const offset = toFloating(new Date(instant), timeZone).getTime() - Math.floor(instant / 1000) * 1000;
+    instant = floating.getTime() - offset;
+  }
+  return new Date(instant);
+};
+
+/**
+ * Validate and normalize an RRULE
+ * @param {*} rule - e.g. "FREQ=WEEKLY;BYDAY=MO,WE" (a leading "RRULE:" is accepted)
+ * @returns {object} - { rule, error } where rule is the normalized string without the RRULE: prefix
+ */
+const validateRule = (rule) => {
+  if (typeof rule !== 'string' || !rule.trim() || rule.length > MAX_RULE_LENGTH) {
+    return { rule: null, error: `rrule must be a recurrence rule of at most ${MAX_RULE_LENGTH} characters` };
+  }
+
+  const text = rule.trim().replace(/^RRULE:/i, '');
+  if (/(^|;)\s*(DTSTART|TZID)/i.test(text) || /\n/.test(text)) {
+    return { rule: null, error: 'Set starts_at and timezone instead of DTSTART or TZID in the rule' };
+  }
+
+  let options;
+  try {
+    options = RRule.parseString(text);
+  } catch (error) {
+    return { rule: null, error: `Invalid recurrence rule: ${error.message}` };
+  }
+
+  if (options.freq === undefined) {
+    return { rule: null, error: 'The recurrence rule needs a FREQ' };
+  }
+  // MINUTELY and SECONDLY would turn reminders into a notification flood
+  if (options.freq > RRule.HOURLY) {
+    return { rule: null, error: 'Reminders can repeat at most hourly' };
+  }
+
+  return { rule: RRule.optionsToString(options).replace(/^RRULE:/, ''), error: null };
+};
+
+const buildRule = (reminder) => new RRule({
+  ...RRule.parseString(reminder.rrule),
+  dtstart: toFloating(new Date(reminder.starts_at), reminder.timezone)
+});
+
+/**
+ * The first occurrence of a reminder after a point in time
+ * @param {object} reminder - { starts_at, rrule, timezone }
+ * @param {Date} after - Point in time
+ * @param {boolean} [inclusive] - Whether an occurrence exactly at `after` counts
+ * @returns {Date|null} - Next occurrence, or null when there are no more
+ */
+const nextOccurrence = (reminder, after, inclusive = false) => {
+  const startsAt = new Date(reminder.starts_at);
+  if (!reminder.rrule) {
+    return startsAt > after || (inclusive && startsAt.getTime() === after.getTime()) ? startsAt : null;
+  }
+
+  const next = buildRule(reminder).after(toFloating(after, reminder.timezone), inclusive);
+  return next ? fromFloating(next, reminder.timezone) : null;
+};
+
+/**
+ * The first occurrence of a new or changed schedule, looked for in a worker thread
+ * rrule only stops stepping through periods when it finds a match, so a rule that never matches
+ * (FREQ=HOURLY;BYMONTH=2;BYMONTHDAY=30) would block the event loop until it reaches the year 9999.
+ * Saved schedules always have an occurrence ahead, which keeps later nextOccurrence calls short.
+ * @param {object} reminder - { starts_at, rrule, timezone }
+ * @param {Date} after - Point in time
+ * @returns {Date|null} - First occurrence at or after `after`, or null when there is none within
+ *   FIRST_OCCURRENCE_HORIZON_YEARS or it can't be found in time
+ */
+const findFirstOccurrence = async (reminder, after) => {
+  let next;
+  try {
+    next = await runWorker(path.join(__dirname, 'recurrence-worker.js'), {
+      reminder: { starts_at: reminder.starts_at, rrule: reminder.rrule, timezone: reminder.timezone },
+      after: after.toISOString(),
+      inclusive: true
+    }, { timeoutMs: FIRST_OCCURRENCE_TIMEOUT_MS });
+  } catch (error) {
+    if (error instanceof WorkerTimeoutError) return null;
+    throw error;
+  }
+
+  const horizon = new Date(after);
+  horizon.setUTCFullYear(horizon.getUTCFullYear() + FIRST_OCCURRENCE_HORIZON_YEARS);
+  return next && new Date(next) <= horizon ? new Date(next) : null;
+};
+
+/**
+ * All occurrences of a reminder in a time window
+ * @param {object} reminder - { starts_at, rrule, timezone }
+ * @param {Date} from - Window start (inclusive)
+ * @param {Date} to - Window end (inclusive)
+ * @param {number} [limit] - Maximum occurrences to return
+ * @returns {Date[]} - Occurrences in order
+ */
+const occurrencesBetween = (reminder, from, to, limit = 100) => {
+  if (!reminder.rrule) {
+    const startsAt = new Date(reminder.starts_at);
+    return startsAt >= from && startsAt <= to ? [startsAt] : [];
+  }
+
+  return buildRule(reminder)
+    .between(toFloating(from, reminder.timezone), toFloating(to, reminder.timezone), true, (date, index) => index < limit)
+    .map(date => fromFloating(date, reminder.timezone));
+};
+
+module.exports = {
+  isValidTimeZone,
+  FIRST_OCCURRENCE_HORIZON_YEARS,
+  validateRule,
+  nextOccurrence,
+  findFirstOccurrence,
+  occurrencesBetween
+};
@@ -0,0 +1,14 @@
+/**
+ * A failed delivery; retryable errors are tried again with backoff, others give up straight away
+ */
+class DeliveryError extends Error {
+  constructor(message, { retryable = true } = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.retryable = retryable;
+  }
+}
+
+module.exports = {
+  DeliveryError
+};
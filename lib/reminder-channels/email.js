@@ -0,0 +1,69 @@
+const nodemailer = require('nodemailer');
+const { DeliveryError } = require('./delivery-error');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Channel that emails the reminder over SMTP
+ * Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS and SMTP_FROM. For a local test
+ * server such as MailHog or smtp4dev, set SMTP_HOST=localhost, SMTP_PORT=1025 and SMTP_IGNORE_TLS=true.
+ * @returns {object} - Reminder channel
+ */
+const createEmailChannel = () => {
+  let transport = null;
+
+  const getTransport = () => {
+    if (!transport) {
+      transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+    }
+    return transport;
+  };
+
+  return {
+    isConfigured: () => !!process.env.SMTP_HOST,
+
+    deliver: async ({ reminder, note, user, firedAt }) => {
+      if (!user.email) {
+        throw new DeliveryError('The user has no email address', { retryable: false });
+      }
+
+      const title = note.title || 'Untitled';
+      const due = new Date(reminder.occurrence_at).toLocaleString('en-US', {
+        timeZone: reminder.timezone,
+        dateStyle: 'medium',
+        timeStyle: 'short'
+      });
+
+      try {
+        await getTransport().sendMail({
+          from: process.env.SMTP_FROM || 'Notes <reminders@localhost>',
+          to: user.email,
+          subject: `Reminder: ${title}`,
+          text: [`Reminder for "${title}" (${due})`, reminder.message].filter(Boolean).join('\n\n'),
+          html: `<p>Reminder for <strong>${escapeHtml(title)}</strong> (${escapeHtml(due)})</p>` +
+            (reminder.message ? `<p>${escapeHtml(reminder.message)}</p>` : ''),
+          headers: { 'X-Reminder-Fired-At': firedAt }
+        });
+      } catch (error) {
+        // 5xx SMTP replies are permanent rejections (bad recipient and the like)
+        throw new DeliveryError(`Email delivery failed: ${error.message}`, {
+          retryable: !(error.responseCode >= 500)
+        });
+      }
+    }
+  };
+};
+
+module.exports = {
+  createEmailChannel
+};
@@ -0,0 +1,33 @@
+const { supabase } = require('../supabase');
+const { publishEvent } = require('../events');
+
+/**
+ * Channel that adds the reminder to the user's notification list and pushes it to open clients
+ * @returns {object} - Reminder channel
+ */
+const createInAppChannel = () => ({
+  isConfigured: () => true,
+
+  deliver: async ({ reminder, note, user, firedAt }) => {
+    const { data, error } = await supabase
+      .from('notifications')
+      .insert([{
+        user_id: user.id,
+        type: 'reminder',
+        post_id: note.id,
+        reminder_id: reminder.id,
+        title: note.title || 'Untitled',
+        body: reminder.message || null,
+        data: { occurrence_at: reminder.occurrence_at, fired_at: firedAt }
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    publishEvent([user.id], 'notification.created', { notification: data });
+  }
+});
+
+module.exports = {
+  createInAppChannel
+};
@@ -0,0 +1,42 @@
+const { DeliveryError } = require('./delivery-error');
+const { createInAppChannel } = require('./in-app');
+const { createWebhookChannel } = require('./webhook');
+const { createEmailChannel } = require('./email');
+
+// Channels implement:
+//   isConfigured()                                   whether the server can deliver through it at all
+//   deliver({ reminder, note, user, firedAt })        send one reminder; throw DeliveryError on failure
+const channels = {
+  in_app: createInAppChannel(),
+  webhook: createWebhookChannel(),
+  email: createEmailChannel()
+};
+
+/**
+ * Register an additional delivery channel, e.g. push notifications
+ * @param {string} name - Name used in a reminder's channels list
+ * @param {object} channel - Channel implementation
+ */
+const registerReminderChannel = (name, channel) => {
+  channels[name] = channel;
+};
+
+/**
+ * Look up a delivery channel
+ * @param {string} name - Channel name
+ * @returns {object|null} - The channel, or null if unknown
+ */
+const getReminderChannel = (name) => channels[name] || null;
+
+/**
+ * Names of the channels this server can deliver through
+ * @returns {string[]}
+ */
+const getAvailableChannels = () => Object.keys(channels).filter(name => channels[name].isConfigured());
+
+module.exports = {
+  DeliveryError,
+  registerReminderChannel,
+  getReminderChannel,
+  getAvailableChannels
+};
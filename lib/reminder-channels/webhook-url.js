@@ -0,0 +1,93 @@
+const dns = require('dns');
+const net = require('net');
+
+// Webhooks may only reach the public internet; set ALLOW_PRIVATE_WEBHOOK_URLS=true to test against local servers
+const ALLOW_PRIVATE = process.env.ALLOW_PRIVATE_WEBHOOK_URLS === 'true';
+
+// Loopback, private, link-local (including cloud metadata at 169.254.169.254), carrier-grade NAT,
+// multicast and reserved ranges
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is one webhooks must not be sent to
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isBlockedAddress = (address) => {
+  if (ALLOW_PRIVATE) return false;
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * DNS lookup for outgoing webhook requests that refuses blocked addresses
+ * The check happens when the connection is made, so a name that resolves differently later
+ * (DNS rebinding) still can't reach an internal host.
+ * Same signature as dns.lookup, for the `lookup` option of http.request.
+ */
+const webhookLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const refused = addresses.find(({ address }) => isBlockedAddress(address));
+    if (refused) {
+      const lookupError = new Error(`${hostname} resolves to ${refused.address}, which webhooks can't be sent to`);
+      lookupError.code = 'EBLOCKEDADDRESS';
+      return callback(lookupError);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Check that a webhook URL is http(s) and points at a public address
+ * @param {string} value - URL to check
+ * @returns {object} - { url, error } where error is a message for a 400 response
+ */
+const checkWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return { url: null, error: 'webhook_url must be an http(s) URL' };
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { url: null, error: 'webhook_url must be an http(s) URL' };
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return { url: null, error: `webhook_url host ${hostname} could not be resolved` };
+  }
+
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { url: null, error: 'webhook_url must point at a public address, not a local or private network' };
+  }
+  return { url, error: null };
+};
+
+module.exports = {
+  isBlockedAddress,
+  webhookLookup,
+  checkWebhookUrl
+};
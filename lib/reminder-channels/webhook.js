@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { DeliveryError } = require('./delivery-error');
+const { checkWebhookUrl, webhookLookup } = require('./webhook-url');
+
+const TIMEOUT_MS = parseInt(process.env.REMINDER_WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+// POST with the address check done at connect time (see webhookLookup); redirects are not followed
+const postWebhook = (url, headers, body) => new Promise((resolve, reject) => {
+  const request = (url.protocol === 'https:' ? https : http).request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: webhookLookup,
+    timeout: TIMEOUT_MS
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+
+  request.on('timeout', () => request.destroy(new Error(`No answer within ${TIMEOUT_MS}ms`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+/**
+ * Channel that POSTs the reminder as JSON to the user's webhook URL
+ * The body is signed with the user's webhook secret: X-Reminder-Signature is "sha256=" plus the hex HMAC.
+ * X-Reminder-Delivery is the same for retries of one firing, so receivers can drop duplicates.
+ * @returns {object} - Reminder channel
+ */
+const createWebhookChannel = () => ({
+  isConfigured: () => true,
+
+  deliver: async ({ reminder, note, user, firedAt }) => {
+    if (!user.reminder_webhook_url) {
+      throw new DeliveryError('No webhook URL is configured', { retryable: false });
+    }
+
+    // Checked again on every delivery: where the name points may have changed since it was saved
+    const { url, error: urlError } = await checkWebhookUrl(user.reminder_webhook_url);
+    if (urlError) {
+      throw new DeliveryError(urlError, { retryable: false });
+    }
+
+    const body = JSON.stringify({
+      type: 'reminder',
+      reminder: {
+        id: reminder.id,
+        message: reminder.message || null,
+        occurrence_at: reminder.occurrence_at,
+        rrule: reminder.rrule
+      },
+      note: { id: note.id, title: note.title || 'Untitled' },
+      fired_at: firedAt
+    });
+    const signature = crypto.createHmac('sha256', user.reminder_webhook_secret || '').update(body).digest('hex');
+
+    let status;
+    try {
+      status = await postWebhook(url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'notes-reminders',
+        'X-Reminder-Delivery': `${reminder.id}-${new Date(reminder.fire_at).getTime()}`,
+        'X-Reminder-Signature': `sha256=${signature}`
+      }, body);
+    } catch (error) {
+      if (error.code === 'EBLOCKEDADDRESS') {
+        throw new DeliveryError('Webhook URL points at a local or private network', { retryable: false });
+      }
+      throw new DeliveryError('Webhook request failed');
+    }
+
+    if (status < 200 || status >= 300) {
+      // Client errors other than timeouts and rate limits won't fix themselves
+      const retryable = status >= 500 || status === 408 || status === 429;
+      throw new DeliveryError(`Webhook answered ${status}`, { retryable });
+    }
+  }
+});
+
+module.exports = {
+  createWebhookChannel
+};
@@ -0,0 +1,219 @@
+const { supabase } = require('./supabase');
+const { getNoteAccess } = require('./note-access');
+const { nextOccurrence } = require('./recurrence');
+const { DeliveryError, getReminderChannel } = require('./reminder-channels');
+const { publishEvent } = require('./events');
+
+const POLL_INTERVAL_MS = (parseInt(process.env.REMINDER_POLL_SECONDS) || 30) * 1000;
+const BATCH_SIZE = 50;
+// A claimed reminder is left alone by other runs for this long, in case this process dies mid-delivery
+const LOCK_SECONDS = 5 * 60;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+
+let running = false;
+let wakeTimer = null;
+let wakeAt = null;
+
+const recordDelivery = async (reminder, channel, previous, error) => {
+  const { error: upsertError } = await supabase
+    .from('reminder_deliveries')
+    .upsert([{
+      reminder_id: reminder.id,
+      fire_at: reminder.fire_at,
+      channel,
+      status: error ? 'failed' : 'sent',
+      attempts: (previous?.attempts || 0) + 1,
+      error: error ? error.message : null,
+      updated_at: new Date()
+    }], { onConflict: 'reminder_id,fire_at,channel' });
+
+  if (upsertError) throw upsertError;
+};
+
+/**
+ * Move a reminder past the occurrence that just fired
+ * Occurrences missed while the server was down fire once, then the series continues from now.
+ * @param {object} reminder - Claimed note_reminders row
+ * @param {Date} firedAt - When it fired
+ */
+const advanceReminder = async (reminder, firedAt) => {
+  let next = nextOccurrence(reminder, new Date(reminder.occurrence_at));
+  if (next && next <= firedAt) {
+    next = nextOccurrence(reminder, firedAt);
+  }
+
+  const { error } = await supabase
+    .from('note_reminders')
+    .update({
+      status: next ? 'scheduled' : 'fired',
+      last_occurrence_at: reminder.occurrence_at,
+      last_fired_at: firedAt,
+      fire_count: reminder.fire_count + 1,
+      occurrence_at: next ? next.toISOString() : reminder.occurrence_at,
+      fire_at: next ? next.toISOString() : null,
+      attempts: 0,
+      locked_until: null,
+      updated_at: new Date()
+    })
+    .eq('id', reminder.id)
+    // Snoozed, completed or rescheduled meanwhile: that change wins
+    .eq('fire_at', reminder.fire_at);
+
+  if (error) throw error;
+};
+
+/**
+ * Deliver one claimed reminder on each of its channels, then schedule the next occurrence
+ * Channels that already succeeded for this firing are skipped, so retries and restarts never send twice.
+ * @param {object} reminder - Claimed note_reminders row
+ */
+const fireReminder = async (reminder) => {
+  const firedAt = new Date();
+
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('id, email, name, reminder_webhook_url, reminder_webhook_secret')
+    .eq('id', reminder.user_id)
+    .maybeSingle();
+
+  if (userError) throw userError;
+
+  // Reminders on trashed notes, or notes no longer shared with the user, are skipped rather than delivered
+  const { note } = await getNoteAccess(reminder.post_id, reminder.user_id);
+  if (!note || !user) {
+    return advanceReminder(reminder, firedAt);
+  }
+
+  const { data: deliveries, error: deliveryError } = await supabase
+    .from('reminder_deliveries')
+    .select('channel, status, attempts')
+    .eq('reminder_id', reminder.id)
+    .eq('fire_at', reminder.fire_at);
+
+  if (deliveryError) throw deliveryError;
+
+  let retry = false;
+  for (const channelName of reminder.channels) {
+    const previous = (deliveries || []).find(delivery => delivery.channel === channelName);
+    if (previous?.status === 'sent') continue;
+
+    const channel = getReminderChannel(channelName);
+    try {
+      if (!channel || !channel.isConfigured()) {
+        throw new DeliveryError(`Channel ${channelName} is not available`, { retryable: false });
+      }
+      await channel.deliver({ reminder, note, user, firedAt: firedAt.toISOString() });
+      await recordDelivery(reminder, channelName, previous, null);
+    } catch (error) {
+      console.error(`Reminder ${reminder.id} ${channelName} delivery failed:`, error.message);
+      await recordDelivery(reminder, channelName, previous, error);
+      if (error.retryable !== false) {
+        retry = true;
+      }
+    }
+  }
+
+  if (retry && reminder.attempts + 1 < MAX_ATTEMPTS) {
+    const delay = RETRY_BASE_MS * 2 ** reminder.attempts;
+    const { error } = await supabase
+      .from('note_reminders')
+      .update({ attempts: reminder.attempts + 1, locked_until: new Date(Date.now() + delay) })
+      .eq('id', reminder.id)
+      .eq('fire_at', reminder.fire_at);
+
+    if (error) throw error;
+    return;
+  }
+
+  await advanceReminder(reminder, firedAt);
+  publishEvent([reminder.user_id], 'reminder.fired', {
+    reminder_id: reminder.id,
+    note_id: reminder.post_id,
+    occurrence_at: reminder.occurrence_at,
+    fired_at: firedAt.toISOString()
+  });
+};
+
+/**
+ * Claim and fire every due reminder
+ * @returns {number} - Number of reminders processed
+ */
+const runDueReminders = async () => {
+  if (running) return 0;
+  running = true;
+
+  let processed = 0;
+  try {
+    for (;;) {
+      const { data, error } = await supabase.rpc('claim_due_reminders', {
+        p_limit: BATCH_SIZE,
+        p_lock_seconds: LOCK_SECONDS
+      });
+
+      if (error) throw error;
+      if (!data || data.length === 0) break;
+
+      for (const reminder of data) {
+        try {
+          await fireReminder(reminder);
+        } catch (fireError) {
+          // Left locked; it is picked up again once the lock expires
+          console.error(`Error firing reminder ${reminder.id}:`, fireError);
+        }
+        processed++;
+      }
+
+      if (data.length < BATCH_SIZE) break;
+    }
+  } finally {
+    running = false;
+  }
+  return processed;
+};
+
+const run = async () => {
+  try {
+    const fired = await runDueReminders();
+    if (fired > 0) {
+      console.log(`Processed ${fired} due reminder(s)`);
+    }
+  } catch (error) {
+    console.error('Reminder scheduler error:', error);
+  }
+};
+
+/**
+ * Run the reminder scheduler now and then on a fixed interval
+ * Due reminders live in the database, so anything that came due while the server was down fires on startup.
+ * @returns {NodeJS.Timeout} - The interval handle
+ */
+const startReminderScheduler = () => {
+  run();
+  const timer = setInterval(run, POLL_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Make sure the scheduler runs by the time a newly scheduled reminder is due, if that is before the next poll
+ * @param {string|Date} fireAt - When the reminder fires
+ */
+const wakeReminderScheduler = (fireAt) => {
+  const at = new Date(fireAt).getTime();
+  if (at - Date.now() >= POLL_INTERVAL_MS || (wakeAt !== null && wakeAt <= at)) return;
+
+  clearTimeout(wakeTimer);
+  wakeAt = at;
+  wakeTimer = setTimeout(() => {
+    wakeAt = null;
+    run();
+  }, Math.max(at - Date.now(), 0) + 100);
+  wakeTimer.unref();
+};
+
+module.exports = {
+  runDueReminders,
+  startReminderScheduler,
+  wakeReminderScheduler
+};
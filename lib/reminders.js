@@ -0,0 +1,275 @@
+const { supabase } = require('./supabase');
+const {
+  FIRST_OCCURRENCE_HORIZON_YEARS,
+  isValidTimeZone,
+  validateRule,
+  nextOccurrence,
+  findFirstOccurrence,
+  occurrencesBetween
+} = require('./recurrence');
+const { getReminderChannel, getAvailableChannels } = require('./reminder-channels');
+
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_SNOOZE_DAYS = 365;
+// One-off reminders may be set slightly in the past, e.g. "now" from a client with a skewed clock
+const PAST_TOLERANCE_MS = 60 * 1000;
+
+/**
+ * Reminder input rejected as invalid; the message is meant for a 400 response
+ */
+class ReminderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReminderError';
+  }
+}
+
+const parseDate = (value, field) => {
+  const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+  if (!date || isNaN(date.getTime())) {
+    throw new ReminderError(`${field} must be an ISO 8601 date-time`);
+  }
+  // Schedules work to the second
+  return new Date(Math.floor(date.getTime() / 1000) * 1000);
+};
+
+/**
+ * Validate reminder fields from a request body, merged over the existing reminder when updating
+ * @param {object} body - { starts_at, rrule, timezone, channels, message }
+ * @param {object} [existing] - Reminder being updated
+ * @returns {object} - Column values to save, including the first occurrence to fire
+ */
+const buildReminderValues = async (body, existing = null) => {
+  const values = {};
+
+  if (body.starts_at !== undefined || !existing) {
+    if (body.starts_at === undefined || body.starts_at === null) {
+      throw new ReminderError('starts_at is required');
+    }
+    values.starts_at = parseDate(body.starts_at, 'starts_at').toISOString();
+  }
+
+  if (body.rrule !== undefined) {
+    if (body.rrule === null || body.rrule === '') {
+      values.rrule = null;
+    } else {
+      const { rule, error } = validateRule(body.rrule);
+      if (error) throw new ReminderError(error);
+      values.rrule = rule;
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    if (typeof body.timezone !== 'string' || !isValidTimeZone(body.timezone)) {
+      throw new ReminderError('timezone must be an IANA time zone name, e.g. "Europe/Berlin"');
+    }
+    values.timezone = body.timezone;
+  }
+
+  if (body.channels !== undefined) {
+    const available = getAvailableChannels();
+    if (!Array.isArray(body.channels) || body.channels.length === 0) {
+      throw new ReminderError('channels must be a non-empty array');
+    }
+    for (const channel of body.channels) {
+      if (!getReminderChannel(channel)) {
+        throw new ReminderError(`Unknown channel "${channel}"; available: ${available.join(', ')}`);
+      }
+      if (!available.includes(channel)) {
+        throw new ReminderError(`The ${channel} channel is not configured on this server`);
+      }
+    }
+    values.channels = [...new Set(body.channels)];
+  }
+
+  if (body.message !== undefined) {
+    if (body.message !== null && (typeof body.message !== 'string' || body.message.length > MAX_MESSAGE_LENGTH)) {
+      throw new ReminderError(`message must be text of at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    values.message = body.message ? body.message.trim() : null;
+  }
+
+  // Changing the schedule restarts it from now
+  const schedule = { rrule: null, timezone: 'UTC', ...existing, ...values };
+  if (!existing || ['starts_at', 'rrule', 'timezone'].some(field => values[field] !== undefined)) {
+    const now = new Date();
+    let first;
+    if (schedule.rrule) {
+      const startsAt = new Date(schedule.starts_at);
+      first = await findFirstOccurrence(schedule, startsAt > now ? startsAt : now);
+      if (!first) {
+        throw new ReminderError(
+          `The recurrence rule has no occurrences in the next ${FIRST_OCCURRENCE_HORIZON_YEARS} years`
+        );
+      }
+    } else {
+      first = new Date(schedule.starts_at);
+      if (first.getTime() < now.getTime() - PAST_TOLERANCE_MS) {
+        throw new ReminderError('starts_at must be in the future');
+      }
+    }
+
+    Object.assign(values, {
+      status: 'scheduled',
+      occurrence_at: first.toISOString(),
+      fire_at: first.toISOString(),
+      attempts: 0,
+      locked_until: null,
+      completed_at: null
+    });
+  }
+
+  return values;
+};
+
+/**
+ * Work out the snooze target from { minutes } or { until }
+ * @param {object} body - Request body
+ * @returns {Date} - When the reminder should fire again
+ */
+const getSnoozeUntil = (body) => {
+  let until;
+  if (body.until !== undefined) {
+    until = parseDate(body.until, 'until');
+  } else {
+    const minutes = Number(body.minutes ?? 10);
+    if (!Number.isFinite(minutes) || minutes < 1) {
+      throw new ReminderError('minutes must be a positive number');
+    }
+    until = new Date(Math.floor((Date.now() + minutes * 60 * 1000) / 1000) * 1000);
+  }
+
+  if (until <= new Date()) {
+    throw new ReminderError('Snooze until a time in the future');
+  }
+  if (until.getTime() - Date.now() > MAX_SNOOZE_DAYS * 24 * 60 * 60 * 1000) {
+    throw new ReminderError(`Reminders can be snoozed for at most ${MAX_SNOOZE_DAYS} days`);
+  }
+  return until;
+};
+
+/**
+ * Column changes that snooze a reminder
+ * Once a reminder has fired, the occurrence that fired is repeated; before that, the pending one is delayed.
+ * @param {object} reminder - note_reminders row
+ * @param {Date} until - New firing time
+ * @returns {object} - Column values to save
+ */
+const snoozeValues = (reminder, until) => {
+  if (reminder.status === 'completed') {
+    throw new ReminderError('Completed reminders cannot be snoozed');
+  }
+
+  return {
+    status: 'scheduled',
+    occurrence_at: reminder.last_occurrence_at || reminder.occurrence_at,
+    fire_at: until.toISOString(),
+    attempts: 0,
+    locked_until: null
+  };
+};
+
+/**
+ * Column changes that complete a reminder
+ * One-off reminders and whole series are finished; for a single occurrence of a recurring reminder,
+ * a pending snooze is dropped, or else the upcoming occurrence is skipped.
+ * @param {object} reminder - note_reminders row
+ * @param {boolean} series - Whether to finish every future occurrence too
+ * @returns {object} - Column values to save
+ */
+const completeValues = (reminder, series) => {
+  if (reminder.status === 'completed') {
+    throw new ReminderError('This reminder is already completed');
+  }
+
+  const finished = { status: 'completed', completed_at: new Date().toISOString(), fire_at: null, locked_until: null };
+  if (!reminder.rrule || series) {
+    return finished;
+  }
+
+  // A snoozed occurrence that already fired may be long past; don't let completing it trigger an overdue one
+  const after = new Date(Math.max(new Date(reminder.occurrence_at).getTime(), Date.now()));
+  const next = nextOccurrence(reminder, after);
+  if (!next) {
+    return finished;
+  }
+
+  return {
+    status: 'scheduled',
+    occurrence_at: next.toISOString(),
+    fire_at: next.toISOString(),
+    attempts: 0,
+    locked_until: null
+  };
+};
+
+/**
+ * Occurrences of a user's scheduled reminders in a time window, soonest first
+ * @param {string} userId - Owner
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @param {number} limit - Maximum entries
+ * @returns {Array} - [{ reminder_id, note, at, snoozed, message, recurring }]
+ */
+const getUpcomingOccurrences = async (userId, from, to, limit) => {
+  const { data, error } = await supabase
+    .from('note_reminders')
+    .select('*, note:posts(id, title, deleted_at)')
+    .eq('user_id', userId)
+    .eq('status', 'scheduled')
+    .lte('fire_at', to.toISOString())
+    .order('fire_at');
+
+  if (error) throw error;
+
+  const entries = [];
+  for (const reminder of data || []) {
+    if (!reminder.note || reminder.note.deleted_at) continue;
+
+    const entry = (at) => ({
+      reminder_id: reminder.id,
+      note: { id: reminder.note.id, title: reminder.note.title },
+      at: at.toISOString(),
+      snoozed: false,
+      message: reminder.message,
+      recurring: !!reminder.rrule
+    });
+
+    // The pending firing (possibly snoozed, possibly overdue), then the rest of the series
+    const fireAt = new Date(reminder.fire_at);
+    entries.push({ ...entry(fireAt), snoozed: fireAt.getTime() !== new Date(reminder.occurrence_at).getTime() });
+    if (reminder.rrule) {
+      const after = new Date(Math.max(new Date(reminder.occurrence_at).getTime() + 1000, from.getTime()));
+      occurrencesBetween(reminder, after, to, limit).forEach(at => entries.push(entry(at)));
+    }
+  }
+
+  return entries
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .slice(0, limit);
+};
+
+/**
+ * Shape a reminder for API responses
+ * @param {object} reminder - note_reminders row
+ * @returns {object} - Reminder without scheduler bookkeeping
+ */
+const serializeReminder = (reminder) => {
+  const { attempts, locked_until, post_id, ...rest } = reminder;
+  return {
+    ...rest,
+    note_id: post_id,
+    snoozed: !!reminder.fire_at && !!reminder.occurrence_at &&
+      new Date(reminder.fire_at).getTime() !== new Date(reminder.occurrence_at).getTime()
+  };
+};
+
+module.exports = {
+  ReminderError,
+  buildReminderValues,
+  getSnoozeUntil,
+  snoozeValues,
+  completeValues,
+  getUpcomingOccurrences,
+  serializeReminder
+};
@@ -0,0 +1,134 @@
+const { supabase } = require('./supabase');
+
+// Autosaves landing within this window of the previous autosave revision are
+// folded into it instead of adding a new entry to the history
+const AUTOSAVE_WINDOW_MS = (parseInt(process.env.REVISION_AUTOSAVE_WINDOW_MINUTES) || 10) * 60 * 1000;
+
+const REVISION_SOURCES = ['create', 'update', 'autosave', 'restore'];
+
+/**
+ * Fetch the most recent revision of a note
+ * @param {number|string} postId - Note ID
+ * @returns {object|null} - Latest revision row or null
+ */
+const getLatestRevision = async (postId) => {
+  const { data, error } = await supabase
+    .from('note_revisions')
+    .select('*')
+    .eq('post_id', postId)
+    .order('revision_number', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+};
+
+/**
+ * Record the saved state of a note as a revision
+ * @param {object} post - The note row as it was just saved
+ * @param {string} source - What produced the save: 'create', 'update', 'autosave' or 'restore'
+ * @returns {object|null} - The inserted or collapsed revision, or null if nothing changed
+ */
+const recordRevision = async (post, source) => {
+  if (!REVISION_SOURCES.includes(source)) {
+    throw new Error(`Unknown revision source: ${source}`);
+  }
+
+  const latest = await getLatestRevision(post.id);
+
+  const snapshot = {
+    title: post.title,
+    content: post.content,
+    encrypted_content: post.encrypted_content,
+    encryption_key_version: post.encryption_key_version ?? null,
+    is_encrypted: !!post.is_encrypted
+  };
+
+  // Nothing to record if the saved text matches the latest revision
+  if (latest &&
+      latest.title === snapshot.title &&
+      latest.content === snapshot.content &&
+      latest.encrypted_content === snapshot.encrypted_content &&
+      (latest.encryption_key_version ?? null) === snapshot.encryption_key_version &&
+      latest.is_encrypted === snapshot.is_encrypted) {
+    return null;
+  }
+
+  // Collapse a run of autosaves into a single revision
+  if (latest && source === 'autosave' && latest.source === 'autosave' &&
+      Date.now() - new Date(latest.created_at).getTime() < AUTOSAVE_WINDOW_MS) {
+    const { data, error } = await supabase
+      .from('note_revisions')
+      .update({
+        ...snapshot,
+        post_version: post.version ?? null,
+        autosave_count: (latest.autosave_count || 1) + 1,
+        updated_at: new Date()
+      })
+      .eq('id', latest.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  const { data, error } = await supabase
+    .from('note_revisions')
+    .insert([{
+      ...snapshot,
+      post_version: post.version ?? null,
+      post_id: post.id,
+      user_id: post.user_id,
+      revision_number: latest ? latest.revision_number + 1 : 1,
+      source,
+      autosave_count: source === 'autosave' ? 1 : 0,
+      created_at: new Date(),
+      updated_at: new Date()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Record a revision without failing the save that triggered it
+ * @param {object} post - The note row as it was just saved
+ * @param {string} source - What produced the save
+ */
+const recordRevisionSafely = async (post, source) => {
+  try {
+    await recordRevision(post, source);
+  } catch (error) {
+    console.error(`Error recording ${source} revision for note ${post.id}:`, error);
+  }
+};
+
+/**
+ * Find the revision that captured a specific version of a note
+ * @param {number|string} postId - Note ID
+ * @param {number} version - posts.version at the time of the save
+ * @returns {object|null} - Revision row, or null if that version was folded into a later autosave or never recorded
+ */
+const findRevisionByVersion = async (postId, version) => {
+  const { data, error } = await supabase
+    .from('note_revisions')
+    .select('*')
+    .eq('post_id', postId)
+    .eq('post_version', version)
+    .order('revision_number', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+};
+
+module.exports = {
+  REVISION_SOURCES,
+  getLatestRevision,
+  findRevisionByVersion,
+  recordRevision,
+  recordRevisionSafely
+};
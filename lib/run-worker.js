@@ -0,0 +1,49 @@
+const { Worker } = require('worker_threads');
+
+/**
+ * A worker thread was stopped for taking longer than allowed
+ */
+class WorkerTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WorkerTimeoutError';
+  }
+}
+
+/**
+ * Run a script in a worker thread, so CPU-heavy work doesn't block request handling
+ * The script reads its input from workerData and posts back one message with its result.
+ * @param {string} file - Absolute path of the worker script
+ * @param {*} data - Passed to the script as workerData
+ * @param {object} [options] - { timeoutMs } after which the worker is stopped and WorkerTimeoutError thrown, and
+ *   { resourceLimits } for the Worker; a worker that runs out of memory fails with ERR_WORKER_OUT_OF_MEMORY
+ * @returns {Promise<*>} - The message the script posted
+ */
+const runWorker = (file, data, { timeoutMs, resourceLimits } = {}) => new Promise((resolve, reject) => {
+  const worker = new Worker(file, { workerData: data, resourceLimits });
+  let timer = null;
+  let settled = false;
+
+  const settle = (callback, value) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    callback(value);
+  };
+
+  if (timeoutMs) {
+    timer = setTimeout(() => {
+      worker.terminate();
+      settle(reject, new WorkerTimeoutError(`Worker took longer than ${timeoutMs}ms`));
+    }, timeoutMs);
+  }
+
+  worker.once('message', message => settle(resolve, message));
+  worker.once('error', error => settle(reject, error));
+  worker.once('exit', code => settle(reject, new Error(`Worker stopped with exit code ${code} before answering`)));
+});
+
+module.exports = {
+  WorkerTimeoutError,
+  runWorker
+};
@@ -0,0 +1,248 @@
+// Parser for the notes search language used by `search` on GET /api/notes.
+//
+//   meeting "action items" proj*      free text, quoted phrases, prefix match
+//   -draft -"old idea"                exclude a word or phrase
+//   label:Urgent label:"In Progress"  notes with every listed label
+//   category:Work category:Ideas      notes in any listed category
+//   category:Work/Meetings            a category by its path, when the name alone is used under several parents
+//   is:draft is:published is:public is:private is:encrypted is:pinned is:archived
+//   before:2026-01-01 after:2025-06-30
+//   created:>=2026-01-01 updated:>7d  compare with a date or a relative age (h, d, w, m, y)
+//
+// Operators other than dates can be negated with a leading '-'.
+
+const IS_VALUES = {
+  draft: { field: 'is_draft', value: true },
+  published: { field: 'is_draft', value: false },
+  public: { field: 'is_public', value: true },
+  private: { field: 'is_public', value: false },
+  encrypted: { field: 'is_encrypted', value: true },
+  pinned: { field: 'is_pinned', value: true },
+  archived: { field: 'is_archived', value: true }
+};
+
+const DATE_OPERATORS = {
+  before: { field: 'created_at', comparator: '<' },
+  after: { field: 'created_at', comparator: '>' },
+  created: { field: 'created_at', comparator: null },
+  updated: { field: 'updated_at', comparator: null }
+};
+
+const OPERATORS = ['label', 'category', 'is', ...Object.keys(DATE_OPERATORS)];
+
+const RELATIVE_UNITS = {
+  h: (date, n) => date.setUTCHours(date.getUTCHours() - n),
+  d: (date, n) => date.setUTCDate(date.getUTCDate() - n),
+  w: (date, n) => date.setUTCDate(date.getUTCDate() - 7 * n),
+  m: (date, n) => date.setUTCMonth(date.getUTCMonth() - n),
+  y: (date, n) => date.setUTCFullYear(date.getUTCFullYear() - n)
+};
+
+class SearchQueryError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'SearchQueryError';
+    this.position = position;
+  }
+}
+
+const isSpace = (char) => /\s/.test(char);
+
+/**
+ * Read a double-quoted string starting at `start`
+ * @returns {object} - { value, end } where end is the index after the closing quote
+ */
+const readQuoted = (input, start) => {
+  const close = input.indexOf('"', start + 1);
+  if (close === -1) {
+    throw new SearchQueryError('Unterminated quoted phrase', start);
+  }
+  return { value: input.slice(start + 1, close), end: close + 1 };
+};
+
+/**
+ * Read characters up to the next whitespace
+ * @returns {object} - { value, end }
+ */
+const readBare = (input, start) => {
+  let end = start;
+  while (end < input.length && !isSpace(input[end])) {
+    end++;
+  }
+  return { value: input.slice(start, end), end };
+};
+
+/**
+ * Resolve a date operator value into a timestamp range
+ * @param {string} raw - Value after the colon, e.g. '>=2026-01-01' or '>7d'
+ * @param {string|null} impliedComparator - Comparator implied by before:/after:
+ * @param {Date} now - Reference time for relative values
+ * @param {number} position - Offset of the value in the query, for errors
+ * @returns {object} - { gte?, lt? } as ISO strings
+ */
+const parseDateRange = (raw, impliedComparator, now, position) => {
+  let comparator = impliedComparator;
+  let value = raw;
+
+  const explicit = raw.match(/^(>=|<=|>|<|=)/);
+  if (explicit) {
+    if (impliedComparator) {
+      throw new SearchQueryError(`Unexpected "${explicit[1]}" in date value "${raw}"`, position);
+    }
+    comparator = explicit[1] === '=' ? null : explicit[1];
+    value = raw.slice(explicit[1].length);
+  }
+
+  const relative = value.match(/^(\d+)([hdwmy])$/);
+  if (relative) {
+    const point = new Date(now.getTime());
+    RELATIVE_UNITS[relative[2]](point, parseInt(relative[1]));
+    // A relative age is a single point in time; without a comparator it means "since then"
+    if (comparator === '<' || comparator === '<=') {
+      return { lt: point.toISOString() };
+    }
+    return { gte: point.toISOString() };
+  }
+
+  const absolute = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!absolute) {
+    throw new SearchQueryError(`Invalid date "${value}" (use YYYY-MM-DD or an age like 7d)`, position);
+  }
+
+  const dayStart = new Date(Date.UTC(parseInt(absolute[1]), parseInt(absolute[2]) - 1, parseInt(absolute[3])));
+  if (dayStart.toISOString().slice(0, 10) !== value) {
+    throw new SearchQueryError(`Invalid date "${value}"`, position);
+  }
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+  switch (comparator) {
+    case '>':
+      return { gte: dayEnd.toISOString() };
+    case '>=':
+      return { gte: dayStart.toISOString() };
+    case '<':
+      return { lt: dayStart.toISOString() };
+    case '<=':
+      return { lt: dayEnd.toISOString() };
+    default:
+      return { gte: dayStart.toISOString(), lt: dayEnd.toISOString() };
+  }
+};
+
+/**
+ * Turn free text into a search term
+ * @returns {object|null} - { words, phrase, prefix, negated }, or null if it has no searchable characters
+ */
+const toTextTerm = (raw, phrase, negated) => {
+  const prefix = !phrase && raw.endsWith('*');
+  const words = raw.match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length === 0) {
+    return null;
+  }
+  return { words: words.map(word => word.toLowerCase()), phrase, prefix, negated };
+};
+
+/**
+ * Parse a search query into free-text terms and structured filters
+ * @param {string} input - Query text
+ * @param {object} [options]
+ * @param {Date} [options.now] - Reference time for relative dates
+ * @returns {object} - { text, labels, categories, flags, dates }
+ * @throws {SearchQueryError} - When the query is malformed
+ */
+const parseSearchQuery = (input, { now = new Date() } = {}) => {
+  const query = String(input || '');
+  const result = {
+    text: [],
+    labels: { include: [], exclude: [] },
+    categories: { include: [], exclude: [] },
+    flags: {},
+    dates: []
+  };
+
+  let pos = 0;
+  while (pos < query.length) {
+    if (isSpace(query[pos])) {
+      pos++;
+      continue;
+    }
+
+    const termStart = pos;
+    let negated = false;
+    if (query[pos] === '-') {
+      negated = true;
+      pos++;
+      if (pos >= query.length || isSpace(query[pos])) {
+        throw new SearchQueryError('Expected a term after "-"', termStart);
+      }
+    }
+
+    if (query[pos] === '"') {
+      const { value, end } = readQuoted(query, pos);
+      if (!value.trim()) {
+        throw new SearchQueryError('Empty quoted phrase', pos);
+      }
+      const term = toTextTerm(value, true, negated);
+      if (term) result.text.push(term);
+      pos = end;
+      continue;
+    }
+
+    const operatorMatch = query.slice(pos).match(/^([a-zA-Z]+):/);
+    const operator = operatorMatch && operatorMatch[1].toLowerCase();
+
+    if (!operator || !OPERATORS.includes(operator)) {
+      const { value, end } = readBare(query, pos);
+      const term = toTextTerm(value, false, negated);
+      if (term) result.text.push(term);
+      pos = end;
+      continue;
+    }
+
+    const valueStart = pos + operatorMatch[0].length;
+    const { value, end } = query[valueStart] === '"'
+      ? readQuoted(query, valueStart)
+      : readBare(query, valueStart);
+    pos = end;
+
+    if (!value.trim()) {
+      throw new SearchQueryError(`Missing value for "${operator}:"`, termStart);
+    }
+
+    if (operator === 'label' || operator === 'category') {
+      const target = operator === 'label' ? result.labels : result.categories;
+      target[negated ? 'exclude' : 'include'].push(value.trim());
+      continue;
+    }
+
+    if (operator === 'is') {
+      const flag = IS_VALUES[value.toLowerCase()];
+      if (!flag) {
+        throw new SearchQueryError(
+          `Unknown value "${value}" for "is:" (expected ${Object.keys(IS_VALUES).join(', ')})`,
+          valueStart
+        );
+      }
+      const flagValue = negated ? !flag.value : flag.value;
+      if (flag.field in result.flags && result.flags[flag.field] !== flagValue) {
+        throw new SearchQueryError(`Conflicting filter "${query.slice(termStart, end)}"`, termStart);
+      }
+      result.flags[flag.field] = flagValue;
+      continue;
+    }
+
+    if (negated) {
+      throw new SearchQueryError(`Date filter "${operator}:" cannot be negated; use the opposite comparison`, termStart);
+    }
+
+    const { field, comparator } = DATE_OPERATORS[operator];
+    result.dates.push({ field, ...parseDateRange(value, comparator, now, valueStart) });
+  }
+
+  return result;
+};
+
+module.exports = {
+  SearchQueryError,
+  parseSearchQuery
+};
@@ -0,0 +1,192 @@
+const { supabase } = require('./supabase');
+
+// Upper bound on ranked matches considered for a single search
+const MAX_SEARCH_RESULTS = 500;
+
+// Markers ts_headline wraps around matches; swapped for <mark> after escaping
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_END = '\u0002';
+
+/**
+ * Convert parsed text terms to a to_tsquery() expression
+ * @param {Array} terms - `text` from parseSearchQuery
+ * @returns {string|null} - tsquery text, or null if there is nothing to search for
+ */
+const termsToTsQuery = (terms) => {
+  const parts = terms.map(term => {
+    const words = [...term.words];
+    if (term.prefix) {
+      words[words.length - 1] = `${words[words.length - 1]}:*`;
+    }
+    // Phrases and hyphenated words must match adjacently
+    const expression = words.length > 1 ? `(${words.join(' <-> ')})` : words[0];
+    return term.negated ? `!${expression}` : expression;
+  });
+
+  return parts.length > 0 ? parts.join(' & ') : null;
+};
+
+// Names a category can be looked up by: its own name and each longer path ending in it, e.g. "meetings"
+// and "work/meetings" for Work > Meetings, since category names only have to be unique under one parent
+const categoryPathKeys = (categories) => {
+  const byId = new Map(categories.map(category => [category.id, category]));
+  return (category) => {
+    const names = [];
+    const seen = new Set();
+    for (let node = category; node && !seen.has(node.id); node = byId.get(node.parent_id)) {
+      seen.add(node.id);
+      names.unshift(node.name.toLowerCase());
+    }
+    return names.map((name, index) => names.slice(index).join('/'));
+  };
+};
+
+/**
+ * Look up the label and category names used in a parsed query
+ * @param {string} userId - Owner of the labels and categories
+ * @param {object} parsed - Result of parseSearchQuery
+ * @returns {object} - { labels, categories } with include/exclude ID lists, plus
+ *   `unknown` names and `matchesNothing` when a required name does not exist
+ */
+const resolveSearchFilters = async (userId, parsed) => {
+  const resolve = async (table, names) => {
+    const wanted = [...names.include, ...names.exclude];
+    if (wanted.length === 0) {
+      return { include: [], exclude: [], unknown: [], missingRequired: false };
+    }
+
+    const { data, error } = await supabase
+      .from(table)
+      .select(table === 'categories' ? 'id, name, parent_id' : 'id, name')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    const keysOf = table === 'categories' ? categoryPathKeys(data || []) : row => [row.name.toLowerCase()];
+    const idsByName = new Map();
+    for (const row of data || []) {
+      for (const key of keysOf(row)) {
+        idsByName.set(key, [...(idsByName.get(key) || []), row.id]);
+      }
+    }
+
+    const lookup = (name) => idsByName.get(name.toLowerCase().split('/').map(part => part.trim()).join('/')) || [];
+    const unknown = wanted.filter(name => lookup(name).length === 0);
+
+    return {
+      include: names.include.map(lookup),
+      exclude: names.exclude.flatMap(lookup),
+      unknown,
+      missingRequired: names.include.some(name => lookup(name).length === 0)
+    };
+  };
+
+  const labels = await resolve('labels', parsed.labels);
+  const categories = await resolve('categories', parsed.categories);
+
+  return {
+    labels,
+    categories,
+    flags: parsed.flags,
+    dates: parsed.dates,
+    unknown: { labels: labels.unknown, categories: categories.unknown },
+    matchesNothing: labels.missingRequired || categories.missingRequired
+  };
+};
+
+/**
+ * Apply resolved search filters to a PostgREST query on posts
+ * @param {object} builder - Supabase filter builder
+ * @param {object} resolved - Result of resolveSearchFilters
+ * @returns {object} - The filtered builder
+ */
+const applySearchFilters = (builder, resolved) => {
+  let query = builder;
+
+  for (const [field, value] of Object.entries(resolved.flags)) {
+    query = query.eq(field, value);
+  }
+
+  for (const range of resolved.dates) {
+    if (range.gte) query = query.gte(range.field, range.gte);
+    if (range.lt) query = query.lt(range.field, range.lt);
+  }
+
+  // Every label: term must match; each term may cover several same-named labels
+  for (const ids of resolved.labels.include) {
+    query = ids.length === 1
+      ? query.contains('label_ids', ids)
+      : query.overlaps('label_ids', ids);
+  }
+  if (resolved.labels.exclude.length > 0) {
+    query = query.not('label_ids', 'ov', `{${resolved.labels.exclude.join(',')}}`);
+  }
+
+  // A note has one category, so category: terms match any of them
+  const categoryIds = resolved.categories.include.flat();
+  if (categoryIds.length > 0) {
+    query = query.in('category_id', categoryIds);
+  }
+  if (resolved.categories.exclude.length > 0) {
+    query = query.or(`category_id.is.null,category_id.not.in.(${resolved.categories.exclude.join(',')})`);
+  }
+
+  return query;
+};
+
+/**
+ * Escape text for inclusion in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Turn a ts_headline result into escaped HTML with <mark> around matches
+ * @param {string|null} headline - Headline text with highlight markers
+ * @returns {string} - HTML-safe snippet
+ */
+const headlineToHtml = (headline) => escapeHtml(headline || '')
+  .split(HIGHLIGHT_START).join('<mark>')
+  .split(HIGHLIGHT_END).join('</mark>');
+
+/**
+ * Fetch highlighted title and content snippets for a page of search results
+ * @param {string} userId - Owner of the notes
+ * @param {number[]} postIds - Notes on the current page
+ * @param {string} tsQuery - Query from termsToTsQuery
+ * @returns {Map<number, object>} - Note ID to { title_html, snippet_html }
+ */
+const getHighlights = async (userId, postIds, tsQuery) => {
+  if (postIds.length === 0) {
+    return new Map();
+  }
+
+  const { data, error } = await supabase.rpc('note_search_headlines', {
+    p_user_id: userId,
+    p_post_ids: postIds,
+    p_query: tsQuery,
+    p_start_sel: HIGHLIGHT_START,
+    p_stop_sel: HIGHLIGHT_END
+  });
+
+  if (error) throw error;
+  return new Map((data || []).map(row => [row.post_id, {
+    title_html: headlineToHtml(row.title_headline),
+    snippet_html: headlineToHtml(row.content_headline)
+  }]));
+};
+
+module.exports = {
+  MAX_SEARCH_RESULTS,
+  termsToTsQuery,
+  resolveSearchFilters,
+  applySearchFilters,
+  escapeHtml,
+  getHighlights
+};
@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const { supabase } = require('./supabase');
+
+const SCRYPT_KEY_LENGTH = 32;
+const ACCESS_KEY_SECRET = process.env.SHARE_LINK_SECRET || process.env.SUPABASE_JWT_SECRET;
+
+// Wrong share passwords allowed per client and per link in a window; counts are per server process.
+// Checking a password runs a deliberately slow scrypt, so a client past its limit isn't checked at all.
+// A link past its limit still opens with the right password, so guessers can't lock its real visitors out.
+const PASSWORD_ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+const MAX_PASSWORD_FAILURES_PER_CLIENT = parseInt(process.env.SHARE_PASSWORD_MAX_FAILURES) || 10;
+const MAX_PASSWORD_FAILURES_PER_LINK = MAX_PASSWORD_FAILURES_PER_CLIENT * 5;
+const passwordFailures = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of passwordFailures) {
+    if (entry.resetAt <= now) passwordFailures.delete(key);
+  }
+}, PASSWORD_ATTEMPT_WINDOW_MS).unref();
+
+/**
+ * Generate a random share token
+ * @returns {string} - 64-character hex token
+ */
+const generateShareToken = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Hash a share link password for storage
+ * @param {string} password - Plain-text password
+ * @returns {string} - 'scrypt$<salt>$<hash>'
+ */
+const hashSharePassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+/**
+ * Check a password against a stored share link hash
+ * @param {string} password - Password supplied by the visitor
+ * @param {string} stored - Value from hashSharePassword
+ * @returns {boolean}
+ */
+const verifySharePassword = (password, stored) => {
+  if (!password || !stored) {
+    return false;
+  }
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Seconds until a key may try a password again, or 0 if it still has attempts left
+const passwordRetryAfter = (key, max) => {
+  const entry = passwordFailures.get(key);
+  if (!entry || entry.resetAt <= Date.now() || entry.count < max) {
+    return 0;
+  }
+  return Math.ceil((entry.resetAt - Date.now()) / 1000);
+};
+
+const recordPasswordFailure = (key) => {
+  const entry = passwordFailures.get(key);
+  if (!entry || entry.resetAt <= Date.now()) {
+    passwordFailures.set(key, { count: 1, resetAt: Date.now() + PASSWORD_ATTEMPT_WINDOW_MS });
+  } else {
+    entry.count++;
+  }
+};
+
+/**
+ * Derive the key that lets a page unlocked with a link's password load that note's attachments
+ * @param {object} link - Share link row with id and password_hash
+ * @returns {string} - Hex key; changes whenever the password changes
+ */
+const getShareLinkAccessKey = (link) => crypto
+  .createHmac('sha256', ACCESS_KEY_SECRET)
+  .update(`${link.id}:${link.password_hash}`)
+  .digest('hex')
+  .slice(0, 32);
+
+const verifyShareLinkAccessKey = (link, accessKey) => {
+  if (!accessKey) {
+    return false;
+  }
+  const expected = Buffer.from(getShareLinkAccessKey(link));
+  const actual = Buffer.from(String(accessKey));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Make sure a public note has its default share link, reusing the note's existing token
+ * @param {object} post - Note row with id, user_id and public_share_token
+ * @returns {object} - The default share link
+ */
+const ensureDefaultShareLink = async (post) => {
+  const { data: existing, error: fetchError } = await supabase
+    .from('note_share_links')
+    .select('*')
+    .eq('post_id', post.id)
+    .eq('token', post.public_share_token)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (existing) {
+    return existing;
+  }
+
+  const { data, error } = await supabase
+    .from('note_share_links')
+    .insert([{
+      post_id: post.id,
+      user_id: post.user_id,
+      token: post.public_share_token,
+      name: 'Public link',
+      is_default: true
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Make a note public or private
+ * The existing token is kept so links already handed out work again when the note is re-published;
+ * a new one is only issued if there is none or its default link was revoked.
+ * @param {object} post - Note row with id, user_id and public_share_token
+ * @param {boolean} isPublic - New visibility
+ * @returns {object|null} - The updated note, or null if it was deleted meanwhile
+ */
+const setNoteVisibility = async (post, isPublic) => {
+  let publicShareToken = post.public_share_token;
+  if (isPublic) {
+    const defaultLink = publicShareToken ? await ensureDefaultShareLink(post) : null;
+    if (!defaultLink || defaultLink.revoked_at) {
+      publicShareToken = generateShareToken();
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('posts')
+    .update({
+      is_public: isPublic,
+      public_share_token: publicShareToken,
+      updated_at: new Date()
+    })
+    .eq('id', post.id)
+    .eq('user_id', post.user_id)
+    .is('deleted_at', null)
+    .select();
+
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    return null;
+  }
+
+  if (isPublic) {
+    await ensureDefaultShareLink(data[0]);
+  }
+  return data[0];
+};
+
+/**
+ * Describe why a share link can't be used right now
+ * @param {object} link - Share link row
+ * @returns {string|null} - Reason, or null if the link is usable
+ */
+const getShareLinkState = (link) => {
+  if (link.revoked_at) {
+    return 'revoked';
+  }
+  if (link.expires_at && new Date(link.expires_at) <= new Date()) {
+    return 'expired';
+  }
+  return null;
+};
+
+/**
+ * Count a view of a share link
+ * @param {number} linkId - Share link ID
+ */
+const recordShareLinkView = async (linkId) => {
+  const { error } = await supabase.rpc('increment_share_link_views', { p_link_id: linkId });
+  if (error) {
+    console.error('Error recording share link view:', error);
+  }
+};
+
+/**
+ * Look up the note behind a share token, enforcing expiry, revocation, password and encryption rules
+ * @param {string} token - Share token from the URL
+ * @param {string} [password] - Password supplied by the visitor
+ * @param {object} [options] - { accessKey } from getShareLinkAccessKey, accepted instead of the password, and
+ *   { client }, the visitor's IP address, which wrong passwords are counted against
+ * @returns {object} - { note, link } on success, or { status, error, passwordRequired, retryAfter } on failure
+ */
+const resolvePublicNote = async (token, password, { accessKey, client } = {}) => {
+  const { data: link, error: linkError } = await supabase
+    .from('note_share_links')
+    .select('*')
+    .eq('token', token)
+    .maybeSingle();
+
+  if (linkError) throw linkError;
+  if (!link) {
+    return { status: 404, error: 'Public note not found' };
+  }
+
+  const state = getShareLinkState(link);
+  if (state) {
+    return { status: 410, error: `This share link has ${state === 'revoked' ? 'been revoked' : 'expired'}` };
+  }
+
+  if (link.password_hash && !verifyShareLinkAccessKey(link, accessKey)) {
+    const clientKey = `client:${client || 'unknown'}`;
+    const linkKey = `link:${link.id}`;
+
+    const tooManyAttempts = (retryAfter) => ({
+      status: 429,
+      error: 'Too many wrong passwords; try again later',
+      retryAfter
+    });
+
+    const clientRetryAfter = password ? passwordRetryAfter(clientKey, MAX_PASSWORD_FAILURES_PER_CLIENT) : 0;
+    if (clientRetryAfter > 0) {
+      return tooManyAttempts(clientRetryAfter);
+    }
+
+    if (!verifySharePassword(password, link.password_hash)) {
+      if (password) {
+        const linkRetryAfter = passwordRetryAfter(linkKey, MAX_PASSWORD_FAILURES_PER_LINK);
+        recordPasswordFailure(clientKey);
+        recordPasswordFailure(linkKey);
+        if (linkRetryAfter > 0) {
+          return tooManyAttempts(linkRetryAfter);
+        }
+      }
+      return {
+        status: 401,
+        error: password ? 'Incorrect password' : 'This share link is password protected',
+        passwordRequired: true
+      };
+    }
+  }
+
+  const { data: note, error } = await supabase
+    .from('posts')
+    .select(`
+      id,
+      user_id,
+      title,
+      content,
+      encrypted_content,
+      is_encrypted,
+      is_updated,
+      created_at,
+      updated_at,
+      category:categories(id, name, color, icon),
+      post_labels(
+        label:labels(id, name, color)
+      )
+    `)
+    .eq('id', link.post_id)
+    .eq('is_public', true)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!note) {
+    return { status: 404, error: 'Public note not found' };
+  }
+
+  if (note.is_encrypted && !link.allow_encrypted) {
+    return { status: 403, error: 'This share link does not allow encrypted notes' };
+  }
+
+  return { note, link };
+};
+
+/**
+ * Remove secrets before returning a share link to its owner
+ * @param {object} link - Share link row
+ * @returns {object} - Link without the password hash
+ */
+const serializeShareLink = (link) => {
+  const { password_hash, ...rest } = link;
+  return {
+    ...rest,
+    has_password: !!password_hash,
+    status: getShareLinkState(link) || 'active'
+  };
+};
+
+module.exports = {
+  generateShareToken,
+  hashSharePassword,
+  verifySharePassword,
+  getShareLinkAccessKey,
+  ensureDefaultShareLink,
+  setNoteVisibility,
+  getShareLinkState,
+  recordShareLinkView,
+  resolvePublicNote,
+  serializeShareLink
+};
@@ -0,0 +1,43 @@
+const path = require('path');
+const { createLocalStorage } = require('./local');
+
+// Adapters implement:
+//   put(key, buffer, { contentType })  store a file, replacing any existing one
+//   createReadStream(key)              resolve to a readable stream, reject if missing
+//   remove(key)                        delete a file; missing files are not an error
+const drivers = {
+  local: () => createLocalStorage({
+    root: process.env.ATTACHMENT_STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads')
+  })
+};
+
+let storage = null;
+
+/**
+ * Register an additional storage driver, e.g. for S3 or Supabase Storage
+ * @param {string} name - Value of STORAGE_DRIVER that selects it
+ * @param {Function} factory - Returns an adapter
+ */
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+/**
+ * Get the configured storage adapter (STORAGE_DRIVER, default 'local')
+ * @returns {object} - Storage adapter
+ */
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+module.exports = {
+  registerStorageDriver,
+  getStorage
+};
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage adapter that keeps files on the local filesystem
+ * @param {object} options - { root } directory holding the files
+ * @returns {object} - Adapter with put, createReadStream and remove
+ */
+const createLocalStorage = ({ root }) => {
+  const baseDir = path.resolve(root);
+
+  // Keys are generated server-side, but never let one escape the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Write to a temporary name first so readers never see a partial file
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, buffer);
+      await fs.promises.rename(tempPath, filePath);
+    },
+
+    createReadStream: async (key) => {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath, fs.constants.R_OK);
+      return fs.createReadStream(filePath);
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = {
+  createLocalStorage
+};
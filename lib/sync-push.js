@@ -0,0 +1,668 @@
+const { supabase } = require('./supabase');
+const { getNoteAccess, hasRole } = require('./note-access');
+const { recordRevisionSafely } = require('./revisions');
+const { mergeStaleEdit } = require('./note-versions');
+const { validateName, findOwnedItem, findNameConflict } = require('./taxonomy');
+const { getUserCategories, wouldCreateCycle, findSiblingNameClashes } = require('./category-tree');
+const { organizationValues } = require('./note-organization');
+const { resolveKeyVersion } = require('./encryption-keys');
+const { publishNoteEvent, publishUserEvent } = require('./events');
+
+const MAX_PUSH_MUTATIONS = 100;
+const MAX_MUTATION_ID_LENGTH = 100;
+// Long enough to cover any realistic retry of the same batch
+const MUTATION_RETENTION_DAYS = parseInt(process.env.SYNC_MUTATION_RETENTION_DAYS) || 30;
+// A mutation still pending after this long was abandoned by a request that died, and may be claimed again
+const MUTATION_CLAIM_LEASE_SECONDS = parseInt(process.env.SYNC_MUTATION_CLAIM_LEASE_SECONDS) || 60;
+
+const applied = (payload = {}) => ({ status: 'applied', ...payload });
+const rejected = (error, payload = {}) => ({ status: 'rejected', error, ...payload });
+
+/**
+ * Turn an ID from a mutation into a row ID; earlier creates in the batch can be referenced by their temp_id
+ * @param {*} value - ID or temp_id
+ * @param {Map} refs - temp_id to row ID
+ * @returns {number|null|undefined} - Row ID, null if value is null, undefined if it can't be resolved
+ */
+const resolveId = (value, refs) => {
+  if (value === null) return null;
+  if (typeof value === 'string' && refs.has(value)) return refs.get(value);
+  if (Number.isInteger(value) && value > 0) return value;
+  if (typeof value === 'string' && /^\d+$/.test(value)) return parseInt(value);
+  return undefined;
+};
+
+const resolveCategory = async (value, userId, refs) => {
+  if (value === undefined || value === null || value === '') {
+    return { id: null };
+  }
+  const id = resolveId(value, refs);
+  if (id === undefined || !(await findOwnedItem('categories', id, userId))) {
+    return { error: 'Category not found or access denied' };
+  }
+  return { id };
+};
+
+const resolveLabels = async (values, userId, refs) => {
+  if (!Array.isArray(values)) {
+    return { error: 'label_ids must be an array' };
+  }
+  const ids = [...new Set(values.map(value => resolveId(value, refs)))];
+  if (ids.some(id => !id)) {
+    return { error: 'Label not found or access denied' };
+  }
+  if (ids.length === 0) {
+    return { ids };
+  }
+
+  const { data, error } = await supabase
+    .from('labels')
+    .select('id')
+    .in('id', ids)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  if ((data || []).length !== ids.length) {
+    return { error: 'Label not found or access denied' };
+  }
+  return { ids };
+};
+
+const replaceLabels = async (noteId, labelIds) => {
+  const { error: deleteError } = await supabase
+    .from('post_labels')
+    .delete()
+    .eq('post_id', noteId);
+
+  if (deleteError) throw deleteError;
+
+  if (labelIds.length > 0) {
+    const { error } = await supabase
+      .from('post_labels')
+      .insert(labelIds.map(labelId => ({ post_id: noteId, label_id: labelId })));
+
+    if (error) throw error;
+  }
+};
+
+const getLabelIds = async (noteId) => {
+  const { data, error } = await supabase
+    .from('post_labels')
+    .select('label_id')
+    .eq('post_id', noteId);
+
+  if (error) throw error;
+  return (data || []).map(row => row.label_id);
+};
+
+const findOwnedNote = async (id, userId) => {
+  const { data, error } = await supabase
+    .from('posts')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const versionConflict = async (noteId, baseVersion, merge) => {
+  const { data: current, error } = await supabase
+    .from('posts')
+    .select('*')
+    .eq('id', noteId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!current || current.deleted_at) {
+    return rejected('Note not found or access denied');
+  }
+
+  return {
+    status: 'conflict',
+    error: 'This note was changed since the client last synced it',
+    current_version: current.version,
+    your_version: baseVersion,
+    current: { ...current, label_ids: await getLabelIds(noteId) },
+    ...(merge ? { merge } : {})
+  };
+};
+
+const createNote = async (mutation, { req, userId, refs }) => {
+  const { title, content, encrypted_content, is_draft = false, is_encrypted = false } = mutation;
+
+  if (!title && !content && !encrypted_content) {
+    return rejected('Title or content is required');
+  }
+
+  const category = await resolveCategory(mutation.category_id, userId, refs);
+  if (category.error) return rejected(category.error);
+
+  const labels = mutation.label_ids === undefined ? { ids: [] } : await resolveLabels(mutation.label_ids, userId, refs);
+  if (labels.error) return rejected(labels.error);
+
+  const keyVersion = await resolveKeyVersion(userId, mutation);
+  if (keyVersion.error) return rejected(keyVersion.error);
+
+  const { data: note, error } = await supabase
+    .from('posts')
+    .insert([{
+      title: title || 'Untitled',
+      content: is_encrypted ? null : content,
+      encrypted_content: is_encrypted ? encrypted_content : null,
+      encryption_key_version: keyVersion.version,
+      is_encrypted: !!is_encrypted,
+      is_draft: !!is_draft,
+      is_public: false,
+      category_id: category.id,
+      user_id: userId,
+      last_autosave: new Date(),
+      updated_at: new Date()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await replaceLabels(note.id, labels.ids);
+  await recordRevisionSafely(note, 'create');
+  await publishNoteEvent('note.created', note, req);
+
+  return applied({ id: note.id, note: { ...note, label_ids: labels.ids } });
+};
+
+const updateNote = async (mutation, { req, userId, refs }) => {
+  const id = resolveId(mutation.id, refs);
+  const { note, role } = id ? await getNoteAccess(id, userId) : { note: null };
+  if (!note) {
+    return rejected('Note not found or access denied');
+  }
+  if (!hasRole(role, 'editor')) {
+    return rejected('You do not have permission to edit this note');
+  }
+
+  const baseVersion = mutation.base_version ?? null;
+  if (baseVersion !== null && (!Number.isInteger(baseVersion) || baseVersion < 1)) {
+    return rejected('base_version must be a positive integer');
+  }
+
+  const isOwner = role === 'owner';
+  // Only the owner can switch a note between encrypted and plain text
+  const isEncrypted = isOwner && mutation.is_encrypted !== undefined ? !!mutation.is_encrypted : note.is_encrypted;
+  let { title, content } = mutation;
+
+  if (isEncrypted && !note.is_encrypted && mutation.encrypted_content === undefined) {
+    return rejected('encrypted_content is required to encrypt a note');
+  }
+  if (!isEncrypted && note.is_encrypted && content === undefined) {
+    return rejected('content is required to decrypt a note');
+  }
+
+  const keyVersion = await resolveKeyVersion(note.user_id, {
+    is_encrypted: isEncrypted,
+    encryption_key_version: mutation.encryption_key_version
+  }, note);
+  if (keyVersion.error) return rejected(keyVersion.error);
+
+  let merged = false;
+  if (baseVersion !== null && baseVersion !== note.version) {
+    if (!mutation.merge || isEncrypted) {
+      return versionConflict(note.id, baseVersion);
+    }
+    const result = await mergeStaleEdit(note, baseVersion, { title, content }, {
+      title: mutation.base_title,
+      content: mutation.base_content
+    });
+    if (result.conflict) {
+      return versionConflict(note.id, baseVersion, result.conflict);
+    }
+    ({ title, content } = result);
+    merged = true;
+  }
+
+  const updates = { updated_at: new Date(), is_updated: true };
+  if (title !== undefined) updates.title = title;
+  if (isEncrypted) {
+    if (mutation.encrypted_content !== undefined) updates.encrypted_content = mutation.encrypted_content;
+    updates.content = null;
+  } else if (content !== undefined) {
+    updates.content = content;
+    updates.encrypted_content = null;
+  }
+  updates.is_encrypted = isEncrypted;
+  updates.encryption_key_version = keyVersion.version;
+
+  let labelIds;
+  if (isOwner) {
+    if (mutation.category_id !== undefined) {
+      const category = await resolveCategory(mutation.category_id, userId, refs);
+      if (category.error) return rejected(category.error);
+      updates.category_id = category.id;
+      if (String(category.id) !== String(note.category_id)) {
+        updates.manual_position = null;
+      }
+    }
+
+    const organization = organizationValues({
+      is_pinned: mutation.is_pinned,
+      is_archived: mutation.is_archived,
+      color: mutation.color
+    });
+    if (organization.error) return rejected(organization.error);
+    Object.assign(updates, organization.values);
+    if (mutation.label_ids !== undefined) {
+      const labels = await resolveLabels(mutation.label_ids, userId, refs);
+      if (labels.error) return rejected(labels.error);
+      labelIds = labels.ids;
+    }
+  }
+
+  let query = supabase
+    .from('posts')
+    .update(updates)
+    .eq('id', note.id)
+    .is('deleted_at', null);
+  if (baseVersion !== null) {
+    query = query.eq('version', note.version);
+  }
+  const { data, error } = await query.select();
+
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    return baseVersion !== null ? versionConflict(note.id, baseVersion) : rejected('Note not found or access denied');
+  }
+
+  if (labelIds !== undefined) {
+    await replaceLabels(note.id, labelIds);
+  }
+
+  const updated = { ...data[0], label_ids: labelIds ?? await getLabelIds(note.id) };
+  await recordRevisionSafely(data[0], 'update');
+  await publishNoteEvent('note.updated', data[0], req, { label_ids: updated.label_ids });
+
+  return applied({ id: note.id, note: updated, ...(merged ? { merged: true } : {}) });
+};
+
+const deleteNote = async (mutation, { req, userId, refs }) => {
+  const id = resolveId(mutation.id, refs);
+  const note = id ? await findOwnedNote(id, userId) : null;
+  if (!note) {
+    return rejected('Note not found or access denied');
+  }
+  if (note.deleted_at) {
+    return applied({ id: note.id, deleted_at: note.deleted_at });
+  }
+
+  const { data, error } = await supabase
+    .from('posts')
+    .update({ deleted_at: new Date() })
+    .eq('id', note.id)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await publishNoteEvent('note.deleted', data, req);
+  return applied({ id: note.id, deleted_at: data.deleted_at });
+};
+
+const changeNoteLabel = async (mutation, { req, userId, refs }, add) => {
+  const noteId = resolveId(mutation.note_id, refs);
+  const note = noteId ? await findOwnedNote(noteId, userId) : null;
+  if (!note || note.deleted_at) {
+    return rejected('Note not found or access denied');
+  }
+  const labels = await resolveLabels([mutation.label_id], userId, refs);
+  if (labels.error) return rejected(labels.error);
+  const [labelId] = labels.ids;
+
+  if (add) {
+    const { error } = await supabase
+      .from('post_labels')
+      .insert([{ post_id: note.id, label_id: labelId }]);
+
+    // Already assigned counts as applied
+    if (error && error.code !== '23505') throw error;
+  } else {
+    const { error } = await supabase
+      .from('post_labels')
+      .delete()
+      .eq('post_id', note.id)
+      .eq('label_id', labelId);
+
+    if (error) throw error;
+  }
+
+  const labelIds = await getLabelIds(note.id);
+  await publishNoteEvent('note.updated', note, req, { label_ids: labelIds });
+  return applied({ note_id: note.id, label_id: labelId, label_ids: labelIds });
+};
+
+const nameConflict = (table, conflict) => ({
+  status: 'conflict',
+  error: `A ${table === 'categories' ? 'category' : 'label'} named "${conflict.name}" already exists`,
+  existing: conflict
+});
+
+const createTaxonomyItem = async (table, mutation, { req, userId, refs }) => {
+  const { name, error: nameError } = validateName(mutation.name);
+  if (nameError) return rejected(nameError);
+
+  const row = { name, user_id: userId };
+  if (table === 'categories') {
+    const parent = await resolveCategory(mutation.parent_id, userId, refs);
+    if (parent.error) return rejected('Parent category not found or access denied');
+    Object.assign(row, { color: mutation.color || '#3B82F6', icon: mutation.icon || '📁', parent_id: parent.id });
+  } else {
+    row.color = mutation.color || '#10B981';
+  }
+
+  const conflict = await findNameConflict(table, userId, name, null, row.parent_id);
+  if (conflict) return nameConflict(table, conflict);
+
+  const { data, error } = await supabase
+    .from(table)
+    .insert([row])
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') return nameConflict(table, { name });
+    throw error;
+  }
+
+  if (table === 'categories') {
+    publishUserEvent(req, 'category.created', { category: data });
+    return applied({ id: data.id, category: data });
+  }
+  publishUserEvent(req, 'label.created', { label: data });
+  return applied({ id: data.id, label: data });
+};
+
+const updateTaxonomyItem = async (table, mutation, { req, userId, refs }) => {
+  const id = resolveId(mutation.id, refs);
+  const existing = id ? await findOwnedItem(table, id, userId) : null;
+  if (!existing) {
+    return rejected(`${table === 'categories' ? 'Category' : 'Label'} not found or access denied`);
+  }
+
+  const updates = {};
+  if (mutation.name !== undefined) {
+    const { name, error: nameError } = validateName(mutation.name);
+    if (nameError) return rejected(nameError);
+    updates.name = name;
+  }
+  if (mutation.color !== undefined) updates.color = mutation.color;
+  if (table === 'categories') {
+    if (mutation.icon !== undefined) updates.icon = mutation.icon;
+    if (mutation.parent_id !== undefined) {
+      const parent = await resolveCategory(mutation.parent_id, userId, refs);
+      if (parent.error) return rejected('Parent category not found or access denied');
+      if (wouldCreateCycle(await getUserCategories(userId), id, parent.id)) {
+        return rejected('Cannot move a category into itself or one of its subcategories');
+      }
+      updates.parent_id = parent.id;
+    }
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return rejected('Nothing to update');
+  }
+
+  // Renamed, or for a category also moved: the name has to be free where it ends up
+  if (updates.name !== undefined || updates.parent_id !== undefined) {
+    const conflict = await findNameConflict(
+      table,
+      userId,
+      updates.name ?? existing.name,
+      id,
+      updates.parent_id !== undefined ? updates.parent_id : existing.parent_id
+    );
+    if (conflict) return nameConflict(table, conflict);
+  }
+
+  const { data, error } = await supabase
+    .from(table)
+    .update(updates)
+    .eq('id', id)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') return nameConflict(table, { name: updates.name ?? existing.name });
+    throw error;
+  }
+
+  if (table === 'categories') {
+    publishUserEvent(req, 'category.updated', { category: data });
+    return applied({ id: data.id, category: data });
+  }
+  publishUserEvent(req, 'label.updated', { label: data });
+  return applied({ id: data.id, label: data });
+};
+
+// Same as DELETE /api/categories/:id with the defaults: notes become uncategorized, subcategories move up
+const deleteCategory = async (mutation, { req, userId, refs }) => {
+  const id = resolveId(mutation.id, refs);
+  const existing = id ? await findOwnedItem('categories', id, userId) : null;
+  if (!existing) {
+    return rejected('Category not found or access denied');
+  }
+
+  const categories = await getUserCategories(userId);
+  const lifted = categories.filter(row => String(row.parent_id) === String(existing.id));
+  const clashes = findSiblingNameClashes(categories, lifted, existing.parent_id);
+  if (clashes.length > 0) {
+    return rejected('Some subcategories have the same name as a category they would move next to; rename them first', {
+      conflicts: clashes.map(row => ({ id: row.id, name: row.name }))
+    });
+  }
+
+  const { data: movedNotes, error: moveError } = await supabase
+    .from('posts')
+    .update({ category_id: null })
+    .eq('category_id', existing.id)
+    .eq('user_id', userId)
+    .select('id');
+
+  if (moveError) throw moveError;
+
+  const { error: liftError } = await supabase
+    .from('categories')
+    .update({ parent_id: existing.parent_id })
+    .eq('parent_id', existing.id)
+    .eq('user_id', userId);
+
+  if (liftError) throw liftError;
+
+  const { error } = await supabase
+    .from('categories')
+    .delete()
+    .eq('id', existing.id)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  publishUserEvent(req, 'category.deleted', {
+    category_ids: [existing.id],
+    note_ids: movedNotes?.map(note => note.id) || [],
+    moved_to: null,
+    children: 'lift'
+  });
+  return applied({ id: existing.id });
+};
+
+const deleteLabel = async (mutation, { req, userId, refs }) => {
+  const id = resolveId(mutation.id, refs);
+  const existing = id ? await findOwnedItem('labels', id, userId) : null;
+  if (!existing) {
+    return rejected('Label not found or access denied');
+  }
+
+  const { data: removedLinks, error: linkError } = await supabase
+    .from('post_labels')
+    .delete()
+    .eq('label_id', existing.id)
+    .select('post_id');
+
+  if (linkError) throw linkError;
+
+  const { error } = await supabase
+    .from('labels')
+    .delete()
+    .eq('id', existing.id)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  publishUserEvent(req, 'label.deleted', {
+    label_id: existing.id,
+    note_ids: removedLinks?.map(link => link.post_id) || []
+  });
+  return applied({ id: existing.id });
+};
+
+const MUTATION_HANDLERS = {
+  'note.create': createNote,
+  'note.update': updateNote,
+  'note.delete': deleteNote,
+  'note_label.add': (mutation, context) => changeNoteLabel(mutation, context, true),
+  'note_label.remove': (mutation, context) => changeNoteLabel(mutation, context, false),
+  'category.create': (mutation, context) => createTaxonomyItem('categories', mutation, context),
+  'category.update': (mutation, context) => updateTaxonomyItem('categories', mutation, context),
+  'category.delete': deleteCategory,
+  'label.create': (mutation, context) => createTaxonomyItem('labels', mutation, context),
+  'label.update': (mutation, context) => updateTaxonomyItem('labels', mutation, context),
+  'label.delete': deleteLabel
+};
+
+const MUTATION_TYPES = Object.keys(MUTATION_HANDLERS);
+
+/**
+ * Record that a mutation is being applied; a mutation seen before returns its stored result instead
+ * A pending claim older than the lease is taken over, so a crash between claiming and recording the result
+ * doesn't block the mutation until it is pruned.
+ * @param {string} userId - Pushing user
+ * @param {object} mutation - Mutation with mutation_id and type
+ * @returns {object|null} - Earlier result, or null if this is the first time
+ */
+const claimMutation = async (userId, mutation) => {
+  const { error } = await supabase
+    .from('sync_mutations')
+    .insert([{ user_id: userId, mutation_id: mutation.mutation_id, type: mutation.type }]);
+
+  if (!error) return null;
+  if (error.code !== '23505') throw error;
+
+  const { data, error: fetchError } = await supabase
+    .from('sync_mutations')
+    .select('status, result, claimed_at')
+    .eq('user_id', userId)
+    .eq('mutation_id', mutation.mutation_id)
+    .single();
+
+  if (fetchError) throw fetchError;
+  if (data.status === 'pending') {
+    const leaseCutoff = new Date(Date.now() - MUTATION_CLAIM_LEASE_SECONDS * 1000);
+    if (new Date(data.claimed_at) < leaseCutoff) {
+      // Only one retry can take the claim over: the update no longer matches once claimed_at is fresh
+      const { data: reclaimed, error: reclaimError } = await supabase
+        .from('sync_mutations')
+        .update({ type: mutation.type, claimed_at: new Date() })
+        .eq('user_id', userId)
+        .eq('mutation_id', mutation.mutation_id)
+        .eq('status', 'pending')
+        .lt('claimed_at', leaseCutoff.toISOString())
+        .select('mutation_id');
+
+      if (reclaimError) throw reclaimError;
+      if (reclaimed && reclaimed.length > 0) return null;
+    }
+    return { status: 'pending', error: 'This mutation is still being applied by another request' };
+  }
+  return { ...data.result, replayed: true };
+};
+
+const pruneMutations = async (userId) => {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - MUTATION_RETENTION_DAYS);
+
+  const { error } = await supabase
+    .from('sync_mutations')
+    .delete()
+    .eq('user_id', userId)
+    .lt('created_at', cutoff.toISOString());
+
+  if (error) throw error;
+};
+
+/**
+ * Apply a batch of offline mutations in order
+ * Each mutation is applied at most once per mutation_id; retrying a batch returns the stored results.
+ * Failures don't stop the batch, so later mutations that depend on a rejected one are rejected in turn.
+ * @param {object} req - Authenticated request, for events
+ * @param {Array} mutations - [{ mutation_id, type, temp_id?, ...fields }]
+ * @returns {Array} - One result per mutation: { mutation_id, type, status, ... }
+ */
+const applyMutations = async (req, mutations) => {
+  const userId = req.user.id;
+  const refs = new Map();
+  const results = [];
+
+  await pruneMutations(userId);
+
+  for (const mutation of mutations) {
+    const { mutation_id: mutationId, type } = mutation || {};
+    const report = (result) => results.push({ mutation_id: mutationId ?? null, type: type ?? null, ...result });
+
+    if (typeof mutationId !== 'string' || !mutationId || mutationId.length > MAX_MUTATION_ID_LENGTH) {
+      report(rejected(`mutation_id must be a string of at most ${MAX_MUTATION_ID_LENGTH} characters`));
+      continue;
+    }
+    if (!MUTATION_HANDLERS[type]) {
+      report(rejected(`type must be one of: ${MUTATION_TYPES.join(', ')}`));
+      continue;
+    }
+    // Numeric temp IDs would be indistinguishable from real ones
+    if (mutation.temp_id !== undefined && (typeof mutation.temp_id !== 'string' || /^\d*$/.test(mutation.temp_id))) {
+      report(rejected('temp_id must be a non-numeric string'));
+      continue;
+    }
+
+    let result = await claimMutation(userId, mutation);
+    if (!result) {
+      try {
+        result = await MUTATION_HANDLERS[type](mutation, { req, userId, refs });
+      } catch (error) {
+        // Unexpected errors aren't recorded, so the client can retry the mutation
+        await supabase.from('sync_mutations').delete().eq('user_id', userId).eq('mutation_id', mutationId);
+        report({ status: 'failed', error: error.message });
+        continue;
+      }
+
+      const { error } = await supabase
+        .from('sync_mutations')
+        .update({ status: result.status, result })
+        .eq('user_id', userId)
+        .eq('mutation_id', mutationId);
+
+      if (error) throw error;
+    }
+
+    if (result.status === 'applied' && mutation.temp_id !== undefined && result.id) {
+      refs.set(mutation.temp_id, result.id);
+    }
+    report(result);
+  }
+
+  return results;
+};
+
+module.exports = {
+  MAX_PUSH_MUTATIONS,
+  MUTATION_TYPES,
+  applyMutations
+};
@@ -0,0 +1,169 @@
+const { supabase } = require('./supabase');
+
+const DEFAULT_SYNC_LIMIT = 500;
+const MAX_SYNC_LIMIT = 1000;
+
+// Position before every change; an absent token means a full sync
+const INITIAL_POSITION = { xact: '0', change: 0 };
+
+/**
+ * Encode a position in the change log as an opaque sync token
+ * @param {object} position - { xact, change }
+ * @returns {string} - URL-safe token
+ */
+const encodeSyncToken = ({ xact, change }) => Buffer
+  .from(JSON.stringify({ x: xact, c: change }))
+  .toString('base64url');
+
+/**
+ * Decode a token produced by encodeSyncToken
+ * @param {string} token - Token from the client
+ * @returns {object|null} - { xact, change } or null if the token is invalid
+ */
+const decodeSyncToken = (token) => {
+  try {
+    const { x, c } = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+
+    // The transaction ID is cast to xid8 in SQL, so only accept digits
+    if (typeof x !== 'string' || !/^\d{1,20}$/.test(x) || !Number.isInteger(c) || c < 0) {
+      return null;
+    }
+
+    return { xact: x, change: c };
+  } catch (error) {
+    return null;
+  }
+};
+
+const fetchRows = async (table, ids, userId) => {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from(table)
+    .select('*')
+    .in('id', ids)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Notes other users share with this one, each with the collaborator's role
+const fetchSharedNotes = async (ids, userId) => {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('posts')
+    .select('*, note_collaborators!inner(role)')
+    .in('id', ids)
+    .eq('note_collaborators.user_id', userId)
+    .is('deleted_at', null);
+
+  if (error) throw error;
+  return (data || []).map(({ note_collaborators, ...note }) => ({ ...note, role: note_collaborators[0].role }));
+};
+
+const fetchAssignments = async (pairs) => {
+  if (pairs.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('post_labels')
+    .select('post_id, label_id')
+    .in('post_id', [...new Set(pairs.map(pair => pair.note_id))]);
+
+  if (error) throw error;
+
+  const existing = new Set((data || []).map(row => `${row.post_id}:${row.label_id}`));
+  return pairs.filter(pair => existing.has(`${pair.note_id}:${pair.label_id}`));
+};
+
+/**
+ * Everything that changed for a user after a sync position
+ * Rows are returned in their current state; a row that has since been deleted is reported as a tombstone,
+ * and its change is sent again later, which clients can treat as a no-op. Notes shared with the user come
+ * back as shared_notes, and a note the user lost access to as a shared_notes tombstone.
+ * @param {string} userId - Syncing user
+ * @param {object|null} position - Decoded sync token, or null for a full sync
+ * @param {number} [limit] - Maximum changes per page
+ * @returns {object} - { notes, shared_notes, categories, labels, note_labels, deleted, sync_token, has_more }
+ */
+const getChangesSince = async (userId, position, limit = DEFAULT_SYNC_LIMIT) => {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_SYNC_LIMIT, 1), MAX_SYNC_LIMIT);
+  const after = position || INITIAL_POSITION;
+
+  const { data, error } = await supabase.rpc('sync_changes_since', {
+    p_user_id: userId,
+    p_after_xact: after.xact,
+    p_after_change: after.change,
+    p_limit: pageSize + 1
+  });
+
+  if (error) throw error;
+
+  const hasMore = data.changes.length > pageSize;
+  const changes = data.changes.slice(0, pageSize);
+
+  const live = { note: [], shared_note: [], category: [], label: [], note_label: [] };
+  const deleted = { note: [], shared_note: [], category: [], label: [], note_label: [] };
+  for (const change of changes) {
+    // note_label IDs are "note:label" and shared_note IDs "note:collaborator"
+    const [first, second] = change.entity_id.split(':');
+    const id = change.entity_type === 'note_label'
+      ? { note_id: parseInt(first), label_id: parseInt(second) }
+      : parseInt(first);
+    (change.deleted ? deleted : live)[change.entity_type].push(id);
+  }
+
+  const [notes, sharedNotes, categories, labels, noteLabels] = await Promise.all([
+    fetchRows('posts', live.note, userId),
+    fetchSharedNotes(live.shared_note, userId),
+    fetchRows('categories', live.category, userId),
+    fetchRows('labels', live.label, userId),
+    fetchAssignments(live.note_label)
+  ]);
+
+  // Rows deleted between reading the log and fetching them
+  const missing = (ids, rows) => ids.filter(id => !rows.some(row => row.id === id));
+  const key = pair => `${pair.note_id}:${pair.label_id}`;
+  const foundAssignments = new Set(noteLabels.map(key));
+
+  const lastChange = changes[changes.length - 1];
+  const next = hasMore
+    ? { xact: lastChange.xact_id, change: lastChange.change_id }
+    // Caught up: resume from the oldest transaction that could still commit
+    : { xact: data.safe_xact, change: 0 };
+
+  // A client doing a full sync has nothing to delete, so tombstones are only sent to incremental syncs
+  const withTombstones = (ids, extra) => (position ? [...ids, ...extra] : []);
+
+  return {
+    notes,
+    shared_notes: sharedNotes,
+    categories,
+    labels,
+    note_labels: noteLabels,
+    deleted: {
+      notes: withTombstones(deleted.note, missing(live.note, notes)),
+      shared_notes: withTombstones(deleted.shared_note, missing(live.shared_note, sharedNotes)),
+      categories: withTombstones(deleted.category, missing(live.category, categories)),
+      labels: withTombstones(deleted.label, missing(live.label, labels)),
+      note_labels: withTombstones(deleted.note_label, live.note_label.filter(pair => !foundAssignments.has(key(pair))))
+    },
+    sync_token: encodeSyncToken(next),
+    has_more: hasMore
+  };
+};
+
+module.exports = {
+  DEFAULT_SYNC_LIMIT,
+  MAX_SYNC_LIMIT,
+  encodeSyncToken,
+  decodeSyncToken,
+  getChangesSince
+};
@@ -0,0 +1,76 @@
+const { supabase } = require('./supabase');
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Trim and validate a category or label name
+ * @param {*} name - Name from the request body
+ * @returns {object} - { name, error } where error is a message for a 400 response
+ */
+const validateName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { name: null, error: 'Name is required' };
+  }
+  const trimmed = name.trim();
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    return { name: null, error: `Name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  return { name: trimmed, error: null };
+};
+
+/**
+ * Fetch a category or label owned by the user
+ * @param {string} table - 'categories' or 'labels'
+ * @param {number|string} id - Row ID
+ * @param {string} userId - Owner
+ * @returns {object|null} - The row or null
+ */
+const findOwnedItem = async (table, id, userId) => {
+  const { data, error } = await supabase
+    .from(table)
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Find another category or label of the user with the same name, ignoring case
+ * Category names only need to be unique among the categories directly under one parent.
+ * @param {string} table - 'categories' or 'labels'
+ * @param {string} userId - Owner
+ * @param {string} name - Name to check
+ * @param {number|string} [excludeId] - Row being renamed
+ * @param {number|string|null} [parentId] - For categories, the parent the name goes under (null for the top level)
+ * @returns {object|null} - The conflicting row or null
+ */
+const findNameConflict = async (table, userId, name, excludeId, parentId = null) => {
+  let query = supabase
+    .from(table)
+    .select('id, name')
+    .eq('user_id', userId);
+
+  if (table === 'categories') {
+    query = parentId === null || parentId === undefined
+      ? query.is('parent_id', null)
+      : query.eq('parent_id', parentId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+
+  const wanted = name.toLowerCase();
+  return (data || []).find(row =>
+    row.name.toLowerCase() === wanted && String(row.id) !== String(excludeId)
+  ) || null;
+};
+
+module.exports = {
+  validateName,
+  findOwnedItem,
+  findNameConflict
+};
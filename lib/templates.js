@@ -0,0 +1,332 @@
+const { supabase } = require('./supabase');
+const { validateName } = require('./taxonomy');
+const { isValidTimeZone } = require('./recurrence');
+
+const MAX_TITLE_LENGTH = 500;
+const MAX_CONTENT_LENGTH = 200 * 1024;
+const MAX_VARIABLES = 30;
+const MAX_VALUE_LENGTH = 2000;
+
+// {{name}}, with optional spaces inside the braces; names may be dotted, e.g. {{user.name}}
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w.-]{0,63})\s*\}\}/g;
+const VARIABLE_NAME = /^[A-Za-z_][\w-]{0,63}$/;
+
+// Filled in by the server when a note is created; everything else is a prompt for the user
+const BUILT_IN_VARIABLES = {
+  date: 'Today, e.g. 2025-03-14',
+  time: 'Current time, e.g. 09:30',
+  datetime: 'Date and time, e.g. 2025-03-14 09:30',
+  weekday: 'Day of the week, e.g. Friday',
+  year: 'Year, e.g. 2025',
+  month: 'Month name, e.g. March',
+  'user.name': 'Your name',
+  'user.email': 'Your email address'
+};
+
+// Added for every new account; category and label names are looked up among the user's own
+const STARTER_TEMPLATES = [
+  {
+    name: 'Meeting notes',
+    description: 'Agenda, notes and action items for a meeting',
+    title: '{{topic}} – {{date}}',
+    content: '# {{topic}}\n\n**Date:** {{date}} {{time}}\n**Attendees:** {{attendees}}\n\n## Agenda\n\n- \n\n## Notes\n\n\n## Action items\n\n- [ ] \n',
+    category: 'Work',
+    labels: [],
+    variables: [
+      { name: 'topic', label: 'Meeting topic', required: true },
+      { name: 'attendees', label: 'Attendees', default: '{{user.name}}' }
+    ]
+  },
+  {
+    name: 'Incident report',
+    description: 'What happened, the impact and the follow-ups',
+    title: 'Incident: {{summary}} ({{date}})',
+    content: '# Incident: {{summary}}\n\n**Reported by:** {{user.name}} on {{datetime}}\n**Severity:** {{severity}}\n\n## What happened\n\n\n## Impact\n\n\n## Timeline\n\n- {{time}} \n\n## Root cause\n\n\n## Follow-ups\n\n- [ ] \n',
+    category: 'Work',
+    labels: ['Urgent'],
+    variables: [
+      { name: 'summary', label: 'Short summary', required: true },
+      { name: 'severity', label: 'Severity', default: 'Medium' }
+    ]
+  },
+  {
+    name: 'Daily journal',
+    description: 'A page for the day',
+    title: '{{weekday}}, {{date}}',
+    content: '# {{weekday}}, {{date}}\n\n## Today I want to\n\n- \n\n## Notes\n\n\n## Grateful for\n\n',
+    category: 'Personal',
+    labels: [],
+    variables: []
+  }
+];
+
+/**
+ * Template rejected as invalid, or not usable as asked; status is the HTTP status to answer with
+ */
+class TemplateError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'TemplateError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const parseVariables = (variables) => {
+  if (!Array.isArray(variables) || variables.length > MAX_VARIABLES) {
+    throw new TemplateError(`variables must be an array of at most ${MAX_VARIABLES} prompts`);
+  }
+
+  const seen = new Set();
+  return variables.map(variable => {
+    const name = typeof variable?.name === 'string' ? variable.name.trim() : '';
+    if (!VARIABLE_NAME.test(name)) {
+      throw new TemplateError('Each variable needs a name of letters, digits, _ or -, starting with a letter or _');
+    }
+    if (BUILT_IN_VARIABLES[name] || seen.has(name)) {
+      throw new TemplateError(`Variable "${name}" is ${seen.has(name) ? 'declared twice' : 'built in'}`);
+    }
+    seen.add(name);
+
+    if (variable.default !== undefined && variable.default !== null &&
+      (typeof variable.default !== 'string' || variable.default.length > MAX_VALUE_LENGTH)) {
+      throw new TemplateError(`The default for "${name}" must be text of at most ${MAX_VALUE_LENGTH} characters`);
+    }
+
+    return {
+      name,
+      label: typeof variable.label === 'string' && variable.label.trim() ? variable.label.trim().slice(0, 100) : name,
+      default: variable.default ?? '',
+      required: variable.required === true
+    };
+  });
+};
+
+/**
+ * Validate template fields from a request body
+ * @param {object} body - { name, description, title, content, category_id, label_ids, variables }
+ * @param {boolean} [partial] - Whether fields may be left out (updates)
+ * @returns {object} - Column values to save; category_id and label_ids still need an ownership check
+ */
+const validateTemplate = (body, partial = false) => {
+  const values = {};
+
+  if (body.name !== undefined || !partial) {
+    const { name, error } = validateName(body.name);
+    if (error) throw new TemplateError(error);
+    values.name = name;
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && (typeof body.description !== 'string' || body.description.length > 500)) {
+      throw new TemplateError('description must be text of at most 500 characters');
+    }
+    values.description = body.description ? body.description.trim() : null;
+  }
+
+  for (const [field, max] of [['title', MAX_TITLE_LENGTH], ['content', MAX_CONTENT_LENGTH]]) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'string' || body[field].length > max) {
+      throw new TemplateError(`${field} must be text of at most ${max} characters`);
+    }
+    values[field] = body[field];
+  }
+  if (!partial && !values.title && !values.content) {
+    throw new TemplateError('A template needs a title or content');
+  }
+
+  if (body.category_id !== undefined) {
+    values.category_id = body.category_id || null;
+  }
+
+  if (body.label_ids !== undefined) {
+    if (!Array.isArray(body.label_ids) || body.label_ids.some(id => !Number.isInteger(Number(id)))) {
+      throw new TemplateError('label_ids must be an array of label IDs');
+    }
+    values.label_ids = [...new Set(body.label_ids.map(Number))];
+  }
+
+  if (body.variables !== undefined) {
+    values.variables = parseVariables(body.variables);
+  }
+
+  return values;
+};
+
+/**
+ * Everything a user is asked for before a note is created from a template: its declared variables,
+ * then any other {{name}} in the title or content that isn't built in
+ * @param {object} template - note_templates row
+ * @returns {Array} - [{ name, label, default, required }]
+ */
+const getTemplatePrompts = (template) => {
+  const prompts = [...(template.variables || [])];
+  const text = `${template.title || ''}\n${template.content || ''}`;
+
+  for (const [, name] of text.matchAll(VARIABLE_PATTERN)) {
+    if (!BUILT_IN_VARIABLES[name] && !prompts.some(prompt => prompt.name === name)) {
+      prompts.push({ name, label: name, default: '', required: false });
+    }
+  }
+
+  return prompts;
+};
+
+const getBuiltInValues = (user, timeZone, now) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'long'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  const time = `${parts.hour}:${parts.minute}`;
+
+  return {
+    date,
+    time,
+    datetime: `${date} ${time}`,
+    weekday: parts.weekday,
+    year: parts.year,
+    month: new Intl.DateTimeFormat('en-US', { timeZone, month: 'long' }).format(now),
+    'user.name': user.name || (user.email ? user.email.split('@')[0] : ''),
+    'user.email': user.email || ''
+  };
+};
+
+/**
+ * Fill in a template's variables
+ * Defaults may use built-in variables themselves, e.g. "{{user.name}}".
+ * @param {object} template - note_templates row
+ * @param {object} options - { values: answers to the prompts, user: { name, email }, timezone, now }
+ * @returns {object} - { title, content }
+ */
+const renderTemplate = (template, { values = {}, user, timezone = 'UTC', now = new Date() }) => {
+  if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+    throw new TemplateError('values must be an object of variable names to text');
+  }
+  if (!isValidTimeZone(timezone)) {
+    throw new TemplateError('timezone must be an IANA time zone name, e.g. "Europe/Berlin"');
+  }
+
+  const builtIns = getBuiltInValues(user, timezone, now);
+  const fillBuiltIns = (text) => text.replace(VARIABLE_PATTERN, (match, name) => builtIns[name] ?? match);
+
+  const answers = {};
+  const missing = [];
+  for (const prompt of getTemplatePrompts(template)) {
+    const value = values[prompt.name];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      throw new TemplateError(`The value for "${prompt.name}" must be text`);
+    }
+    if (value && value.length > MAX_VALUE_LENGTH) {
+      throw new TemplateError(`The value for "${prompt.name}" must be at most ${MAX_VALUE_LENGTH} characters`);
+    }
+
+    if (value) {
+      answers[prompt.name] = value;
+    } else if (prompt.required) {
+      missing.push(prompt.name);
+    } else {
+      answers[prompt.name] = fillBuiltIns(prompt.default || '');
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new TemplateError(`Missing values for: ${missing.join(', ')}`, 400, { missing });
+  }
+
+  // One pass, so text typed into a prompt is never itself treated as a variable
+  const fill = (text) => (text || '').replace(VARIABLE_PATTERN, (match, name) => answers[name] ?? builtIns[name] ?? match);
+  return { title: fill(template.title).trim(), content: fill(template.content) };
+};
+
+/**
+ * Add the starter templates to an account, once
+ * Run when the account is created, after its default categories and labels, so templates can use them.
+ * Starter templates whose name the user already has are skipped.
+ * @param {string} userId - New user
+ * @returns {Array} - Templates created; empty if the account was seeded before
+ */
+const seedStarterTemplates = async (userId) => {
+  // Claim the seeding first, so two concurrent first requests don't both add the templates
+  const { data: claimed, error: claimError } = await supabase
+    .from('users')
+    .update({ templates_seeded_at: new Date() })
+    .eq('id', userId)
+    .is('templates_seeded_at', null)
+    .select('id');
+
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) {
+    return [];
+  }
+
+  try {
+    const [categories, labels, existing] = await Promise.all([
+      // Starter templates use the default top-level categories
+      supabase.from('categories').select('id, name').eq('user_id', userId).is('parent_id', null),
+      supabase.from('labels').select('id, name').eq('user_id', userId),
+      supabase.from('note_templates').select('name').eq('user_id', userId)
+    ]);
+
+    for (const result of [categories, labels, existing]) {
+      if (result.error) throw result.error;
+    }
+
+    const findId = (rows, name) => (rows || []).find(row => row.name.toLowerCase() === name.toLowerCase())?.id ?? null;
+    const takenNames = new Set((existing.data || []).map(template => template.name.toLowerCase()));
+    const starters = STARTER_TEMPLATES.filter(template => !takenNames.has(template.name.toLowerCase()));
+    if (starters.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from('note_templates')
+      .insert(starters.map(({ category, labels: labelNames, variables, ...template }) => ({
+        ...template,
+        user_id: userId,
+        category_id: findId(categories.data, category),
+        label_ids: labelNames.map(name => findId(labels.data, name)).filter(id => id !== null),
+        variables: parseVariables(variables)
+      })))
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    // Give the claim back, so a later attempt can add the templates
+    await supabase.from('users').update({ templates_seeded_at: null }).eq('id', userId);
+    throw error;
+  }
+};
+
+/**
+ * Shape a template for API responses
+ * @param {object} template - note_templates row
+ * @param {object} [options] - { shared: true for someone else's template opened by token }
+ * @returns {object} - Template with its prompts; shared templates leave out the owner's category and labels
+ */
+const serializeTemplate = (template, { shared = false } = {}) => {
+  const { user_id, share_token, category_id, label_ids, ...rest } = template;
+  return {
+    ...rest,
+    ...(shared ? {} : { category_id, label_ids, share_token, is_shared: !!share_token }),
+    prompts: getTemplatePrompts(template)
+  };
+};
+
+module.exports = {
+  BUILT_IN_VARIABLES,
+  TemplateError,
+  validateTemplate,
+  getTemplatePrompts,
+  renderTemplate,
+  seedStarterTemplates,
+  serializeTemplate
+};
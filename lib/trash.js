@@ -0,0 +1,69 @@
+const { supabase } = require('./supabase');
+const { purgeDetachedAttachments } = require('./attachments');
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = (parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+/**
+ * Work out when a trashed note will be purged
+ * @param {string|Date} deletedAt - When the note was moved to the trash
+ * @returns {string} - ISO timestamp of the scheduled purge
+ */
+const getPurgeDate = (deletedAt) => {
+  const purgeAt = new Date(deletedAt);
+  purgeAt.setDate(purgeAt.getDate() + TRASH_RETENTION_DAYS);
+  return purgeAt.toISOString();
+};
+
+/**
+ * Permanently delete notes that have been in the trash longer than the retention period
+ * @returns {number} - Number of notes purged
+ */
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - TRASH_RETENTION_DAYS);
+
+  const { data, error } = await supabase
+    .from('posts')
+    .delete()
+    .not('deleted_at', 'is', null)
+    .lt('deleted_at', cutoff.toISOString())
+    .select('id');
+
+  if (error) throw error;
+  return data?.length || 0;
+};
+
+/**
+ * Run the trash purge now and then on a fixed interval
+ * @returns {NodeJS.Timeout} - The interval handle
+ */
+const startTrashPurgeSchedule = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged > 0) {
+        console.log(`Purged ${purged} note(s) from trash older than ${TRASH_RETENTION_DAYS} days`);
+      }
+      // Also catches files left behind when a cleanup after a manual delete failed
+      const files = await purgeDetachedAttachments();
+      if (files > 0) {
+        console.log(`Removed ${files} attachment(s) of purged notes`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  purgeExpiredTrash,
+  startTrashPurgeSchedule
+};
@@ -0,0 +1,75 @@
+const { getUserFromToken } = require('../middleware/auth');
+const { isAllowedOrigin } = require('./origins');
+
+const readCookie = (header, name) => {
+  for (const part of String(header || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+};
+
+/**
+ * Refuse a WebSocket upgrade with a plain HTTP response
+ * @param {net.Socket} socket - Upgrade socket
+ * @param {number} status - HTTP status code
+ * @param {string} message - Status text
+ */
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Authenticate WebSocket upgrades on the HTTP server and hand them to the route for their path
+ * Browsers can't set headers on WebSocket requests, so the token comes from the
+ * sb-access-token cookie or the access_token query parameter.
+ * CORS doesn't apply to WebSockets and browsers send the cookie along from any site, so a cookie is only
+ * accepted from an allowed Origin; otherwise any page could act as the signed-in user.
+ * @param {http.Server} server - Server returned by app.listen
+ * @param {Array} routes - [{ match(pathname) returning params or null, handle(req, socket, head, { user, url, params }) }]
+ */
+const attachWebSockets = (server, routes) => {
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    let route = null;
+    let params = null;
+    for (const candidate of routes) {
+      params = candidate.match(url.pathname);
+      if (params) {
+        route = candidate;
+        break;
+      }
+    }
+    if (!route) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    try {
+      const cookieToken = readCookie(req.headers.cookie, 'sb-access-token');
+      const origin = req.headers.origin;
+      if (cookieToken && origin && !isAllowedOrigin(origin)) {
+        return rejectUpgrade(socket, 403, 'Forbidden');
+      }
+
+      const token = cookieToken || url.searchParams.get('access_token');
+      const user = await getUserFromToken(token);
+      if (!user) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+
+      await route.handle(req, socket, head, { user, url, params });
+    } catch (error) {
+      console.error(`WebSocket upgrade error on ${url.pathname}:`, error);
+      rejectUpgrade(socket, 500, 'Internal Server Error');
+    }
+  });
+};
+
+module.exports = {
+  rejectUpgrade,
+  attachWebSockets
+};
@@ -1,5 +1,6 @@
 const { supabase } = require('../lib/supabase');
 const { verifySupabaseToken, getUserIdFromToken } = require('../lib/jwt');
+const { setUpNewAccount } = require('../lib/account-setup');
 
 const authenticateUser = async (req, res, next) => {
   try {
@@ -77,6 +78,7 @@ const ensureUserExists = async (user) => {
         // Don't throw error, just log it - user can still proceed
       } else {
         console.log('Successfully created new user in database:', user.email);
+        await setUpNewAccount(user.id);
       }
     } else if (fetchError) {
       console.error('Error checking if user exists:', fetchError);
@@ -127,4 +129,26 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateUser, optionalAuth };
\ No newline at end of file
+// Resolve an access token to a user outside the Express middleware chain (e.g. WebSocket upgrades)
+const getUserFromToken = async (accessToken) => {
+  if (!accessToken) {
+    return null;
+  }
+
+  const { user: jwtUser, error: jwtError } = verifySupabaseToken(accessToken);
+  if (jwtUser && !jwtError) {
+    return {
+      id: jwtUser.sub,
+      email: jwtUser.email,
+      user_metadata: jwtUser.user_metadata || {},
+      app_metadata: jwtUser.app_metadata || {},
+      created_at: jwtUser.created_at,
+      email_confirmed_at: jwtUser.email_confirmed_at
+    };
+  }
+
+  const { data: { user }, error } = await supabase.auth.getUser(accessToken);
+  return !error && user ? user : null;
+};
+
+module.exports = { authenticateUser, optionalAuth, getUserFromToken };
\ No newline at end of file
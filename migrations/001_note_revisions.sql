@@ -0,0 +1,27 @@
+-- Revision history for notes
+-- Every create, update, autosave and restore records the saved title/content.
+
+create table if not exists note_revisions (
+    id bigserial primary key,
+    post_id integer not null references posts(id) on delete cascade,
+    user_id uuid not null references users(id) on delete cascade,
+    revision_number integer not null,
+    title text,
+    content text,
+    encrypted_content text,
+    is_encrypted boolean not null default false,
+    source text not null check (source in ('baseline', 'create', 'update', 'autosave', 'restore')),
+    autosave_count integer not null default 0,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (post_id, revision_number)
+);
+
+create index if not exists note_revisions_post_id_idx
+    on note_revisions (post_id, revision_number desc);
+
+-- Seed existing notes with their current text so the first edit is reversible
+insert into note_revisions (post_id, user_id, revision_number, title, content, encrypted_content, is_encrypted, source, created_at, updated_at)
+select id, user_id, 1, title, content, encrypted_content, coalesce(is_encrypted, false), 'baseline', coalesce(updated_at, created_at, now()), coalesce(updated_at, created_at, now())
+from posts
+where not exists (select 1 from note_revisions r where r.post_id = posts.id);
@@ -0,0 +1,7 @@
+-- Soft delete for notes
+-- Deleted notes keep their row (and post_labels links) until purged from the trash.
+
+alter table posts add column if not exists deleted_at timestamptz;
+
+create index if not exists posts_user_deleted_at_idx
+    on posts (user_id, deleted_at);
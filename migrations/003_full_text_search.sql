@@ -0,0 +1,49 @@
+-- Ranked full-text search over note titles and content
+-- Title matches weigh more than content matches. Encrypted notes only index their title.
+
+alter table posts add column if not exists search_vector tsvector
+    generated always as (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(content, '')), 'B')
+    ) stored;
+
+create index if not exists posts_search_vector_idx
+    on posts using gin (search_vector);
+
+-- Rank a user's live notes against a tsquery built by lib/search.js
+create or replace function search_notes(p_user_id uuid, p_query text, p_limit integer default 500)
+returns table (post_id integer, rank real)
+language sql stable
+as $$
+    select p.id, ts_rank_cd(p.search_vector, q.query, 32) as rank
+    from posts p, to_tsquery('english', p_query) as q(query)
+    where p.user_id = p_user_id
+      and p.deleted_at is null
+      and p.search_vector @@ q.query
+    order by rank desc, p.updated_at desc
+    limit p_limit;
+$$;
+
+-- Highlighted title and content fragments for a page of search results
+create or replace function note_search_headlines(
+    p_user_id uuid,
+    p_post_ids integer[],
+    p_query text,
+    p_start_sel text,
+    p_stop_sel text
+)
+returns table (post_id integer, title_headline text, content_headline text)
+language sql stable
+as $$
+    select
+        p.id,
+        ts_headline('english', coalesce(p.title, ''), q.query,
+            format('StartSel=%s, StopSel=%s, HighlightAll=true', p_start_sel, p_stop_sel)),
+        case when p.content is null then null else
+            ts_headline('english', p.content, q.query,
+                format('StartSel=%s, StopSel=%s, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" ... "', p_start_sel, p_stop_sel))
+        end
+    from posts p, to_tsquery('english', p_query) as q(query)
+    where p.user_id = p_user_id
+      and p.id = any(p_post_ids);
+$$;
@@ -0,0 +1,14 @@
+-- Computed field used by label: search operators
+-- PostgREST exposes this as posts.label_ids, so it can be filtered with cs/ov.
+
+create or replace function label_ids(posts)
+returns integer[]
+language sql stable
+as $$
+    select coalesce(array_agg(pl.label_id order by pl.label_id), '{}')
+    from post_labels pl
+    where pl.post_id = $1.id;
+$$;
+
+create index if not exists post_labels_post_id_idx on post_labels (post_id);
+create index if not exists post_labels_label_id_idx on post_labels (label_id);
@@ -0,0 +1,9 @@
+-- One category and one label per name for each user, ignoring case.
+-- The API checks this before writing; these indexes back it up against races.
+-- Resolve any existing case-only duplicates (e.g. with the merge endpoints) before running.
+
+create unique index if not exists categories_user_lower_name_key
+    on categories (user_id, lower(name));
+
+create unique index if not exists labels_user_lower_name_key
+    on labels (user_id, lower(name));
@@ -0,0 +1,7 @@
+-- Hierarchical categories (notebooks): Project > Area > Topic
+-- Root categories have a null parent_id. The API prevents cycles when moving subtrees.
+
+alter table categories add column if not exists parent_id integer
+    references categories(id) on delete set null;
+
+create index if not exists categories_parent_id_idx on categories (parent_id);
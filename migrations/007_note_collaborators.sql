@@ -0,0 +1,28 @@
+-- Sharing notes with specific registered users
+-- viewer: read; commenter: read and comment; editor: read, comment and edit title/content.
+
+create table if not exists note_collaborators (
+    id bigserial primary key,
+    post_id integer not null references posts(id) on delete cascade,
+    user_id uuid not null references users(id) on delete cascade,
+    role text not null check (role in ('viewer', 'commenter', 'editor')),
+    invited_by uuid references users(id) on delete set null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (post_id, user_id)
+);
+
+create index if not exists note_collaborators_user_id_idx on note_collaborators (user_id);
+
+create table if not exists note_comments (
+    id bigserial primary key,
+    post_id integer not null references posts(id) on delete cascade,
+    user_id uuid not null references users(id) on delete cascade,
+    body text not null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists note_comments_post_id_idx on note_comments (post_id, created_at);
+
+create index if not exists users_lower_email_idx on users (lower(email));
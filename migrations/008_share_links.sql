@@ -0,0 +1,38 @@
+-- Named share links for public notes
+-- A link only works while its note is public, not deleted, not revoked and not expired.
+
+create table if not exists note_share_links (
+    id bigserial primary key,
+    post_id integer not null references posts(id) on delete cascade,
+    user_id uuid not null references users(id) on delete cascade,
+    token text not null unique,
+    name text not null default 'Public link',
+    is_default boolean not null default false,
+    expires_at timestamptz,
+    password_hash text,
+    allow_encrypted boolean not null default false,
+    view_count integer not null default 0,
+    last_viewed_at timestamptz,
+    revoked_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists note_share_links_post_id_idx on note_share_links (post_id);
+
+-- Existing public tokens become each note's default link so shared URLs keep working
+insert into note_share_links (post_id, user_id, token, name, is_default)
+select id, user_id, public_share_token, 'Public link', true
+from posts
+where public_share_token is not null
+on conflict (token) do nothing;
+
+create or replace function increment_share_link_views(p_link_id bigint)
+returns integer
+language sql volatile
+as $$
+    update note_share_links
+    set view_count = view_count + 1, last_viewed_at = now()
+    where id = p_link_id
+    returning view_count;
+$$;
@@ -0,0 +1,14 @@
+-- Opt-in public author profiles
+-- A profile is reachable at /u/<handle> only while profile_public is true.
+
+alter table users add column if not exists handle text;
+alter table users add column if not exists display_name text;
+alter table users add column if not exists bio text;
+alter table users add column if not exists profile_public boolean not null default false;
+
+create unique index if not exists users_lower_handle_key on users (lower(handle));
+
+-- Published notes listing for author pages and feeds
+create index if not exists posts_user_published_idx
+    on posts (user_id, created_at desc)
+    where is_public and not is_draft and deleted_at is null;
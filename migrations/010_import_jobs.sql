@@ -0,0 +1,25 @@
+-- Background import jobs (Evernote ENEX, Google Keep Takeout, Markdown zip)
+-- The uploaded file is held in memory while the job runs; only progress and results are stored.
+
+create table if not exists import_jobs (
+    id bigserial primary key,
+    user_id uuid not null references users(id) on delete cascade,
+    format text not null check (format in ('enex', 'keep', 'markdown')),
+    status text not null default 'queued' check (status in ('queued', 'running', 'completed', 'failed')),
+    file_size integer not null default 0,
+    total_items integer not null default 0,
+    processed_items integer not null default 0,
+    imported_count integer not null default 0,
+    created_categories integer not null default 0,
+    created_labels integer not null default 0,
+    skipped jsonb not null default '[]'::jsonb,
+    warnings jsonb not null default '[]'::jsonb,
+    note_ids integer[] not null default '{}',
+    error text,
+    created_at timestamptz not null default now(),
+    started_at timestamptz,
+    finished_at timestamptz,
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists import_jobs_user_id_idx on import_jobs (user_id, created_at desc);
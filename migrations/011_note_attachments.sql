@@ -0,0 +1,20 @@
+-- File attachments on notes
+-- post_id is cleared rather than cascaded when a note is purged, so the server can
+-- still find the stored files and delete them before removing the rows.
+
+create table if not exists note_attachments (
+    id bigserial primary key,
+    post_id integer references posts(id) on delete set null,
+    user_id uuid not null references users(id) on delete cascade,
+    filename text not null,
+    mime_type text not null,
+    size integer not null,
+    storage_key text not null unique,
+    thumbnail_key text,
+    width integer,
+    height integer,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists note_attachments_post_id_idx on note_attachments (post_id);
+create index if not exists note_attachments_detached_idx on note_attachments (id) where post_id is null;
@@ -0,0 +1,35 @@
+-- Optimistic concurrency for notes
+-- Every write to a post's text bumps its version; clients send the version they edited
+-- (If-Match or base_version) and the update only applies if it is still current.
+-- Changes that don't touch the text (pinning, moving, labels, visibility, ...) leave the version alone,
+-- so they never turn someone's open edit into a conflict.
+
+alter table posts add column if not exists version integer not null default 1;
+
+create or replace function bump_post_version()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.version := old.version + 1;
+    return new;
+end;
+$$;
+
+drop trigger if exists posts_bump_version on posts;
+create trigger posts_bump_version
+    before update on posts
+    for each row
+    when (
+        old.title is distinct from new.title
+        or old.content is distinct from new.content
+        or old.encrypted_content is distinct from new.encrypted_content
+        or old.is_encrypted is distinct from new.is_encrypted
+    )
+    execute function bump_post_version();
+
+-- Which note version a revision captured, so a stale save can be merged against its base
+alter table note_revisions add column if not exists post_version integer;
+
+create index if not exists note_revisions_post_version_idx
+    on note_revisions (post_id, post_version);
@@ -0,0 +1,167 @@
+-- Delta sync for offline clients
+-- sync_changes keeps one row per note, category, label and label assignment, updated by triggers
+-- on every write. Rows are ordered by the writing transaction's ID so a sync never skips a change
+-- that committed after a later one; deleted rows stay behind as tombstones.
+
+create sequence if not exists sync_change_seq;
+
+create table if not exists sync_changes (
+    entity_type text not null check (entity_type in ('note', 'category', 'label', 'note_label')),
+    entity_id text not null,
+    user_id uuid not null references users(id) on delete cascade,
+    deleted boolean not null default false,
+    change_id bigint not null default nextval('sync_change_seq'),
+    xact_id xid8 not null default pg_current_xact_id(),
+    changed_at timestamptz not null default now(),
+    primary key (entity_type, entity_id)
+);
+
+create index if not exists sync_changes_user_position_idx on sync_changes (user_id, xact_id, change_id);
+
+create or replace function record_sync_change()
+returns trigger
+language plpgsql
+as $$
+declare
+    target record;
+begin
+    if tg_op = 'DELETE' then
+        target := old;
+    else
+        target := new;
+    end if;
+
+    insert into sync_changes (entity_type, entity_id, user_id, deleted)
+    values (tg_argv[0], target.id::text, target.user_id, tg_op = 'DELETE')
+    on conflict (entity_type, entity_id) do update
+        set user_id = excluded.user_id,
+            deleted = excluded.deleted,
+            change_id = excluded.change_id,
+            xact_id = excluded.xact_id,
+            changed_at = excluded.changed_at;
+
+    return null;
+end;
+$$;
+
+create or replace function record_post_label_sync_change()
+returns trigger
+language plpgsql
+as $$
+declare
+    target record;
+    owner_id uuid;
+begin
+    if tg_op = 'DELETE' then
+        target := old;
+    else
+        target := new;
+    end if;
+
+    -- When the note itself is being deleted its tombstone covers the assignment
+    select user_id into owner_id from posts where id = target.post_id;
+    if owner_id is null then
+        return null;
+    end if;
+
+    insert into sync_changes (entity_type, entity_id, user_id, deleted)
+    values ('note_label', target.post_id || ':' || target.label_id, owner_id, tg_op = 'DELETE')
+    on conflict (entity_type, entity_id) do update
+        set user_id = excluded.user_id,
+            deleted = excluded.deleted,
+            change_id = excluded.change_id,
+            xact_id = excluded.xact_id,
+            changed_at = excluded.changed_at;
+
+    return null;
+end;
+$$;
+
+drop trigger if exists posts_sync_change on posts;
+create trigger posts_sync_change
+    after insert or update or delete on posts
+    for each row
+    execute function record_sync_change('note');
+
+drop trigger if exists categories_sync_change on categories;
+create trigger categories_sync_change
+    after insert or update or delete on categories
+    for each row
+    execute function record_sync_change('category');
+
+drop trigger if exists labels_sync_change on labels;
+create trigger labels_sync_change
+    after insert or update or delete on labels
+    for each row
+    execute function record_sync_change('label');
+
+drop trigger if exists post_labels_sync_change on post_labels;
+create trigger post_labels_sync_change
+    after insert or update or delete on post_labels
+    for each row
+    execute function record_post_label_sync_change();
+
+-- Existing data, so the first sync of an existing account returns everything
+insert into sync_changes (entity_type, entity_id, user_id)
+select 'note', id::text, user_id from posts
+on conflict do nothing;
+
+insert into sync_changes (entity_type, entity_id, user_id)
+select 'category', id::text, user_id from categories
+on conflict do nothing;
+
+insert into sync_changes (entity_type, entity_id, user_id)
+select 'label', id::text, user_id from labels
+on conflict do nothing;
+
+insert into sync_changes (entity_type, entity_id, user_id)
+select 'note_label', pl.post_id || ':' || pl.label_id, p.user_id
+from post_labels pl
+join posts p on p.id = pl.post_id
+on conflict do nothing;
+
+-- Changes after a position, limited to transactions older than every one still running,
+-- so a change can't commit behind a position the client has already moved past
+create or replace function sync_changes_since(
+    p_user_id uuid,
+    p_after_xact text,
+    p_after_change bigint,
+    p_limit integer default 500
+)
+returns jsonb
+language sql stable
+as $$
+    select jsonb_build_object(
+        'safe_xact', s.safe_xact::text,
+        'changes', coalesce((
+            select jsonb_agg(jsonb_build_object(
+                'entity_type', c.entity_type,
+                'entity_id', c.entity_id,
+                'deleted', c.deleted,
+                'change_id', c.change_id,
+                'xact_id', c.xact_id::text
+            ) order by c.xact_id, c.change_id)
+            from (
+                select *
+                from sync_changes
+                where user_id = p_user_id
+                  and xact_id < s.safe_xact
+                  and (xact_id, change_id) > (p_after_xact::xid8, p_after_change)
+                order by xact_id, change_id
+                limit p_limit
+            ) c
+        ), '[]'::jsonb)
+    )
+    from (select pg_snapshot_xmin(pg_current_snapshot()) as safe_xact) s;
+$$;
+
+-- Mutations pushed by offline clients, so a retried batch isn't applied twice
+create table if not exists sync_mutations (
+    user_id uuid not null references users(id) on delete cascade,
+    mutation_id text not null,
+    type text not null,
+    status text not null default 'pending' check (status in ('pending', 'applied', 'conflict', 'rejected')),
+    result jsonb,
+    created_at timestamptz not null default now(),
+    primary key (user_id, mutation_id)
+);
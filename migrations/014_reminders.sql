@@ -0,0 +1,86 @@
+-- Reminders on notes, one-off or recurring (RRULE), fired by the in-process scheduler
+-- occurrence_at is the nominal time of the pending occurrence; fire_at is when it actually fires,
+-- later than occurrence_at when snoozed. Recurring reminders move on from occurrence_at, so a
+-- snooze never shifts the rest of the series. Snoozing after a reminder fired sets occurrence_at
+-- back to last_occurrence_at, so that occurrence fires again without skipping ahead.
+
+create table if not exists note_reminders (
+    id bigserial primary key,
+    post_id integer not null references posts(id) on delete cascade,
+    user_id uuid not null references users(id) on delete cascade,
+    starts_at timestamptz not null,
+    rrule text,
+    timezone text not null default 'UTC',
+    channels text[] not null default '{in_app}',
+    message text,
+    status text not null default 'scheduled' check (status in ('scheduled', 'fired', 'completed')),
+    occurrence_at timestamptz,
+    fire_at timestamptz,
+    last_occurrence_at timestamptz,
+    last_fired_at timestamptz,
+    fire_count integer not null default 0,
+    attempts integer not null default 0,
+    locked_until timestamptz,
+    completed_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists note_reminders_post_id_idx on note_reminders (post_id);
+create index if not exists note_reminders_user_fire_at_idx on note_reminders (user_id, fire_at);
+create index if not exists note_reminders_due_idx on note_reminders (fire_at) where status = 'scheduled';
+
+-- One row per firing and channel, so a restart mid-delivery doesn't send anything twice
+create table if not exists reminder_deliveries (
+    id bigserial primary key,
+    reminder_id bigint not null references note_reminders(id) on delete cascade,
+    fire_at timestamptz not null,
+    channel text not null,
+    status text not null check (status in ('sent', 'failed')),
+    attempts integer not null default 1,
+    error text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (reminder_id, fire_at, channel)
+);
+
+-- In-app notification list
+create table if not exists notifications (
+    id bigserial primary key,
+    user_id uuid not null references users(id) on delete cascade,
+    type text not null,
+    post_id integer references posts(id) on delete cascade,
+    reminder_id bigint references note_reminders(id) on delete set null,
+    title text not null,
+    body text,
+    data jsonb not null default '{}'::jsonb,
+    read_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_user_id_idx on notifications (user_id, created_at desc);
+create index if not exists notifications_unread_idx on notifications (user_id) where read_at is null;
+
+-- Where the webhook channel delivers; the secret signs each request
+alter table users add column if not exists reminder_webhook_url text;
+alter table users add column if not exists reminder_webhook_secret text;
+
+-- Lock due reminders for one scheduler run; skip locked rows so several servers can share the work
+create or replace function claim_due_reminders(p_limit integer, p_lock_seconds integer)
+returns setof note_reminders
+language sql volatile
+as $$
+    update note_reminders
+    set locked_until = now() + make_interval(secs => p_lock_seconds)
+    where id in (
+        select id
+        from note_reminders
+        where status = 'scheduled'
+          and fire_at <= now()
+          and (locked_until is null or locked_until <= now())
+        order by fire_at
+        limit p_limit
+        for update skip locked
+    )
+    returning *;
+$$;
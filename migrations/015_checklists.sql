@@ -0,0 +1,66 @@
+-- Checklist items on notes: ordered, optionally nested, with an optional due date
+-- position orders siblings (items sharing a parent_id); deleting an item deletes its children.
+
+create table if not exists note_checklist_items (
+    id bigserial primary key,
+    post_id integer not null references posts(id) on delete cascade,
+    parent_id bigint references note_checklist_items(id) on delete cascade,
+    position integer not null default 0,
+    text text not null,
+    checked boolean not null default false,
+    checked_at timestamptz,
+    checked_by uuid references users(id) on delete set null,
+    due_at timestamptz,
+    created_by uuid references users(id) on delete set null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists note_checklist_items_post_idx on note_checklist_items (post_id, parent_id, position);
+create index if not exists note_checklist_items_parent_idx on note_checklist_items (parent_id);
+create index if not exists note_checklist_items_open_idx on note_checklist_items (post_id, due_at) where not checked;
+
+-- "3/7 done" for note lists. PostgREST exposes this as posts.checklist_progress; null when a note has no checklist.
+create or replace function checklist_progress(posts)
+returns jsonb
+language sql stable
+as $$
+    select case
+        when count(*) = 0 then null
+        else jsonb_build_object('done', count(*) filter (where i.checked), 'total', count(*))
+    end
+    from note_checklist_items i
+    where i.post_id = $1.id;
+$$;
+
+-- Unchecked items across the notes a user owns or, optionally, has been shared
+-- Items whose due date is set come first, soonest first.
+create or replace function open_checklist_items(
+    p_user_id uuid,
+    p_due_before timestamptz default null,
+    p_include_shared boolean default true
+)
+returns table (
+    id bigint,
+    post_id integer,
+    parent_id bigint,
+    "position" integer,
+    text text,
+    due_at timestamptz,
+    created_at timestamptz,
+    note_title text,
+    note_role text
+)
+language sql stable
+as $$
+    select i.id, i.post_id, i.parent_id, i.position, i.text, i.due_at, i.created_at,
+           p.title, case when p.user_id = p_user_id then 'owner' else c.role end
+    from note_checklist_items i
+    join posts p on p.id = i.post_id
+    left join note_collaborators c on c.post_id = p.id and c.user_id = p_user_id
+    where not i.checked
+      and p.deleted_at is null
+      and (p.user_id = p_user_id or (p_include_shared and c.user_id is not null))
+      and (p_due_before is null or i.due_at < p_due_before)
+    order by i.due_at asc nulls last, i.post_id, i.parent_id nulls first, i.position, i.id;
+$$;
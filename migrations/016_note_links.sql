@@ -0,0 +1,116 @@
+-- Wiki-style links between notes: [[Note Title]], [[Note Title|shown text]] or [[#123]] in note content
+-- A trigger re-parses a note's links whenever it is written, whatever the route (REST, autosave, sync push,
+-- collaborative editing, imports), and stores one edge per linked note. Title links are resolved against the
+-- owner's notes when written; a link to a title that doesn't exist yet stays unresolved (target_id null)
+-- until a note with that title is created or renamed. target_title keeps the title as written, so a
+-- link left behind by a rename can be found and rewritten.
+
+create table if not exists note_links (
+    id bigserial primary key,
+    source_id integer not null references posts(id) on delete cascade,
+    target_id integer references posts(id) on delete set null,
+    target_title text,
+    user_id uuid not null references users(id) on delete cascade,
+    created_at timestamptz not null default now()
+);
+
+create unique index if not exists note_links_resolved_idx
+    on note_links (source_id, target_id) where target_id is not null;
+create unique index if not exists note_links_unresolved_idx
+    on note_links (source_id, lower(target_title)) where target_id is null;
+create index if not exists note_links_target_id_idx on note_links (target_id);
+create index if not exists note_links_pending_idx
+    on note_links (user_id, lower(target_title)) where target_id is null;
+
+create or replace function refresh_note_links(p_post_id integer)
+returns void
+language plpgsql
+as $$
+declare
+    source posts%rowtype;
+    link text;
+    linked_id integer;
+begin
+    delete from note_links where source_id = p_post_id;
+
+    select * into source from posts where id = p_post_id;
+    if not found or source.is_encrypted or source.content is null then
+        return;
+    end if;
+
+    for link in
+        select distinct btrim(m[1])
+        from regexp_matches(source.content, '\[\[([^][|\n]{1,200})(\|[^][\n]*)?\]\]', 'g') as m
+    loop
+        continue when link = '';
+
+        if link ~ '^#[0-9]{1,9}$' then
+            select p.id into linked_id
+            from posts p
+            where p.id = substr(link, 2)::integer and p.user_id = source.user_id;
+
+            continue when linked_id is null or linked_id = source.id;
+
+            insert into note_links (source_id, target_id, user_id)
+            values (source.id, linked_id, source.user_id)
+            on conflict do nothing;
+        else
+            select p.id into linked_id
+            from posts p
+            where p.user_id = source.user_id
+              and p.deleted_at is null
+              and lower(btrim(p.title)) = lower(link)
+            order by p.id
+            limit 1;
+
+            continue when linked_id = source.id;
+
+            insert into note_links (source_id, target_id, target_title, user_id)
+            values (source.id, linked_id, link, source.user_id)
+            on conflict do nothing;
+        end if;
+    end loop;
+end;
+$$;
+
+create or replace function note_links_on_post_change()
+returns trigger
+language plpgsql
+as $$
+begin
+    if tg_op = 'INSERT'
+        or new.content is distinct from old.content
+        or new.is_encrypted is distinct from old.is_encrypted then
+        perform refresh_note_links(new.id);
+    end if;
+
+    -- A new, renamed or restored note picks up links that were waiting for its title
+    if new.deleted_at is null and new.title is not null and (
+        tg_op = 'INSERT'
+        or new.title is distinct from old.title
+        or old.deleted_at is not null
+    ) then
+        update note_links l
+        set target_id = new.id
+        where l.user_id = new.user_id
+          and l.target_id is null
+          and lower(l.target_title) = lower(btrim(new.title))
+          and l.source_id <> new.id
+          and not exists (
+              select 1 from note_links other
+              where other.source_id = l.source_id and other.target_id = new.id
+          );
+    end if;
+
+    return null;
+end;
+$$;
+
+drop trigger if exists posts_note_links on posts;
+create trigger posts_note_links
+    after insert or update of title, content, is_encrypted, deleted_at on posts
+    for each row
+    execute function note_links_on_post_change();
+
+-- Existing notes
+select refresh_note_links(id) from posts where content like '%[[%';
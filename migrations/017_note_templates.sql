@@ -0,0 +1,24 @@
+-- Note templates: a title and body with {{variables}}, plus the category and labels new notes get
+-- label_ids is a plain array rather than a join table; labels deleted since are skipped when a note is created.
+-- A template with a share_token can be read and used by anyone who has the token.
+
+create table if not exists note_templates (
+    id bigserial primary key,
+    user_id uuid not null references users(id) on delete cascade,
+    name text not null,
+    description text,
+    title text not null default '',
+    content text not null default '',
+    category_id integer references categories(id) on delete set null,
+    label_ids integer[] not null default '{}',
+    variables jsonb not null default '[]'::jsonb,
+    share_token text unique,
+    shared_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create unique index if not exists note_templates_user_name_idx on note_templates (user_id, lower(name));
+
+-- Set once the starter templates have been added, so deleting them all doesn't bring them back
+alter table users add column if not exists templates_seeded_at timestamptz;
@@ -0,0 +1,18 @@
+-- Pinning, archiving, note colors and manual ordering
+-- Pinned notes list first whatever the sort. Archived notes are left out of GET /api/notes unless asked for,
+-- but still match searches. manual_position orders notes within their category for sort=manual; notes never
+-- placed by hand (null) come after the placed ones, newest first.
+
+alter table posts add column if not exists is_pinned boolean not null default false;
+alter table posts add column if not exists pinned_at timestamptz;
+alter table posts add column if not exists is_archived boolean not null default false;
+alter table posts add column if not exists archived_at timestamptz;
+alter table posts add column if not exists color text check (color ~ '^#[0-9A-Fa-f]{6}$');
+alter table posts add column if not exists manual_position integer;
+
+create index if not exists posts_user_pinned_created_idx
+    on posts (user_id, is_pinned desc, created_at desc, id desc) where deleted_at is null;
+create index if not exists posts_user_pinned_updated_idx
+    on posts (user_id, is_pinned desc, updated_at desc, id desc) where deleted_at is null;
+create index if not exists posts_category_manual_position_idx
+    on posts (user_id, category_id, manual_position) where deleted_at is null;
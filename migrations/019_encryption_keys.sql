@@ -0,0 +1,110 @@
+-- Key management for end-to-end encrypted notes; the server only stores wrapped keys, never plaintext
+-- Notes are encrypted on the client with a data key. Every data key version is stored wrapped by the user's
+-- key-encryption key (KEK). The KEK is stored twice: wrapped by a key derived from the user's passphrase (kdf
+-- holds the salt and settings to derive it again) and wrapped by a recovery key the user keeps offline.
+-- Rotating adds a new data key version; the client re-encrypts the notes still on the old one, and the old
+-- version is retired once none are left. Retired keys are kept so old revisions and exports stay readable.
+-- revision is bumped on every keyring change, so a stale device can't overwrite a newer envelope.
+
+create table if not exists encryption_keyrings (
+    user_id uuid primary key references users(id) on delete cascade,
+    kdf jsonb not null,
+    password_envelope jsonb not null,
+    recovery_envelope jsonb,
+    recovery_updated_at timestamptz,
+    revision integer not null default 1,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists encryption_keys (
+    id bigserial primary key,
+    user_id uuid not null references encryption_keyrings(user_id) on delete cascade,
+    key_version integer not null,
+    wrapped_key jsonb not null,
+    status text not null default 'active' check (status in ('active', 'rotating', 'retired')),
+    created_at timestamptz not null default now(),
+    retired_at timestamptz,
+    unique (user_id, key_version)
+);
+
+create unique index if not exists encryption_keys_one_active_idx on encryption_keys (user_id) where status = 'active';
+
+-- Key version the ciphertext is under; null for plain notes, and for encrypted notes saved by clients that
+-- don't send one before any key was set up
+alter table posts add column if not exists encryption_key_version integer;
+alter table note_revisions add column if not exists encryption_key_version integer;
+
+create index if not exists posts_encryption_key_version_idx
+    on posts (user_id, encryption_key_version) where is_encrypted and deleted_at is null;
+
+-- Make a new data key version active; the current one moves to 'rotating' until its notes are re-encrypted.
+-- Returns no row when the user has no keyring or a rotation is already in progress.
+create or replace function start_key_rotation(p_user_id uuid, p_wrapped_key jsonb)
+returns setof encryption_keys
+language plpgsql volatile
+as $$
+begin
+    -- Serializes keyring changes for the user
+    perform 1 from encryption_keyrings where user_id = p_user_id for update;
+    if not found
+       or exists (select 1 from encryption_keys where user_id = p_user_id and status = 'rotating') then
+        return;
+    end if;
+
+    update encryption_keys
+    set status = 'rotating'
+    where user_id = p_user_id and status = 'active';
+
+    update encryption_keyrings
+    set revision = revision + 1, updated_at = now()
+    where user_id = p_user_id;
+
+    return query
+    insert into encryption_keys (user_id, key_version, wrapped_key)
+    values (
+        p_user_id,
+        coalesce((select max(key_version) from encryption_keys where user_id = p_user_id), 0) + 1,
+        p_wrapped_key
+    )
+    returning *;
+end;
+$$;
+
+-- Retire the rotating key versions if no note is left on them. Returns the number of notes still to be
+-- re-encrypted; 0 means the rotation is complete.
+create or replace function complete_key_rotation(p_user_id uuid)
+returns integer
+language plpgsql volatile
+as $$
+declare
+    pending integer;
+begin
+    perform 1 from encryption_keyrings where user_id = p_user_id for update;
+
+    select count(*) into pending
+    from posts
+    where user_id = p_user_id
+      and is_encrypted
+      and deleted_at is null
+      and encryption_key_version is distinct from (
+          select key_version from encryption_keys where user_id = p_user_id and status = 'active'
+      );
+
+    if pending > 0 then
+        return pending;
+    end if;
+
+    update encryption_keys
+    set status = 'retired', retired_at = now()
+    where user_id = p_user_id and status = 'rotating';
+
+    if found then
+        update encryption_keyrings
+        set revision = revision + 1, updated_at = now()
+        where user_id = p_user_id;
+    end if;
+
+    return 0;
+end;
+$$;
@@ -0,0 +1,8 @@
+-- Category names only have to be unique among the categories directly under one parent, ignoring case,
+-- so nested notebooks can each have their own "Meetings". Root categories share the parent key 0.
+-- Label names stay unique per user (migrations/005).
+
+drop index if exists categories_user_lower_name_key;
+
+create unique index if not exists categories_user_parent_lower_name_key
+    on categories (user_id, coalesce(parent_id, 0), lower(name));
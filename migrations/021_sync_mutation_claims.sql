@@ -0,0 +1,4 @@
+-- When a pushed mutation was last claimed for applying. A pending mutation whose claim is older than a short
+-- lease was left behind by a request that died part way, and a retry may claim it again.
+
+alter table sync_mutations add column if not exists claimed_at timestamptz not null default now();
@@ -0,0 +1,69 @@
+-- Checklist items are stored in plain text, so encrypted notes can't keep them. Items are deleted when a note
+-- becomes encrypted, whichever way that happens (autosave, sync push, restoring an encrypted revision, ...).
+
+create or replace function delete_checklist_on_encrypt()
+returns trigger
+language plpgsql
+as $$
+begin
+    delete from note_checklist_items where post_id = new.id;
+    return new;
+end;
+$$;
+
+drop trigger if exists posts_delete_checklist_on_encrypt on posts;
+create trigger posts_delete_checklist_on_encrypt
+    after update of is_encrypted on posts
+    for each row
+    when (new.is_encrypted and not coalesce(old.is_encrypted, false))
+    execute function delete_checklist_on_encrypt();
+
+-- Items left behind on notes encrypted before this migration
+delete from note_checklist_items i
+using posts p
+where p.id = i.post_id and p.is_encrypted;
+
+-- Neither progress nor open items are ever reported for an encrypted note
+create or replace function checklist_progress(posts)
+returns jsonb
+language sql stable
+as $$
+    select case
+        when count(*) = 0 then null
+        else jsonb_build_object('done', count(*) filter (where i.checked), 'total', count(*))
+    end
+    from note_checklist_items i
+    where i.post_id = $1.id
+      and not coalesce($1.is_encrypted, false);
+$$;
+
+create or replace function open_checklist_items(
+    p_user_id uuid,
+    p_due_before timestamptz default null,
+    p_include_shared boolean default true
+)
+returns table (
+    id bigint,
+    post_id integer,
+    parent_id bigint,
+    "position" integer,
+    text text,
+    due_at timestamptz,
+    created_at timestamptz,
+    note_title text,
+    note_role text
+)
+language sql stable
+as $$
+    select i.id, i.post_id, i.parent_id, i.position, i.text, i.due_at, i.created_at,
+           p.title, case when p.user_id = p_user_id then 'owner' else c.role end
+    from note_checklist_items i
+    join posts p on p.id = i.post_id
+    left join note_collaborators c on c.post_id = p.id and c.user_id = p_user_id
+    where not i.checked
+      and p.deleted_at is null
+      and not coalesce(p.is_encrypted, false)
+      and (p.user_id = p_user_id or (p_include_shared and c.user_id is not null))
+      and (p_due_before is null or i.due_at < p_due_before)
+    order by i.due_at asc nulls last, i.post_id, i.parent_id nulls first, i.position, i.id;
+$$;
@@ -0,0 +1,77 @@
+-- Ranked full-text search that applies the note list filters before taking the top matches
+-- search_notes (migrations/003) ranks every match and stops at p_limit, so filtering afterwards
+-- could leave a page short even though more notes match. p_filters is built by lib/note-filters.js:
+--   flags           [{ field, value }]      boolean columns that must equal value
+--   dates           [{ field, gte, lt }]    created_at / updated_at ranges, either bound optional
+--   category_sets   [[id, ...], ...]        category_id must be in every set
+--   category_exclude [id, ...]              category_id must not be any of these
+--   label_sets      [[id, ...], ...]        the note must carry a label from every set
+--   label_exclude   [id, ...]               the note must carry none of these labels
+
+create or replace function search_notes_filtered(
+    p_user_id uuid,
+    p_query text,
+    p_filters jsonb,
+    p_limit integer default 500
+)
+returns table (post_id integer, rank real, total_count bigint)
+language sql stable
+as $$
+    with matches as (
+        select p.id, p.updated_at, ts_rank_cd(p.search_vector, q.query, 32) as rank
+        from posts p, to_tsquery('english', p_query) as q(query)
+        where p.user_id = p_user_id
+          and p.deleted_at is null
+          and p.search_vector @@ q.query
+          and not exists (
+              select 1
+              from jsonb_to_recordset(coalesce(p_filters->'flags', '[]')) as f(field text, value boolean)
+              where f.value is distinct from case f.field
+                  when 'is_draft' then p.is_draft
+                  when 'is_public' then p.is_public
+                  when 'is_archived' then p.is_archived
+                  when 'is_encrypted' then p.is_encrypted
+                  when 'is_pinned' then p.is_pinned
+              end
+          )
+          and not exists (
+              select 1
+              from jsonb_to_recordset(coalesce(p_filters->'dates', '[]')) as d(field text, gte timestamptz, lt timestamptz),
+                  lateral (select case d.field when 'created_at' then p.created_at when 'updated_at' then p.updated_at end) as c(at)
+              where c.at is null
+                 or (d.gte is not null and c.at < d.gte)
+                 or (d.lt is not null and c.at >= d.lt)
+          )
+          and not exists (
+              select 1
+              from jsonb_array_elements(coalesce(p_filters->'category_sets', '[]')) as s(ids)
+              where p.category_id is null
+                 or not exists (select 1 from jsonb_array_elements_text(s.ids) as i(id) where i.id::integer = p.category_id)
+          )
+          and (p.category_id is null or not exists (
+              select 1
+              from jsonb_array_elements_text(coalesce(p_filters->'category_exclude', '[]')) as i(id)
+              where i.id::integer = p.category_id
+          ))
+          and not exists (
+              select 1
+              from jsonb_array_elements(coalesce(p_filters->'label_sets', '[]')) as s(ids)
+              where not exists (
+                  select 1
+                  from post_labels pl
+                  join jsonb_array_elements_text(s.ids) as i(id) on i.id::integer = pl.label_id
+                  where pl.post_id = p.id
+              )
+          )
+          and not exists (
+              select 1
+              from post_labels pl
+              join jsonb_array_elements_text(coalesce(p_filters->'label_exclude', '[]')) as i(id) on i.id::integer = pl.label_id
+              where pl.post_id = p.id
+          )
+    )
+    select m.id, m.rank, count(*) over () as total_count
+    from matches m
+    order by m.rank desc, m.updated_at desc, m.id desc
+    limit p_limit;
+$$;
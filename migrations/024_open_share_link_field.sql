@@ -0,0 +1,19 @@
+-- Computed field used by author pages and feeds (lib/profiles.js)
+-- PostgREST exposes this as posts.has_open_share_link, so published notes are filtered before paging and counting.
+-- True when the note's current token belongs to its default link and that link works for anyone right now.
+
+create or replace function has_open_share_link(posts)
+returns boolean
+language sql stable
+as $$
+    select exists (
+        select 1
+        from note_share_links l
+        where l.post_id = $1.id
+          and l.token = $1.public_share_token
+          and l.is_default
+          and l.revoked_at is null
+          and l.password_hash is null
+          and (l.expires_at is null or l.expires_at > now())
+    );
+$$;
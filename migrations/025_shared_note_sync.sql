@@ -0,0 +1,98 @@
+-- Delta sync for notes shared with a collaborator
+-- Each collaborator gets a 'shared_note' change keyed by note and collaborator, written when the note
+-- changes and when the collaboration is added, changed or removed. Removing a collaborator, or moving
+-- the note to the trash, leaves a tombstone in that collaborator's feed.
+
+alter table sync_changes drop constraint if exists sync_changes_entity_type_check;
+alter table sync_changes add constraint sync_changes_entity_type_check
+    check (entity_type in ('note', 'category', 'label', 'note_label', 'shared_note'));
+
+create or replace function record_shared_note_sync_change()
+returns trigger
+language plpgsql
+as $$
+declare
+    target record;
+begin
+    if tg_op = 'DELETE' then
+        target := old;
+    else
+        target := new;
+    end if;
+
+    insert into sync_changes (entity_type, entity_id, user_id, deleted)
+    select 'shared_note', target.id || ':' || nc.user_id, nc.user_id,
+        tg_op = 'DELETE' or target.deleted_at is not null
+    from note_collaborators nc
+    where nc.post_id = target.id
+    on conflict (entity_type, entity_id) do update
+        set user_id = excluded.user_id,
+            deleted = excluded.deleted,
+            change_id = excluded.change_id,
+            xact_id = excluded.xact_id,
+            changed_at = excluded.changed_at;
+
+    return null;
+end;
+$$;
+
+create or replace function record_collaborator_sync_change()
+returns trigger
+language plpgsql
+as $$
+declare
+    target record;
+    note_deleted boolean;
+begin
+    if tg_op = 'DELETE' then
+        target := old;
+    else
+        target := new;
+    end if;
+
+    -- A row left over from before an update that moved it to another note or user loses access
+    if tg_op = 'UPDATE' and (old.post_id, old.user_id) is distinct from (new.post_id, new.user_id) then
+        insert into sync_changes (entity_type, entity_id, user_id, deleted)
+        values ('shared_note', old.post_id || ':' || old.user_id, old.user_id, true)
+        on conflict (entity_type, entity_id) do update
+            set user_id = excluded.user_id,
+                deleted = excluded.deleted,
+                change_id = excluded.change_id,
+                xact_id = excluded.xact_id,
+                changed_at = excluded.changed_at;
+    end if;
+
+    select deleted_at is not null into note_deleted from posts where id = target.post_id;
+
+    insert into sync_changes (entity_type, entity_id, user_id, deleted)
+    values ('shared_note', target.post_id || ':' || target.user_id, target.user_id,
+        tg_op = 'DELETE' or note_deleted is distinct from false)
+    on conflict (entity_type, entity_id) do update
+        set user_id = excluded.user_id,
+            deleted = excluded.deleted,
+            change_id = excluded.change_id,
+            xact_id = excluded.xact_id,
+            changed_at = excluded.changed_at;
+
+    return null;
+end;
+$$;
+
+drop trigger if exists posts_shared_sync_change on posts;
+create trigger posts_shared_sync_change
+    after insert or update or delete on posts
+    for each row
+    execute function record_shared_note_sync_change();
+
+drop trigger if exists note_collaborators_sync_change on note_collaborators;
+create trigger note_collaborators_sync_change
+    after insert or update or delete on note_collaborators
+    for each row
+    execute function record_collaborator_sync_change();
+
+-- Existing collaborations, so the next full sync of a collaborator returns the notes shared with them
+insert into sync_changes (entity_type, entity_id, user_id, deleted)
+select 'shared_note', nc.post_id || ':' || nc.user_id, nc.user_id, p.deleted_at is not null
+from note_collaborators nc
+join posts p on p.id = nc.post_id
+on conflict do nothing;
@@ -0,0 +1,167 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const { getNoteAccess, hasRole } = require('../lib/note-access');
+const {
+  MAX_ATTACHMENT_BYTES,
+  AttachmentError,
+  createAttachment,
+  findNoteAttachment,
+  listNoteAttachments,
+  sendAttachment,
+  deleteAttachment,
+  serializeAttachment
+} = require('../lib/attachments');
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateUser);
+
+// Read the raw request body, answering oversize uploads with JSON instead of Express's HTML error page
+const readUpload = (req, res, next) => {
+  express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES })(req, res, (error) => {
+    if (error) {
+      return res.status(error.status || 400).json({
+        error: error.type === 'entity.too.large'
+          ? `Attachments must be at most ${Math.round(MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB`
+          : error.message
+      });
+    }
+    next();
+  });
+};
+
+const attachmentsUrl = (req) => `/api/notes/${req.params.id}/attachments`;
+
+// List a note's attachments (anyone the note is shared with)
+router.get('/', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { note } = await getNoteAccess(id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const attachments = await listNoteAttachments(id);
+    res.json(attachments.map(attachment => serializeAttachment(attachment, attachmentsUrl(req))));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// File name from ?filename= or the X-Filename header, which is percent-encoded so any name fits in a header
+const readFilename = (req) => {
+  if (req.query.filename || !req.get('X-Filename')) {
+    return req.query.filename;
+  }
+  try {
+    return decodeURIComponent(req.get('X-Filename'));
+  } catch (error) {
+    throw new AttachmentError('X-Filename must be a percent-encoded UTF-8 file name');
+  }
+};
+
+// Upload a file as the raw request body; Content-Type is its MIME type, ?filename= its name
+router.post('/', readUpload, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { note, role } = await getNoteAccess(id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+    if (!hasRole(role, 'editor')) {
+      return res.status(403).json({ error: 'You do not have permission to add attachments to this note' });
+    }
+
+    const filename = readFilename(req);
+
+    const attachment = await createAttachment(note, userId, {
+      filename,
+      mimeType: req.get('Content-Type'),
+      buffer: Buffer.isBuffer(req.body) ? req.body : null
+    });
+
+    res.status(201).json({
+      ...serializeAttachment(attachment, attachmentsUrl(req)),
+      // Reference for embedding in the note's Markdown, e.g. ![alt](attachment:12)
+      markdown_url: `attachment:${attachment.id}`
+    });
+  } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download an attachment
+router.get('/:attachmentId', async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+
+    const { note } = await getNoteAccess(id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const attachment = await findNoteAttachment(id, attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    await sendAttachment(res, attachment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download an image attachment's thumbnail
+router.get('/:attachmentId/thumbnail', async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+
+    const { note } = await getNoteAccess(id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const attachment = await findNoteAttachment(id, attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    await sendAttachment(res, attachment, { thumbnail: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete an attachment (editors and the owner)
+router.delete('/:attachmentId', async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+
+    const { note, role } = await getNoteAccess(id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+    if (!hasRole(role, 'editor')) {
+      return res.status(403).json({ error: 'You do not have permission to delete attachments from this note' });
+    }
+
+    const attachment = await findNoteAttachment(id, attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await deleteAttachment(attachment);
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
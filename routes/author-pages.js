@@ -0,0 +1,118 @@
+const express = require('express');
+const { findPublicProfile, getPublishedNotes } = require('../lib/profiles');
+const { buildRssFeed, buildAtomFeed } = require('../lib/feeds');
+const { getBaseUrl, renderAuthorPage, renderErrorPage } = require('../lib/public-page');
+const router = express.Router();
+
+const PAGE_SIZE = 20;
+const FEED_SIZE = parseInt(process.env.FEED_ITEM_LIMIT) || 50;
+
+// Absolute URLs for a profile, keeping the category/label filter on page and feed links
+const profileUrls = (req, profile) => {
+  const base = `${getBaseUrl(req)}/u/${encodeURIComponent(profile.handle)}`;
+  const params = new URLSearchParams();
+  if (req.query.category) params.set('category', req.query.category);
+  if (req.query.label) params.set('label', req.query.label);
+  const filter = params.toString();
+
+  const withQuery = (url, extra = {}) => {
+    const query = new URLSearchParams(params);
+    Object.entries(extra).forEach(([key, value]) => query.set(key, value));
+    const queryString = query.toString();
+    return queryString ? `${url}?${queryString}` : url;
+  };
+
+  return {
+    base,
+    withQuery,
+    page: withQuery(base),
+    rss: withQuery(`${base}/rss.xml`),
+    atom: withQuery(`${base}/atom.xml`),
+    filter: filter
+      ? [req.query.category && `category "${req.query.category}"`, req.query.label && `label "${req.query.label}"`]
+        .filter(Boolean).join(' and ')
+      : null,
+    note: (note) => `${getBaseUrl(req)}/p/${note.public_share_token}`
+  };
+};
+
+// Send a feed in either format; query filters narrow it the same way as the profile page
+const sendFeed = async (req, res, format) => {
+  const profile = await findPublicProfile(req.params.handle);
+  if (!profile) {
+    return res.status(404).type('text/plain').send('Profile not found');
+  }
+
+  const urls = profileUrls(req, profile);
+  const { notes } = await getPublishedNotes(profile.id, {
+    category: req.query.category,
+    label: req.query.label,
+    limit: FEED_SIZE
+  });
+  const feedNotes = notes.filter(note => note.public_share_token);
+
+  res.set('Cache-Control', 'public, max-age=300');
+  if (format === 'atom') {
+    res.type('application/atom+xml').send(buildAtomFeed(profile, feedNotes, { page: urls.page, feed: urls.atom, note: urls.note }));
+  } else {
+    res.type('application/rss+xml').send(buildRssFeed(profile, feedNotes, { page: urls.page, feed: urls.rss, note: urls.note }));
+  }
+};
+
+// RSS 2.0 feed of an author's published notes
+router.get('/:handle/rss.xml', async (req, res) => {
+  try {
+    await sendFeed(req, res, 'rss');
+  } catch (error) {
+    console.error('Feed error:', error);
+    res.status(500).type('text/plain').send('Something went wrong building this feed.');
+  }
+});
+
+// Atom feed of an author's published notes
+router.get('/:handle/atom.xml', async (req, res) => {
+  try {
+    await sendFeed(req, res, 'atom');
+  } catch (error) {
+    console.error('Feed error:', error);
+    res.status(500).type('text/plain').send('Something went wrong building this feed.');
+  }
+});
+
+// HTML author page listing published notes, newest first
+router.get('/:handle', async (req, res) => {
+  try {
+    res.type('html');
+
+    const profile = await findPublicProfile(req.params.handle);
+    if (!profile) {
+      return res.status(404).send(renderErrorPage('This profile does not exist or is not public.', 'Profile unavailable'));
+    }
+
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const urls = profileUrls(req, profile);
+    const { notes, totalCount } = await getPublishedNotes(profile.id, {
+      category: req.query.category,
+      label: req.query.label,
+      page: pageNum,
+      limit: PAGE_SIZE
+    });
+    const totalPages = Math.ceil(totalCount / PAGE_SIZE);
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.send(renderAuthorPage(profile, notes.filter(note => note.public_share_token), {
+      url: urls.page,
+      rssUrl: urls.rss,
+      atomUrl: urls.atom,
+      noteUrl: urls.note,
+      filter: urls.filter,
+      prevUrl: pageNum > 1 ? urls.withQuery(urls.base, pageNum > 2 ? { page: pageNum - 1 } : {}) : null,
+      nextUrl: pageNum < totalPages ? urls.withQuery(urls.base, { page: pageNum + 1 }) : null
+    }));
+  } catch (error) {
+    console.error('Author page error:', error);
+    res.status(500).type('html').send(renderErrorPage('Something went wrong loading this profile.', 'Profile unavailable'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const { findPublicProfile, getPublishedNotes } = require('../lib/profiles');
+const { getExcerpt } = require('../lib/note-render');
+const router = express.Router();
+
+// Public author profile with a page of published notes, filterable by category or label name
+router.get('/:handle', async (req, res) => {
+  try {
+    const { category, label, page = 1, limit = 20 } = req.query;
+
+    const profile = await findPublicProfile(req.params.handle);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const { notes, totalCount } = await getPublishedNotes(profile.id, {
+      category,
+      label,
+      page: pageNum,
+      limit: limitNum
+    });
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      profile: {
+        handle: profile.handle,
+        display_name: profile.display_name,
+        bio: profile.bio,
+        url: `/u/${profile.handle}`,
+        rss_url: `/u/${profile.handle}/rss.xml`,
+        atom_url: `/u/${profile.handle}/atom.xml`
+      },
+      data: notes.map(({ content, public_share_token, ...note }) => ({
+        ...note,
+        excerpt: getExcerpt(content),
+        url: public_share_token ? `/p/${public_share_token}` : null
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
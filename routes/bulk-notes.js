@@ -0,0 +1,22 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const { BulkError, runBulkAction } = require('../lib/bulk-notes');
+const router = express.Router();
+
+router.use(authenticateUser);
+
+// Apply one action to many notes, picked by note_ids or by a filter with the same fields as GET /api/notes.
+// Actions: set_category, add_labels, remove_labels, publish, set_visibility, archive, delete.
+// dry_run: true reports what would change without writing anything.
+router.post('/', async (req, res) => {
+  try {
+    res.json(await runBulkAction(req, req.body || {}));
+  } catch (error) {
+    if (error instanceof BulkError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
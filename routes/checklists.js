@@ -0,0 +1,218 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { authenticateUser } = require('../middleware/auth');
+const { getNoteAccess, hasRole } = require('../lib/note-access');
+const {
+  ChecklistError,
+  parseItemId,
+  getChecklistItems,
+  buildChecklistTree,
+  getChecklistProgress,
+  parseItemFields,
+  checkedValues,
+  resolveInsertion,
+  resolveReorder,
+  saveSiblingOrder
+} = require('../lib/checklists');
+const { publishNoteEvent } = require('../lib/events');
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateUser);
+
+// Load the note for a change to its checklist (editors and the owner)
+const getEditableNote = async (req, res) => {
+  const { note, role } = await getNoteAccess(req.params.id, req.user.id);
+  if (!note) {
+    res.status(404).json({ error: 'Note not found or access denied' });
+    return null;
+  }
+  if (!hasRole(role, 'editor')) {
+    res.status(403).json({ error: 'You do not have permission to edit this note' });
+    return null;
+  }
+  // Items are stored in plain text, which would leak what an encrypted note is about
+  if (note.is_encrypted) {
+    res.status(400).json({ error: 'Checklists are not available on encrypted notes' });
+    return null;
+  }
+  return note;
+};
+
+// Answer with the whole checklist after a change and tell the note's other viewers
+const sendChecklist = async (req, res, note, status = 200, extra = {}) => {
+  const items = await getChecklistItems(note.id);
+  const progress = getChecklistProgress(items);
+
+  publishNoteEvent('note.checklist_updated', note, req, { checklist_progress: progress });
+  res.status(status).json({ ...extra, items: buildChecklistTree(items), progress });
+};
+
+const handleError = (res, error) => {
+  if (error instanceof ChecklistError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+// Get a note's checklist as a tree, with progress (anyone the note is shared with)
+router.get('/', async (req, res) => {
+  try {
+    const { note } = await getNoteAccess(req.params.id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    // Encrypting a note deletes its items (migrations/022); never serve plain text for one regardless
+    const items = note.is_encrypted ? [] : await getChecklistItems(note.id);
+    res.json({ items: buildChecklistTree(items), progress: getChecklistProgress(items) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add an item: { text, parent_id?, position?, due_at?, checked? }; it goes last among its siblings unless a position is given
+router.post('/', async (req, res) => {
+  try {
+    const note = await getEditableNote(req, res);
+    if (!note) return;
+
+    const values = parseItemFields(req.body);
+    const items = await getChecklistItems(note.id);
+    const { parentId, siblings, index } = resolveInsertion(items, req.body);
+
+    const { data: item, error } = await supabase
+      .from('note_checklist_items')
+      .insert([{
+        ...values,
+        ...(values.checked && checkedValues(true, req.user.id)),
+        post_id: note.id,
+        parent_id: parentId,
+        position: index,
+        created_by: req.user.id
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (index < siblings.length) {
+      await saveSiblingOrder([...siblings.slice(0, index), item, ...siblings.slice(index)], parentId);
+    }
+
+    await sendChecklist(req, res, note, 201, { item });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Reorder or re-nest items: { parent_id, item_ids } lists every item under parent_id in its new order.
+// Items listed from elsewhere in the checklist move there, along with their own items.
+router.post('/reorder', async (req, res) => {
+  try {
+    const note = await getEditableNote(req, res);
+    if (!note) return;
+
+    const parentId = req.body.parent_id ?? null;
+    const items = await getChecklistItems(note.id);
+    const ordered = resolveReorder(items, parentId, req.body.item_ids);
+
+    await saveSiblingOrder(ordered, parentId === null ? null : Number(parentId));
+    await sendChecklist(req, res, note);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Edit an item's text, due date or checked state
+router.patch('/:itemId', async (req, res) => {
+  try {
+    const itemId = parseItemId(req.params.itemId);
+    const note = await getEditableNote(req, res);
+    if (!note) return;
+
+    const values = parseItemFields(req.body, true);
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+    if (values.checked !== undefined) {
+      Object.assign(values, checkedValues(values.checked, req.user.id));
+    }
+
+    const { data, error } = await supabase
+      .from('note_checklist_items')
+      .update({ ...values, updated_at: new Date() })
+      .eq('id', itemId)
+      .eq('post_id', note.id)
+      .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+
+    await sendChecklist(req, res, note, 200, { item: data[0] });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Tick or untick an item; { checked } sets the state, otherwise it flips
+router.post('/:itemId/toggle', async (req, res) => {
+  try {
+    const itemId = parseItemId(req.params.itemId);
+    const note = await getEditableNote(req, res);
+    if (!note) return;
+
+    const { data: item, error: itemError } = await supabase
+      .from('note_checklist_items')
+      .select('id, checked')
+      .eq('id', itemId)
+      .eq('post_id', note.id)
+      .maybeSingle();
+
+    if (itemError) throw itemError;
+    if (!item) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+
+    const checked = typeof req.body?.checked === 'boolean' ? req.body.checked : !item.checked;
+    const { data, error } = await supabase
+      .from('note_checklist_items')
+      .update({ ...checkedValues(checked, req.user.id), updated_at: new Date() })
+      .eq('id', item.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    await sendChecklist(req, res, note, 200, { item: data });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Delete an item and everything nested under it
+router.delete('/:itemId', async (req, res) => {
+  try {
+    const itemId = parseItemId(req.params.itemId);
+    const note = await getEditableNote(req, res);
+    if (!note) return;
+
+    const { data, error } = await supabase
+      .from('note_checklist_items')
+      .delete()
+      .eq('id', itemId)
+      .eq('post_id', note.id)
+      .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Checklist item not found' });
+    }
+
+    await sendChecklist(req, res, note);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
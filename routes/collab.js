@@ -0,0 +1,27 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const { getNoteAccess } = require('../lib/note-access');
+const { getPresence } = require('../lib/collab');
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateUser);
+
+// Who has the note open for collaborative editing, with their cursor and selection states
+router.get('/', async (req, res) => {
+  try {
+    const { note } = await getNoteAccess(req.params.id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    res.json({
+      note_id: note.id,
+      collaborative: !note.is_encrypted,
+      participants: getPresence(note.id)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { authenticateUser } = require('../middleware/auth');
+const { COLLABORATOR_ROLES, getNoteAccess } = require('../lib/note-access');
+const { publishEvent, publishNoteEvent } = require('../lib/events');
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateUser);
+
+// List the people a note is shared with (owner only)
+router.get('/', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { note, role } = await getNoteAccess(id, req.user.id);
+    if (!note || role !== 'owner') {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const { data, error } = await supabase
+      .from('note_collaborators')
+      .select('user_id, role, created_at, updated_at, user:users!note_collaborators_user_id_fkey(id, name, email)')
+      .eq('post_id', id)
+      .order('created_at');
+
+    if (error) throw error;
+    res.json(data || []);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Invite a registered user by email, or change their role if already invited
+router.post('/', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { email, role = 'viewer' } = req.body;
+    const userId = req.user.id;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}` });
+    }
+
+    const { note, role: access } = await getNoteAccess(id, userId);
+    if (!note || access !== 'owner') {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const { data: invitees, error: lookupError } = await supabase
+      .from('users')
+      .select('id, name, email')
+      .ilike('email', String(email).trim().replace(/([\\%_])/g, '\\$1'))
+      .limit(1);
+
+    if (lookupError) throw lookupError;
+
+    const invitee = invitees && invitees[0];
+    if (!invitee) {
+      return res.status(404).json({ error: 'No registered user with that email' });
+    }
+    if (invitee.id === userId) {
+      return res.status(400).json({ error: 'You already own this note' });
+    }
+
+    const { data, error } = await supabase
+      .from('note_collaborators')
+      .upsert([{
+        post_id: parseInt(id),
+        user_id: invitee.id,
+        role,
+        invited_by: userId,
+        updated_at: new Date()
+      }], {
+        onConflict: 'post_id,user_id'
+      })
+      .select('user_id, role, created_at, updated_at')
+      .single();
+
+    if (error) throw error;
+
+    await publishNoteEvent('note.collaborator_changed', note, req, { user_id: invitee.id, role: data.role });
+
+    res.status(201).json({ ...data, user: invitee });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a collaborator's role (owner only)
+router.patch('/:userId', async (req, res) => {
+  try {
+    const { id, userId: collaboratorId } = req.params;
+    const { role } = req.body;
+
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}` });
+    }
+
+    const { note, role: access } = await getNoteAccess(id, req.user.id);
+    if (!note || access !== 'owner') {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const { data, error } = await supabase
+      .from('note_collaborators')
+      .update({ role, updated_at: new Date() })
+      .eq('post_id', id)
+      .eq('user_id', collaboratorId)
+      .select('user_id, role, created_at, updated_at');
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    await publishNoteEvent('note.collaborator_changed', note, req, { user_id: collaboratorId, role });
+
+    res.json(data[0]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke access; the owner can remove anyone, collaborators can remove themselves
+router.delete('/:userId', async (req, res) => {
+  try {
+    const { id, userId: collaboratorId } = req.params;
+    const userId = req.user.id;
+
+    const { note, role: access } = await getNoteAccess(id, userId);
+    if (!note || (access !== 'owner' && collaboratorId !== userId)) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const { data, error } = await supabase
+      .from('note_collaborators')
+      .delete()
+      .eq('post_id', id)
+      .eq('user_id', collaboratorId)
+      .select('user_id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    // The removed user is no longer among the note's recipients, so they are told directly
+    await publishNoteEvent('note.collaborator_removed', note, req, { user_id: collaboratorId });
+    try {
+      publishEvent([collaboratorId], 'note.collaborator_removed', { note: { id: note.id }, user_id: collaboratorId });
+    } catch (publishError) {
+      console.error('Error publishing note.collaborator_removed event:', publishError);
+    }
+
+    res.json({ message: 'Access revoked' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
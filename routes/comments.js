@@ -0,0 +1,102 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { authenticateUser } = require('../middleware/auth');
+const { getNoteAccess, hasRole } = require('../lib/note-access');
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateUser);
+
+// List comments on a note (anyone the note is shared with)
+router.get('/', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { note } = await getNoteAccess(id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const { data, error } = await supabase
+      .from('note_comments')
+      .select('id, body, created_at, updated_at, author:users(id, name, email)')
+      .eq('post_id', id)
+      .order('created_at');
+
+    if (error) throw error;
+    res.json(data || []);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a comment (commenters, editors and the owner)
+router.post('/', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { body } = req.body;
+    const userId = req.user.id;
+
+    if (!body || !String(body).trim()) {
+      return res.status(400).json({ error: 'Comment body is required' });
+    }
+
+    const { note, role } = await getNoteAccess(id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+    if (!hasRole(role, 'commenter')) {
+      return res.status(403).json({ error: 'You do not have permission to comment on this note' });
+    }
+
+    const { data, error } = await supabase
+      .from('note_comments')
+      .insert([{
+        post_id: parseInt(id),
+        user_id: userId,
+        body: String(body).trim()
+      }])
+      .select('id, body, created_at, updated_at, author:users(id, name, email)')
+      .single();
+
+    if (error) throw error;
+    res.status(201).json(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a comment (its author or the note owner)
+router.delete('/:commentId', async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const userId = req.user.id;
+
+    const { note, role } = await getNoteAccess(id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    let query = supabase
+      .from('note_comments')
+      .delete()
+      .eq('id', commentId)
+      .eq('post_id', id);
+
+    if (role !== 'owner') {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Comment not found or access denied' });
+    }
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,224 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { authenticateUser } = require('../middleware/auth');
+const { publishUserEvent } = require('../lib/events');
+const {
+  KeyringError,
+  validateKdf,
+  validateEnvelope,
+  getKeyring,
+  getRotationProgress,
+  serializeKeyring
+} = require('../lib/encryption-keys');
+const router = express.Router();
+
+router.use(authenticateUser);
+
+const handleError = (res, error) => {
+  if (error instanceof KeyringError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+const findKeyring = async (userId) => {
+  const keyring = await getKeyring(userId);
+  if (!keyring) {
+    throw new KeyringError('No encryption keys have been set up', 404);
+  }
+  return keyring;
+};
+
+// Replace envelopes only if the client saw the latest keyring, then tell the user's other devices
+const updateKeyring = async (req, values, reason) => {
+  const { revision } = req.body;
+  if (!Number.isInteger(revision)) {
+    throw new KeyringError('revision is required: the keyring revision these changes are based on');
+  }
+
+  const { data, error } = await supabase
+    .from('encryption_keyrings')
+    .update({ ...values, revision: revision + 1, updated_at: new Date() })
+    .eq('user_id', req.user.id)
+    .eq('revision', revision)
+    .select('revision');
+
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    const keyring = await findKeyring(req.user.id);
+    throw new KeyringError('The keyring changed since you loaded it; reload it and try again', 409, {
+      current_revision: keyring.revision
+    });
+  }
+
+  const keyring = await findKeyring(req.user.id);
+  publishUserEvent(req, 'keyring.updated', { reason, revision: keyring.revision });
+  return keyring;
+};
+
+// Get your keyring: passphrase KDF settings, the wrapped key-encryption key and every wrapped data key version
+router.get('/', async (req, res) => {
+  try {
+    const keyring = await findKeyring(req.user.id);
+    res.json(serializeKeyring(keyring));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Set up encryption keys: { kdf, password_envelope, recovery_envelope, wrapped_key }, all wrapped on the client.
+// adopt_existing_notes: true marks notes encrypted before now as using this first key.
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const kdf = validateKdf(req.body.kdf);
+    const passwordEnvelope = validateEnvelope(req.body.password_envelope, 'password_envelope');
+    const recoveryEnvelope = validateEnvelope(req.body.recovery_envelope, 'recovery_envelope');
+    const wrappedKey = validateEnvelope(req.body.wrapped_key, 'wrapped_key');
+
+    const { error: keyringError } = await supabase
+      .from('encryption_keyrings')
+      .insert([{
+        user_id: userId,
+        kdf,
+        password_envelope: passwordEnvelope,
+        recovery_envelope: recoveryEnvelope,
+        recovery_updated_at: new Date()
+      }]);
+
+    if (keyringError) {
+      if (keyringError.code === '23505') {
+        return res.status(409).json({ error: 'Encryption keys are already set up; rotate them instead' });
+      }
+      throw keyringError;
+    }
+
+    const { error: keyError } = await supabase
+      .from('encryption_keys')
+      .insert([{ user_id: userId, key_version: 1, wrapped_key: wrappedKey }]);
+
+    if (keyError) {
+      await supabase.from('encryption_keyrings').delete().eq('user_id', userId);
+      throw keyError;
+    }
+
+    if (req.body.adopt_existing_notes === true) {
+      const { error } = await supabase
+        .from('posts')
+        .update({ encryption_key_version: 1 })
+        .eq('user_id', userId)
+        .eq('is_encrypted', true)
+        .is('encryption_key_version', null);
+
+      if (error) throw error;
+    }
+
+    const keyring = await findKeyring(userId);
+    publishUserEvent(req, 'keyring.updated', { reason: 'created', revision: keyring.revision });
+
+    res.status(201).json(serializeKeyring(keyring));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Change the passphrase: { kdf, password_envelope, revision }.
+// Also how a user who recovered the key-encryption key with their recovery key sets a new passphrase.
+router.put('/password', async (req, res) => {
+  try {
+    const keyring = await updateKeyring(req, {
+      kdf: validateKdf(req.body.kdf),
+      password_envelope: validateEnvelope(req.body.password_envelope, 'password_envelope')
+    }, 'password_changed');
+
+    res.json(serializeKeyring(keyring));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Replace the recovery envelope with one for a new recovery key: { recovery_envelope, revision }
+router.put('/recovery', async (req, res) => {
+  try {
+    const keyring = await updateKeyring(req, {
+      recovery_envelope: validateEnvelope(req.body.recovery_envelope, 'recovery_envelope'),
+      recovery_updated_at: new Date()
+    }, 'recovery_changed');
+
+    res.json(serializeKeyring(keyring));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Key rotation progress: encrypted notes not yet re-encrypted with the active key, oldest first (?limit, up to 500)
+router.get('/rotation', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const keyring = await findKeyring(req.user.id);
+
+    res.json(await getRotationProgress(keyring, limit));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Start a key rotation with a new data key wrapped by the key-encryption key: { wrapped_key }.
+// The new version is active right away; re-encrypt the pending notes with it, then complete the rotation.
+router.post('/rotation', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const wrappedKey = validateEnvelope(req.body.wrapped_key, 'wrapped_key');
+
+    await findKeyring(userId);
+    const { data, error } = await supabase.rpc('start_key_rotation', {
+      p_user_id: userId,
+      p_wrapped_key: wrappedKey
+    });
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(409).json({ error: 'A key rotation is already in progress; complete it first' });
+    }
+
+    const keyring = await findKeyring(userId);
+    publishUserEvent(req, 'keyring.updated', { reason: 'rotation_started', revision: keyring.revision });
+
+    res.status(201).json({
+      key: data[0],
+      rotation: await getRotationProgress(keyring, 100)
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Finish a key rotation: retires the old key versions once no note is left on them
+router.post('/rotation/complete', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const before = await findKeyring(userId);
+    if (!before.keys.some(key => key.status === 'rotating')) {
+      return res.status(409).json({ error: 'No key rotation is in progress' });
+    }
+
+    const { data: pendingCount, error } = await supabase.rpc('complete_key_rotation', { p_user_id: userId });
+    if (error) throw error;
+
+    if (pendingCount > 0) {
+      return res.status(409).json({
+        error: `${pendingCount} note(s) still need to be re-encrypted with the active key`,
+        pending_count: pendingCount
+      });
+    }
+
+    const keyring = await findKeyring(userId);
+    publishUserEvent(req, 'keyring.updated', { reason: 'rotation_completed', revision: keyring.revision });
+
+    res.json(serializeKeyring(keyring));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
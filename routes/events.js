@@ -0,0 +1,48 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const { getEventsSince, getCurrentEventId, subscribe } = require('../lib/events');
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+// Server-Sent Events stream of the current user's changes; resumes from Last-Event-ID
+router.get('/', authenticateUser, (req, res) => {
+  const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id || null;
+  const { events, complete } = getEventsSince(req.user.id, lastEventId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  // Missed events are gone (server restart or too far behind); the client must refetch
+  if (!complete) {
+    writeEvent(res, {
+      id: getCurrentEventId(),
+      type: 'resync',
+      data: {},
+      client_id: null,
+      created_at: new Date().toISOString()
+    });
+  }
+  events.forEach(event => writeEvent(res, event));
+
+  const unsubscribe = subscribe(req.user.id, event => writeEvent(res, event));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const { collectExportData, writeExportArchive } = require('../lib/export');
+const router = express.Router();
+
+// Download every note, category and label as a zip of Markdown files plus a JSON manifest
+router.get('/', authenticateUser, async (req, res) => {
+  let data;
+  try {
+    data = await collectExportData(req.user.id);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="notes-export-${date}.zip"`,
+    'Cache-Control': 'private, no-store'
+  });
+
+  try {
+    await writeExportArchive(data, res);
+  } catch (error) {
+    // Headers and part of the body are already sent; cut the download short so it isn't mistaken for complete
+    console.error('Export error:', error);
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const { getUserCategories, getDescendantIds } = require('../lib/category-tree');
+const { getNoteGraph } = require('../lib/note-links');
+const router = express.Router();
+
+router.use(authenticateUser);
+
+// Notes as nodes and [[links]] as edges. ?category= scopes it to a notebook (add include_subcategories=true
+// for its subtree); ?orphans=false leaves out notes with no links in the scope.
+router.get('/', async (req, res) => {
+  try {
+    const { category, include_subcategories, orphans } = req.query;
+
+    let categoryIds = null;
+    if (category) {
+      const categories = await getUserCategories(req.user.id);
+      if (!categories.some(item => String(item.id) === String(category))) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+      categoryIds = include_subcategories === 'true'
+        ? [category, ...getDescendantIds(categories, category)]
+        : [category];
+    }
+
+    res.json(await getNoteGraph(req.user.id, { categoryIds, includeOrphans: orphans !== 'false' }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
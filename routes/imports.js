@@ -0,0 +1,77 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { authenticateUser } = require('../middleware/auth');
+const { IMPORT_FORMATS } = require('../lib/importers');
+const { ImportQueueFullError, createImportJob, serializeImportJob } = require('../lib/import-jobs');
+const router = express.Router();
+
+const MAX_UPLOAD_MB = parseInt(process.env.IMPORT_MAX_UPLOAD_MB) || 50;
+
+router.use(authenticateUser);
+
+// Start an import; the file is the raw request body (.enex, or a .zip for Keep Takeout and Markdown)
+router.post('/', express.raw({ type: () => true, limit: `${MAX_UPLOAD_MB}mb` }), async (req, res) => {
+  try {
+    const { format, notebook } = req.query;
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Upload the file as the request body' });
+    }
+
+    const job = await createImportJob(req.user.id, format, req.body, {
+      notebook: notebook ? String(notebook).trim() : null
+    });
+
+    res.status(202)
+      .location(`/api/imports/${job.id}`)
+      .json(serializeImportJob(job));
+  } catch (error) {
+    if (error instanceof ImportQueueFullError) {
+      return res.status(429).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recent import jobs, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('import_jobs')
+      .select('id, format, status, file_size, total_items, processed_items, imported_count, error, created_at, started_at, finished_at')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(20);
+
+    if (error) throw error;
+    res.json((data || []).map(serializeImportJob));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Progress and result of one import, including skipped items and their reasons
+router.get('/:id', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('import_jobs')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+
+    res.json(serializeImportJob(data));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
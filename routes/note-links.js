@@ -0,0 +1,74 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const { getNoteAccess, hasRole } = require('../lib/note-access');
+const {
+  isLinkableTitle,
+  getBacklinks,
+  getOutgoingLinks,
+  rewriteLinksToNote,
+  getUnlinkedMentions
+} = require('../lib/note-links');
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateUser);
+
+// Links from this note and backlinks to it (anyone the note is shared with)
+router.get('/', async (req, res) => {
+  try {
+    const { note } = await getNoteAccess(req.params.id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const [outgoing, backlinks] = await Promise.all([
+      getOutgoingLinks(note),
+      getBacklinks(note, req.user.id)
+    ]);
+
+    res.json({ outgoing, backlinks });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Notes that mention this note's title without linking to it
+router.get('/unlinked-mentions', async (req, res) => {
+  try {
+    const { note } = await getNoteAccess(req.params.id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    res.json(await getUnlinkedMentions(note, req.user.id, limit));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// After a rename, rewrite [[Old Title]] links to this note as [[New Title]]; { note_ids } limits which notes change
+router.post('/rewrite', async (req, res) => {
+  try {
+    const { note_ids } = req.body || {};
+
+    const { note, role } = await getNoteAccess(req.params.id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+    if (!hasRole(role, 'editor')) {
+      return res.status(403).json({ error: 'You do not have permission to edit this note' });
+    }
+    if (!isLinkableTitle(note.title)) {
+      return res.status(400).json({ error: 'Links can only use titles without [, ] or | characters' });
+    }
+    if (note_ids !== undefined && !Array.isArray(note_ids)) {
+      return res.status(400).json({ error: 'note_ids must be an array' });
+    }
+
+    res.json(await rewriteLinksToNote(note, req, note_ids || null));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { authenticateUser } = require('../middleware/auth');
+const { getNoteAccess } = require('../lib/note-access');
+const { ReminderError, buildReminderValues, serializeReminder } = require('../lib/reminders');
+const { wakeReminderScheduler } = require('../lib/reminder-scheduler');
+const { publishUserEvent } = require('../lib/events');
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateUser);
+
+// Your reminders on a note (reminders are personal, even on shared notes)
+router.get('/', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { note } = await getNoteAccess(id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const { data, error } = await supabase
+      .from('note_reminders')
+      .select('*')
+      .eq('post_id', id)
+      .eq('user_id', req.user.id)
+      .order('created_at');
+
+    if (error) throw error;
+    res.json((data || []).map(serializeReminder));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set a reminder: { starts_at, rrule?, timezone?, channels?, message? }
+router.post('/', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { note } = await getNoteAccess(id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const values = await buildReminderValues(req.body);
+
+    const { data, error } = await supabase
+      .from('note_reminders')
+      .insert([{ ...values, post_id: note.id, user_id: req.user.id }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    wakeReminderScheduler(data.fire_at);
+    publishUserEvent(req, 'reminder.created', { reminder: serializeReminder(data) });
+    res.status(201).json(serializeReminder(data));
+  } catch (error) {
+    if (error instanceof ReminderError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { authenticateUser } = require('../middleware/auth');
+const { getAvailableChannels } = require('../lib/reminder-channels');
+const { checkWebhookUrl } = require('../lib/reminder-channels/webhook-url');
+const router = express.Router();
+
+router.use(authenticateUser);
+
+// Your notifications, newest first; ?unread=true for unread only
+router.get('/', async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page) || 1;
+    const limitNum = Math.min(parseInt(limit) || 20, 100);
+    const offset = (pageNum - 1) * limitNum;
+
+    let query = supabase
+      .from('notifications')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.id);
+    if (unread === 'true') {
+      query = query.is('read_at', null);
+    }
+
+    const [{ data, error, count }, { count: unreadCount, error: unreadError }] = await Promise.all([
+      query
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .range(offset, offset + limitNum - 1),
+      supabase
+        .from('notifications')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', req.user.id)
+        .is('read_at', null)
+    ]);
+
+    if (error) throw error;
+    if (unreadError) throw unreadError;
+
+    const totalCount = count || 0;
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      data: data || [],
+      unread_count: unreadCount || 0,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delivery settings: available channels and the webhook URL (the secret is only shown when it is generated)
+router.get('/settings', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select('reminder_webhook_url')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error) throw error;
+
+    res.json({
+      channels: getAvailableChannels(),
+      webhook_url: data.reminder_webhook_url
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set the webhook URL: { webhook_url, rotate_secret? }. A new signing secret is returned when first set or rotated.
+router.put('/settings', async (req, res) => {
+  try {
+    const { webhook_url, rotate_secret } = req.body;
+
+    if (webhook_url !== undefined && webhook_url !== null && webhook_url !== '') {
+      if (typeof webhook_url !== 'string') {
+        return res.status(400).json({ error: 'webhook_url must be an http(s) URL' });
+      }
+      // Only public addresses: the server POSTs here, and must not be pointed at its own network
+      const { error: urlError } = await checkWebhookUrl(webhook_url);
+      if (urlError) {
+        return res.status(400).json({ error: urlError });
+      }
+    }
+
+    const { data: current, error: currentError } = await supabase
+      .from('users')
+      .select('reminder_webhook_url, reminder_webhook_secret')
+      .eq('id', req.user.id)
+      .single();
+
+    if (currentError) throw currentError;
+
+    const updates = {};
+    if (webhook_url !== undefined) {
+      updates.reminder_webhook_url = webhook_url || null;
+    }
+    const url = updates.reminder_webhook_url !== undefined ? updates.reminder_webhook_url : current.reminder_webhook_url;
+    if (url && (rotate_secret || !current.reminder_webhook_secret)) {
+      updates.reminder_webhook_secret = crypto.randomBytes(32).toString('hex');
+    }
+
+    if (Object.keys(updates).length > 0) {
+      const { error } = await supabase
+        .from('users')
+        .update(updates)
+        .eq('id', req.user.id);
+
+      if (error) throw error;
+    }
+
+    res.json({
+      channels: getAvailableChannels(),
+      webhook_url: url,
+      ...(updates.reminder_webhook_secret && { webhook_secret: updates.reminder_webhook_secret })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark every notification read
+router.post('/read-all', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('notifications')
+      .update({ read_at: new Date() })
+      .eq('user_id', req.user.id)
+      .is('read_at', null)
+      .select('id');
+
+    if (error) throw error;
+    res.json({ updated: (data || []).length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark one notification read
+router.post('/:id/read', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('notifications')
+      .update({ read_at: new Date() })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json(data[0]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a notification
+router.delete('/:id', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('notifications')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json({ message: 'Notification deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { authenticateUser } = require('../middleware/auth');
+const { validateHandle } = require('../lib/profiles');
+const router = express.Router();
+
+router.use(authenticateUser);
+
+const PROFILE_COLUMNS = 'handle, name, display_name, bio, profile_public';
+
+// Current user's public profile settings
+router.get('/', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select(PROFILE_COLUMNS)
+      .eq('id', req.user.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      ...data,
+      profile_url: data.profile_public && data.handle ? `/u/${data.handle}` : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Claim a handle, edit the display name and bio, or opt in and out of the public profile
+router.put('/', async (req, res) => {
+  try {
+    const { handle, display_name, bio, profile_public } = req.body;
+    const userId = req.user.id;
+
+    const { data: current, error: fetchError } = await supabase
+      .from('users')
+      .select('handle')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!current) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const updates = {};
+
+    if (handle !== undefined) {
+      const { handle: normalized, error: handleError } = validateHandle(handle);
+      if (handleError) {
+        return res.status(400).json({ error: handleError });
+      }
+
+      const { data: taken, error: takenError } = await supabase
+        .from('users')
+        .select('id')
+        .eq('handle', normalized)
+        .neq('id', userId)
+        .limit(1);
+
+      if (takenError) throw takenError;
+      if (taken && taken.length > 0) {
+        return res.status(409).json({ error: `The handle "${normalized}" is already taken` });
+      }
+
+      updates.handle = normalized;
+    }
+
+    if (display_name !== undefined) {
+      const value = display_name === null ? '' : String(display_name).trim();
+      if (value.length > 100) {
+        return res.status(400).json({ error: 'Display name must be 100 characters or fewer' });
+      }
+      updates.display_name = value || null;
+    }
+
+    if (bio !== undefined) {
+      const value = bio === null ? '' : String(bio).trim();
+      if (value.length > 500) {
+        return res.status(400).json({ error: 'Bio must be 500 characters or fewer' });
+      }
+      updates.bio = value || null;
+    }
+
+    if (profile_public !== undefined) {
+      if (profile_public && !(updates.handle || current.handle)) {
+        return res.status(400).json({ error: 'Choose a handle before making your profile public' });
+      }
+      updates.profile_public = !!profile_public;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No profile fields to update' });
+    }
+
+    const { data, error } = await supabase
+      .from('users')
+      .update(updates)
+      .eq('id', userId)
+      .select(PROFILE_COLUMNS)
+      .single();
+
+    if (error) {
+      // Lost a race for the same handle
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `The handle "${updates.handle}" is already taken` });
+      }
+      throw error;
+    }
+
+    res.json({
+      ...data,
+      profile_url: data.profile_public && data.handle ? `/u/${data.handle}` : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
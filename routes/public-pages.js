@@ -0,0 +1,96 @@
+const express = require('express');
+const { recordShareLinkView, resolvePublicNote, getShareLinkAccessKey } = require('../lib/share-links');
+const { findNoteAttachment, listNoteAttachments, sendAttachment } = require('../lib/attachments');
+const { getBaseUrl, renderNotePage, renderPasswordPage, renderErrorPage } = require('../lib/public-page');
+const router = express.Router();
+
+// Render a shared note, or the page explaining why it can't be shown
+const sendNotePage = async (req, res, password) => {
+  const { token } = req.params;
+  const { note, link, status, error, passwordRequired, retryAfter } = await resolvePublicNote(token, password, {
+    client: req.ip
+  });
+
+  res.type('html');
+  if (retryAfter) res.set('Retry-After', String(retryAfter));
+
+  if (passwordRequired) {
+    return res.status(401).send(renderPasswordPage({ error: password ? error : null }));
+  }
+  if (error) {
+    return res.status(status).send(renderErrorPage(error));
+  }
+
+  await recordShareLinkView(link.id);
+
+  // Password-protected pages hand their attachment URLs a key instead of the password
+  const accessQuery = link.password_hash ? `?key=${getShareLinkAccessKey(link)}` : '';
+  const attachments = await listNoteAttachments(note.id);
+
+  res.set('Cache-Control', link.password_hash ? 'private, no-store' : 'public, max-age=60');
+  res.send(renderNotePage(note, {
+    url: `${getBaseUrl(req)}/p/${token}`,
+    attachments,
+    attachmentUrl: (attachmentId) => `/p/${token}/attachments/${attachmentId}${accessQuery}`
+  }));
+};
+
+// HTML view of a public note, readable without the client app
+router.get('/:token', async (req, res) => {
+  try {
+    await sendNotePage(req, res);
+  } catch (error) {
+    console.error('Public page error:', error);
+    res.status(500).type('html').send(renderErrorPage('Something went wrong loading this note.'));
+  }
+});
+
+// Password form submission for protected links
+router.post('/:token', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    await sendNotePage(req, res, req.body?.password);
+  } catch (error) {
+    console.error('Public page error:', error);
+    res.status(500).type('html').send(renderErrorPage('Something went wrong loading this note.'));
+  }
+});
+
+// Attachment files of a public note; password links need the page's key or the X-Share-Password header
+const sendPublicAttachment = async (req, res, options) => {
+  const { token, attachmentId } = req.params;
+  const { note, link, status, error, retryAfter } = await resolvePublicNote(token, req.get('X-Share-Password'), {
+    accessKey: req.query.key,
+    client: req.ip
+  });
+
+  if (error) {
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    return res.status(status).json({ error });
+  }
+
+  const attachment = await findNoteAttachment(note.id, attachmentId);
+  if (!attachment) {
+    return res.status(404).json({ error: 'Attachment not found' });
+  }
+
+  res.set('Cache-Control', link.password_hash ? 'private, max-age=300' : 'public, max-age=3600');
+  await sendAttachment(res, attachment, options);
+};
+
+router.get('/:token/attachments/:attachmentId', async (req, res) => {
+  try {
+    await sendPublicAttachment(req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:token/attachments/:attachmentId/thumbnail', async (req, res) => {
+  try {
+    await sendPublicAttachment(req, res, { thumbnail: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { serializeTemplate } = require('../lib/templates');
+const router = express.Router();
+
+// Read a shared template by its token (no sign-in needed); use it with POST /api/templates/shared/:token/notes
+router.get('/:token', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('note_templates')
+      .select('*, owner:users(name)')
+      .eq('share_token', req.params.token)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'Template not found or no longer shared' });
+    }
+
+    const { owner, ...template } = data;
+    res.json({ ...serializeTemplate(template, { shared: true }), shared_by: owner?.name || null });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { authenticateUser } = require('../middleware/auth');
+const {
+  ReminderError,
+  buildReminderValues,
+  getSnoozeUntil,
+  snoozeValues,
+  completeValues,
+  getUpcomingOccurrences,
+  serializeReminder
+} = require('../lib/reminders');
+const { wakeReminderScheduler } = require('../lib/reminder-scheduler');
+const { publishUserEvent } = require('../lib/events');
+const router = express.Router();
+
+const REMINDER_STATUSES = ['scheduled', 'fired', 'completed'];
+const MAX_UPCOMING_DAYS = 90;
+
+router.use(authenticateUser);
+
+const findReminder = async (id, userId) => {
+  const { data, error } = await supabase
+    .from('note_reminders')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Match a column against the value read earlier, which may be null
+const whereUnchanged = (query, column, value) => (value === null ? query.is(column, null) : query.eq(column, value));
+
+// Save changes to a reminder, unless the scheduler moved it on meanwhile
+const updateReminder = async (req, res, reminder, values) => {
+  // A live lock means a scheduler run may be delivering it right now: keep the lock so no other run claims
+  // the new firing before it lapses
+  const changes = { ...values, updated_at: new Date() };
+  if (reminder.locked_until && new Date(reminder.locked_until) > new Date()) {
+    delete changes.locked_until;
+  }
+
+  // The scheduler claims, retries and advances a reminder by changing fire_at or locked_until
+  let query = supabase
+    .from('note_reminders')
+    .update(changes)
+    .eq('id', reminder.id)
+    .eq('user_id', req.user.id);
+  query = whereUnchanged(query, 'fire_at', reminder.fire_at);
+  query = whereUnchanged(query, 'locked_until', reminder.locked_until);
+
+  const { data, error } = await query.select();
+
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    return res.status(409).json({ error: 'The reminder changed while this request was running; reload it and try again' });
+  }
+
+  if (data[0].fire_at) {
+    wakeReminderScheduler(data[0].fire_at);
+  }
+  publishUserEvent(req, 'reminder.updated', { reminder: serializeReminder(data[0]) });
+  res.json(serializeReminder(data[0]));
+};
+
+const handleError = (res, error) => {
+  if (error instanceof ReminderError) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+// All your reminders, soonest first; ?status=scheduled|fired|completed
+router.get('/', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page) || 1;
+    const limitNum = Math.min(parseInt(limit) || 20, 100);
+    const offset = (pageNum - 1) * limitNum;
+
+    if (status && !REMINDER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REMINDER_STATUSES.join(', ')}` });
+    }
+
+    let query = supabase
+      .from('note_reminders')
+      .select('*, note:posts(id, title)', { count: 'exact' })
+      .eq('user_id', req.user.id);
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error, count } = await query
+      .order('fire_at', { ascending: true, nullsFirst: false })
+      .order('id')
+      .range(offset, offset + limitNum - 1);
+
+    if (error) throw error;
+
+    const totalCount = count || 0;
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      data: (data || []).map(serializeReminder),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Occurrences due in the next ?days= (default 7), recurring reminders expanded, overdue ones first
+router.get('/upcoming', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), MAX_UPCOMING_DAYS);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const from = new Date();
+    const to = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+
+    res.json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      data: await getUpcomingOccurrences(req.user.id, from, to, limit)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get one reminder
+router.get('/:id', async (req, res) => {
+  try {
+    const reminder = await findReminder(req.params.id, req.user.id);
+    if (!reminder) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+    res.json(serializeReminder(reminder));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a reminder; changing starts_at, rrule or timezone reschedules it from now
+router.patch('/:id', async (req, res) => {
+  try {
+    const reminder = await findReminder(req.params.id, req.user.id);
+    if (!reminder) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+
+    const values = await buildReminderValues(req.body, reminder);
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    await updateReminder(req, res, reminder, values);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Snooze: { minutes } (default 10) or { until }. After a reminder fired, the same occurrence fires again later.
+router.post('/:id/snooze', async (req, res) => {
+  try {
+    const reminder = await findReminder(req.params.id, req.user.id);
+    if (!reminder) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+
+    await updateReminder(req, res, reminder, snoozeValues(reminder, getSnoozeUntil(req.body || {})));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Complete a reminder. For recurring ones this skips to the next occurrence; { series: true } ends the series.
+router.post('/:id/complete', async (req, res) => {
+  try {
+    const reminder = await findReminder(req.params.id, req.user.id);
+    if (!reminder) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+
+    await updateReminder(req, res, reminder, completeValues(reminder, !!req.body?.series));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Delete a reminder
+router.delete('/:id', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('note_reminders')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+
+    publishUserEvent(req, 'reminder.deleted', { reminder_id: data[0].id });
+    res.json({ message: 'Reminder deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { authenticateUser } = require('../middleware/auth');
+const { diffText } = require('../lib/diff');
+const { recordRevisionSafely } = require('../lib/revisions');
+const { publishNoteEvent } = require('../lib/events');
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateUser);
+
+// Load the note the revisions belong to, scoped to the current user
+const findOwnedNote = async (noteId, userId) => {
+  const { data, error } = await supabase
+    .from('posts')
+    .select('*')
+    .eq('id', noteId)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Revision numbers from the URL are positive integers; anything else is null
+const parseRevisionNumber = (value) => {
+  if (!/^\d+$/.test(String(value))) return null;
+  const number = parseInt(value);
+  return number > 0 ? number : null;
+};
+
+const findRevision = async (noteId, revisionNumber) => {
+  const { data, error } = await supabase
+    .from('note_revisions')
+    .select('*')
+    .eq('post_id', noteId)
+    .eq('revision_number', revisionNumber)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// List revisions of a note, newest first (content omitted)
+router.get('/', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page) || 1;
+    const limitNum = Math.min(parseInt(limit) || 20, 100);
+    const offset = (pageNum - 1) * limitNum;
+
+    const note = await findOwnedNote(id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const { data, error, count } = await supabase
+      .from('note_revisions')
+      .select('id, revision_number, title, is_encrypted, source, autosave_count, created_at, updated_at', { count: 'exact' })
+      .eq('post_id', id)
+      .order('revision_number', { ascending: false })
+      .range(offset, offset + limitNum - 1);
+
+    if (error) throw error;
+
+    const totalCount = count || 0;
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      data: data || [],
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Diff two revisions; `to` defaults to the note's current content
+router.get('/diff', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to = 'current' } = req.query;
+
+    if (!from) {
+      return res.status(400).json({ error: 'The "from" revision number is required' });
+    }
+    for (const [name, ref] of [['from', from], ['to', to]]) {
+      if (ref !== 'current' && parseRevisionNumber(ref) === null) {
+        return res.status(400).json({ error: `"${name}" must be a revision number or "current"` });
+      }
+    }
+
+    const note = await findOwnedNote(id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const resolve = async (ref) => {
+      if (ref === 'current') {
+        return { revision_number: 'current', ...note };
+      }
+      return findRevision(id, parseRevisionNumber(ref));
+    };
+
+    const fromRevision = await resolve(from);
+    const toRevision = await resolve(to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    if (fromRevision.is_encrypted || toRevision.is_encrypted) {
+      return res.status(400).json({ error: 'Encrypted revisions cannot be diffed on the server' });
+    }
+
+    res.json({
+      from: fromRevision.revision_number,
+      to: toRevision.revision_number,
+      title: {
+        from: fromRevision.title,
+        to: toRevision.title,
+        changed: fromRevision.title !== toRevision.title
+      },
+      content: diffText(fromRevision.content, toRevision.content)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single revision with its content
+router.get('/:revision', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revision = parseRevisionNumber(req.params.revision);
+    if (revision === null) {
+      return res.status(400).json({ error: 'Revision must be a positive integer' });
+    }
+
+    const note = await findOwnedNote(id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const data = await findRevision(id, revision);
+    if (!data) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore a revision as the note's current content
+router.post('/:revision/restore', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const revision = parseRevisionNumber(req.params.revision);
+    if (revision === null) {
+      return res.status(400).json({ error: 'Revision must be a positive integer' });
+    }
+
+    const note = await findOwnedNote(id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const target = await findRevision(id, revision);
+    if (!target) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('posts')
+      .update({
+        title: target.title,
+        content: target.content,
+        encrypted_content: target.encrypted_content,
+        encryption_key_version: target.encryption_key_version ?? null,
+        is_encrypted: target.is_encrypted,
+        updated_at: new Date(),
+        is_updated: true
+      })
+      .eq('id', id)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordRevisionSafely(data, 'restore');
+    await publishNoteEvent('note.updated', data, req, { restored_revision: target.revision_number });
+
+    res.json({
+      message: `Revision ${target.revision_number} restored`,
+      note: data
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
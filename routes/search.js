@@ -0,0 +1,50 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const { parseSearchQuery, SearchQueryError } = require('../lib/search-query');
+const { termsToTsQuery, resolveSearchFilters } = require('../lib/search');
+const router = express.Router();
+
+// Parse a search query and show how GET /api/notes?search= would interpret it
+router.get('/parse', authenticateUser, async (req, res) => {
+  try {
+    const { q = '' } = req.query;
+
+    let parsed;
+    try {
+      parsed = parseSearchQuery(q);
+    } catch (parseError) {
+      if (parseError instanceof SearchQueryError) {
+        return res.status(400).json({
+          error: `Invalid search query: ${parseError.message}`,
+          position: parseError.position,
+          query: q
+        });
+      }
+      throw parseError;
+    }
+
+    const resolved = await resolveSearchFilters(req.user.id, parsed);
+
+    res.json({
+      query: q,
+      parsed,
+      tsquery: termsToTsQuery(parsed.text),
+      resolved: {
+        labels: {
+          include: resolved.labels.include,
+          exclude: resolved.labels.exclude
+        },
+        categories: {
+          include: resolved.categories.include.flat(),
+          exclude: resolved.categories.exclude
+        }
+      },
+      unknown: resolved.unknown,
+      matchesNothing: resolved.matchesNothing
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
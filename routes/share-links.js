@@ -0,0 +1,186 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { authenticateUser } = require('../middleware/auth');
+const {
+  generateShareToken,
+  hashSharePassword,
+  serializeShareLink
+} = require('../lib/share-links');
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateUser);
+
+const findOwnedNote = async (noteId, userId) => {
+  const { data, error } = await supabase
+    .from('posts')
+    .select('id, user_id, is_public, is_encrypted')
+    .eq('id', noteId)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Validate an optional expiry; returns { value, error }
+const parseExpiry = (expiresAt) => {
+  if (expiresAt === undefined) {
+    return { value: undefined, error: null };
+  }
+  if (expiresAt === null) {
+    return { value: null, error: null };
+  }
+  const date = new Date(expiresAt);
+  if (isNaN(date.getTime())) {
+    return { value: null, error: 'expires_at must be a valid date' };
+  }
+  if (date <= new Date()) {
+    return { value: null, error: 'expires_at must be in the future' };
+  }
+  return { value: date.toISOString(), error: null };
+};
+
+// List a note's share links with their view counts
+router.get('/', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const note = await findOwnedNote(id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const { data, error } = await supabase
+      .from('note_share_links')
+      .select('*')
+      .eq('post_id', id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      is_public: note.is_public,
+      data: (data || []).map(serializeShareLink)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a named share link; links only work while the note is public
+router.post('/', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, password, allow_encrypted = false } = req.body;
+    const userId = req.user.id;
+
+    const note = await findOwnedNote(id, userId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const { value: expires_at, error: expiryError } = parseExpiry(req.body.expires_at);
+    if (expiryError) {
+      return res.status(400).json({ error: expiryError });
+    }
+
+    const { data, error } = await supabase
+      .from('note_share_links')
+      .insert([{
+        post_id: note.id,
+        user_id: userId,
+        token: generateShareToken(),
+        name: (name && String(name).trim()) || 'Share link',
+        expires_at: expires_at || null,
+        password_hash: password ? hashSharePassword(password) : null,
+        allow_encrypted: !!allow_encrypted
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      ...serializeShareLink(data),
+      is_public: note.is_public
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rename a link or change its expiry, password or encrypted-payload setting
+router.patch('/:linkId', async (req, res) => {
+  try {
+    const { id, linkId } = req.params;
+    const { name, password, allow_encrypted } = req.body;
+
+    const note = await findOwnedNote(id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const { value: expires_at, error: expiryError } = parseExpiry(req.body.expires_at);
+    if (expiryError) {
+      return res.status(400).json({ error: expiryError });
+    }
+
+    const updates = { updated_at: new Date() };
+    if (name !== undefined) updates.name = String(name).trim() || 'Share link';
+    if (expires_at !== undefined) updates.expires_at = expires_at;
+    // An empty or null password removes protection
+    if (password !== undefined) updates.password_hash = password ? hashSharePassword(password) : null;
+    if (allow_encrypted !== undefined) updates.allow_encrypted = !!allow_encrypted;
+
+    const { data, error } = await supabase
+      .from('note_share_links')
+      .update(updates)
+      .eq('id', linkId)
+      .eq('post_id', id)
+      .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    res.json(serializeShareLink(data[0]));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a link; it stays listed with its stats but stops working
+router.delete('/:linkId', async (req, res) => {
+  try {
+    const { id, linkId } = req.params;
+
+    const note = await findOwnedNote(id, req.user.id);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found or access denied' });
+    }
+
+    const { data, error } = await supabase
+      .from('note_share_links')
+      .update({ revoked_at: new Date(), updated_at: new Date() })
+      .eq('id', linkId)
+      .eq('post_id', id)
+      .is('revoked_at', null)
+      .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Share link not found or already revoked' });
+    }
+
+    res.json({
+      message: 'Share link revoked',
+      link: serializeShareLink(data[0])
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const { authenticateUser } = require('../middleware/auth');
+const { decodeSyncToken, getChangesSince } = require('../lib/sync');
+const { MAX_PUSH_MUTATIONS, applyMutations } = require('../lib/sync-push');
+const router = express.Router();
+
+router.use(authenticateUser);
+
+// Everything changed since ?token= (omit it for a full sync): the user's own notes, including ones in the
+// trash, notes shared with them, plus categories, labels and label assignments, with tombstones for deletions.
+// Keep calling with the returned sync_token while has_more is true.
+router.get('/', async (req, res) => {
+  try {
+    const { token, limit } = req.query;
+
+    let position = null;
+    if (token) {
+      position = decodeSyncToken(token);
+      if (!position) {
+        return res.status(400).json({ error: 'Invalid sync token' });
+      }
+    }
+
+    res.json(await getChangesSince(req.user.id, position, limit));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Apply mutations made offline, in order, each at most once per mutation_id
+router.post('/push', async (req, res) => {
+  try {
+    const { mutations } = req.body;
+
+    if (!Array.isArray(mutations) || mutations.length === 0) {
+      return res.status(400).json({ error: 'mutations must be a non-empty array' });
+    }
+    if (mutations.length > MAX_PUSH_MUTATIONS) {
+      return res.status(400).json({ error: `At most ${MAX_PUSH_MUTATIONS} mutations can be pushed at once` });
+    }
+
+    res.json({ results: await applyMutations(req, mutations) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
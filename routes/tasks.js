@@ -0,0 +1,61 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { authenticateUser } = require('../middleware/auth');
+const router = express.Router();
+
+router.use(authenticateUser);
+
+// Open checklist items across your notes, those with the nearest due date first.
+// ?overdue=true or ?due_before=<date> narrow it to dated items; ?include_shared=false leaves out notes shared with you.
+router.get('/', async (req, res) => {
+  try {
+    const { due_before, overdue, include_shared, page = 1, limit = 50 } = req.query;
+    const pageNum = parseInt(page) || 1;
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+    const offset = (pageNum - 1) * limitNum;
+
+    let dueBefore = null;
+    if (overdue === 'true') {
+      dueBefore = new Date();
+    } else if (due_before) {
+      dueBefore = new Date(due_before);
+      if (isNaN(dueBefore.getTime())) {
+        return res.status(400).json({ error: 'due_before must be an ISO 8601 date or date-time' });
+      }
+    }
+
+    const { data, error, count } = await supabase
+      .rpc('open_checklist_items', {
+        p_user_id: req.user.id,
+        p_due_before: dueBefore ? dueBefore.toISOString() : null,
+        p_include_shared: include_shared !== 'false'
+      }, { count: 'exact' })
+      .range(offset, offset + limitNum - 1);
+
+    if (error) throw error;
+
+    const totalCount = count || 0;
+    const totalPages = Math.ceil(totalCount / limitNum);
+    const now = Date.now();
+
+    res.json({
+      data: (data || []).map(({ post_id, note_title, note_role, ...item }) => ({
+        ...item,
+        overdue: !!item.due_at && new Date(item.due_at).getTime() < now,
+        note: { id: post_id, title: note_title, role: note_role }
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,397 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { authenticateUser } = require('../middleware/auth');
+const { findOwnedItem, findNameConflict } = require('../lib/taxonomy');
+const { generateShareToken } = require('../lib/share-links');
+const { getBaseUrl } = require('../lib/public-page');
+const { recordRevisionSafely } = require('../lib/revisions');
+const { publishNoteEvent, publishUserEvent } = require('../lib/events');
+const {
+  BUILT_IN_VARIABLES,
+  TemplateError,
+  validateTemplate,
+  renderTemplate,
+  seedStarterTemplates,
+  serializeTemplate
+} = require('../lib/templates');
+const router = express.Router();
+
+router.use(authenticateUser);
+
+const handleError = (res, error) => {
+  if (error instanceof TemplateError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+// Category and labels must belong to the user
+const checkTaxonomy = async (values, userId) => {
+  if (values.category_id && !(await findOwnedItem('categories', values.category_id, userId))) {
+    throw new TemplateError('Category not found or access denied', 404);
+  }
+
+  if (values.label_ids?.length > 0) {
+    const { data, error } = await supabase
+      .from('labels')
+      .select('id')
+      .eq('user_id', userId)
+      .in('id', values.label_ids);
+
+    if (error) throw error;
+    if ((data || []).length !== values.label_ids.length) {
+      throw new TemplateError('Label not found or access denied', 404);
+    }
+  }
+};
+
+const getShareUrl = (req, template) => (template.share_token
+  ? `${getBaseUrl(req)}/api/public/templates/${template.share_token}`
+  : null);
+
+const findSharedTemplate = async (token) => {
+  const { data, error } = await supabase
+    .from('note_templates')
+    .select('*')
+    .eq('share_token', token)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const getUserProfile = async (userId) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('name, email')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || {};
+};
+
+/**
+ * Create a note from a template for the requesting user
+ * Body: { values, timezone, title?, category_id?, label_ids?, is_draft? }. A shared template brings no
+ * category or labels, since those belong to its owner.
+ */
+const createNoteFromTemplate = async (req, res, template, shared) => {
+  const { values, timezone, is_draft = false } = req.body || {};
+  const userId = req.user.id;
+
+  const rendered = renderTemplate(template, {
+    values: values || {},
+    user: await getUserProfile(userId),
+    timezone: timezone || 'UTC'
+  });
+
+  const overrides = validateTemplate({
+    ...(req.body?.category_id !== undefined && { category_id: req.body.category_id }),
+    ...(req.body?.label_ids !== undefined && { label_ids: req.body.label_ids })
+  }, true);
+  await checkTaxonomy(overrides, userId);
+
+  const categoryId = overrides.category_id !== undefined ? overrides.category_id : (shared ? null : template.category_id);
+  let labelIds = overrides.label_ids || (shared ? [] : template.label_ids || []);
+
+  // The template's labels may have been deleted since it was saved
+  if (overrides.label_ids === undefined && labelIds.length > 0) {
+    const { data, error } = await supabase
+      .from('labels')
+      .select('id')
+      .eq('user_id', userId)
+      .in('id', labelIds);
+
+    if (error) throw error;
+    labelIds = (data || []).map(label => label.id);
+  }
+  const title = typeof req.body?.title === 'string' && req.body.title.trim() ? req.body.title.trim() : rendered.title;
+
+  const { data: note, error } = await supabase
+    .from('posts')
+    .insert([{
+      title: title || 'Untitled',
+      content: rendered.content,
+      category_id: categoryId,
+      user_id: userId,
+      is_draft: !!is_draft,
+      is_public: false,
+      is_encrypted: false,
+      last_autosave: new Date(),
+      updated_at: new Date()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  if (labelIds.length > 0) {
+    const { error: labelError } = await supabase
+      .from('post_labels')
+      .insert(labelIds.map(labelId => ({ post_id: note.id, label_id: labelId })));
+
+    if (labelError) throw labelError;
+  }
+
+  await recordRevisionSafely(note, 'create');
+  await publishNoteEvent('note.created', note, req);
+
+  res.status(201).json({ ...note, label_ids: labelIds, template_id: template.id });
+};
+
+// List your templates. New accounts get the starter set when they are created; accounts from before then
+// get it here, and a failure to add it never fails the list.
+router.get('/', async (req, res) => {
+  try {
+    await seedStarterTemplates(req.user.id)
+      .catch(error => console.error('Error creating starter templates:', error));
+
+    const { data, error } = await supabase
+      .from('note_templates')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('name');
+
+    if (error) throw error;
+    res.json((data || []).map(template => ({
+      ...serializeTemplate(template),
+      share_url: getShareUrl(req, template)
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Variables the server fills in itself
+router.get('/variables', (req, res) => {
+  res.json(Object.entries(BUILT_IN_VARIABLES).map(([name, description]) => ({ name, description })));
+});
+
+// Create a template: { name, description?, title, content, category_id?, label_ids?, variables? }
+router.post('/', async (req, res) => {
+  try {
+    const values = validateTemplate(req.body || {});
+    await checkTaxonomy(values, req.user.id);
+
+    const conflict = await findNameConflict('note_templates', req.user.id, values.name);
+    if (conflict) {
+      return res.status(409).json({ error: `A template named "${conflict.name}" already exists`, existing: conflict });
+    }
+
+    const { data, error } = await supabase
+      .from('note_templates')
+      .insert([{ ...values, user_id: req.user.id }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `A template named "${values.name}" already exists` });
+      }
+      throw error;
+    }
+
+    publishUserEvent(req, 'template.created', { template: serializeTemplate(data) });
+    res.status(201).json(serializeTemplate(data));
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Add a shared template to your own templates
+router.post('/shared/:token/copy', async (req, res) => {
+  try {
+    const template = await findSharedTemplate(req.params.token);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found or no longer shared' });
+    }
+
+    // Keep the name unique by numbering copies
+    let name = template.name;
+    for (let copy = 2; await findNameConflict('note_templates', req.user.id, name); copy++) {
+      name = `${template.name} (${copy})`;
+    }
+
+    const { data, error } = await supabase
+      .from('note_templates')
+      .insert([{
+        user_id: req.user.id,
+        name,
+        description: template.description,
+        title: template.title,
+        content: template.content,
+        variables: template.variables
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    publishUserEvent(req, 'template.created', { template: serializeTemplate(data) });
+    res.status(201).json(serializeTemplate(data));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a note straight from a shared template
+router.post('/shared/:token/notes', async (req, res) => {
+  try {
+    const template = await findSharedTemplate(req.params.token);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found or no longer shared' });
+    }
+
+    await createNoteFromTemplate(req, res, template, template.user_id !== req.user.id);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Get one of your templates, with the prompts to ask before creating a note
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await findOwnedItem('note_templates', req.params.id, req.user.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({ ...serializeTemplate(template), share_url: getShareUrl(req, template) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a template
+router.patch('/:id', async (req, res) => {
+  try {
+    const template = await findOwnedItem('note_templates', req.params.id, req.user.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const values = validateTemplate(req.body || {}, true);
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+    if ((values.title ?? template.title) === '' && (values.content ?? template.content) === '') {
+      return res.status(400).json({ error: 'A template needs a title or content' });
+    }
+    await checkTaxonomy(values, req.user.id);
+
+    if (values.name) {
+      const conflict = await findNameConflict('note_templates', req.user.id, values.name, template.id);
+      if (conflict) {
+        return res.status(409).json({ error: `A template named "${conflict.name}" already exists`, existing: conflict });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('note_templates')
+      .update({ ...values, updated_at: new Date() })
+      .eq('id', template.id)
+      .eq('user_id', req.user.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `A template named "${values.name}" already exists` });
+      }
+      throw error;
+    }
+
+    publishUserEvent(req, 'template.updated', { template: serializeTemplate(data) });
+    res.json({ ...serializeTemplate(data), share_url: getShareUrl(req, data) });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Delete a template
+router.delete('/:id', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('note_templates')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    publishUserEvent(req, 'template.deleted', { template_id: data[0].id });
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Share a template by link; the existing token is kept if it is already shared
+router.post('/:id/share', async (req, res) => {
+  try {
+    const template = await findOwnedItem('note_templates', req.params.id, req.user.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    let shared = template;
+    if (!template.share_token) {
+      const { data, error } = await supabase
+        .from('note_templates')
+        .update({ share_token: generateShareToken(), shared_at: new Date() })
+        .eq('id', template.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      shared = data;
+      publishUserEvent(req, 'template.updated', { template: serializeTemplate(shared) });
+    }
+
+    res.json({ share_token: shared.share_token, share_url: getShareUrl(req, shared) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stop sharing a template; the old link stops working
+router.delete('/:id/share', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('note_templates')
+      .update({ share_token: null, shared_at: null })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    publishUserEvent(req, 'template.updated', { template: serializeTemplate(data[0]) });
+    res.json({ message: 'Template is no longer shared' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a note from one of your templates
+router.post('/:id/notes', async (req, res) => {
+  try {
+    const template = await findOwnedItem('note_templates', req.params.id, req.user.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    await createNoteFromTemplate(req, res, template, false);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
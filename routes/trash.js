@@ -0,0 +1,171 @@
+const express = require('express');
+const { supabase } = require('../lib/supabase');
+const { authenticateUser } = require('../middleware/auth');
+const { TRASH_RETENTION_DAYS, getPurgeDate } = require('../lib/trash');
+const { purgeDetachedAttachments } = require('../lib/attachments');
+const { publishNoteEvent, publishUserEvent } = require('../lib/events');
+const router = express.Router();
+
+router.use(authenticateUser);
+
+// Delete the files of attachments whose notes are gone; the scheduled purge retries anything that fails here
+const removeDeletedAttachments = async () => {
+  try {
+    await purgeDetachedAttachments();
+  } catch (error) {
+    console.error('Error removing attachments of deleted notes:', error);
+  }
+};
+
+// List notes in the trash, most recently deleted first
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { page = 1, limit = 12 } = req.query;
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 12;
+    const offset = (pageNum - 1) * limitNum;
+
+    const { data, error, count } = await supabase
+      .from('posts')
+      .select(`
+        *,
+        category:categories(id, name, color, icon),
+        post_labels(
+          label:labels(id, name, color)
+        )
+      `, { count: 'exact' })
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false })
+      .range(offset, offset + limitNum - 1);
+
+    if (error) throw error;
+
+    const transformedData = data?.map(post => ({
+      ...post,
+      labels: post.post_labels?.map(pl => pl.label) || [],
+      purge_at: getPurgeDate(post.deleted_at),
+      // Don't expose encrypted content in list view
+      encrypted_content: undefined
+    })) || [];
+
+    const totalCount = count || 0;
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      data: transformedData,
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore a note from the trash
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { data, error } = await supabase
+      .from('posts')
+      .update({ deleted_at: null })
+      .eq('id', id)
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null)
+      .select(`
+        *,
+        category:categories(id, name, color, icon),
+        post_labels(
+          label:labels(id, name, color)
+        )
+      `);
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Note not found in trash' });
+    }
+
+    const restored = data[0];
+    await publishNoteEvent('note.restored', restored, req);
+
+    res.json({
+      message: 'Note restored successfully',
+      note: {
+        ...restored,
+        labels: restored.post_labels?.map(pl => pl.label) || [],
+        display_date: restored.is_updated ? restored.updated_at : restored.created_at,
+        date_type: restored.is_updated ? 'updated' : 'created'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Permanently delete a single note from the trash
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { data, error } = await supabase
+      .from('posts')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null)
+      .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Note not found in trash' });
+    }
+
+    await removeDeletedAttachments();
+    publishUserEvent(req, 'note.purged', { note_ids: data.map(note => note.id) });
+
+    res.json({ message: 'Note permanently deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Empty the trash
+router.delete('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { data, error } = await supabase
+      .from('posts')
+      .delete()
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null)
+      .select('id');
+
+    if (error) throw error;
+
+    await removeDeletedAttachments();
+    if (data && data.length > 0) {
+      publishUserEvent(req, 'note.purged', { note_ids: data.map(note => note.id) });
+    }
+
+    res.json({
+      message: 'Trash emptied',
+      deletedCount: data?.length || 0
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
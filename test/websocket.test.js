@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+// Placeholders so the Supabase client and JWT helpers load; nothing here reaches the database
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:1';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test';
+process.env.SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET || 'test-secret';
+
+const { attachWebSockets, rejectUpgrade } = require('../lib/websocket');
+const { createCollabSocketRoute } = require('../lib/collab-socket');
+
+const token = jwt.sign(
+  { sub: '00000000-0000-0000-0000-000000000001', email: 'test@example.com' },
+  process.env.SUPABASE_JWT_SECRET,
+  { issuer: 'supabase', expiresIn: '5m' }
+);
+
+let server;
+let port;
+
+before(async () => {
+  server = http.createServer();
+  attachWebSockets(server, [
+    createCollabSocketRoute(),
+    // Answers 418 once the upgrade is authenticated, without touching the database
+    { match: (pathname) => (pathname === '/probe' ? {} : null), handle: (req, socket) => rejectUpgrade(socket, 418, 'Teapot') }
+  ]);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Status of a WebSocket upgrade request that the server refuses
+const upgradeStatus = (path, headers) => new Promise((resolve, reject) => {
+  const req = http.request({
+    host: '127.0.0.1',
+    port,
+    path,
+    headers: {
+      Connection: 'Upgrade',
+      Upgrade: 'websocket',
+      'Sec-WebSocket-Version': '13',
+      'Sec-WebSocket-Key': Buffer.from('0123456789abcdef').toString('base64'),
+      ...headers
+    }
+  });
+  req.on('response', res => {
+    res.resume();
+    resolve(res.statusCode);
+  });
+  req.on('upgrade', (res, socket) => {
+    socket.destroy();
+    resolve(101);
+  });
+  req.on('error', reject);
+  req.end();
+});
+
+test('refuses a cookie-authenticated collab socket from a foreign origin', async () => {
+  const status = await upgradeStatus('/api/collab/1', {
+    Origin: 'https://evil.example',
+    Cookie: `sb-access-token=${token}`
+  });
+  assert.strictEqual(status, 403);
+});
+
+test('accepts a cookie-authenticated upgrade from an allowed origin', async () => {
+  const status = await upgradeStatus('/probe', {
+    Origin: 'http://localhost:3000',
+    Cookie: `sb-access-token=${token}`
+  });
+  assert.strictEqual(status, 418);
+});
+
+test('accepts a token in the query string from any origin', async () => {
+  const status = await upgradeStatus(`/probe?access_token=${token}`, { Origin: 'https://evil.example' });
+  assert.strictEqual(status, 418);
+});